@@ -3,6 +3,17 @@
 /**
  * Colors for the 'Rotational Motion' sim.
  *
+ * The colors depend on the color profile of the sim, which can be switched while the sim is running (see
+ * ColorProfiles and RotationalMotionGlobals.colorProfileProperty). For that reason, each color is a Property of the
+ * CSS color string of the current color profile. RACE_LANE_FILLS is an array of these Properties.
+ *
+ * Nodes that are colored link to the color Properties, so that they update when the color profile changes. For most
+ * Nodes, this is done with RotationalMotionColors.linkColors():
+ *
+ *   RotationalMotionColors.linkColors( circle, { fill: RotationalMotionColors.INTRO_BALL_FILL } );
+ *
+ * The color Properties exist for the entire simulation and are never disposed.
+ *
  * @author Brandon Li <brandon.li820@gmail.com>
  */
 
@@ -10,37 +21,336 @@ define( require => {
   'use strict';
 
   // modules
-  const LinearGradient = require( 'SIM_CORE/scenery/gradients/LinearGradient' );
+  const assert = require( 'SIM_CORE/util/assert' );
+  const ColorProfiles = require( 'ROTATIONAL_MOTION/common/view/ColorProfiles' );
+  const DerivedProperty = require( 'SIM_CORE/util/DerivedProperty' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const Panel = require( 'SIM_CORE/scenery/components/Panel' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RadialGradient = require( 'SIM_CORE/scenery/gradients/RadialGradient' );
+  const RotationalMotionGlobals = require( 'ROTATIONAL_MOTION/common/RotationalMotionGlobals' );
+
+  // The colors of each ColorProfiles member, keyed by the name of the member. The DEFAULT profile defines every color.
+  // The other profiles only define the colors that they change, and use the DEFAULT color for the rest.
+  const PROFILE_COLORS = {
+    DEFAULT: {
+
+      // screen background
+      SCREEN_BACKGROUND: 'rgb( 255, 250, 227 )',
+
+      // panels
+      PANEL_FILL: 'rgb( 240, 240, 240 )',
+      PANEL_STROKE: 'rgb( 150, 150, 150 )',
+
+      // spinners
+      SPINNER_PIN_FILL: 'rgb( 100, 100, 100 )',
+      SPINNER_STRING_COLOR: 'black',
+
+      // intro balls
+      INTRO_BALL_FILL: 'green',
+
+      // rolling balls
+      ROLLING_BALL_FILL: 'rgb( 220, 60, 60 )',
+      ROLLING_BALL_STROKE: 'rgb( 120, 20, 20 )',
+      ROLLING_BALL_MARKER_STROKE: 'white',
+      ROLLING_BALL_HIGHLIGHT: 'white',
+      SLIPPING_INDICATOR_FILL: 'rgb( 200, 30, 30 )',
+      MARKED_POINT_FILL: 'rgb( 255, 200, 0 )',
+
+      // path trails
+      PATH_TRAIL_STROKE: 'rgb( 50, 90, 255 )',
+      MARKED_POINT_TRAIL_STROKE: 'rgb( 255, 100, 30 )',
+
+      // race
+      RACE_LANE_FILLS: [
+        'rgb( 220, 60, 60 )',
+        'rgb( 40, 110, 220 )',
+        'rgb( 40, 160, 70 )',
+        'rgb( 150, 70, 200 )',
+        'rgb( 240, 150, 30 )',
+        'rgb( 30, 170, 170 )'
+      ],
+      RACE_LANE_STROKE: '#AA934F',
+      RACE_FINISH_LINE_STROKE: 'black',
+
+      // energy
+      TRANSLATIONAL_KINETIC_ENERGY_FILL: 'rgb( 30, 180, 60 )',
+      ROTATIONAL_KINETIC_ENERGY_FILL: 'rgb( 10, 170, 250 )',
+      GRAVITATIONAL_POTENTIAL_ENERGY_FILL: 'rgb( 50, 90, 255 )',
+      THERMAL_ENERGY_FILL: 'rgb( 255, 100, 30 )',
+      TOTAL_ENERGY_FILL: 'rgb( 120, 120, 120 )',
+      ENERGY_BAR_STROKE: 'black',
+      INITIAL_ENERGY_STROKE: 'rgb( 200, 30, 30 )',
+
+      // graphs
+      GRAPH_BACKGROUND: 'white',
+      GRAPH_AXIS_STROKE: 'rgb( 150, 150, 150 )',
+      GRAPH_CURSOR_STROKE: 'rgb( 200, 30, 30 )',
+      GRAPH_DATA_STROKE: 'black',
+      ANGLE_GRAPH_STROKE: 'rgb( 50, 90, 255 )',
+      ANGULAR_VELOCITY_GRAPH_STROKE: 'rgb( 10, 170, 250 )',
+      ANGULAR_ACCELERATION_GRAPH_STROKE: 'rgb( 255, 0, 215 )',
+
+      // vectors
+      VECTOR_STROKE: 'black',
+      LINEAR_VELOCITY_VECTOR_FILL: 'rgb( 10, 170, 250 )',
+      LINEAR_ACCELERATION_VECTOR_FILL: 'rgb( 255, 0, 215 )',
+      TOTAL_ACCELERATION_VECTOR_FILL: 'rgb( 255, 144, 35 )',
+      TENSION_VECTOR_FILL: 'rgb( 140, 90, 40 )',
+      TANGENTIAL_FORCE_VECTOR_FILL: 'rgb( 50, 180, 60 )',
+      NET_FORCE_VECTOR_FILL: 'rgb( 230, 40, 40 )',
+
+      // focus highlights
+      FOCUS_HIGHLIGHT_STROKE: 'rgb( 50, 130, 255 )',
+
+      // ramp
+      RAMP_FILL: '#E6C772',
+      RAMP_STROKE: '#AA934F',
+      RAMP_DASHED_SEPARATOR_STROKE: '#AF7A45',
+
+      // measuring tools
+      RULER_FILL: 'rgba( 250, 220, 120, 0.85 )',
+      PROTRACTOR_FILL: 'rgba( 180, 215, 255, 0.5 )',
+      MEASURING_TOOL_STROKE: 'rgb( 60, 60, 60 )',
+      MEASURING_TOOL_HANDLE_FILL: 'rgb( 50, 130, 255 )'
+    },
+
+    PROJECTOR: {
+
+      // screen background
+      SCREEN_BACKGROUND: 'white',
+
+      // panels
+      PANEL_FILL: 'rgb( 245, 245, 245 )',
+      PANEL_STROKE: 'rgb( 60, 60, 60 )',
+
+      // spinners
+      SPINNER_PIN_FILL: 'rgb( 40, 40, 40 )',
+
+      // intro balls
+      INTRO_BALL_FILL: 'rgb( 0, 120, 0 )',
+
+      // rolling balls
+      ROLLING_BALL_FILL: 'rgb( 200, 20, 20 )',
+      ROLLING_BALL_STROKE: 'rgb( 90, 0, 0 )',
+      SLIPPING_INDICATOR_FILL: 'rgb( 180, 0, 0 )',
+      MARKED_POINT_FILL: 'rgb( 255, 190, 0 )',
+
+      // path trails
+      PATH_TRAIL_STROKE: 'rgb( 0, 50, 230 )',
+      MARKED_POINT_TRAIL_STROKE: 'rgb( 230, 80, 0 )',
+
+      // race
+      RACE_LANE_FILLS: [
+        'rgb( 200, 20, 20 )',
+        'rgb( 0, 80, 200 )',
+        'rgb( 0, 130, 40 )',
+        'rgb( 120, 40, 180 )',
+        'rgb( 230, 120, 0 )',
+        'rgb( 0, 140, 140 )'
+      ],
+      RACE_LANE_STROKE: '#7A6323',
+
+      // energy
+      TRANSLATIONAL_KINETIC_ENERGY_FILL: 'rgb( 0, 150, 40 )',
+      ROTATIONAL_KINETIC_ENERGY_FILL: 'rgb( 0, 130, 220 )',
+      GRAVITATIONAL_POTENTIAL_ENERGY_FILL: 'rgb( 0, 50, 230 )',
+      THERMAL_ENERGY_FILL: 'rgb( 230, 80, 0 )',
+      TOTAL_ENERGY_FILL: 'rgb( 80, 80, 80 )',
+      INITIAL_ENERGY_STROKE: 'rgb( 180, 0, 0 )',
+
+      // graphs
+      GRAPH_AXIS_STROKE: 'rgb( 80, 80, 80 )',
+      GRAPH_CURSOR_STROKE: 'rgb( 180, 0, 0 )',
+      ANGLE_GRAPH_STROKE: 'rgb( 0, 50, 230 )',
+      ANGULAR_VELOCITY_GRAPH_STROKE: 'rgb( 0, 130, 220 )',
+      ANGULAR_ACCELERATION_GRAPH_STROKE: 'rgb( 210, 0, 170 )',
+
+      // vectors
+      LINEAR_VELOCITY_VECTOR_FILL: 'rgb( 0, 130, 220 )',
+      LINEAR_ACCELERATION_VECTOR_FILL: 'rgb( 210, 0, 170 )',
+      TOTAL_ACCELERATION_VECTOR_FILL: 'rgb( 240, 120, 0 )',
+      TENSION_VECTOR_FILL: 'rgb( 110, 60, 20 )',
+      TANGENTIAL_FORCE_VECTOR_FILL: 'rgb( 0, 150, 40 )',
+      NET_FORCE_VECTOR_FILL: 'rgb( 210, 0, 0 )',
+
+      // focus highlights
+      FOCUS_HIGHLIGHT_STROKE: 'rgb( 0, 90, 230 )',
+
+      // ramp
+      RAMP_FILL: '#D9AE3F',
+      RAMP_STROKE: '#7A6323',
+      RAMP_DASHED_SEPARATOR_STROKE: '#7A4A1E',
+
+      // measuring tools
+      RULER_FILL: 'rgba( 240, 200, 70, 0.9 )',
+      PROTRACTOR_FILL: 'rgba( 150, 195, 255, 0.6 )',
+      MEASURING_TOOL_STROKE: 'black',
+      MEASURING_TOOL_HANDLE_FILL: 'rgb( 0, 90, 230 )'
+    },
+
+    HIGH_CONTRAST: {
+
+      // screen background
+      SCREEN_BACKGROUND: 'white',
+
+      // panels
+      PANEL_FILL: 'white',
+      PANEL_STROKE: 'black',
+
+      // spinners
+      SPINNER_PIN_FILL: 'black',
+
+      // intro balls
+      INTRO_BALL_FILL: '#009E73',
+
+      // rolling balls
+      ROLLING_BALL_FILL: '#D55E00',
+      ROLLING_BALL_STROKE: 'black',
+      SLIPPING_INDICATOR_FILL: '#D55E00',
+      MARKED_POINT_FILL: '#F0E442',
+
+      // path trails
+      PATH_TRAIL_STROKE: '#0072B2',
+      MARKED_POINT_TRAIL_STROKE: '#D55E00',
+
+      // race
+      RACE_LANE_FILLS: [ '#D55E00', '#0072B2', '#009E73', '#CC79A7', '#E69F00', '#56B4E9' ],
+      RACE_LANE_STROKE: 'black',
+
+      // energy
+      TRANSLATIONAL_KINETIC_ENERGY_FILL: '#009E73',
+      ROTATIONAL_KINETIC_ENERGY_FILL: '#56B4E9',
+      GRAVITATIONAL_POTENTIAL_ENERGY_FILL: '#0072B2',
+      THERMAL_ENERGY_FILL: '#D55E00',
+      TOTAL_ENERGY_FILL: 'rgb( 90, 90, 90 )',
+      INITIAL_ENERGY_STROKE: '#D55E00',
+
+      // graphs
+      GRAPH_AXIS_STROKE: 'black',
+      GRAPH_CURSOR_STROKE: '#D55E00',
+      ANGLE_GRAPH_STROKE: '#0072B2',
+      ANGULAR_VELOCITY_GRAPH_STROKE: '#56B4E9',
+      ANGULAR_ACCELERATION_GRAPH_STROKE: '#CC79A7',
+
+      // vectors
+      LINEAR_VELOCITY_VECTOR_FILL: '#56B4E9',
+      LINEAR_ACCELERATION_VECTOR_FILL: '#CC79A7',
+      TOTAL_ACCELERATION_VECTOR_FILL: '#E69F00',
+      TENSION_VECTOR_FILL: '#F0E442',
+      TANGENTIAL_FORCE_VECTOR_FILL: '#009E73',
+      NET_FORCE_VECTOR_FILL: '#D55E00',
+
+      // focus highlights
+      FOCUS_HIGHLIGHT_STROKE: '#0072B2',
+
+      // ramp
+      RAMP_STROKE: 'black',
+      RAMP_DASHED_SEPARATOR_STROKE: 'black',
+
+      // measuring tools
+      RULER_FILL: 'rgba( 255, 255, 255, 0.9 )',
+      PROTRACTOR_FILL: 'rgba( 255, 255, 255, 0.75 )',
+      MEASURING_TOOL_STROKE: 'black',
+      MEASURING_TOOL_HANDLE_FILL: '#0072B2'
+    }
+  };
 
   const RotationalMotionColors = {
 
-    // screen background
-    SCREEN_BACKGROUND: 'rgb( 255, 250, 227 )',
+    /**
+     * Links the colors of a Node to color Properties, so that the Node is recolored when the color profile changes.
+     * Links are never disposed, since Nodes that are colored exist for the entire simulation.
+     * @public
+     *
+     * @param {Node} node
+     * @param {Object.<string, Property.<string|Gradient>>} colors - the color Properties, keyed by the setter that
+     *                                                             they set, like 'fill' or 'stroke'.
+     * @returns {Node} - the Node, for chaining
+     */
+    linkColors( node, colors ) {
+      assert( node instanceof Node, `invalid node: ${ node }` );
+      assert( Object.values( colors ).every( color => color instanceof Property ), `invalid colors: ${ colors }` );
 
-    // panels
-    PANEL_COLORS: {
-      stroke: 'rgb( 150, 150, 150 )',
-      fill: 'rgb( 240, 240, 240 )'
+      Object.keys( colors ).forEach( key => {
+        colors[ key ].link( color => { node[ key ] = color; } );
+      } );
+      return node;
     },
 
-    // spinners
-    SPINNER_PIN_FILL: 'rgb( 100, 100, 100 )',
-    SPINNER_STRING_COLOR: 'black',
+    /**
+     * Links the background of a Panel to the panel colors. Panel doesn't expose its background or setters for its
+     * colors, so its background Rectangle is colored directly.
+     * @public
+     *
+     * @param {Panel} panel
+     * @returns {Panel} - the Panel, for chaining
+     */
+    linkPanelColors( panel ) {
+      assert( panel instanceof Panel, `invalid panel: ${ panel }` );
 
-    // intro balls
-    INTRO_BALL_FILL: 'green',
+      RotationalMotionColors.linkColors( panel._background, {
+        fill: RotationalMotionColors.PANEL_FILL,
+        stroke: RotationalMotionColors.PANEL_STROKE
+      } );
+      return panel;
+    },
+
+    /**
+     * Links the colors of a vector Arrow to its fill Property and VECTOR_STROKE.
+     * @public
+     *
+     * @param {Arrow} arrow
+     * @param {Property.<string>} fillProperty
+     * @returns {Arrow} - the Arrow, for chaining
+     */
+    linkVectorColors( arrow, fillProperty ) {
+      return RotationalMotionColors.linkColors( arrow, {
+        fill: fillProperty,
+        stroke: RotationalMotionColors.VECTOR_STROKE
+      } );
+    },
 
-    // vectors
-    VECTOR_STROKE: 'black',
-    LINEAR_VELOCITY_VECTOR_FILL: 'rgb( 10, 170, 250 )',
-    LINEAR_ACCELERATION_VECTOR_FILL: 'rgb( 255, 0, 215 )',
-    TOTAL_ACCELERATION_VECTOR_FILL: 'rgb( 255, 144, 35 )',
+    /**
+     * Creates a Property of the RadialGradient that shades spherical balls to look 3D, from ROLLING_BALL_HIGHLIGHT at
+     * the top-left to the fill color. When the colors change, a new RadialGradient is created and the previous one is
+     * disposed. The Property is never disposed, since shaded balls exist for the entire simulation.
+     * @public
+     *
+     * @param {Property.<string>} fillProperty - the Property of the fill color of the ball.
+     * @returns {DerivedProperty.<RadialGradient>}
+     */
+    createShadedBallFillProperty( fillProperty ) {
+      assert( fillProperty instanceof Property, `invalid fillProperty: ${ fillProperty }` );
 
-    // ramp
-    RAMP_FILL:'#E6C772',
-    RAMP_STROKE: '#AA934F',
-    RAMP_DASHED_SEPARATOR_STROKE: '#AF7A45'
+      let gradient = null;
+      const dependencies = [ RotationalMotionColors.ROLLING_BALL_HIGHLIGHT, fillProperty ];
+      return new DerivedProperty( dependencies, ( highlight, fill ) => {
+        gradient && gradient.dispose();
+        gradient = new RadialGradient( 50, 50, 35, 35, 60 ).addColorStop( highlight, 0 ).addColorStop( fill, 100 );
+        return gradient;
+      } );
+    }
   };
 
+  // Create the Property of each color, which is derived from the color profile. Colors that are arrays create an array
+  // of Properties, one for each element.
+  Object.keys( PROFILE_COLORS.DEFAULT ).forEach( key => {
+    const getColor = colorProfile => PROFILE_COLORS[ colorProfile.name ][ key ] || PROFILE_COLORS.DEFAULT[ key ];
+
+    RotationalMotionColors[ key ] = Array.isArray( PROFILE_COLORS.DEFAULT[ key ] ) ?
+      PROFILE_COLORS.DEFAULT[ key ].map( ( color, index ) => new DerivedProperty(
+        [ RotationalMotionGlobals.colorProfileProperty ], colorProfile => getColor( colorProfile )[ index ]
+      ) ) :
+      new DerivedProperty( [ RotationalMotionGlobals.colorProfileProperty ], getColor );
+  } );
+
+  // Verify that every profile defines only colors that the DEFAULT profile defines, with arrays of the same length.
+  assert( ColorProfiles.MEMBERS.every( colorProfile => Object.keys( PROFILE_COLORS[ colorProfile.name ] ).every( key =>
+    Array.isArray( PROFILE_COLORS.DEFAULT[ key ] ) ?
+    PROFILE_COLORS[ colorProfile.name ][ key ].length === PROFILE_COLORS.DEFAULT[ key ].length :
+    typeof PROFILE_COLORS.DEFAULT[ key ] === 'string'
+  ) ), 'invalid PROFILE_COLORS' );
+
   return RotationalMotionColors;
-} );
\ No newline at end of file
+} );
@@ -9,19 +9,15 @@
 define( require => {
   'use strict';
 
-  // modules
-  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
-
   const RotationalMotionConstants = {
 
     // screen-view
     SCREEN_VIEW_X_MARGIN: 20,
     SCREEN_VIEW_Y_MARGIN: 20,
 
-    // arrow vectors
+    // arrow vectors. Colors are linked with RotationalMotionColors.linkVectorColors().
     VECTOR_ARROW_OPTIONS: {
       strokeWidth: 0.8,
-      stroke: RotationalMotionColors.VECTOR_STROKE,
       headHeight: 12,
       headWidth: 12,
       tailWidth: 3
@@ -39,6 +35,17 @@ define( require => {
       fontWeight: 500
     },
 
+    // physics
+    GRAVITY: 9.8, // acceleration due to gravity, in m/s^2
+
+    // time speeds - the factor that the elapsed time is scaled by for each TimeSpeeds member, keyed by its name.
+    TIME_SCALES: {
+      QUARTER: 0.25,
+      HALF: 0.5,
+      NORMAL: 1,
+      DOUBLE: 2
+    },
+
     // miscellaneous
     NUMBER_DISPLAY_DECIMAL_PLACES: 2,
     MATH_TEXT_OPTIONS: {
@@ -0,0 +1,35 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Global Properties that are shared by all screens of the 'Rotational Motion' simulation. These are sim-wide
+ * preferences of the user, so they aren't reset by the reset-all button of any screen. The color profile is a
+ * preference of the room that the simulation is displayed in (like a projector), so it also isn't part of saved states
+ * (see RotationalMotionState).
+ *
+ * The Properties exist for the entire simulation and are never disposed.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const AngularUnits = require( 'ROTATIONAL_MOTION/common/model/AngularUnits' );
+  const ColorProfiles = require( 'ROTATIONAL_MOTION/common/view/ColorProfiles' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RotationalMotionQueryParameters = require( 'ROTATIONAL_MOTION/common/RotationalMotionQueryParameters' );
+
+  const RotationalMotionGlobals = {
+
+    // {Property.<Enum.Member.<AngularUnits>>} - the unit that angular quantities are displayed in. See AngularUnits.
+    angularUnitProperty: new Property( AngularUnits.RADIANS_PER_SECOND, { validValues: AngularUnits.MEMBERS } ),
+
+    // {Property.<Enum.Member.<ColorProfiles>>} - the palette that every screen is colored with. See ColorProfiles.
+    colorProfileProperty: new Property( RotationalMotionQueryParameters.colorProfile, {
+      validValues: ColorProfiles.MEMBERS
+    } )
+  };
+
+  return RotationalMotionGlobals;
+} );
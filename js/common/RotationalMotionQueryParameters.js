@@ -0,0 +1,165 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Query parameters that configure the initial conditions of the 'Rotational Motion' simulation, so that pages that
+ * embed the sim can start it differently each time. For instance,
+ *   ?screen=intro&type=nonUniform&radius=0.8&alpha=0.2&vectors=velocity,tension
+ *
+ * The supported query parameters are:
+ *   ?screen - the screen that is initially shown: intro or rolling.
+ *   ?type - the circular motion type of the 'Intro' screen: uniform, nonUniform, vertical, or conical.
+ *   ?radius - the initial radius of the circular motion, in meters, of every scene of the 'Intro' screen except the
+ *             conical scene, whose radius is set by its string length and cone angle.
+ *   ?omega - the initial angular velocity of the uniform scene, in rad/sec.
+ *   ?alpha - the initial angular acceleration of the non-uniform scene, in rad/sec^2.
+ *   ?rampAngle - the initial angle of the Ramp of the 'Rolling' screen, in radians.
+ *   ?vectors - comma-separated list of the Vectors that are initially visible in the 'Intro' screen: velocity,
+ *              acceleration, totalAcceleration, tension, tangentialForce, and netForce.
+ *   ?locale - the locale of the strings and number formatting of the sim: en, es, or ar. See RotationalMotionStrings.
+ *   ?colorProfile - the color profile that the sim starts with: default, projector, or highContrast. The color profile
+ *                   can still be switched while the sim is running. See ColorProfiles.
+ *   ?state - a saved state of the entire sim, which is restored once the sim has loaded. It is the JSON from
+ *            RotationalMotionState.save(), encoded with encodeURIComponent(). The state overrides the other query
+ *            parameters, and invalid states are reported like invalid query parameters. See RotationalMotionState.
+ *
+ * Numbers are validated against the default Range of what they configure. The values are passed to the constructors
+ * of the models (and views), so they are also the values that the models reset to.
+ *
+ * Unlike QueryParameters.retrieve(), invalid values don't error out, since the query parameters are written by users.
+ * Instead, invalid query parameters are ignored and their errors are collected, to be displayed on-screen. The errors
+ * describe what the value must be, and the messages are localized where they are displayed (see
+ * QueryParameterErrorsPanel), since the locale is itself a query parameter.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const CircularMotionTypes = require( 'ROTATIONAL_MOTION/intro/model/CircularMotionTypes' );
+  const ColorProfiles = require( 'ROTATIONAL_MOTION/common/view/ColorProfiles' );
+  const NonUniformSpinner = require( 'ROTATIONAL_MOTION/intro/model/NonUniformSpinner' );
+  const QueryParameters = require( 'SIM_CORE/util/QueryParameters' );
+  const Ramp = require( 'ROTATIONAL_MOTION/rolling/model/Ramp' );
+  const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
+  const UniformSpinner = require( 'ROTATIONAL_MOTION/intro/model/UniformSpinner' );
+
+  // constants
+  const SCREENS = [ 'intro', 'rolling' ];
+  const LOCALES = [ 'en', 'es', 'ar' ]; // each locale has a string bundle in rotational-motion/strings
+  const VECTORS = [ 'velocity', 'acceleration', 'totalAcceleration', 'tension', 'tangentialForce', 'netForce' ];
+
+  // the values of ?type, mapped to the circular motion type that each value selects.
+  const CIRCULAR_MOTION_TYPES = {
+    uniform: CircularMotionTypes.UNIFORM,
+    nonUniform: CircularMotionTypes.NON_UNIFORM,
+    vertical: CircularMotionTypes.VERTICAL,
+    conical: CircularMotionTypes.CONICAL
+  };
+
+  // the values of ?colorProfile, mapped to the color profile that each value selects.
+  const COLOR_PROFILES = {
+    default: ColorProfiles.DEFAULT,
+    projector: ColorProfiles.PROJECTOR,
+    highContrast: ColorProfiles.HIGH_CONTRAST
+  };
+
+  // {Object[]} - the errors of each invalid query parameter, in the order that they are retrieved. See errors below.
+  const errors = [];
+
+  const RotationalMotionQueryParameters = {
+
+    // {string} - the screen that is initially shown.
+    screen: retrieve( 'screen', value => SCREENS.includes( value ) ? value : undefined, { validValues: SCREENS } ) ||
+            'intro',
+
+    // {Enum.Member.<CircularMotionTypes>} - the circular motion type of the 'Intro' screen.
+    circularMotionType: retrieve( 'type',
+      value => Object.keys( CIRCULAR_MOTION_TYPES ).includes( value ) ? CIRCULAR_MOTION_TYPES[ value ] : undefined,
+      { validValues: Object.keys( CIRCULAR_MOTION_TYPES ) } ) || CircularMotionTypes.UNIFORM,
+
+    // {number|null} - the initial radius of the non-conical Spinners, in meters, or null to use their default.
+    radius: retrieveNumber( 'radius', Spinner.RADIUS_RANGE ),
+
+    // {number|null} - the initial angular velocity of the UniformSpinner, in rad/sec, or null to use its default.
+    angularVelocity: retrieveNumber( 'omega', UniformSpinner.ANGULAR_VELOCITY_RANGE ),
+
+    // {number|null} - the initial angular acceleration of the NonUniformSpinner, in rad/sec^2, or null to use its
+    //                 default.
+    angularAcceleration: retrieveNumber( 'alpha', NonUniformSpinner.ANGULAR_ACCELERATION_RANGE ),
+
+    // {number|null} - the initial angle of the Ramp, in radians, or null to use its default.
+    rampAngle: retrieveNumber( 'rampAngle', Ramp.ANGLE_RANGE ),
+
+    // {string[]} - the Vectors that are initially visible in the 'Intro' screen. See VECTORS for the possible values.
+    vectors: retrieve( 'vectors', value => {
+      const vectors = value.split( ',' );
+      return vectors.every( vector => VECTORS.includes( vector ) ) ? vectors : undefined;
+    }, { validValues: VECTORS, isList: true } ) || [],
+
+    // {string} - the locale of the strings and number formatting of the sim.
+    locale: retrieve( 'locale', value => LOCALES.includes( value ) ? value : undefined, { validValues: LOCALES } ) ||
+            'en',
+
+    // {Enum.Member.<ColorProfiles>} - the color profile that the sim starts with.
+    colorProfile: retrieve( 'colorProfile',
+      value => Object.keys( COLOR_PROFILES ).includes( value ) ? COLOR_PROFILES[ value ] : undefined,
+      { validValues: Object.keys( COLOR_PROFILES ) } ) || ColorProfiles.DEFAULT,
+
+    // {string|null} - the saved state to restore once the sim has loaded, as JSON, or null if it wasn't provided. It is
+    //                 validated when it is restored, since the validation requires the loaded screens.
+    state: retrieve( 'state', value => value, {} ),
+
+    // {Object[]} - the errors of each invalid query parameter, which was ignored. Each error is in the form
+    //              { name, value, ...requirement }, where value is null if the query parameter didn't have a
+    //              value (like ?radius), and the requirement describes the valid values:
+    //                - { validValues: string[] } for values that must be one of the validValues.
+    //                - { validValues: string[], isList: true } for comma-separated lists of the validValues.
+    //                - { range: Range } for numbers that must be inside of the range.
+    //                - {} for values that may be anything, but must be provided.
+    errors
+  };
+
+  //----------------------------------------------------------------------------------------
+  // Helpers
+  //----------------------------------------------------------------------------------------
+
+  /**
+   * Retrieves the value of a query parameter, if it is present and valid. Otherwise, if it is present but invalid,
+   * its error is added to the errors.
+   *
+   * @param {string} name - the name of the query parameter
+   * @param {function(string):*} parse - parses the value of the query parameter, returning undefined if it is invalid.
+   * @param {Object} requirement - describes the valid values, which is included in the error. See errors above.
+   * @returns {*|null} - the parsed value, or null if the query parameter isn't present or is invalid.
+   */
+  function retrieve( name, parse, requirement ) {
+    if ( !QueryParameters.contains( name ) ) return null;
+
+    const value = QueryParameters.get( name ); // null if the query parameter doesn't have a value, like ?radius
+    const parsedValue = value === null ? undefined : parse( value );
+
+    if ( parsedValue === undefined ) {
+      errors.push( { name, value, ...requirement } );
+      return null;
+    }
+    return parsedValue;
+  }
+
+  /**
+   * Retrieves the value of a number query parameter, which must be inside of a Range.
+   *
+   * @param {string} name - the name of the query parameter
+   * @param {Range} range
+   * @returns {number|null} - the number, or null if the query parameter isn't present or is invalid.
+   */
+  function retrieveNumber( name, range ) {
+    return retrieve( name, value => {
+      const number = Number( value );
+      return value.trim() !== '' && range.contains( number ) ? number : undefined;
+    }, { range } );
+  }
+
+  return RotationalMotionQueryParameters;
+} );
@@ -0,0 +1,144 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * RotationalMotionState saves the entire state of the 'Rotational Motion' simulation as versioned JSON and restores it,
+ * so that exact setups (like the starting setup of a lesson) can be shared. The state includes the global Properties,
+ * every model Property of each screen, and the View Properties of each screen, like which Vectors are visible.
+ *
+ * Saved states are in the form:
+ *   {
+ *     version: 4,
+ *     angularUnit: 'RADIANS_PER_SECOND',
+ *     intro: { model: {...}, view: {...} },
+ *     rolling: { model: {...}, view: {...} }
+ *   }
+ * See the createStateSchema() methods of each model and view for the form of their parts.
+ *
+ * States are validated entirely before anything is restored, so an invalid state never leaves the simulation
+ * partially restored. The version is incremented whenever the form of the state changes, and states of other versions
+ * are rejected.
+ *
+ * The screens must have finished loading before any state is saved or restored. RotationalMotionState is created at
+ * the start of the sim and is never disposed.
+ *
+ * States are shared in two ways:
+ *   - As a link, with the ?state query parameter, which is restored once the sim has loaded and reports invalid states
+ *     on-screen. For instance, `?state=${ encodeURIComponent( rotationalMotionState.save() ) }`. See
+ *     RotationalMotionQueryParameters.
+ *   - By pages that embed the sim (or the browser console), with the global `window.rotationalMotionState`, which is
+ *     the RotationalMotionState of the sim. Use its isLoaded getter to check that the sim has loaded, save() to get
+ *     the current state, and restore( json ) to restore a state, which returns the error messages of an invalid state.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const AngularUnits = require( 'ROTATIONAL_MOTION/common/model/AngularUnits' );
+  const assert = require( 'SIM_CORE/util/assert' );
+  const IntroScreen = require( 'ROTATIONAL_MOTION/intro/IntroScreen' );
+  const RollingScreen = require( 'ROTATIONAL_MOTION/rolling/RollingScreen' );
+  const RotationalMotionGlobals = require( 'ROTATIONAL_MOTION/common/RotationalMotionGlobals' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
+
+  // constants
+  const VERSION = 4; // the version of the form of saved states
+
+  class RotationalMotionState {
+
+    /**
+     * @param {IntroScreen} introScreen
+     * @param {RollingScreen} rollingScreen
+     */
+    constructor( introScreen, rollingScreen ) {
+      assert( introScreen instanceof IntroScreen, `invalid introScreen: ${ introScreen }` );
+      assert( rollingScreen instanceof RollingScreen, `invalid rollingScreen: ${ rollingScreen }` );
+
+      // @private {IntroScreen} - reference the screens that were passed-in.
+      this._introScreen = introScreen;
+      this._rollingScreen = rollingScreen;
+
+      // @private {StateSchema|null} - the StateSchema of the simulation, which is created once the screens have loaded.
+      this._stateSchema = null;
+    }
+
+    /**
+     * Saves the current state of the simulation.
+     * @public
+     *
+     * @returns {string} - the state, as JSON.
+     */
+    save() {
+      assert( this.isLoaded, 'the screens must load before the state is saved' );
+      return JSON.stringify( { version: VERSION, ...this._getStateSchema().serialize() } );
+    }
+
+    /**
+     * Restores a saved state of the simulation, if it is valid. Nothing is restored if the state is invalid.
+     * @public
+     *
+     * @param {string} json - the saved state, as JSON. See save().
+     * @returns {string[]} - the error messages of each invalid part of the state, which is empty if it was restored.
+     */
+    restore( json ) {
+      assert( typeof json === 'string', `invalid json: ${ json }` );
+      if ( !this.isLoaded ) return [ 'the simulation hasn\'t finished loading' ];
+
+      let stateObject;
+      try {
+        stateObject = JSON.parse( json );
+      }
+      catch( error ) {
+        return [ `the state isn't valid JSON: ${ error.message }` ];
+      }
+      if ( !stateObject || Object.getPrototypeOf( stateObject ) !== Object.prototype ) {
+        return [ 'state: must be an object' ];
+      }
+
+      const { version, ...state } = stateObject;
+      if ( version !== VERSION ) return [ `version: must be ${ VERSION }, but the state is of version ${ version }` ];
+
+      const errors = this._getStateSchema().validate( state );
+      errors.length === 0 && this._getStateSchema().deserialize( state );
+      return errors;
+    }
+
+    /**
+     * Gets whether or not the screens have loaded, which is when their models and views are created.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    get isLoaded() {
+      return [ this._introScreen, this._rollingScreen ].every( screen => !!screen.model && !!screen.view );
+    }
+
+    /**
+     * Gets the StateSchema of the simulation, creating it the first time. The models and views of the screens last for
+     * the entire simulation, so the StateSchema is only created once.
+     * @private
+     *
+     * @returns {StateSchema}
+     */
+    _getStateSchema() {
+      if ( !this._stateSchema ) {
+        this._stateSchema = new StateSchema( {
+          angularUnit: StateSchema.enum( RotationalMotionGlobals.angularUnitProperty, AngularUnits ),
+          intro: new StateSchema( {
+            model: this._introScreen.model.createStateSchema(),
+            view: this._introScreen.view.createStateSchema()
+          } ),
+          rolling: new StateSchema( {
+            model: this._rollingScreen.model.createStateSchema(),
+            view: this._rollingScreen.view.createStateSchema()
+          } )
+        } );
+      }
+      return this._stateSchema;
+    }
+  }
+
+  return RotationalMotionState;
+} );
@@ -0,0 +1,120 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * The strings of the 'Rotational Motion' simulation, in the locale that was provided with the ?locale query parameter.
+ * See RotationalMotionQueryParameters.
+ *
+ * Each locale has a JSON string bundle in rotational-motion/strings, named rotational-motion-strings_{{locale}}.json,
+ * which maps each string key to its translation. The English bundle is complete, and every other bundle falls back
+ * to the English string of each key that it doesn't translate (yet).
+ *
+ * Strings that include values, like 'Reset {{symbol}}', are patterns whose placeholders are filled in with
+ * RotationalMotionStrings.fillIn(). Numbers in strings are formatted with RotationalMotionStrings.formatNumber(), so
+ * that they match the conventions of the locale, like the decimal comma of 'es'.
+ *
+ * Usage:
+ *   new Text( RotationalMotionStrings.radius );
+ *   new Text( RotationalMotionStrings.fillIn( RotationalMotionStrings.resetPattern, { symbol: Symbols.OMEGA } ) );
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const RotationalMotionQueryParameters = require( 'ROTATIONAL_MOTION/common/RotationalMotionQueryParameters' );
+
+  // constants
+  const FALLBACK_LOCALE = 'en';
+  const RTL_LOCALES = [ 'ar' ]; // locales that are written from right to left
+
+  // the string bundle of each locale, keyed by the locale.
+  const BUNDLES = {
+    en: JSON.parse( require( 'text!REPOSITORY/strings/rotational-motion-strings_en.json' ) ),
+    es: JSON.parse( require( 'text!REPOSITORY/strings/rotational-motion-strings_es.json' ) ),
+    ar: JSON.parse( require( 'text!REPOSITORY/strings/rotational-motion-strings_ar.json' ) )
+  };
+
+  // {string} - the locale of the simulation.
+  const LOCALE = RotationalMotionQueryParameters.locale;
+  assert( Object.keys( BUNDLES ).includes( LOCALE ), `no string bundle for locale: ${ LOCALE }` );
+
+  // {Object.<string, Intl.NumberFormat>} - the NumberFormats that have been created, keyed by their decimal places.
+  const numberFormats = {};
+
+  const RotationalMotionStrings = {
+
+    // Import the strings of the locale, over the English strings that it doesn't translate.
+    ...BUNDLES[ FALLBACK_LOCALE ],
+    ...BUNDLES[ LOCALE ],
+
+    // {string} - the locale of the strings, like 'en'.
+    locale: LOCALE,
+
+    // {boolean} - indicates if the locale is written from right to left, which mirrors the layout of the panels.
+    isRTL: RTL_LOCALES.includes( LOCALE ),
+
+    /**
+     * Fills in the {{placeholders}} of a string pattern with values. For instance,
+     * fillIn( 'Reset {{symbol}}', { symbol: 'ω' } ) returns 'Reset ω'.
+     * @public
+     *
+     * @param {string} pattern
+     * @param {Object.<string, string|number>} values - the value of each placeholder, keyed by the placeholder name.
+     * @returns {string}
+     */
+    fillIn( pattern, values ) {
+      assert( typeof pattern === 'string', `invalid pattern: ${ pattern }` );
+      assert( Object.getPrototypeOf( values ) === Object.prototype, `invalid values: ${ values }` );
+
+      return pattern.replace( /{{(\w+)}}/g, ( placeholder, name ) => {
+        assert( Object.prototype.hasOwnProperty.call( values, name ), `no value for ${ placeholder } in ${ pattern }` );
+        return values[ name ];
+      } );
+    },
+
+    /**
+     * Formats a number to a fixed amount of decimal places, with the decimal separator and digits of the locale. For
+     * instance, formatNumber( 1.5, 2 ) returns '1.50' in 'en' and '1,50' in 'es'. Unlike Number.toLocaleString(), the
+     * digits aren't grouped, so that numbers are as compact as Util.toFixed().
+     * @public
+     *
+     * @param {number} value
+     * @param {number} decimalPlaces
+     * @returns {string}
+     */
+    formatNumber( value, decimalPlaces ) {
+      assert( typeof value === 'number', `invalid value: ${ value }` );
+      assert( Number.isInteger( decimalPlaces ) && decimalPlaces >= 0, `invalid decimalPlaces: ${ decimalPlaces }` );
+
+      if ( !numberFormats[ decimalPlaces ] ) {
+        numberFormats[ decimalPlaces ] = new Intl.NumberFormat( LOCALE, {
+          minimumFractionDigits: decimalPlaces,
+          maximumFractionDigits: decimalPlaces,
+          useGrouping: false
+        } );
+      }
+      return numberFormats[ decimalPlaces ].format( value );
+    },
+
+    /**
+     * Orders the children of a horizontal FlexBox in the reading direction of the locale, which reverses them for
+     * locales that are written from right to left.
+     * @public
+     *
+     * @param {Node[]} children - the children, from the start of the line to its end.
+     * @returns {Node[]} - a new array of the children, from left to right.
+     */
+    orderHorizontally( children ) {
+      assert( Array.isArray( children ), `invalid children: ${ children }` );
+      return RotationalMotionStrings.isRTL ? [ ...children ].reverse() : [ ...children ];
+    },
+
+    // {string} - the align of vertical FlexBoxes whose children line up at the start of each line, like panels.
+    startAlign: RTL_LOCALES.includes( LOCALE ) ? 'right' : 'left'
+  };
+
+  return RotationalMotionStrings;
+} );
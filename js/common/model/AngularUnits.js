@@ -0,0 +1,168 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Enumeration of the different units that angular quantities (angles, angular velocities, and angular accelerations)
+ * are displayed in, in all screens. The model is always in radians and seconds, so the units only convert what is
+ * displayed.
+ *
+ * Each member is defined by its unit of angle and its unit of time. Angles are displayed in the unit of angle, angular
+ * velocities in the unit of angle per unit of time, and angular accelerations in the unit of angular velocity per
+ * second (like rpm/sec), which is the unit of angle per second squared if the unit of time is seconds. Since Enum
+ * members are frozen, the definitions are referenced with the methods of the Enum.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Enum = require( 'SIM_CORE/util/Enum' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Symbols = require( 'SIM_CORE/util/Symbols' );
+
+  // constants
+  const RADIANS_PER_DEGREE = Math.PI / 180;
+  const RADIANS_PER_REVOLUTION = Math.PI * 2;
+  const SECONDS_PER_MINUTE = 60;
+
+  // Definitions of each angular unit, where:
+  //   angleSymbol {string} - the symbol of the unit of angle.
+  //   timeSymbol {string} - the symbol of the unit of time.
+  //   radiansPerAngle {number} - the number of radians in one unit of angle.
+  //   secondsPerTime {number} - the number of seconds in one unit of time.
+  const DEFINITIONS = {
+
+    // Radians per second, which is what the model is in.
+    RADIANS_PER_SECOND: {
+      angleSymbol: 'rad',
+      timeSymbol: 'sec',
+      radiansPerAngle: 1,
+      secondsPerTime: 1
+    },
+
+    // Degrees per second.
+    DEGREES_PER_SECOND: {
+      angleSymbol: 'deg',
+      timeSymbol: 'sec',
+      radiansPerAngle: RADIANS_PER_DEGREE,
+      secondsPerTime: 1
+    },
+
+    // Revolutions per minute (rpm).
+    REVOLUTIONS_PER_MINUTE: {
+      angleSymbol: 'rev',
+      timeSymbol: 'min',
+      radiansPerAngle: RADIANS_PER_REVOLUTION,
+      secondsPerTime: SECONDS_PER_MINUTE
+    },
+
+    // Revolutions per second.
+    REVOLUTIONS_PER_SECOND: {
+      angleSymbol: 'rev',
+      timeSymbol: 'sec',
+      radiansPerAngle: RADIANS_PER_REVOLUTION,
+      secondsPerTime: 1
+    }
+  };
+
+  class AngularUnitsEnum extends Enum {
+
+    /**
+     * Gets the symbol of the unit of angle of an angular unit, like 'rad'.
+     * @public
+     *
+     * @param {Enum.Member.<AngularUnits>} angularUnit
+     * @returns {string}
+     */
+    getAngleSymbol( angularUnit ) {
+      assert( this.includes( angularUnit ), `invalid angularUnit: ${ angularUnit }` );
+      return DEFINITIONS[ angularUnit.name ].angleSymbol;
+    }
+
+    /**
+     * Gets the symbol of the unit of time of an angular unit, like 'sec'.
+     * @public
+     *
+     * @param {Enum.Member.<AngularUnits>} angularUnit
+     * @returns {string}
+     */
+    getTimeSymbol( angularUnit ) {
+      assert( this.includes( angularUnit ), `invalid angularUnit: ${ angularUnit }` );
+      return DEFINITIONS[ angularUnit.name ].timeSymbol;
+    }
+
+    /**
+     * Gets whether or not the unit of time of an angular unit is seconds.
+     * @public
+     *
+     * @param {Enum.Member.<AngularUnits>} angularUnit
+     * @returns {boolean}
+     */
+    isPerSecond( angularUnit ) {
+      assert( this.includes( angularUnit ), `invalid angularUnit: ${ angularUnit }` );
+      return DEFINITIONS[ angularUnit.name ].secondsPerTime === 1;
+    }
+
+    /**
+     * Gets the factor that an angle, in radians, is multiplied by to convert it to an angular unit.
+     * @public
+     *
+     * @param {Enum.Member.<AngularUnits>} angularUnit
+     * @returns {number}
+     */
+    getAngleFactor( angularUnit ) {
+      assert( this.includes( angularUnit ), `invalid angularUnit: ${ angularUnit }` );
+      return 1 / DEFINITIONS[ angularUnit.name ].radiansPerAngle;
+    }
+
+    /**
+     * Gets the text of an angle, in radians, converted to the unit of angle of an angular unit, like '90.00°' or
+     * '1.57 rad'. Degrees are displayed with the degree sign instead of their symbol. The number is formatted in the
+     * locale of the simulation, like '90,00°' in 'es'.
+     * @public
+     *
+     * @param {number} angle - in radians
+     * @param {Enum.Member.<AngularUnits>} angularUnit
+     * @param {number} decimalPlaces
+     * @returns {string}
+     */
+    formatAngle( angle, angularUnit, decimalPlaces ) {
+      assert( typeof angle === 'number', `invalid angle: ${ angle }` );
+      assert( Number.isInteger( decimalPlaces ) && decimalPlaces >= 0, `invalid decimalPlaces: ${ decimalPlaces }` );
+
+      const value = RotationalMotionStrings.formatNumber( angle * this.getAngleFactor( angularUnit ), decimalPlaces );
+      return angularUnit === this.DEGREES_PER_SECOND ?
+             `${ value }${ Symbols.DEGREES }` :
+             `${ value } ${ this.getAngleSymbol( angularUnit ) }`;
+    }
+
+    /**
+     * Gets the factor that an angular velocity, in rad/sec, is multiplied by to convert it to an angular unit.
+     * @public
+     *
+     * @param {Enum.Member.<AngularUnits>} angularUnit
+     * @returns {number}
+     */
+    getAngularVelocityFactor( angularUnit ) {
+      return this.getAngleFactor( angularUnit ) * DEFINITIONS[ angularUnit.name ].secondsPerTime;
+    }
+
+    /**
+     * Gets the factor that an angular acceleration, in rad/sec^2, is multiplied by to convert it to an angular unit.
+     * Angular accelerations are in the unit of angular velocity per second.
+     * @public
+     *
+     * @param {Enum.Member.<AngularUnits>} angularUnit
+     * @returns {number}
+     */
+    getAngularAccelerationFactor( angularUnit ) {
+      return this.getAngularVelocityFactor( angularUnit );
+    }
+  }
+
+  const AngularUnits = new AngularUnitsEnum( Object.keys( DEFINITIONS ) );
+
+  return AngularUnits;
+} );
@@ -0,0 +1,110 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * RingBuffer is a fixed-capacity, last-in-first-out buffer of items. When the buffer is full, pushing a new item
+ * overwrites the oldest item, so only the most recent items are kept.
+ *
+ * The items are stored in a fixed-size array that is indexed circularly, so pushing and popping never allocate.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+
+  class RingBuffer {
+
+    /**
+     * @param {number} capacity - the maximum number of items in the buffer
+     */
+    constructor( capacity ) {
+      assert( Number.isInteger( capacity ) && capacity > 0, `invalid capacity: ${ capacity }` );
+
+      // @public (read-only) {number} - reference the capacity that was passed-in.
+      this.capacity = capacity;
+
+      // @private {*[]} - the fixed-size array of items, indexed circularly.
+      this._items = new Array( capacity );
+
+      // @private {number} - the index of the oldest item in this._items.
+      this._startIndex = 0;
+
+      // @private {number} - the number of items in the buffer.
+      this._length = 0;
+    }
+
+    /**
+     * Pushes an item as the most recent item of the buffer, overwriting the oldest item if the buffer is full.
+     * @public
+     *
+     * @param {*} item
+     */
+    push( item ) {
+      this._items[ ( this._startIndex + this._length ) % this.capacity ] = item;
+
+      if ( this._length === this.capacity ) this._startIndex = ( this._startIndex + 1 ) % this.capacity;
+      else this._length += 1;
+    }
+
+    /**
+     * Removes and returns the most recent item of the buffer.
+     * @public
+     *
+     * @returns {*|null} - null if the buffer is empty.
+     */
+    pop() {
+      if ( !this._length ) return null;
+
+      const item = this.peek();
+      this._length -= 1;
+      this._items[ ( this._startIndex + this._length ) % this.capacity ] = undefined;
+      return item;
+    }
+
+    /**
+     * Returns the most recent item of the buffer without removing it.
+     * @public
+     *
+     * @returns {*|null} - null if the buffer is empty.
+     */
+    peek() {
+      if ( !this._length ) return null;
+      return this._items[ ( this._startIndex + this._length - 1 ) % this.capacity ];
+    }
+
+    /**
+     * Returns the item at an index of the buffer without removing it, where index 0 is the oldest item.
+     * @public
+     *
+     * @param {number} index - integer in the range [0, length)
+     * @returns {*}
+     */
+    get( index ) {
+      assert( Number.isInteger( index ) && index >= 0 && index < this._length, `invalid index: ${ index }` );
+      return this._items[ ( this._startIndex + index ) % this.capacity ];
+    }
+
+    /**
+     * Removes all items of the buffer.
+     * @public
+     */
+    clear() {
+      this._items.fill( undefined );
+      this._startIndex = 0;
+      this._length = 0;
+    }
+
+    /**
+     * Gets the number of items in the buffer.
+     * @public
+     *
+     * @returns {number}
+     */
+    get length() { return this._length; }
+  }
+
+  return RingBuffer;
+} );
@@ -0,0 +1,300 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * StateSchema describes how the state of a set of Properties is serialized into a JSON-compatible object and how it is
+ * restored. It is used to save and restore exact setups of the simulation. See RotationalMotionState.
+ *
+ * A StateSchema is created with ordered key-value pairs of the name of each part of the state to either an entry of a
+ * Property, which is created with the static creators of StateSchema (like StateSchema.number()), or a nested
+ * StateSchema. For instance:
+ *
+ *   new StateSchema( {
+ *     angle: StateSchema.number( ramp.angleProperty, { range: ramp.angleRange } ),
+ *     isPlaying: StateSchema.boolean( isPlayingProperty ),
+ *     ball: ball.createStateSchema()
+ *   } );
+ *
+ * is serialized into { angle: 0.48, isPlaying: false, ball: { ... } }.
+ *
+ * Parts are restored in the order of their keys. This matters, since setting a Property may notify observers that set
+ * other Properties, so parts that are derived from other parts should be listed after them.
+ *
+ * Property validation only runs when assertions are enabled, so states are always validated with validate() before
+ * they are restored. Restoring a state that isn't valid is an error.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Enum = require( 'SIM_CORE/util/Enum' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Range = require( 'SIM_CORE/util/Range' );
+  const Vector = require( 'SIM_CORE/util/Vector' );
+
+  class StateSchema {
+
+    /**
+     * @param {Object} entries - ordered key-value pairs of the name of each part of the state to either a Property
+     *                           entry (see the static creators below) or a nested StateSchema.
+     * @param {Object} [options] - Various key-value pairs that control the behavior. See the code where the options are
+     *                             set in the early portion of the constructor for details.
+     */
+    constructor( entries, options ) {
+      assert( Object.getPrototypeOf( entries ) === Object.prototype, `invalid entries: ${ entries }` );
+      assert( Object.values( entries ).every( entry => entry instanceof StateSchema || entry instanceof Entry ),
+        `invalid entries: ${ entries }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        // {function|null} - called before the parts of a state are restored, if provided.
+        startRestore: null,
+
+        // {function|null} - called after the parts of a state are restored, if provided.
+        endRestore: null,
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      // @private {Object} - reference the entries that were passed-in.
+      this._entries = entries;
+
+      // @private {function|null} - reference the options that were passed-in.
+      this._startRestore = options.startRestore;
+      this._endRestore = options.endRestore;
+    }
+
+    /**
+     * Serializes the current values of the Properties into a JSON-compatible object.
+     * @public
+     *
+     * @returns {Object}
+     */
+    serialize() {
+      const stateObject = {};
+      Object.keys( this._entries ).forEach( key => {
+        stateObject[ key ] = this._entries[ key ].serialize();
+      } );
+      return stateObject;
+    }
+
+    /**
+     * Validates a serialized state, without changing any Properties. Every part must be present and valid, and there
+     * must be no unknown parts.
+     * @public
+     *
+     * @param {*} stateObject - the serialized state to validate
+     * @param {string} [path] - the path of the state in a larger state, used in the error messages
+     * @returns {string[]} - the error messages of each invalid part, which is empty if the state is valid.
+     */
+    validate( stateObject, path = '' ) {
+      assert( typeof path === 'string', `invalid path: ${ path }` );
+
+      if ( !stateObject || Object.getPrototypeOf( stateObject ) !== Object.prototype ) {
+        return [ `${ path || 'state' }: must be an object` ];
+      }
+      const errors = [];
+      const prefix = path ? `${ path }.` : '';
+
+      Object.keys( this._entries ).forEach( key => {
+        if ( !Object.keys( stateObject ).includes( key ) ) {
+          errors.push( `${ prefix }${ key }: is missing` );
+        }
+        else {
+          errors.push( ...this._entries[ key ].validate( stateObject[ key ], `${ prefix }${ key }` ) );
+        }
+      } );
+      Object.keys( stateObject ).forEach( key => {
+        if ( !Object.keys( this._entries ).includes( key ) ) errors.push( `${ prefix }${ key }: is not a known part` );
+      } );
+      return errors;
+    }
+
+    /**
+     * Restores a serialized state, setting each Property in the order of the entries. The state must be valid.
+     * @public
+     *
+     * @param {Object} stateObject - the serialized state, which was validated with validate()
+     */
+    deserialize( stateObject ) {
+      assert( this.validate( stateObject ).length === 0, `invalid stateObject: ${ this.validate( stateObject ) }` );
+
+      this._startRestore && this._startRestore();
+      Object.keys( this._entries ).forEach( key => {
+        this._entries[ key ].deserialize( stateObject[ key ] );
+      } );
+      this._endRestore && this._endRestore();
+    }
+
+    /**
+     * Creates the entry of a number Property. Numbers must be finite, since JSON can't represent other numbers.
+     * @public
+     *
+     * @param {Property.<number|null>} property
+     * @param {Object} [options]
+     * @returns {Entry}
+     */
+    static number( property, options ) {
+      assert( property instanceof Property, `invalid property: ${ property }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        range: null,          // {Range|null} - the range that the number must be in, if any
+        isValidValue: null,   // {function(number):boolean|null} - additional validation of the number, if any
+        nullable: false,      // {boolean} - indicates if the value may also be null
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+      assert( !options.range || options.range instanceof Range, `invalid range: ${ options.range }` );
+
+      return new Entry( property, value => {
+        if ( value === null && options.nullable ) return null;
+        if ( typeof value !== 'number' || !isFinite( value ) ) return 'must be a finite number';
+        if ( options.range && !options.range.contains( value ) ) {
+          return `must be in the range [${ options.range.min }, ${ options.range.max }]`;
+        }
+        if ( options.isValidValue && !options.isValidValue( value ) ) return `is an invalid value: ${ value }`;
+        return null;
+      } );
+    }
+
+    /**
+     * Creates the entry of a Property of an array of numbers. Like StateSchema.number(), the numbers must be finite.
+     * @public
+     *
+     * @param {Property.<number[]>} property
+     * @param {Object} [options]
+     * @returns {Entry}
+     */
+    static numberArray( property, options ) {
+      assert( property instanceof Property, `invalid property: ${ property }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        isValidValue: null,   // {function(number[]):boolean|null} - additional validation of the array, if any
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      return new Entry( property, value => {
+        if ( !Array.isArray( value ) || !value.every( number => typeof number === 'number' && isFinite( number ) ) ) {
+          return 'must be an array of finite numbers';
+        }
+        if ( options.isValidValue && !options.isValidValue( value ) ) return `is an invalid value: [${ value }]`;
+        return null;
+      },
+      array => [ ...array ],
+      value => [ ...value ] );
+    }
+
+    /**
+     * Creates the entry of a boolean Property.
+     * @public
+     *
+     * @param {Property.<boolean>} property
+     * @returns {Entry}
+     */
+    static boolean( property ) {
+      assert( property instanceof Property, `invalid property: ${ property }` );
+
+      return new Entry( property, value => typeof value === 'boolean' ? null : 'must be a boolean' );
+    }
+
+    /**
+     * Creates the entry of a Property of the members of an Enum. Members are serialized by their names.
+     * @public
+     *
+     * @param {Property.<Enum.Member>} property
+     * @param {Enum} enumeration - the Enum of the members
+     * @returns {Entry}
+     */
+    static enum( property, enumeration ) {
+      assert( property instanceof Property, `invalid property: ${ property }` );
+      assert( enumeration instanceof Enum, `invalid enumeration: ${ enumeration }` );
+
+      return new Entry( property,
+        value => enumeration.KEYS.includes( value ) ? null : `must be one of ${ enumeration.KEYS.join( ', ' ) }`,
+        member => member.name,
+        name => enumeration[ name ] );
+    }
+
+    /**
+     * Creates the entry of a Vector Property. Vectors are serialized in the form { x, y }.
+     * @public
+     *
+     * @param {Property.<Vector>} property
+     * @returns {Entry}
+     */
+    static vector( property ) {
+      assert( property instanceof Property, `invalid property: ${ property }` );
+
+      return new Entry( property,
+        value => value && Object.getPrototypeOf( value ) === Object.prototype && Object.keys( value ).length === 2 &&
+                 [ value.x, value.y ].every( component => typeof component === 'number' && isFinite( component ) ) ?
+                 null : 'must be in the form { x, y } with finite numbers',
+        vector => ( { x: vector.x, y: vector.y } ),
+        value => new Vector( value.x, value.y ) );
+    }
+  }
+
+  /**
+   * The entry of a single Property of a StateSchema, which is created with the static creators of StateSchema.
+   */
+  class Entry {
+
+    /**
+     * @param {Property} property
+     * @param {function(*):string|null} getError - gets the error message of a serialized value, or null if it is valid
+     * @param {function(*):*} [toJSON] - converts the value of the Property into its serialized value
+     * @param {function(*):*} [fromJSON] - converts a serialized value into the value of the Property
+     */
+    constructor( property, getError, toJSON = value => value, fromJSON = value => value ) {
+
+      // @private {*} - reference the arguments that were passed-in.
+      this._property = property;
+      this._getError = getError;
+      this._toJSON = toJSON;
+      this._fromJSON = fromJSON;
+    }
+
+    /**
+     * Serializes the value of the Property.
+     * @public
+     *
+     * @returns {*}
+     */
+    serialize() { return this._toJSON( this._property.value ); }
+
+    /**
+     * Validates a serialized value.
+     * @public
+     *
+     * @param {*} value
+     * @param {string} path - the path of the value in the state, used in the error message
+     * @returns {string[]} - the error message, if the value is invalid.
+     */
+    validate( value, path ) {
+      const error = this._getError( value );
+      return error ? [ `${ path }: ${ error }` ] : [];
+    }
+
+    /**
+     * Sets the Property to a serialized value.
+     * @public
+     *
+     * @param {*} value - validated with validate()
+     */
+    deserialize( value ) { this._property.value = this._fromJSON( value ); }
+  }
+
+  return StateSchema;
+} );
@@ -0,0 +1,133 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Stopwatch is the model for the stopwatch measurement tool of each screen, which students use to time periods of the
+ * Spinners and the time that RollingBalls take to roll down the Ramp.
+ *
+ * The Stopwatch runs on sim time, not real time. It is stepped by its screen with the same time steps as the Spinners
+ * or RollingBalls, so it stops when the screen is paused, runs slower in slow motion, and moves forwards and backwards
+ * with the step buttons of the TimeControlBox.
+ *
+ * Some responsibilities of Stopwatches are:
+ *    - Keeping track of whether or not the Stopwatch is running, and its elapsed time while running.
+ *    - Recording the elapsed time of each lap, which are the splits of the measurement.
+ *
+ * Stopwatches are created at the start of the sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const Property = require( 'SIM_CORE/util/Property' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
+
+  class Stopwatch {
+
+    constructor() {
+
+      // @public (read-only) - Property of the elapsed time that the Stopwatch has measured, in seconds.
+      this.elapsedTimeProperty = new Property( 0, {
+        type: 'number',
+        isValidValue: value => value >= 0
+      } );
+
+      // @public (read-only) - indicates if the Stopwatch is running, which is when its elapsed time advances.
+      this.isRunningProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) {Property.<number[]>} - the elapsed times when each lap was recorded, in ascending order,
+      //                                              in seconds. A new array is set each time that a lap is recorded.
+      this.lapTimesProperty = new Property( [], {
+        isValidValue: value => Array.isArray( value ) && value.every( lapTime => lapTime >= 0 )
+      } );
+    }
+
+    /**
+     * Resets the Stopwatch to zero, stopped and with no laps.
+     * @public
+     */
+    reset() {
+      this.elapsedTimeProperty.reset();
+      this.isRunningProperty.reset();
+      this.lapTimesProperty.reset();
+    }
+
+    /**
+     * Starts the Stopwatch if not already running.
+     * @public
+     */
+    start() { this.isRunningProperty.value = true; }
+
+    /**
+     * Stops the Stopwatch if not already stopped.
+     * @public
+     */
+    stop() { this.isRunningProperty.value = false; }
+
+    /**
+     * Records a lap at the current elapsed time.
+     * @public
+     */
+    lap() {
+      this.lapTimesProperty.value = [ ...this.lapTimesProperty.value, this.elapsedTime ];
+    }
+
+    /**
+     * Steps the Stopwatch by one time step of its screen. The Stopwatch only advances while it is running.
+     * @public
+     *
+     * @param {number} dt - sim time in seconds, which is negative when the screen is stepped backwards.
+     */
+    step( dt ) {
+      if ( !this.isRunningProperty.value ) return;
+      this.elapsedTimeProperty.value = Math.max( this.elapsedTime + dt, 0 );
+
+      // Un-record the laps that are after the elapsed time, if the Stopwatch was stepped backwards before them.
+      if ( dt < 0 && this.lapTimesProperty.value.some( lapTime => lapTime > this.elapsedTime ) ) {
+        this.lapTimesProperty.value = this.lapTimesProperty.value.filter( lapTime => lapTime <= this.elapsedTime );
+      }
+    }
+
+    /**
+     * Gets the splits of the recorded laps, which are the elapsed times between each lap and the lap before it (or the
+     * start of the measurement for the first lap), in seconds.
+     * @public
+     *
+     * @returns {number[]} - in the same order as the laps, in seconds.
+     */
+    getLapSplits() {
+      return this.lapTimesProperty.value.map( ( lapTime, index, lapTimes ) => {
+        return index === 0 ? lapTime : lapTime - lapTimes[ index - 1 ];
+      } );
+    }
+
+    /**
+     * Creates the StateSchema of the Stopwatch, which serializes and restores its elapsed time, its recorded laps and
+     * whether or not it is running. See StateSchema.
+     * @public
+     *
+     * @returns {StateSchema}
+     */
+    createStateSchema() {
+      return new StateSchema( {
+        elapsedTime: StateSchema.number( this.elapsedTimeProperty, { isValidValue: value => value >= 0 } ),
+        lapTimes: StateSchema.numberArray( this.lapTimesProperty, {
+          isValidValue: value => value.every( ( lapTime, index ) => lapTime >= ( index ? value[ index - 1 ] : 0 ) )
+        } ),
+        isRunning: StateSchema.boolean( this.isRunningProperty )
+      } );
+    }
+
+    /**
+     * Gets the elapsed time that the Stopwatch has measured, in seconds.
+     * @public
+     *
+     * @returns {number} - in seconds
+     */
+    get elapsedTime() { return this.elapsedTimeProperty.value; }
+  }
+
+  return Stopwatch;
+} );
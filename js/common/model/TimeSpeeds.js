@@ -0,0 +1,32 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Enumeration of the different speeds that time can pass in the simulation, relative to real time. The factor that the
+ * elapsed time is scaled by for each speed is in RotationalMotionConstants.TIME_SCALES.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const Enum = require( 'SIM_CORE/util/Enum' );
+
+  const TimeSpeeds = new Enum( [
+
+    // Slow motion, where time passes at a quarter of real time.
+    'QUARTER',
+
+    // Slow motion, where time passes at half of real time.
+    'HALF',
+
+    // Time passes in real time.
+    'NORMAL',
+
+    // Fast forward, where time passes at twice real time.
+    'DOUBLE'
+  ] );
+
+  return TimeSpeeds;
+} );
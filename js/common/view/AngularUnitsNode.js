@@ -0,0 +1,53 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * AngularUnitsNode is a Node that displays a different version of its content for each AngularUnits member, and only
+ * shows the version of the unit that angular quantities are currently displayed in. It is used for content that is
+ * built for a unit and can't be changed after instantiation, such as NumberDisplays and the ticks of Sliders.
+ *
+ * Each version is created with a function of the angular unit and is positioned at the origin of the AngularUnitsNode,
+ * so its Bounds are the union of all of the versions. This keeps the layout of the content the same in all units.
+ *
+ * AngularUnitsNodes are created at the start of the sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const AngularUnits = require( 'ROTATIONAL_MOTION/common/model/AngularUnits' );
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const RotationalMotionGlobals = require( 'ROTATIONAL_MOTION/common/RotationalMotionGlobals' );
+
+  class AngularUnitsNode extends Node {
+
+    /**
+     * @param {function(Enum.Member.<AngularUnits>):Node} createNode - creates the version of the content for a unit
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior.
+     */
+    constructor( createNode, options ) {
+      assert( typeof createNode === 'function', `invalid createNode: ${ createNode }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      super();
+
+      // Create the version of the content for each angular unit.
+      const nodes = AngularUnits.MEMBERS.map( angularUnit => createNode( angularUnit ) );
+      this.children = nodes;
+
+      // Observe when the angular unit changes and only show its version of the content. Link is never disposed since
+      // AngularUnitsNodes are never disposed.
+      RotationalMotionGlobals.angularUnitProperty.link( angularUnit => {
+        nodes.forEach( ( node, index ) => { node.visible = AngularUnits.MEMBERS[ index ] === angularUnit; } );
+      } );
+
+      // Apply any additional bounds mutators
+      options && this.mutate( options );
+    }
+  }
+
+  return AngularUnitsNode;
+} );
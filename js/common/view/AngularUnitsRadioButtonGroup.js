@@ -0,0 +1,71 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * View for the radio button group of each screen that allows the user to select the unit that angular quantities are
+ * displayed in, for instance to display angular velocities in rpm instead of rad/sec.
+ *
+ * See AngularUnits.js for more documentation on angular units.
+ *
+ * AngularUnitsRadioButtonGroup is never disposed and exists for the entire simulation.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const AngularUnits = require( 'ROTATIONAL_MOTION/common/model/AngularUnits' );
+  const assert = require( 'SIM_CORE/util/assert' );
+  const RadioButton = require( 'SIM_CORE/scenery/components/buttons/RadioButton' );
+  const RadioButtonGroup = require( 'SIM_CORE/scenery/components/RadioButtonGroup' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionGlobals = require( 'ROTATIONAL_MOTION/common/RotationalMotionGlobals' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+
+  // constants
+  const LABELS = {
+    RADIANS_PER_SECOND: 'rad/s',
+    DEGREES_PER_SECOND: 'deg/s',
+    REVOLUTIONS_PER_MINUTE: 'rpm',
+    REVOLUTIONS_PER_SECOND: 'rev/s'
+  };
+
+  class AngularUnitsRadioButtonGroup extends RadioButtonGroup {
+
+    /**
+     * @param {string} orientation - the orientation of the radio buttons, either 'horizontal' or 'vertical'
+     * @param {Object} [options]
+     */
+    constructor( orientation, options ) {
+      assert( orientation === 'horizontal' || orientation === 'vertical', `invalid orientation: ${ orientation }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        // {number} - spacing between the radio buttons.
+        spacing: 5,
+
+        // {Object} - passed to each RadioButton.
+        radioButtonOptions: { xMargin: 5, yMargin: 4 },
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      //----------------------------------------------------------------------------------------
+
+      // Create a RadioButton that corresponds to each AngularUnit, labeled with the abbreviation of the unit.
+      const radioButtons = AngularUnits.MEMBERS.map( angularUnit => {
+        const label = new Text( LABELS[ angularUnit.name ], RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+        return new RadioButton( angularUnit, label, options.radioButtonOptions );
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      super( orientation, RotationalMotionGlobals.angularUnitProperty, radioButtons, options );
+    }
+  }
+
+  return AngularUnitsRadioButtonGroup;
+} );
@@ -8,6 +8,7 @@
  *  - Create a Circle that represents the visual Ball object
  *  - Update the Circle's center location when the Ball's position changes
  *  - Update the Circle's radius when the Ball's radius changes
+ *  - Update the Circle's colors when the color Properties change, if colors are provided as Properties
  *
  * BallNode subtypes are created at the start of the sim and are never disposed, so no dispose method is necessary
  * and links are left as-is.
@@ -24,6 +25,8 @@ define( require => {
   const Circle = require( 'SIM_CORE/scenery/Circle' );
   const ModelViewTransform = require( 'SIM_CORE/util/ModelViewTransform' );
   const Node = require( 'SIM_CORE/scenery/Node' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
 
   class BallNode extends Node {
 
@@ -41,8 +44,8 @@ define( require => {
 
       options = {
 
-        fill: 'white',           // {string|Gradient} - fill color of the ball-circle.
-        stroke: 'black',         // {string|Gradient} - border color of the ball-circle.
+        fill: 'white',           // {string|Gradient|Property.<string|Gradient>} - fill color of the ball-circle.
+        stroke: 'black',         // {string|Gradient|Property.<string|Gradient>} - border color of the ball-circle.
         strokeWidth: 0.7,        // {string} - stroke width of the ball-circle.
         cursor: 'scenery-drag',  // {string} - cursor of the entire Ball Node.
 
@@ -55,10 +58,17 @@ define( require => {
       //----------------------------------------------------------------------------------------
 
       // Create the Circle Node that represents the visual aspect of a Ball. Radius to be updated later.
-      const ballCircle = new Circle( 0, {
-        fill: options.fill,
-        stroke: options.stroke,
-        strokeWidth: options.strokeWidth
+      const ballCircle = new Circle( 0, { strokeWidth: options.strokeWidth } );
+
+      // Color the ball-circle, linking to the colors that are Properties. Links are left as-is since BallNode subtypes
+      // are never disposed.
+      [ 'fill', 'stroke' ].forEach( key => {
+        if ( options[ key ] instanceof Property ) {
+          RotationalMotionColors.linkColors( ballCircle, { [ key ]: options[ key ] } );
+        }
+        else {
+          ballCircle[ key ] = options[ key ];
+        }
       } );
 
       // Add the ball-circle as a child of this Node.
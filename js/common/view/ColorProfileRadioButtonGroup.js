@@ -0,0 +1,71 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * View for the radio button group of each screen that allows the user to switch the color profile of the simulation,
+ * for instance to a white background for projectors.
+ *
+ * See ColorProfiles.js and RotationalMotionColors.js for more documentation on color profiles.
+ *
+ * ColorProfileRadioButtonGroup is never disposed and exists for the entire simulation.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const ColorProfiles = require( 'ROTATIONAL_MOTION/common/view/ColorProfiles' );
+  const RadioButton = require( 'SIM_CORE/scenery/components/buttons/RadioButton' );
+  const RadioButtonGroup = require( 'SIM_CORE/scenery/components/RadioButtonGroup' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionGlobals = require( 'ROTATIONAL_MOTION/common/RotationalMotionGlobals' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+
+  // constants
+  const LABELS = {
+    DEFAULT: RotationalMotionStrings.defaultColors,
+    PROJECTOR: RotationalMotionStrings.projector,
+    HIGH_CONTRAST: RotationalMotionStrings.highContrast
+  };
+
+  class ColorProfileRadioButtonGroup extends RadioButtonGroup {
+
+    /**
+     * @param {string} orientation - the orientation of the radio buttons, either 'horizontal' or 'vertical'
+     * @param {Object} [options]
+     */
+    constructor( orientation, options ) {
+      assert( orientation === 'horizontal' || orientation === 'vertical', `invalid orientation: ${ orientation }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        // {number} - spacing between the radio buttons.
+        spacing: 5,
+
+        // {Object} - passed to each RadioButton.
+        radioButtonOptions: { xMargin: 5, yMargin: 4 },
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      //----------------------------------------------------------------------------------------
+
+      // Create a RadioButton that corresponds to each color profile, labeled with the name of the profile.
+      const radioButtons = ColorProfiles.MEMBERS.map( colorProfile => {
+        const label = new Text( LABELS[ colorProfile.name ], RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+        return new RadioButton( colorProfile, label, options.radioButtonOptions );
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      super( orientation, RotationalMotionGlobals.colorProfileProperty, radioButtons, options );
+    }
+  }
+
+  return ColorProfileRadioButtonGroup;
+} );
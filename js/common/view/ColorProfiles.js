@@ -0,0 +1,30 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Enumeration of the different color profiles of the simulation, which are the palettes that every screen is colored
+ * with. The colors of each profile are in RotationalMotionColors.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const Enum = require( 'SIM_CORE/util/Enum' );
+
+  const ColorProfiles = new Enum( [
+
+    // The original colors of the simulation.
+    'DEFAULT',
+
+    // A white background with darker, more saturated colors, which don't wash out when projected in a bright room.
+    'PROJECTOR',
+
+    // A white background with black outlines and a colorblind-safe palette (Okabe-Ito), for low vision and color
+    // vision deficiencies.
+    'HIGH_CONTRAST'
+  ] );
+
+  return ColorProfiles;
+} );
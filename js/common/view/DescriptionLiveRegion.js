@@ -0,0 +1,89 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * DescriptionLiveRegion is an ARIA live region that screen readers announce each time its text changes. See
+ * https://developer.mozilla.org/en-US/docs/Web/Accessibility/ARIA/ARIA_Live_Regions.
+ *
+ * DescriptionLiveRegion displays the text of a description Property, which is a live text summary of the state of a
+ * screen (see SpinnerDescriber and RampDescriber). The text is visually hidden, since it only duplicates what is
+ * rendered, but it is still read by screen readers.
+ *
+ * Descriptions may change every frame while the simulation is playing, which would flood screen readers. Instead, the
+ * text is rate limited to update at most once per update interval (see options), and the latest description is always
+ * displayed once the description stops changing.
+ *
+ * DescriptionLiveRegion is HTML, so it can't be rendered inside of a ScreenView, which is SVG. Instead, it is rendered
+ * in the Screen (next to its ScreenView), so that it is hidden with its Screen when another Screen is selected. See
+ * IntroScreen.start() and RollingScreen.start().
+ *
+ * DescriptionLiveRegions are created at the start of the sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const DOMObject = require( 'SIM_CORE/core-internal/DOMObject' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Throttle = require( 'SIM_CORE/core-internal/Throttle' );
+
+  class DescriptionLiveRegion extends DOMObject {
+
+    /**
+     * @param {Property.<string>} descriptionProperty - the description that is displayed and announced.
+     * @param {Object} [options] - Various key-value pairs that control the behavior. See the code where the options are
+     *                             set in the early portion of the constructor for details.
+     */
+    constructor( descriptionProperty, options ) {
+      assert( descriptionProperty instanceof Property, `invalid descriptionProperty: ${ descriptionProperty }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        updateInterval: 2000, // {number} - the minimum time between updates of the text, in milliseconds
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+      assert( typeof options.updateInterval === 'number' && options.updateInterval >= 0, 'invalid updateInterval' );
+
+      super( {
+        type: 'div',
+
+        // Visually hide the text, while still allowing screen readers to read it.
+        style: {
+          position: 'absolute',
+          width: '1px',
+          height: '1px',
+          overflow: 'hidden',
+          clip: 'rect( 0, 0, 0, 0 )',
+          whiteSpace: 'nowrap'
+        },
+
+        // 'polite' announcements wait until the screen reader is idle, so they don't interrupt the user.
+        attributes: {
+          role: 'status',
+          'aria-live': 'polite',
+          'aria-atomic': 'true'
+        }
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      // Updates the text to the latest description, if it changed. The description is read when the update happens,
+      // since the rate limited updates are called with the arguments of an earlier change.
+      const updateText = Throttle.throttle( () => {
+        if ( this.text !== descriptionProperty.value ) this.text = descriptionProperty.value;
+      }, options.updateInterval, true );
+
+      // Observe when the description changes and update the text. Link is never disposed since
+      // DescriptionLiveRegions are never disposed.
+      descriptionProperty.link( updateText );
+    }
+  }
+
+  return DescriptionLiveRegion;
+} );
@@ -0,0 +1,208 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * KeyboardDragListener is the keyboard counterpart of DragListener. It makes a Node focusable (with the tab key) and
+ * listens to the arrow keys while the Node is focused. Has an API to allow for listeners to attach to the 'start',
+ * 'drag', and 'end' events of keyboard dragging, like DragListener.
+ *
+ * Keyboard dragging occurs when:
+ *   1. The Node is focused, which shows its focus highlight (see options).
+ *   2. An arrow key is pressed down. This is known as the 'start' of the drag.
+ *   3. Each time an arrow key is pressed down, including the repeated presses of a held key, the 'drag' listener is
+ *      called with the direction of the key and whether or not the shift key is held, which indicates that the drag
+ *      should move in fine steps. The listener is responsible for the size of the steps.
+ *   4. Every arrow key is released, or the Node loses focus. This is known as the 'end' of the drag.
+ *
+ * The direction of each arrow key is a unit Vector in the traditional cartesian coordinate system, so the up arrow key
+ * is in the positive y direction, like the model coordinates of this simulation.
+ *
+ * NOTE: If the Node is being disposed of or is no longer in use, make sure to dispose of the KeyboardDragListener to
+ *       allow Javascript to garbage collect the KeyboardDragListener. See the `dispose()` method.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const Vector = require( 'SIM_CORE/util/Vector' );
+
+  // constants
+  const ARROW_KEY_DIRECTIONS = {
+    ArrowLeft: new Vector( -1, 0 ),
+    ArrowRight: new Vector( 1, 0 ),
+    ArrowUp: new Vector( 0, 1 ),
+    ArrowDown: new Vector( 0, -1 )
+  };
+
+  class KeyboardDragListener {
+
+    /**
+     * @param {Node} node - the target Node that is focused and dragged with the keyboard.
+     * @param {Object} [options] - key-value pairs that control the functionality of the KeyboardDragListener. See the
+     *                             early portion of the constructor for details.
+     */
+    constructor( node, options ) {
+      assert( node instanceof Node, `invalid node: ${ node }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        // {function(Event)|null} - Called when the drag starts. See the comment at the top of the file.
+        start: null,
+
+        // {function(Event)|null} - Called when the drag ends. See the comment at the top of the file.
+        end: null,
+
+        // {function(Vector, boolean, Event)|null} - Called each time an arrow key is pressed down, passing the
+        //                                           direction of the key, whether or not the drag should move in fine
+        //                                           steps, and the event. See the comment at the top of the file.
+        drag: null,
+
+        // {Node|null} - the Node that highlights the target Node, which is only visible while the target Node is
+        //               focused. It is placed by the client. If null, the browser's default focus outline is shown.
+        focusHighlight: null,
+
+        // Rewrite options so that it overrides the defaults.
+        ...options
+      };
+
+      assert( !options.start || typeof options.start === 'function', `invalid start: ${ options.start }` );
+      assert( !options.end || typeof options.end === 'function', `invalid end: ${ options.end }` );
+      assert( !options.drag || typeof options.drag === 'function', `invalid drag: ${ options.drag }` );
+      assert( !options.focusHighlight || options.focusHighlight instanceof Node, 'invalid focusHighlight' );
+
+      //----------------------------------------------------------------------------------------
+
+      // @private {Node} - the target Node that KeyboardDragListener listens to for keyboard events.
+      this._targetNode = node;
+
+      // @private {function|null} - reference to the listeners that were passed in options.
+      this._startListener = options.start;
+      this._endListener = options.end;
+      this._dragListener = options.drag;
+
+      // @private {Node|null} - reference the focusHighlight that was passed in options.
+      this._focusHighlight = options.focusHighlight;
+
+      // @private {string[]} - the arrow keys that are currently pressed down. The drag ends when every key is released.
+      this._pressedKeys = [];
+
+      // @private {function} - reference our internal event handlers.
+      this._keydownHandler = this._keydown.bind( this );
+      this._keyupHandler = this._keyup.bind( this );
+      this._focusHandler = this._focus.bind( this );
+      this._blurHandler = this._blur.bind( this );
+
+      // Initiate the event listeners for the target Node.
+      this._initiate();
+    }
+
+    /**
+     * Makes the target Node focusable and initiates the keyboard and focus listeners of its HTML element.
+     * @private
+     *
+     * This is the opposite of the dispose() method.
+     */
+    _initiate() {
+      this._targetNode.setAttribute( 'tabindex', 0 );
+
+      // The focus highlight replaces the browser's default focus outline.
+      if ( this._focusHighlight ) {
+        this._targetNode.addStyles( { outline: 'none' } );
+        this._focusHighlight.visible = false;
+      }
+
+      this._targetNode.element.addEventListener( 'keydown', this._keydownHandler );
+      this._targetNode.element.addEventListener( 'keyup', this._keyupHandler );
+      this._targetNode.element.addEventListener( 'focus', this._focusHandler );
+      this._targetNode.element.addEventListener( 'blur', this._blurHandler );
+    }
+
+    /**
+     * Called when a key is pressed down while the target Node is focused. Starts the drag if it is the first arrow key
+     * that is pressed down and drags in the direction of the key.
+     * @private
+     *
+     * @param {KeyboardEvent} event
+     */
+    _keydown( event ) {
+      const direction = ARROW_KEY_DIRECTIONS[ event.key ];
+      if ( !direction ) return; // only arrow keys drag
+
+      // Prevent the default action of arrow keys, which scrolls the page.
+      event.preventDefault();
+
+      if ( !this._pressedKeys.length && this._startListener ) this._startListener( event );
+      if ( !this._pressedKeys.includes( event.key ) ) this._pressedKeys.push( event.key );
+
+      this._dragListener && this._dragListener( direction.copy(), event.shiftKey, event );
+    }
+
+    /**
+     * Called when a key is released while the target Node is focused. Ends the drag once every arrow key is released.
+     * @private
+     *
+     * @param {KeyboardEvent} event
+     */
+    _keyup( event ) {
+      if ( !this._pressedKeys.includes( event.key ) ) return;
+
+      this._pressedKeys.splice( this._pressedKeys.indexOf( event.key ), 1 );
+      if ( !this._pressedKeys.length && this._endListener ) this._endListener( event );
+    }
+
+    /**
+     * Called when the target Node is focused. Shows the focus highlight.
+     * @private
+     */
+    _focus() {
+      if ( this._focusHighlight ) this._focusHighlight.visible = true;
+    }
+
+    /**
+     * Called when the target Node loses focus. Hides the focus highlight and ends the drag, since the keys that are
+     * pressed down will no longer be released on the target Node.
+     * @private
+     *
+     * @param {FocusEvent} event
+     */
+    _blur( event ) {
+      if ( this._focusHighlight ) this._focusHighlight.visible = false;
+
+      if ( this._pressedKeys.length ) {
+        this._pressedKeys = [];
+        this._endListener && this._endListener( event );
+      }
+    }
+
+    /**
+     * Disposes the event listeners from the targetNode's HTML element and releasing references.
+     * @public
+     *
+     * This is the opposite of the _initiate() method.
+     */
+    dispose() {
+      this._targetNode.element.removeEventListener( 'keydown', this._keydownHandler );
+      this._targetNode.element.removeEventListener( 'keyup', this._keyupHandler );
+      this._targetNode.element.removeEventListener( 'focus', this._focusHandler );
+      this._targetNode.element.removeEventListener( 'blur', this._blurHandler );
+      this._targetNode.element.removeAttribute( 'tabindex' );
+
+      // Release references to ensure that the KeyboardDragListener can be garbage collected.
+      this._keydownHandler = null;
+      this._keyupHandler = null;
+      this._focusHandler = null;
+      this._blurHandler = null;
+      this._startListener = null;
+      this._endListener = null;
+      this._dragListener = null;
+      this._focusHighlight = null;
+    }
+  }
+
+  return KeyboardDragListener;
+} );
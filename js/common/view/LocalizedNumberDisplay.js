@@ -0,0 +1,99 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * LocalizedNumberDisplay displays the value of a number Property on top of a background rectangle, like the
+ * NumberDisplay of sim-core, but formats the value with the decimal separator and digits of the locale of the
+ * simulation, like '1,50' in 'es'. See RotationalMotionStrings.formatNumber().
+ *
+ * The value is centered in the background, which has a fixed width and height. Values that aren't finite (like null)
+ * are displayed as an em-dash, without the unit.
+ *
+ * LocalizedNumberDisplays are created at the start of the sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const AlignBox = require( 'SIM_CORE/scenery/AlignBox' );
+  const assert = require( 'SIM_CORE/util/assert' );
+  const FlexBox = require( 'SIM_CORE/scenery/FlexBox' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Rectangle = require( 'SIM_CORE/scenery/Rectangle' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Symbols = require( 'SIM_CORE/util/Symbols' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+
+  class LocalizedNumberDisplay extends Node {
+
+    /**
+     * @param {Property.<number|null>} numberProperty
+     * @param {number} width - the fixed width of the background
+     * @param {number} height - the fixed height of the background
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior. See the code where
+     *                             the options are set in the early portion of the constructor for details.
+     */
+    constructor( numberProperty, width, height, options ) {
+      assert( numberProperty instanceof Property, `invalid numberProperty: ${ numberProperty }` );
+      assert( typeof width === 'number' && width > 0, `invalid width: ${ width }` );
+      assert( typeof height === 'number' && height > 0, `invalid height: ${ height }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        decimalPlaces: 0,               // {number} - the number of decimal places of the displayed value
+        unit: null,                     // {Node|null} - if provided, this is displayed after the value as its unit
+        unitSpacing: 6,                 // {number} - the spacing between the value and the unit
+        textOptions: null,              // {Object|null} - if provided, these options are passed to the value's Text
+        cornerRadius: 0,                // {number} - the corner radius of the background
+        backgroundFill: 'white',        // {string} - the fill of the background
+        backgroundStroke: 'lightGray',  // {string} - the stroke of the background
+        backgroundStrokeWidth: 1,       // {number} - the stroke-width of the background
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+      assert( Number.isInteger( options.decimalPlaces ) && options.decimalPlaces >= 0,
+        `invalid decimalPlaces: ${ options.decimalPlaces }` );
+
+      super( options );
+
+      //----------------------------------------------------------------------------------------
+
+      const background = new Rectangle( width, height, {
+        cornerRadius: options.cornerRadius,
+        fill: options.backgroundFill,
+        stroke: options.backgroundStroke,
+        strokeWidth: options.backgroundStrokeWidth
+      } );
+
+      const valueText = new Text( '', options.textOptions );
+      const content = FlexBox.horizontal( { spacing: options.unitSpacing, children: [ valueText ] } );
+
+      // Wrap the content in an AlignBox, so that the bounds of the display are fixed to the background.
+      this.children = [ background, new AlignBox( content, width, height ) ];
+
+      // Observe when the value changes and update the displayed value, centering it in the AlignBox. Link is never
+      // disposed since LocalizedNumberDisplays are never disposed.
+      numberProperty.link( value => {
+        const hasValue = Number.isFinite( value );
+        valueText.text = hasValue ?
+                         RotationalMotionStrings.formatNumber( value, options.decimalPlaces ) :
+                         Symbols.NO_VALUE;
+
+        // Only display the unit with finite values.
+        if ( options.unit && hasValue && !content.hasChild( options.unit ) ) content.addChild( options.unit );
+        if ( options.unit && !hasValue && content.hasChild( options.unit ) ) content.removeChild( options.unit );
+        content.center = background.center;
+      } );
+
+      // Apply any additionally Bounds setters
+      this.mutate( options );
+    }
+  }
+
+  return LocalizedNumberDisplay;
+} );
@@ -0,0 +1,148 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * PathTrailNode is a fading trail of where a position has been, in all screens. It records a position Property (in
+ * model coordinates) while tracing is on, and draws the most recent positions as a line that fades out towards the
+ * oldest positions.
+ *
+ * The trail is split into sections that are each drawn as a Path, from the most transparent section (the oldest
+ * positions) to the most opaque section (the most recent positions). Only the most recent positions are kept, so the
+ * oldest positions are dropped once the trail is full. The trail is cleared once tracing is turned off, and it can be
+ * cleared with clear(), for instance when the position jumps.
+ *
+ * PathTrailNodes are created at the start of the sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const ModelViewTransform = require( 'SIM_CORE/util/ModelViewTransform' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const Path = require( 'SIM_CORE/scenery/Path' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RingBuffer = require( 'ROTATIONAL_MOTION/common/model/RingBuffer' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const Shape = require( 'SIM_CORE/util/Shape' );
+
+  class PathTrailNode extends Node {
+
+    /**
+     * @param {Property.<Vector>} positionProperty - the position to trace, in model coordinates
+     * @param {ModelViewTransform} modelViewTransform - coordinate transform between model and view
+     * @param {Property.<boolean>} isTracingProperty - indicates if the position is being traced
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior. See the code
+     *                             where the options are set in the early portion of the constructor for details.
+     */
+    constructor( positionProperty, modelViewTransform, isTracingProperty, options ) {
+      assert( positionProperty instanceof Property, `invalid positionProperty: ${ positionProperty }` );
+      assert( modelViewTransform instanceof ModelViewTransform, `invalid modelViewTransform: ${ modelViewTransform }` );
+      assert( isTracingProperty instanceof Property, `invalid isTracingProperty: ${ isTracingProperty }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        stroke: RotationalMotionColors.PATH_TRAIL_STROKE, // {Property.<string>} - the stroke of the trail
+        strokeWidth: 2,       // {number} - the stroke-width of the trail
+        maxPoints: 150,       // {number} - the number of most recent positions that are kept
+        sections: 10,         // {number} - the number of sections that the trail fades out in
+        minOpacity: 0.05,     // {number} - the opacity of the section of the oldest positions
+        minDistance: 1,       // {number} - the minimum view distance between recorded positions
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+      assert( Number.isInteger( options.sections ) && options.sections > 0, `invalid sections: ${ options.sections }` );
+
+      super();
+
+      //----------------------------------------------------------------------------------------
+
+      // @private {RingBuffer.<Vector>} - the most recent recorded positions, in view coordinates.
+      this._points = new RingBuffer( options.maxPoints );
+
+      // @private {number} - see options declaration for documentation.
+      this._minDistance = options.minDistance;
+
+      // @private {Path[]} - the sections of the trail, from the oldest positions to the most recent positions.
+      this._sectionPaths = [];
+      for ( let i = 0; i < options.sections; i++ ) {
+        this._sectionPaths.push( RotationalMotionColors.linkColors( new Path( null, {
+          strokeWidth: options.strokeWidth,
+          fill: 'none',
+          opacity: options.minOpacity + ( 1 - options.minOpacity ) * ( i + 1 ) / options.sections
+        } ), { stroke: options.stroke } ) );
+      }
+      this.children = this._sectionPaths;
+
+      //----------------------------------------------------------------------------------------
+
+      // Observe when the position changes and record it while tracing. Never disposed since PathTrailNodes are never
+      // disposed.
+      positionProperty.link( position => {
+        isTracingProperty.value && this._record( modelViewTransform.modelToViewPoint( position ) );
+      } );
+
+      // Observe when tracing is toggled, starting the trail at the current position or clearing it. Never disposed
+      // since PathTrailNodes are never disposed.
+      isTracingProperty.lazyLink( isTracing => {
+        this.clear();
+        isTracing && this._record( modelViewTransform.modelToViewPoint( positionProperty.value ) );
+      } );
+      isTracingProperty.linkAttribute( this, 'visible' );
+    }
+
+    /**
+     * Clears the trail.
+     * @public
+     */
+    clear() {
+      this._points.clear();
+      this._sectionPaths.forEach( sectionPath => { sectionPath.shape = null; } );
+    }
+
+    /**
+     * Records a position at the end of the trail and redraws the trail.
+     * @private
+     *
+     * @param {Vector} point - in view coordinates
+     */
+    _record( point ) {
+      const lastPoint = this._points.peek();
+      if ( lastPoint && lastPoint.distanceTo( point ) < this._minDistance ) return;
+
+      this._points.push( point );
+      this._draw();
+    }
+
+    /**
+     * Draws each section of the trail. Consecutive sections share their end points, so that the trail is continuous.
+     * @private
+     */
+    _draw() {
+      const length = this._points.length;
+      const sections = this._sectionPaths.length;
+
+      this._sectionPaths.forEach( ( sectionPath, i ) => {
+        const startIndex = Math.floor( ( length - 1 ) * i / sections );
+        const endIndex = Math.floor( ( length - 1 ) * ( i + 1 ) / sections );
+
+        // Only set a Shape with at least 2 positions.
+        if ( endIndex <= startIndex ) {
+          sectionPath.shape = null;
+          return;
+        }
+        const shape = new Shape().moveToPoint( this._points.get( startIndex ) );
+        for ( let j = startIndex + 1; j <= endIndex; j++ ) {
+          shape.lineToPoint( this._points.get( j ) );
+        }
+        sectionPath.shape = shape;
+      } );
+    }
+  }
+
+  return PathTrailNode;
+} );
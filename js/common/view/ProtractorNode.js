@@ -0,0 +1,152 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * ProtractorNode is a full-circle protractor in degrees, which is a measurement tool that is taken out of the Toolbox
+ * of each screen. It is dragged by its body, so that its center can be placed anywhere, like on the pin of a Spinner or
+ * the bottom corner of the Ramp. Angles don't depend on the scale of the screen, so the ProtractorNode doesn't need a
+ * ModelViewTransform.
+ *
+ * The protractor has two scales, which both start on the horizontal line through its center:
+ *  - The outer scale, which is counterclockwise from the right, like the angles of the Spinners.
+ *  - The inner scale, which is clockwise from the left, like the angle of the Ramp from its bottom corner.
+ *
+ * The ProtractorNode is visible while it is out of the Toolbox, and it returns to its initial position each time that
+ * it is taken out. ProtractorNodes are created at the start of the sim and are never disposed, so all links are left
+ * as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Bounds = require( 'SIM_CORE/util/Bounds' );
+  const Circle = require( 'SIM_CORE/scenery/Circle' );
+  const DragListener = require( 'SIM_CORE/scenery/events/DragListener' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const Path = require( 'SIM_CORE/scenery/Path' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Shape = require( 'SIM_CORE/util/Shape' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+  const Util = require( 'SIM_CORE/util/Util' );
+  const Vector = require( 'SIM_CORE/util/Vector' );
+
+  class ProtractorNode extends Node {
+
+    /**
+     * @param {Property.<boolean>} visibleProperty - indicates if the protractor is out of the Toolbox
+     * @param {Bounds} dragBounds - the bounds that the center of the protractor is kept within, in view coordinates
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior. See the code where
+     *                             the options are set in the early portion of the constructor for details.
+     */
+    constructor( visibleProperty, dragBounds, options ) {
+      assert( visibleProperty instanceof Property, `invalid visibleProperty: ${ visibleProperty }` );
+      assert( dragBounds instanceof Bounds, `invalid dragBounds: ${ dragBounds }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        // {Vector} - the center of the protractor when it is taken out of the Toolbox, in view coordinates.
+        initialCenter: dragBounds.center,
+
+        radius: 85,                 // {number} - the radius of the protractor, in view coordinates
+        minorTickSpacing: 5,        // {number} - the spacing between the minor ticks, in degrees
+        majorTickSpacing: 10,       // {number} - the spacing between the major ticks, in degrees
+        labelSpacing: 30,           // {number} - the spacing between the labels of each scale, in degrees
+        majorTickLength: 10,        // {number} - the length of the major ticks, in view coordinates
+        minorTickLength: 5,         // {number} - the length of the minor ticks, in view coordinates
+        crosshairRadius: 6,         // {number} - the radius of the crosshair that marks the center
+        cursor: 'scenery-drag',     // {string} - cursor of the protractor
+
+        // {Object} - passed to the labels of the outer and the inner scale.
+        outerLabelTextOptions: { fontSize: 10, fontWeight: 500 },
+        innerLabelTextOptions: { fontSize: 8, fontWeight: 500 },
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+      assert( options.initialCenter instanceof Vector, `invalid initialCenter: ${ options.initialCenter }` );
+      assert( options.majorTickSpacing % options.minorTickSpacing === 0, 'invalid minorTickSpacing' );
+      assert( options.labelSpacing % options.majorTickSpacing === 0, 'invalid labelSpacing' );
+
+      super( { cursor: options.cursor } );
+
+      //----------------------------------------------------------------------------------------
+
+      // The protractor is drawn with its top-left at the origin and then moved to its position as a whole.
+      const center = new Vector( options.radius, options.radius );
+
+      // Gets the view position at a distance from the center, in the direction of an angle that is counterclockwise
+      // from the right, in degrees.
+      const getPoint = ( distance, degrees ) => {
+        return new Vector( distance, 0 ).setAngle( -Util.toRadians( degrees ) ).add( center );
+      };
+
+      const body = new Circle( options.radius, { center, strokeWidth: 1 } );
+      RotationalMotionColors.linkColors( body, {
+        fill: RotationalMotionColors.PROTRACTOR_FILL,
+        stroke: RotationalMotionColors.MEASURING_TOOL_STROKE
+      } );
+
+      // The ticks around the rim, the horizontal line through the center where both scales start, and the crosshair.
+      const ticksShape = new Shape()
+        .moveTo( 0, center.y )
+        .lineTo( 2 * options.radius, center.y )
+        .moveTo( center.x, center.y - options.crosshairRadius )
+        .lineTo( center.x, center.y + options.crosshairRadius );
+      for ( let degrees = 0; degrees < 360; degrees += options.minorTickSpacing ) {
+        const isMajorTick = degrees % options.majorTickSpacing === 0;
+        const tickLength = isMajorTick ? options.majorTickLength : options.minorTickLength;
+        ticksShape.moveToPoint( getPoint( options.radius, degrees ) )
+          .lineToPoint( getPoint( options.radius - tickLength, degrees ) );
+      }
+      const ticks = new Path( ticksShape, { strokeWidth: 0.8, fill: 'none' } );
+      RotationalMotionColors.linkColors( ticks, { stroke: RotationalMotionColors.MEASURING_TOOL_STROKE } );
+
+      // The labels of the outer scale, which is counterclockwise from the right, and the inner scale, which is
+      // clockwise from the left.
+      const labels = [];
+      for ( let degrees = 0; degrees < 360; degrees += options.labelSpacing ) {
+        const outerDistance = options.radius - options.majorTickLength - 9; // eye-balled
+        const innerDistance = outerDistance - 15; // eye-balled
+        labels.push( new Text( RotationalMotionStrings.formatNumber( degrees, 0 ), {
+          ...options.outerLabelTextOptions,
+          center: getPoint( outerDistance, degrees )
+        } ) );
+        labels.push( new Text( RotationalMotionStrings.formatNumber( ( 540 - degrees ) % 360, 0 ), {
+          ...options.innerLabelTextOptions,
+          center: getPoint( innerDistance, degrees )
+        } ) );
+      }
+
+      this.children = [ body, ticks, ...labels ];
+
+      //----------------------------------------------------------------------------------------
+
+      // Observe when the protractor is taken out of or put back in the Toolbox and update the visibility. It is taken
+      // out at its initial position. Link is never disposed since ProtractorNodes are never disposed.
+      visibleProperty.link( visible => {
+        this.visible = visible;
+        if ( visible ) this.center = options.initialCenter;
+      } );
+
+      // Create a Drag listener to move the center of the protractor within the drag bounds. Never disposed as
+      // ProtractorNodes are never disposed.
+      let dragStartCenter;
+      new DragListener( this, {
+        start: () => {
+          dragStartCenter = this.center.copy();
+        },
+        drag: displacement => {
+          this.center = dragBounds.closestPointTo( dragStartCenter.copy().add( displacement ) );
+        }
+      } );
+    }
+  }
+
+  return ProtractorNode;
+} );
@@ -0,0 +1,156 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * QueryParameterErrorsPanel is the Panel that reports the query parameters that were invalid, and ignored, on-screen.
+ * See RotationalMotionQueryParameters. It is displayed at the top of the screen that is initially shown, until it is
+ * dismissed with its 'OK' button.
+ *
+ * The errors of RotationalMotionQueryParameters describe what each value must be, and QueryParameterErrorsPanel builds
+ * their messages with the strings of the locale. It also reports the errors of the saved state of the ?state query
+ * parameter, if it couldn't be restored. See RotationalMotionState.
+ *
+ * This panel exists for the entire sim and is never disposed.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Button = require( 'SIM_CORE/scenery/components/buttons/Button' );
+  const FlexBox = require( 'SIM_CORE/scenery/FlexBox' );
+  const Panel = require( 'SIM_CORE/scenery/components/Panel' );
+  const Rectangle = require( 'SIM_CORE/scenery/Rectangle' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+  const Util = require( 'SIM_CORE/util/Util' );
+
+  // constants
+  const MAX_VALUE_LENGTH = 20; // values in the error messages are truncated to this many characters
+  const MAX_RANGE_DECIMAL_PLACES = 3; // the bounds of Ranges in the error messages are rounded to this many places
+
+  class QueryParameterErrorsPanel extends Panel {
+
+    /**
+     * @param {Object[]} errors - the errors of each invalid query parameter. See RotationalMotionQueryParameters.errors
+     * @param {string[]} stateErrors - the error messages of the state of the ?state query parameter, if it was invalid.
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior. See the code where
+     *                             the options are set in the early portion of the constructor for details.
+     */
+    constructor( errors, stateErrors, options ) {
+      assert( Array.isArray( errors ) && errors.every( error => typeof error.name === 'string' ), 'invalid errors' );
+      assert( Array.isArray( stateErrors ) && stateErrors.every( error => typeof error === 'string' ),
+        `invalid stateErrors: ${ stateErrors }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        spacing: 6,                 // {number} - spacing between the rows of the Panel
+        errorFontSize: 12.5,        // {number} - the font size of each error message
+        errorMaxWidth: 800,         // {number} - the maximum width of each error message, which is scaled down to fit
+        buttonBaseColor: '#ffc800', // {string} - the base color of the 'OK' button
+        buttonXMargin: 30,          // {number} - the x-margin between the background of the 'OK' button and its Text
+        buttonYMargin: 10,          // {number} - the y-margin between the background of the 'OK' button and its Text
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      //----------------------------------------------------------------------------------------
+
+      // Create the 'OK' button, which dismisses the Panel.
+      const buttonText = new Text( RotationalMotionStrings.ok, RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+      const buttonBackground = new Rectangle( buttonText.width + options.buttonXMargin,
+        buttonText.height + options.buttonYMargin, {
+          cornerRadius: 4
+        } );
+      RotationalMotionColors.linkColors( buttonBackground, { stroke: RotationalMotionColors.PANEL_STROKE } );
+      const okButton = new Button( buttonBackground, buttonText );
+      Button.apply3DGradients( okButton, options.buttonBaseColor );
+
+      const title = new Text( RotationalMotionStrings.queryParameterErrors,
+        RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+
+      // The localized error messages of the query parameters, followed by the errors of the saved state.
+      const messages = [
+        ...errors.map( error => getErrorMessage( error ) ),
+        ...stateErrors.map( stateError => RotationalMotionStrings.fillIn( RotationalMotionStrings.invalidStatePattern, {
+          parameter: '?state',
+          error: stateError
+        } ) )
+      ];
+
+      super( FlexBox.vertical( {
+        align: RotationalMotionStrings.startAlign,
+        spacing: options.spacing,
+        children: [
+          title,
+          ...messages.map( message => new Text( message, {
+            fontSize: options.errorFontSize,
+            maxWidth: options.errorMaxWidth
+          } ) ),
+          okButton
+        ]
+      } ), options );
+      RotationalMotionColors.linkPanelColors( this );
+
+      //----------------------------------------------------------------------------------------
+
+      // Dismiss the Panel when the 'OK' button is pressed. Link is never disposed since QueryParameterErrorsPanels are
+      // never disposed.
+      okButton.interactionStateProperty.link( interactionState => {
+        if ( interactionState === Button.interactionStates.PRESSED ) this.visible = false;
+      } );
+    }
+  }
+
+  /**
+   * Builds the localized error message of an invalid query parameter, like '?radius=9: must be a number from 0.1 to 1'.
+   *
+   * @param {Object} error - an error of RotationalMotionQueryParameters.errors
+   * @returns {string}
+   */
+  function getErrorMessage( error ) {
+    const value = error.value && error.value.length > MAX_VALUE_LENGTH ?
+                  `${ error.value.slice( 0, MAX_VALUE_LENGTH ) }…` :
+                  error.value;
+    const parameter = `?${ error.name }${ value === null ? '' : `=${ value }` }`;
+
+    if ( error.range ) {
+      return RotationalMotionStrings.fillIn( RotationalMotionStrings.queryParameterRangePattern, {
+        parameter,
+        min: formatRangeBound( error.range.min ),
+        max: formatRangeBound( error.range.max )
+      } );
+    }
+    if ( error.validValues ) {
+      return RotationalMotionStrings.fillIn( error.isList ?
+                                             RotationalMotionStrings.queryParameterListPattern :
+                                             RotationalMotionStrings.queryParameterOneOfPattern, {
+        parameter,
+        values: error.validValues.join( ', ' )
+      } );
+    }
+    return RotationalMotionStrings.fillIn( RotationalMotionStrings.queryParameterValuePattern, { parameter } );
+  }
+
+  /**
+   * Formats a bound of a Range for an error message, with only as many decimal places as it needs (up to
+   * MAX_RANGE_DECIMAL_PLACES), like '0.1' instead of '0.100'.
+   *
+   * @param {number} bound
+   * @returns {string}
+   */
+  function formatRangeBound( bound ) {
+    const rounded = Util.toFixed( bound, MAX_RANGE_DECIMAL_PLACES );
+    let decimalPlaces = 0;
+    while ( Util.toFixed( rounded, decimalPlaces ) !== rounded ) decimalPlaces++;
+    return RotationalMotionStrings.formatNumber( rounded, decimalPlaces );
+  }
+
+  return QueryParameterErrorsPanel;
+} );
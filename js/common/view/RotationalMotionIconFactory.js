@@ -7,6 +7,7 @@
  *  1. Screen icons (TODO)
  *  2. Checkbox icons (i.e. arrow icons, etc.)
  *  3. CircularMotionTypes icons (on the 'Intro' screen)
+ *  4. RollingBallTypes icons (on the 'Rolling' screen)
  *
  * IMPORTANT: All floating numbers in this file were determined empirically and are tentative.
  *
@@ -26,8 +27,12 @@ define( require => {
   const Line = require( 'SIM_CORE/scenery/Line' );
   const Node = require( 'SIM_CORE/scenery/Node' );
   const Path = require( 'SIM_CORE/scenery/Path' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Rectangle = require( 'SIM_CORE/scenery/Rectangle' );
+  const RollingBallTypes = require( 'ROTATIONAL_MOTION/rolling/model/RollingBallTypes' );
   const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
   const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
   const ScreenIcon = require( 'SIM_CORE/scenery/components/ScreenIcon' );
   const Shape = require( 'SIM_CORE/util/Shape' );
   const Symbols = require( 'SIM_CORE/util/Symbols' );
@@ -35,6 +40,14 @@ define( require => {
   const Util = require( 'SIM_CORE/util/Util' );
   const Vector = require( 'SIM_CORE/util/Vector' );
 
+  // constants
+  const CIRCULAR_MOTION_TYPE_LABELS = {
+    UNIFORM: RotationalMotionStrings.uniform,
+    NON_UNIFORM: RotationalMotionStrings.nonUniform,
+    VERTICAL: RotationalMotionStrings.vertical,
+    CONICAL: RotationalMotionStrings.conical
+  };
+
   const RotationalMotionIconFactory = {
 
     /**
@@ -47,24 +60,23 @@ define( require => {
       const radius = 30;
       const icon = new Node();
 
-      const string = new Line( 0, 0, Math.cos( angle ) * radius, -Math.sin( angle ) * radius, {
-        stroke: RotationalMotionColors.SPINNER_STRING_COLOR,
-        strokeWidth: 2
-      } );
+      const string = new Line( 0, 0, Math.cos( angle ) * radius, -Math.sin( angle ) * radius, { strokeWidth: 2 } );
+      RotationalMotionColors.linkColors( string, { stroke: RotationalMotionColors.SPINNER_STRING_COLOR } );
       icon.addChild( string );
 
-      const pin = new Circle( 2.5, { fill: RotationalMotionColors.SPINNER_PIN_FILL, center: string.bottomLeft } );
+      const pin = new Circle( 2.5, { center: string.bottomLeft } );
+      RotationalMotionColors.linkColors( pin, { fill: RotationalMotionColors.SPINNER_PIN_FILL } );
       icon.addChild( pin );
 
-      const ball = new Circle( 10, { fill: RotationalMotionColors.INTRO_BALL_FILL, center: string.topRight } );
+      const ball = new Circle( 10, { center: string.topRight } );
+      RotationalMotionColors.linkColors( ball, { fill: RotationalMotionColors.INTRO_BALL_FILL } );
       icon.addChild( ball );
 
       const vector = Arrow.withPoints(
         ball.center,
-        ball.center.add( new Vector( 0, 25 ).setAngle( -angle - Math.PI / 2 ) ), {
-          ...RotationalMotionConstants.VECTOR_ARROW_OPTIONS,
-          fill: RotationalMotionColors.LINEAR_VELOCITY_VECTOR_FILL
-        } );
+        ball.center.add( new Vector( 0, 25 ).setAngle( -angle - Math.PI / 2 ) ),
+        RotationalMotionConstants.VECTOR_ARROW_OPTIONS );
+      RotationalMotionColors.linkVectorColors( vector, RotationalMotionColors.LINEAR_VELOCITY_VECTOR_FILL );
       icon.addChild( vector );
 
       return new ScreenIcon( icon );
@@ -73,11 +85,12 @@ define( require => {
     /**
      * Creates a arrow icon that points to the right, used with various checkboxes.
      * @public
-     * @param {Object} [options]
+     * @param {Object} options - the fill option is required, which is the {Property.<string>} of the fill color.
      * @returns {Node}
      */
     createVectorArrowIcon( options ) {
-      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+      assert( Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+      assert( options.fill instanceof Property, `invalid fill: ${ options.fill }` );
 
       options = {
         length: 20,
@@ -85,10 +98,10 @@ define( require => {
         headWidth: 10.5,
         tailWidth: 3.5,
         strokeWidth: 0.7,
-        stroke: 'black',
         ...options
       };
-      return new Arrow( 0, 0, options.length, 0, options );
+      const { fill, ...arrowOptions } = options;
+      return RotationalMotionColors.linkVectorColors( new Arrow( 0, 0, options.length, 0, arrowOptions ), fill );
     },
 
     /**
@@ -132,6 +145,74 @@ define( require => {
       return icon.addChild( curvedArrow ).addChild( thetaNode );
     },
 
+    /**
+     * Creates the icon that appears next to the checkbox that takes the Stopwatch out of the toolbox.
+     * @public
+     *
+     * @returns {Node}
+     */
+    createStopwatchIcon() {
+      const radius = 8;
+      const face = new Circle( radius, { fill: 'white', stroke: 'black', strokeWidth: 1.2 } );
+      const crown = new Rectangle( 4, 3, { fill: 'black', centerX: face.centerX, bottom: face.top + 0.5 } );
+      const handTip = face.center.copy().add( new Vector( 0, radius - 2.5 ).setAngle( -1 ) );
+      const hand = Line.withPoints( face.center, handTip, {
+        stroke: 'black',
+        strokeWidth: 1.2
+      } );
+      return new Node().setChildren( [ crown, face, hand ] );
+    },
+
+    /**
+     * Creates the icon that appears next to the checkbox that takes the ruler out of the toolbox.
+     * @public
+     *
+     * @returns {Node}
+     */
+    createRulerIcon() {
+      const width = 26;
+      const height = 9;
+      const body = RotationalMotionColors.linkColors( new Rectangle( width, height, { strokeWidth: 0.8 } ), {
+        fill: RotationalMotionColors.RULER_FILL,
+        stroke: RotationalMotionColors.MEASURING_TOOL_STROKE
+      } );
+
+      const ticksShape = new Shape();
+      for ( let x = 3; x < width; x += 4 ) {
+        ticksShape.moveTo( x, 0 ).verticalLineTo( x % 8 === 3 ? 4.5 : 2.5 );
+      }
+      const ticks = RotationalMotionColors.linkColors( new Path( ticksShape, { strokeWidth: 0.8, fill: 'none' } ), {
+        stroke: RotationalMotionColors.MEASURING_TOOL_STROKE
+      } );
+      return new Node().setChildren( [ body, ticks ] );
+    },
+
+    /**
+     * Creates the icon that appears next to the checkbox that takes the protractor out of the toolbox.
+     * @public
+     *
+     * @returns {Node}
+     */
+    createProtractorIcon() {
+      const radius = 10;
+      const center = new Vector( radius, radius );
+      const body = RotationalMotionColors.linkColors( new Circle( radius, { center, strokeWidth: 0.8 } ), {
+        fill: RotationalMotionColors.PROTRACTOR_FILL,
+        stroke: RotationalMotionColors.MEASURING_TOOL_STROKE
+      } );
+
+      const ticksShape = new Shape().moveTo( 0, center.y ).horizontalLineTo( 2 * radius );
+      for ( let degrees = 0; degrees < 360; degrees += 30 ) {
+        const direction = new Vector( 1, 0 ).setAngle( Util.toRadians( degrees ) );
+        ticksShape.moveToPoint( direction.copy().multiply( radius ).add( center ) )
+          .lineToPoint( direction.copy().multiply( radius - 3 ).add( center ) );
+      }
+      const ticks = RotationalMotionColors.linkColors( new Path( ticksShape, { strokeWidth: 0.8, fill: 'none' } ), {
+        stroke: RotationalMotionColors.MEASURING_TOOL_STROKE
+      } );
+      return new Node().setChildren( [ body, ticks ] );
+    },
+
     /**
      * Creates the icon on the CircularMotion types radio buttons in the 'Intro' screen.
      * @public
@@ -142,11 +223,52 @@ define( require => {
     createCircularMotionTypeIcon( circularMotionType ) {
       assert( CircularMotionTypes.includes( circularMotionType ), 'invalid circularMotionType' );
 
-      const label = new Text( circularMotionType === CircularMotionTypes.UNIFORM ? 'Uniform' : 'Non-uniform', {
+      const label = new Text( CIRCULAR_MOTION_TYPE_LABELS[ circularMotionType.name ], {
         ...RotationalMotionConstants.PANEL_TEXT_OPTIONS,
-        fontSize: 14
+        fontSize: 13
       } );
-      return new AlignBox( label, 97, 19 );
+      return new AlignBox( label, 74, 19 );
+    },
+
+    /**
+     * Creates the icon on the RollingBallTypes radio buttons in the 'Rolling' screen. The icon is a cross-section of
+     * the Ball, derived from the definition of the rolling ball type. See RollingBallTypes for more documentation.
+     * @public
+     *
+     * @param {Enum.Member.<RollingBallTypes>} rollingBallType
+     * @returns {Node}
+     */
+    createRollingBallTypeIcon( rollingBallType ) {
+      assert( RollingBallTypes.includes( rollingBallType ), 'invalid rollingBallType' );
+      const radius = 14;
+
+      const ball = RotationalMotionColors.linkColors( new Circle( radius, { strokeWidth: 0.7 } ), {
+        fill: RollingBallTypes.isSphere( rollingBallType ) ?
+              RotationalMotionColors.createShadedBallFillProperty( RotationalMotionColors.ROLLING_BALL_FILL ) :
+              RotationalMotionColors.ROLLING_BALL_FILL,
+        stroke: RotationalMotionColors.ROLLING_BALL_STROKE
+      } );
+      const icon = new Node().addChild( ball );
+
+      if ( RollingBallTypes.getInnerRadiusRatio( rollingBallType ) > 0 ) {
+        const hole = new Circle( radius * RollingBallTypes.getInnerRadiusRatio( rollingBallType ), {
+          strokeWidth: 0.7,
+          center: ball.center
+        } );
+        icon.addChild( RotationalMotionColors.linkColors( hole, {
+          fill: RotationalMotionColors.SCREEN_BACKGROUND,
+          stroke: RotationalMotionColors.ROLLING_BALL_STROKE
+        } ) );
+      }
+
+      // CUSTOM Balls are labeled with the inertia factor k, which is set by the user.
+      if ( rollingBallType === RollingBallTypes.CUSTOM ) {
+        const label = new Text( 'k', { ...RotationalMotionConstants.MATH_TEXT_OPTIONS, center: ball.center } );
+        icon.addChild( RotationalMotionColors.linkColors( label, {
+          fill: RotationalMotionColors.ROLLING_BALL_MARKER_STROKE
+        } ) );
+      }
+      return icon;
     }
   };
 
@@ -0,0 +1,258 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * RulerNode is a ruler in meters, which is a measurement tool that is taken out of the Toolbox of each screen. It is
+ * drawn with the ModelViewTransform of the screen, so that its ticks match the lengths of the screen, like the radius
+ * of a Spinner or the length of the Ramp.
+ *
+ * The RulerNode is positioned by the zero end of its measuring edge and the angle of the measuring edge, both in model
+ * coordinates. Its body is dragged to move the zero end, and the handle at the other end is dragged to rotate the ruler
+ * about the zero end. The labels of the ticks stay upright while the ruler is rotated.
+ *
+ *     0    0.1   0.2   0.3
+ *   ┌─┴─┬─┬─┴─┬─┬─┴─┬─┬─┴─┬─┐
+ *   │         m             │ (●)
+ *   └───────────────────────┘
+ *
+ * The RulerNode is visible while it is out of the Toolbox, and it returns to its initial position and angle each time
+ * that it is taken out. RulerNodes are created at the start of the sim and are never disposed, so all links are left
+ * as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Bounds = require( 'SIM_CORE/util/Bounds' );
+  const Circle = require( 'SIM_CORE/scenery/Circle' );
+  const DragListener = require( 'SIM_CORE/scenery/events/DragListener' );
+  const ModelViewTransform = require( 'SIM_CORE/util/ModelViewTransform' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const Path = require( 'SIM_CORE/scenery/Path' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Shape = require( 'SIM_CORE/util/Shape' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+  const Util = require( 'SIM_CORE/util/Util' );
+  const Vector = require( 'SIM_CORE/util/Vector' );
+
+  class RulerNode extends Node {
+
+    /**
+     * @param {ModelViewTransform} modelViewTransform - coordinate transform between model and view of the screen
+     * @param {Property.<boolean>} visibleProperty - indicates if the ruler is out of the Toolbox
+     * @param {Bounds} dragBounds - the bounds that the zero end of the ruler is kept within, in view coordinates
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior. See the code where
+     *                             the options are set in the early portion of the constructor for details.
+     */
+    constructor( modelViewTransform, visibleProperty, dragBounds, options ) {
+      assert( modelViewTransform instanceof ModelViewTransform, `invalid modelViewTransform: ${ modelViewTransform }` );
+      assert( visibleProperty instanceof Property, `invalid visibleProperty: ${ visibleProperty }` );
+      assert( dragBounds instanceof Bounds, `invalid dragBounds: ${ dragBounds }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        // {Vector} - the position of the zero end of the ruler when it is taken out of the Toolbox, in view
+        //            coordinates.
+        initialViewPosition: dragBounds.center,
+
+        // {number} - the angle of the ruler when it is taken out of the Toolbox, in radians, counterclockwise from the
+        //            positive x-axis of the model.
+        initialAngle: 0,
+
+        length: 1,                  // {number} - the length of the ticked part of the ruler, in meters
+        majorTickSpacing: 0.1,      // {number} - the spacing between the labeled major ticks, in meters
+        minorTickSpacing: 0.02,     // {number} - the spacing between the minor ticks, in meters
+        labelDecimalPlaces: 1,      // {number} - the number of decimal places of the labels of the major ticks
+
+        width: 40,                  // {number} - the width of the ruler, in view coordinates
+        inset: 8,                   // {number} - the length of the body past each end of the ticks, in view coordinates
+        majorTickLength: 11,        // {number} - the length of the major ticks, in view coordinates
+        minorTickLength: 6,         // {number} - the length of the minor ticks, in view coordinates
+        handleRadius: 7,            // {number} - the radius of the rotation handle, in view coordinates
+        bodyCursor: 'scenery-drag', // {string} - cursor of the body and the rotation handle of the ruler
+
+        // {Object} - passed to the labels of the major ticks.
+        labelTextOptions: { fontSize: 10, fontWeight: 500 },
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+      assert( options.initialViewPosition instanceof Vector, `invalid position: ${ options.initialViewPosition }` );
+      assert( Util.equalsEpsilon( options.majorTickSpacing / options.minorTickSpacing,
+        Math.round( options.majorTickSpacing / options.minorTickSpacing ) ), 'invalid minorTickSpacing' );
+
+      super();
+
+      //----------------------------------------------------------------------------------------
+
+      // @private {ModelViewTransform} - reference the modelViewTransform that was passed-in.
+      this._modelViewTransform = modelViewTransform;
+
+      // @private {Object} - reference the options for the geometry of the ruler, which is redrawn when it moves.
+      this._options = options;
+
+      // @private {Vector} - the position of the zero end of the measuring edge, in model coordinates.
+      this._position = modelViewTransform.viewToModelPoint( options.initialViewPosition );
+
+      // @private {number} - the angle of the measuring edge, in radians, counterclockwise from the positive x-axis of
+      //                     the model.
+      this._angle = options.initialAngle;
+
+      // @private {Path} - the body of the ruler. Its shape is set later.
+      this._body = new Path( null, { strokeWidth: 1 } );
+      RotationalMotionColors.linkColors( this._body, {
+        fill: RotationalMotionColors.RULER_FILL,
+        stroke: RotationalMotionColors.MEASURING_TOOL_STROKE
+      } );
+
+      // @private {Path} - the major and minor ticks along the measuring edge. Its shape is set later.
+      this._ticks = new Path( null, { strokeWidth: 1, fill: 'none' } );
+      RotationalMotionColors.linkColors( this._ticks, { stroke: RotationalMotionColors.MEASURING_TOOL_STROKE } );
+
+      // @private {Text[]} - the labels of each major tick, from the zero end.
+      this._labels = [];
+      const majorTicks = Math.round( options.length / options.majorTickSpacing );
+      for ( let i = 0; i <= majorTicks; i++ ) {
+        this._labels.push( new Text( RotationalMotionStrings.formatNumber( i * options.majorTickSpacing,
+          options.labelDecimalPlaces ), options.labelTextOptions ) );
+      }
+
+      // @private {Text} - the label of the unit of the ruler, in the middle of the body.
+      this._unitLabel = new Text( 'm', RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+
+      // @private {Circle} - the handle past the end of the ruler, which is dragged to rotate the ruler about the zero
+      //                     end.
+      this._handle = new Circle( options.handleRadius, { strokeWidth: 1, cursor: options.bodyCursor } );
+      RotationalMotionColors.linkColors( this._handle, {
+        fill: RotationalMotionColors.MEASURING_TOOL_HANDLE_FILL,
+        stroke: RotationalMotionColors.MEASURING_TOOL_STROKE
+      } );
+
+      // The body with its ticks and labels, which is dragged to move the ruler.
+      const draggableBody = new Node( {
+        children: [ this._body, this._ticks, ...this._labels, this._unitLabel ],
+        cursor: options.bodyCursor
+      } );
+
+      this.children = [ draggableBody, this._handle ];
+
+      //----------------------------------------------------------------------------------------
+
+      // Observe when the ruler is taken out of or put back in the Toolbox and update the visibility. It is taken out at
+      // its initial position and angle. Link is never disposed since RulerNodes are never disposed.
+      visibleProperty.link( visible => {
+        this.visible = visible;
+        if ( !visible ) return;
+        this._position = modelViewTransform.viewToModelPoint( options.initialViewPosition );
+        this._angle = options.initialAngle;
+        this._updateRuler();
+      } );
+
+      // Create a Drag listener to move the zero end of the ruler within the drag bounds. Never disposed as RulerNodes
+      // are never disposed.
+      let dragStartViewPosition;
+      new DragListener( draggableBody, {
+        start: () => {
+          dragStartViewPosition = modelViewTransform.modelToViewPoint( this._position );
+        },
+        drag: displacement => {
+          const viewPosition = dragBounds.closestPointTo( dragStartViewPosition.copy().add( displacement ) );
+          this._position = modelViewTransform.viewToModelPoint( viewPosition );
+          this._updateRuler();
+        }
+      } );
+
+      // Create a Drag listener to rotate the ruler about the zero end, such that the handle follows the cursor. Never
+      // disposed as RulerNodes are never disposed.
+      let dragStartHandleCenter;
+      new DragListener( this._handle, {
+        start: () => {
+          dragStartHandleCenter = this._handle.center.copy();
+        },
+        drag: displacement => {
+          const cursorViewPosition = dragStartHandleCenter.copy().add( displacement );
+          const cursorPosition = modelViewTransform.viewToModelPoint( cursorViewPosition );
+
+          // The handle is offset from the measuring edge, so the angle of the measuring edge is offset from the angle
+          // of the handle about the zero end.
+          const handleOffset = this._getHandleOffset();
+          this._angle = cursorPosition.subtract( this._position ).angle - handleOffset.angle;
+          this._updateRuler();
+        }
+      } );
+    }
+
+    /**
+     * Gets the position of the center of the handle relative to the zero end of the ruler, in model coordinates, as if
+     * the ruler wasn't rotated.
+     * @private
+     *
+     * @returns {Vector} - in model coordinates
+     */
+    _getHandleOffset() {
+      const toModel = length => this._modelViewTransform.viewToModelDeltaX( length );
+      return new Vector( this._options.length + toModel( this._options.inset + 2 * this._options.handleRadius ),
+        -toModel( this._options.width / 2 ) );
+    }
+
+    /**
+     * Redraws the ruler at its current position and angle. The ruler is built in model coordinates and drawn with the
+     * ModelViewTransform, like the RampNode.
+     * @private
+     */
+    _updateRuler() {
+      const options = this._options;
+      const modelViewTransform = this._modelViewTransform;
+      const toModel = length => modelViewTransform.viewToModelDeltaX( length );
+
+      // Gets the position of a point of the ruler, in model coordinates, given its distance along the measuring edge
+      // from the zero end and its distance into the body from the measuring edge, as if the ruler wasn't rotated.
+      const getPoint = ( along, into ) => new Vector( along, -into ).rotate( this._angle ).add( this._position );
+
+      // Draw the body.
+      const inset = toModel( options.inset );
+      const width = toModel( options.width );
+      this._body.shape = modelViewTransform.modelToViewShape( new Shape()
+        .moveToPoint( getPoint( -inset, 0 ) )
+        .lineToPoint( getPoint( options.length + inset, 0 ) )
+        .lineToPoint( getPoint( options.length + inset, width ) )
+        .lineToPoint( getPoint( -inset, width ) )
+        .close() );
+
+      // Draw the ticks, which go into the body from the measuring edge.
+      const ticksShape = new Shape();
+      const minorTicks = Math.round( options.length / options.minorTickSpacing );
+      const minorTicksPerMajorTick = Math.round( options.majorTickSpacing / options.minorTickSpacing );
+      for ( let i = 0; i <= minorTicks; i++ ) {
+        const isMajorTick = i % minorTicksPerMajorTick === 0;
+        const tickLength = toModel( isMajorTick ? options.majorTickLength : options.minorTickLength );
+        ticksShape.moveToPoint( getPoint( i * options.minorTickSpacing, 0 ) )
+          .lineToPoint( getPoint( i * options.minorTickSpacing, tickLength ) );
+      }
+      this._ticks.shape = modelViewTransform.modelToViewShape( ticksShape );
+
+      // Position the labels centered below each major tick.
+      const labelDistance = toModel( options.majorTickLength + 8 ); // eye-balled
+      this._labels.forEach( ( label, index ) => {
+        const labelPosition = getPoint( index * options.majorTickSpacing, labelDistance );
+        label.center = modelViewTransform.modelToViewPoint( labelPosition );
+      } );
+      this._unitLabel.center = modelViewTransform.modelToViewPoint( getPoint( options.length / 2,
+        toModel( options.width - 10 ) ) ); // eye-balled
+
+      // Position the handle past the end of the ruler.
+      this._handle.center = modelViewTransform.modelToViewPoint( this._getHandleOffset()
+        .rotate( this._angle )
+        .add( this._position ) );
+    }
+  }
+
+  return RulerNode;
+} );
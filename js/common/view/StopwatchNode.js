@@ -0,0 +1,259 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * View for a Stopwatch, which is a measurement tool that is taken out of the Toolbox of each screen and dragged around
+ * the screen. See Stopwatch for more documentation on how the Stopwatch runs on sim time.
+ *
+ * The StopwatchNode looks visually like:
+ *
+ *   ┌───────────────────────┐
+ *   │      [ 1.23 s ]       │
+ *   │ [Start] [Lap] [Reset] │
+ *   │ Lap 1: 0.84 s         │
+ *   │ Lap 2: 0.39 s         │
+ *   └───────────────────────┘
+ *
+ * The splits of the most recent laps are displayed at the bottom. The StopwatchNode is visible while it is out of the
+ * Toolbox, and it returns to its initial position each time that it is taken out. It can be dragged anywhere within
+ * its drag bounds by its body.
+ *
+ * StopwatchNodes are created at the start of the sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Bounds = require( 'SIM_CORE/util/Bounds' );
+  const Button = require( 'SIM_CORE/scenery/components/buttons/Button' );
+  const DragListener = require( 'SIM_CORE/scenery/events/DragListener' );
+  const FlexBox = require( 'SIM_CORE/scenery/FlexBox' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Rectangle = require( 'SIM_CORE/scenery/Rectangle' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Stopwatch = require( 'ROTATIONAL_MOTION/common/model/Stopwatch' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+
+  class StopwatchNode extends Node {
+
+    /**
+     * @param {Stopwatch} stopwatch - the Stopwatch model
+     * @param {Property.<boolean>} visibleProperty - indicates if the Stopwatch is out of the Toolbox
+     * @param {Bounds} dragBounds - the bounds that the StopwatchNode is kept within when dragged, in view coordinates
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior. See the code where
+     *                             the options are set in the early portion of the constructor for details.
+     */
+    constructor( stopwatch, visibleProperty, dragBounds, options ) {
+      assert( stopwatch instanceof Stopwatch, `invalid stopwatch: ${ stopwatch }` );
+      assert( visibleProperty instanceof Property, `invalid visibleProperty: ${ visibleProperty }` );
+      assert( dragBounds instanceof Bounds, `invalid dragBounds: ${ dragBounds }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        margin: 8,                  // {number} - margin between the body and its content
+        spacing: 7,                 // {number} - spacing between the rows of the content
+        cornerRadius: 6,            // {number} - corner radius of the body
+        readoutWidth: 100,          // {number} - width of the elapsed time readout
+        readoutHeight: 24,          // {number} - height of the elapsed time readout
+        decimalPlaces: 2,           // {number} - the number of decimal places of the displayed times
+        displayedLaps: 3,           // {number} - the number of most recent laps whose splits are displayed
+        bodyCursor: 'scenery-drag', // {string} - cursor of the body of the StopwatchNode, which is dragged
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      super();
+
+      //----------------------------------------------------------------------------------------
+
+      // Formats a time, in seconds, with the decimal places and the locale of the simulation.
+      const formatTime = time => RotationalMotionStrings.formatNumber( time, options.decimalPlaces );
+
+      // The readout of the elapsed time, which is a Text centered in a Rectangle.
+      const readoutBackground = new Rectangle( options.readoutWidth, options.readoutHeight, {
+        fill: 'white',
+        stroke: 'black',
+        strokeWidth: 0.7,
+        cornerRadius: 3
+      } );
+      const readoutText = new Text( '', RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+      const readout = new Node( { children: [ readoutBackground, readoutText ] } );
+
+      // The buttons of the Stopwatch. The Start button is also the Stop button while the Stopwatch is running.
+      const startStopButton = createButton(
+        Math.max( labelWidth( RotationalMotionStrings.start ), labelWidth( RotationalMotionStrings.stop ) ),
+        () => { stopwatch.isRunningProperty.value ? stopwatch.stop() : stopwatch.start(); }
+      );
+      const lapButton = createButton( labelWidth( RotationalMotionStrings.lap ), () => {
+        stopwatch.isRunningProperty.value && stopwatch.lap();
+      } );
+      const resetButton = createButton( labelWidth( RotationalMotionStrings.reset ), () => { stopwatch.reset(); } );
+      lapButton.label.text = RotationalMotionStrings.lap;
+      resetButton.label.text = RotationalMotionStrings.reset;
+
+      const buttons = FlexBox.horizontal( {
+        spacing: options.spacing,
+        children: RotationalMotionStrings.orderHorizontally( [ startStopButton, lapButton, resetButton ] )
+      } );
+
+      // The splits of the most recent laps, one Text per row. The rows are positioned on an invisible Rectangle of a
+      // fixed size so that the size of the StopwatchNode doesn't change when laps are recorded.
+      const lapTexts = [];
+      const lapRowHeight = new Text( 'X', RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS ).height;
+      const laps = new Node( { children: [
+        new Rectangle( buttons.width, lapRowHeight * options.displayedLaps, { fill: 'transparent' } )
+      ] } );
+      for ( let i = 0; i < options.displayedLaps; i++ ) {
+        lapTexts.push( new Text( '', {
+          ...RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS,
+          top: i * lapRowHeight
+        } ) );
+        laps.addChild( lapTexts[ i ] );
+      }
+
+      const content = FlexBox.vertical( {
+        spacing: options.spacing,
+        children: [ readout, buttons, laps ]
+      } );
+
+      // The body of the StopwatchNode, which is dragged.
+      const body = new Rectangle( content.width + 2 * options.margin, content.height + 2 * options.margin, {
+        cornerRadius: options.cornerRadius,
+        cursor: options.bodyCursor
+      } );
+      RotationalMotionColors.linkColors( body, {
+        fill: RotationalMotionColors.PANEL_FILL,
+        stroke: RotationalMotionColors.PANEL_STROKE
+      } );
+      content.center = body.center;
+
+      this.children = [ body, content ];
+
+      //----------------------------------------------------------------------------------------
+
+      // Observe when the elapsed time changes and update the readout. Link is never disposed since StopwatchNodes are
+      // never disposed.
+      stopwatch.elapsedTimeProperty.link( elapsedTime => {
+        readoutText.text = RotationalMotionStrings.fillIn( RotationalMotionStrings.stopwatchTimePattern, {
+          time: formatTime( elapsedTime )
+        } );
+        readoutText.center = readoutBackground.center;
+      } );
+
+      // Observe when the Stopwatch starts or stops and update the label of the Start/Stop button and the Lap button,
+      // which only records laps while running. Link is never disposed since StopwatchNodes are never disposed.
+      stopwatch.isRunningProperty.link( isRunning => {
+        startStopButton.label.text = isRunning ? RotationalMotionStrings.stop : RotationalMotionStrings.start;
+        startStopButton.label.center = startStopButton.background.center;
+        lapButton.opacity = isRunning ? 1 : DISABLED_OPACITY;
+      } );
+
+      // Observe when laps are recorded and display the splits of the most recent laps, numbered from the first lap.
+      // Link is never disposed since StopwatchNodes are never disposed.
+      stopwatch.lapTimesProperty.link( lapTimes => {
+        const splits = stopwatch.getLapSplits();
+        const firstDisplayedLap = Math.max( lapTimes.length - options.displayedLaps, 0 );
+
+        lapTexts.forEach( ( lapText, index ) => {
+          const lap = firstDisplayedLap + index;
+          lapText.text = lap >= splits.length ? '' : RotationalMotionStrings.fillIn(
+            RotationalMotionStrings.lapSplitPattern,
+            { number: lap + 1, time: formatTime( splits[ lap ] ) }
+          );
+          if ( RotationalMotionStrings.isRTL ) lapText.right = laps.width;
+          else lapText.left = 0;
+        } );
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      // Apply any additional bounds mutators, which position the StopwatchNode when it is taken out of the Toolbox.
+      this.mutate( options );
+
+      // @private {Vector} - the top-left of the StopwatchNode when it is taken out of the Toolbox.
+      this._initialTopLeft = this.topLeft.copy();
+
+      // The top-left of the StopwatchNode is kept within these bounds while dragging, so the entire StopwatchNode stays
+      // within the drag bounds.
+      const topLeftBounds = new Bounds( dragBounds.minX,
+        dragBounds.minY,
+        Math.max( dragBounds.maxX - this.width, dragBounds.minX ),
+        Math.max( dragBounds.maxY - this.height, dragBounds.minY ) );
+
+      // Observe when the Stopwatch is taken out of or put back in the Toolbox and update the visibility. It is taken
+      // out at its initial position. Link is never disposed since StopwatchNodes are never disposed.
+      visibleProperty.link( visible => {
+        this.visible = visible;
+        if ( visible ) this.topLeft = this._initialTopLeft;
+      } );
+
+      // Create a Drag listener to allow the body to be dragged. Never disposed as StopwatchNodes are never disposed.
+      let dragStartTopLeft;
+      new DragListener( body, {
+        start: () => {
+          dragStartTopLeft = this.topLeft.copy();
+        },
+        drag: displacement => {
+          this.topLeft = topLeftBounds.closestPointTo( dragStartTopLeft.copy().add( displacement ) );
+        }
+      } );
+    }
+  }
+
+  //----------------------------------------------------------------------------------------
+  // Helpers
+  //----------------------------------------------------------------------------------------
+
+  const BUTTON_X_MARGIN = 12; // the x-margin between the background of the buttons and their labels
+  const BUTTON_HEIGHT = 22;   // the height of the buttons
+  const DISABLED_OPACITY = 0.45; // the opacity of the Lap button while it can't record laps
+
+  /**
+   * Gets the width of a button label, in view coordinates.
+   *
+   * @param {string} label
+   * @returns {number}
+   */
+  function labelWidth( label ) {
+    return new Text( label, RotationalMotionConstants.PANEL_TEXT_OPTIONS ).width;
+  }
+
+  /**
+   * Creates a button of the StopwatchNode, which calls a listener when it is pressed. Its label is set later, which is
+   * centered on the background.
+   *
+   * @param {number} width - the width of the label of the button
+   * @param {function} listener - called when the button is pressed
+   * @returns {Button} - with label and background fields, for updating the label
+   */
+  function createButton( width, listener ) {
+    const label = new Text( '', RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+    const background = new Rectangle( width + 2 * BUTTON_X_MARGIN, BUTTON_HEIGHT, {
+      cornerRadius: 3,
+      stroke: '#999999',
+      strokeWidth: 1
+    } );
+    const button = new Button( background, label );
+    Button.apply3DGradients( button, '#DDDDDD' );
+
+    // Listen to when the Button is pressed and call the listener. The listener is never unlinked since StopwatchNodes
+    // are never disposed.
+    button.interactionStateProperty.link( interactionState => {
+      if ( interactionState === Button.interactionStates.PRESSED ) listener();
+    } );
+
+    button.label = label;
+    button.background = background;
+    return button;
+  }
+
+  return StopwatchNode;
+} );
@@ -0,0 +1,68 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * View for the radio button group next to the TimeControlBox of each screen that allows the user to select the speed
+ * that time passes in the simulation, for instance to show fast rotations in slow motion.
+ *
+ * See TimeSpeeds.js for more documentation on time speeds.
+ *
+ * TimeSpeedsRadioButtonGroup is never disposed and exists for the entire simulation.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RadioButton = require( 'SIM_CORE/scenery/components/buttons/RadioButton' );
+  const RadioButtonGroup = require( 'SIM_CORE/scenery/components/RadioButtonGroup' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const Symbols = require( 'SIM_CORE/util/Symbols' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+  const TimeSpeeds = require( 'ROTATIONAL_MOTION/common/model/TimeSpeeds' );
+
+  class TimeSpeedsRadioButtonGroup extends RadioButtonGroup {
+
+    /**
+     * @param {Property.<Enum.Member.<TimeSpeeds>>} timeSpeedProperty
+     * @param {Object} [options]
+     */
+    constructor( timeSpeedProperty, options ) {
+      assert( timeSpeedProperty instanceof Property, 'invalid timeSpeedProperty' );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        // {number} - spacing between the radio buttons.
+        spacing: 5,
+
+        // {Object} - passed to each RadioButton.
+        radioButtonOptions: { xMargin: 5, yMargin: 4 },
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      //----------------------------------------------------------------------------------------
+
+      // Create a RadioButton that corresponds to each TimeSpeed, labeled with the factor that time is scaled by.
+      const radioButtons = [];
+
+      TimeSpeeds.MEMBERS.forEach( timeSpeed => {
+        const label = new Text( `${ RotationalMotionConstants.TIME_SCALES[ timeSpeed.name ] }${ Symbols.TIMES }`,
+          RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+
+        radioButtons.push( new RadioButton( timeSpeed, label, options.radioButtonOptions ) );
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      super( 'horizontal', timeSpeedProperty, radioButtons, options );
+    }
+  }
+
+  return TimeSpeedsRadioButtonGroup;
+} );
@@ -23,6 +23,7 @@ define( require => {
   const Node = require( 'SIM_CORE/scenery/Node' );
   const Panel = require( 'SIM_CORE/scenery/components/Panel' );
   const Property = require( 'SIM_CORE/util/Property' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
 
   class TogglePanel extends Panel {
 
@@ -75,7 +76,7 @@ define( require => {
 
       // Create the content that is passed to the super class
       const content = FlexBox.horizontal( {
-        children: [ expandCollapseButton, openCloseContent ],
+        children: RotationalMotionStrings.orderHorizontally( [ expandCollapseButton, openCloseContent ] ),
         spacing: options.contentLeftMargin
       } );
       super( content, options );
@@ -0,0 +1,85 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Toolbox is a FlexBox sub-type that displays the measurement tools of a screen in a single row, placed at the bottom
+ * of the Control Panel of each screen. Each tool has a VisibilityCheckbox labeled with the icon of the tool, which
+ * takes the tool out of the Toolbox (shows it in the play area) or puts it back (hides it). The Toolbox is a single row
+ * so that it fits in the Control Panels, which are nearly as tall as the screen.
+ *
+ * A Toolbox displays:
+ *  - A checkbox to take out the Stopwatch. See StopwatchNode.
+ *  - A checkbox to take out the ruler. See RulerNode.
+ *  - A checkbox to take out the protractor. See ProtractorNode.
+ *
+ * Toolboxes are never disposed and exist for the entire simulation.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const FlexBox = require( 'SIM_CORE/scenery/FlexBox' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RotationalMotionIconFactory = require( 'ROTATIONAL_MOTION/common/view/RotationalMotionIconFactory' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const VisibilityCheckbox = require( 'ROTATIONAL_MOTION/common/view/VisibilityCheckbox' );
+
+  class Toolbox extends FlexBox {
+
+    /**
+     * @param {Property.<boolean>} stopwatchVisibleProperty - indicates if the Stopwatch is out of the Toolbox
+     * @param {Property.<boolean>} rulerVisibleProperty - indicates if the ruler is out of the Toolbox
+     * @param {Property.<boolean>} protractorVisibleProperty - indicates if the protractor is out of the Toolbox
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior. See the code where
+     *                             the options are set in the early portion of the constructor for details.
+     */
+    constructor( stopwatchVisibleProperty, rulerVisibleProperty, protractorVisibleProperty, options ) {
+      assert( stopwatchVisibleProperty instanceof Property, 'invalid stopwatchVisibleProperty' );
+      assert( rulerVisibleProperty instanceof Property, 'invalid rulerVisibleProperty' );
+      assert( protractorVisibleProperty instanceof Property, 'invalid protractorVisibleProperty' );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        // {number} - spacing between each checkbox.
+        spacing: 12,
+
+        // {string} - the checkboxes are vertically centered.
+        align: 'center',
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      //----------------------------------------------------------------------------------------
+
+      // Stopwatch checkbox
+      const stopwatchCheckbox = new VisibilityCheckbox( stopwatchVisibleProperty,
+        RotationalMotionIconFactory.createStopwatchIcon()
+      );
+
+      // Ruler checkbox
+      const rulerCheckbox = new VisibilityCheckbox( rulerVisibleProperty,
+        RotationalMotionIconFactory.createRulerIcon()
+      );
+
+      // Protractor checkbox
+      const protractorCheckbox = new VisibilityCheckbox( protractorVisibleProperty,
+        RotationalMotionIconFactory.createProtractorIcon()
+      );
+
+      options.children = RotationalMotionStrings.orderHorizontally( [
+        stopwatchCheckbox,
+        rulerCheckbox,
+        protractorCheckbox
+      ] );
+
+      super( 'horizontal', options );
+    }
+  }
+
+  return Toolbox;
+} );
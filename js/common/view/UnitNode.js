@@ -8,6 +8,7 @@
  *   - Text units (like 'm'),
  *   - Text Fractions (like 'm/s')
  *   - Rich Text Fractions (like 'm/s^2')
+ *   - Angular units of angle, angular velocity, and angular acceleration (like 'rad/sec'), for an AngularUnits member
  *
  * @author Brandon Li <brandon.li820@gmail.com>
  */
@@ -16,6 +17,7 @@ define( require => {
   'use strict';
 
   // modules
+  const AngularUnits = require( 'ROTATIONAL_MOTION/common/model/AngularUnits' );
   const assert = require( 'SIM_CORE/util/assert' );
   const FractionNode = require( 'ROTATIONAL_MOTION/common/view/FractionNode' );
   const Node = require( 'SIM_CORE/scenery/Node' );
@@ -69,6 +71,42 @@ define( require => {
         new RichText( denominator, { textOptions: TEXT_OPTIONS, ingoreNonInlineBounds: true } )
       ) );
     }
+
+    /**
+     * Creates a text unit of angle for an angular unit, like 'rad'.
+     * @public
+     *
+     * @param {Enum.Member.<AngularUnits>} angularUnit
+     */
+    static angle( angularUnit ) {
+      return UnitNode.text( AngularUnits.getAngleSymbol( angularUnit ) );
+    }
+
+    /**
+     * Creates a fraction unit of angular velocity for an angular unit, like 'rad/sec'.
+     * @public
+     *
+     * @param {Enum.Member.<AngularUnits>} angularUnit
+     */
+    static angularVelocity( angularUnit ) {
+      return UnitNode.fraction( AngularUnits.getAngleSymbol( angularUnit ), AngularUnits.getTimeSymbol( angularUnit ) );
+    }
+
+    /**
+     * Creates a rich text fraction unit of angular acceleration for an angular unit, like 'rad/sec^2', or like
+     * 'rev/min/sec' if the unit of time isn't seconds.
+     * @public
+     *
+     * @param {Enum.Member.<AngularUnits>} angularUnit
+     */
+    static angularAcceleration( angularUnit ) {
+      const angleSymbol = AngularUnits.getAngleSymbol( angularUnit );
+      const timeSymbol = AngularUnits.getTimeSymbol( angularUnit );
+
+      return AngularUnits.isPerSecond( angularUnit ) ?
+             UnitNode.richFraction( angleSymbol, `${ timeSymbol }<sup>2</sup>` ) :
+             UnitNode.richFraction( `${ angleSymbol }/${ timeSymbol }`, 'sec' );
+    }
   }
 
   return UnitNode;
@@ -8,7 +8,9 @@
  *
  *  □ label icon
  *
- * The Label can be any Node (not just limited to Text), and they can be labeled with icons.
+ * The Label can be any Node (not just limited to Text), and they can be labeled with icons. For locales that are
+ * written from right to left, the VisibilityCheckbox is mirrored, so that the Checkbox is on the right side (see
+ * RotationalMotionStrings.orderHorizontally()).
  * See sim-core/scenery/components/buttons/Checkbox for background on Checkboxes.
  *
  * @author Brandon Li <brandon.li820@gmail.com>
@@ -22,6 +24,7 @@ define( require => {
   const Checkbox = require( 'SIM_CORE/scenery/components/buttons/Checkbox' );
   const FlexBox = require( 'SIM_CORE/scenery/FlexBox' );
   const Node = require( 'SIM_CORE/scenery/Node' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
 
   class VisibilityCheckbox extends FlexBox {
 
@@ -60,7 +63,7 @@ define( require => {
       if ( label ) children.push( label );
       if ( icon ) children.push( icon );
 
-      options.children = children;
+      options.children = RotationalMotionStrings.orderHorizontally( children );
 
       super( 'horizontal', options );
     }
@@ -0,0 +1,79 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * ZoomButton is a small rectangular Button that displays a plus sign (zoom in) or a minus sign (zoom out).
+ *
+ * ZoomButtons are not meant to be disposed.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Button = require( 'SIM_CORE/scenery/components/buttons/Button' );
+  const Rectangle = require( 'SIM_CORE/scenery/Rectangle' );
+  const Symbols = require( 'SIM_CORE/util/Symbols' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+
+  class ZoomButton extends Button {
+
+    /**
+     * @param {boolean} isZoomIn - true for a zoom in (plus sign) button, false for a zoom out (minus sign) button.
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior. See the code
+     *                             where the options are set in the early portion of the constructor for details.
+     */
+    constructor( isZoomIn, options ) {
+      assert( typeof isZoomIn === 'boolean', `invalid isZoomIn: ${ isZoomIn }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        listener: null,           // {function|null} - called when the ZoomButton is pressed.
+        baseColor: '#DDDDDD',     // {string} - the base color of the button.
+        size: 20,                 // {number} - the width and height of the ZoomButton
+        cornerRadius: 3,          // {number} - the corner radius of the ZoomButton
+        buttonStroke: '#999999',  // {string|Gradient} - the stroke of the border of the ZoomButton
+        buttonStrokeWidth: 1,     // {number} - the stroke-width of the border of the ZoomButton
+
+        // Rewrite options so that it overrides the defaults.
+        ...options
+      };
+      assert( !options.listener || typeof options.listener === 'function', `invalid listener: ${ options.listener }` );
+
+      //----------------------------------------------------------------------------------------
+
+      // Create the content, which is just the Text.
+      const content = new Text( isZoomIn ? Symbols.PLUS : Symbols.MINUS, {
+        fontSize: 16,
+        fontWeight: 'bold'
+      } );
+
+      // Create the background, which is just a rounded square
+      const background = new Rectangle( options.size, options.size, {
+        cornerRadius: options.cornerRadius,
+        stroke: options.buttonStroke,
+        strokeWidth: options.buttonStrokeWidth
+      } );
+
+      super( background, content, options );
+
+      //----------------------------------------------------------------------------------------
+
+      // Apply the 3D Gradient strategy to allow the ZoomButton to look 3D
+      Button.apply3DGradients( this, options.baseColor );
+
+      // Listen to when the Button is pressed and call the listener. The listener is never unlinked since ZoomButtons
+      // are never disposed.
+      this.interactionStateProperty.link( interactionState => {
+        if ( interactionState === Button.interactionStates.PRESSED ) {
+          options.listener && options.listener();
+        }
+      } );
+    }
+  }
+
+  return ZoomButton;
+} );
@@ -14,6 +14,7 @@ define( require => {
   const IntroScreenView = require( 'ROTATIONAL_MOTION/intro/view/IntroScreenView' );
   const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
   const RotationalMotionIconFactory = require( 'ROTATIONAL_MOTION/common/view/RotationalMotionIconFactory' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
   const Screen = require( 'SIM_CORE/Screen' );
 
   class IntroScreen extends Screen {
@@ -21,13 +22,28 @@ define( require => {
     constructor() {
 
       super( {
-        name: 'Intro',
-        background: RotationalMotionColors.SCREEN_BACKGROUND,
+        name: RotationalMotionStrings.intro,
+        background: RotationalMotionColors.SCREEN_BACKGROUND.value,
         icon: RotationalMotionIconFactory.createIntroScreenIcon(),
         model: IntroModel,
         view: IntroScreenView
       } );
 
+      // Recolor the background when the color profile changes. Link is never disposed since Screens are never disposed.
+      RotationalMotionColors.SCREEN_BACKGROUND.lazyLink( background => { this.addStyles( { background } ); } );
+    }
+
+    /**
+     * @override
+     * Also renders the DescriptionLiveRegion of the IntroScreenView. It is HTML, so it is rendered in the Screen next
+     * to the IntroScreenView (which is SVG) and is hidden with the Screen when another Screen is selected.
+     * @public
+     *
+     * @param {Display} display
+     */
+    start( display ) {
+      super.start( display );
+      this.addChild( this.view.descriptionLiveRegion );
     }
   }
 
@@ -3,6 +3,10 @@
 /**
  * Enumeration of the different 'types' of circular motion in the 'Intro' screen.
  *
+ * Each member is defined by whether or not its circular motion is uniform, which means that its angular velocity
+ * (omega) is constant and its angular acceleration (alpha) is always 0. Since Enum members are frozen, the definitions
+ * are referenced with the isUniform() method of the Enum.
+ *
  * @author Brandon Li
  */
 
@@ -10,18 +14,54 @@ define( require => {
   'use strict';
 
   // modules
+  const assert = require( 'SIM_CORE/util/assert' );
   const Enum = require( 'SIM_CORE/util/Enum' );
 
-  const CircularMotionTypes = new Enum( [
+  // Definitions of each circular motion type, where:
+  //   isUniform {boolean} - indicates if the angular velocity is constant and the angular acceleration is always 0.
+  const DEFINITIONS = {
 
     // The first 'scene' of the 'Intro' screen, where the angular acceleration (alpha) is always 0 and the user can
     // change the angular speed (omega) and radius of the circular motion.
-    'UNIFORM',
+    UNIFORM: {
+      isUniform: true
+    },
 
     // The second 'scene' of the 'Intro' screen, where the user can change the angular acceleration (alpha) of
     // the circular motion.
-    'NON_UNIFORM'
-  ] );
+    NON_UNIFORM: {
+      isUniform: false
+    },
+
+    // The third 'scene' of the 'Intro' screen, where the circular motion is in a vertical plane with gravity and the
+    // user can change the speed that the Ball is launched at from the bottom of the circle.
+    VERTICAL: {
+      isUniform: false
+    },
+
+    // The fourth 'scene' of the 'Intro' screen, where the Ball is a conical pendulum and the user can change the string
+    // length and the cone angle, which set the radius and the angular velocity (omega) of the circular motion.
+    CONICAL: {
+      isUniform: true
+    }
+  };
+
+  class CircularMotionTypesEnum extends Enum {
+
+    /**
+     * Gets whether or not the circular motion of a circular motion type is uniform.
+     * @public
+     *
+     * @param {Enum.Member.<CircularMotionTypes>} circularMotionType
+     * @returns {boolean}
+     */
+    isUniform( circularMotionType ) {
+      assert( this.includes( circularMotionType ), `invalid circularMotionType: ${ circularMotionType }` );
+      return DEFINITIONS[ circularMotionType.name ].isUniform;
+    }
+  }
+
+  const CircularMotionTypes = new CircularMotionTypesEnum( Object.keys( DEFINITIONS ) );
 
   return CircularMotionTypes;
-} );
\ No newline at end of file
+} );
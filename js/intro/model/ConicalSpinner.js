@@ -0,0 +1,299 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * ConicalSpinner is a Spinner sub-type that conforms to the conical pendulum circular motion type.
+ *
+ * A conical pendulum is a Ball that hangs from a pivot on a string and moves in a horizontal circle below the pivot,
+ * so that the string sweeps out a cone. The Spinner is viewed from above, so the circular motion is in the horizontal
+ * plane and gravity is perpendicular to it. See https://en.wikipedia.org/wiki/Conical_pendulum for background.
+ *
+ * Characteristics of a ConicalSpinner are:
+ *    - the string length and the cone angle (the angle of the string from the vertical) are set by the user
+ *    - the radius is set by the string length and the cone angle, r = L * sin( angle )
+ *    - the angular velocity is the angular velocity that is required to keep the cone angle, which is
+ *      omega = sqrt( g / ( L * cos( angle ) ) )
+ *    - the angular acceleration is always 0
+ *    - the Ball falls below the plane of the circular motion once the string is cut, until it reaches the floor
+ *
+ * ConicalSpinners are created at the start of the Sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const CircularMotionTypes = require( 'ROTATIONAL_MOTION/intro/model/CircularMotionTypes' );
+  const Multilink = require( 'SIM_CORE/util/Multilink' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Range = require( 'SIM_CORE/util/Range' );
+  const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
+
+  class ConicalSpinner extends Spinner {
+
+    /**
+     * @param {Object} [options] - key-value pairs that control the spinner's behavior.
+     */
+    constructor( options ) {
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        gravity: 9.8,                               // {number} - the gravity, in m/s^2
+        stringLengthRange: new Range( 0.5, 1 ),     // {Range} - the range of the string length, in meters
+        initialStringLength: 0.75,                  // {number} - the starting string length, in meters
+        initialConeAngle: Math.PI / 4,              // {number} - the starting cone angle, in radians
+        tensionLimit: 20,                           // {number} - the tension that breaks the string, in Newtons
+        floorDepth: 1.05,                           // {number} - the depth of the floor below the pivot, in meters
+
+        // {Range} - the range of the cone angle, which is the angle of the string from the vertical, in radians
+        coneAngleRange: new Range( Math.PI / 8, Math.PI * 3 / 8 ),
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      // The Spinner is viewed from above, so there is no gravity in the plane of the circular motion.
+      const gravity = options.gravity;
+      options.gravity = 0;
+
+      // The radius is set by the string length and the cone angle, so its range is the range of the possible radii.
+      options.initialRadius = ConicalSpinner.getRadius( options.initialStringLength, options.initialConeAngle );
+      options.radiusRange = new Range(
+        ConicalSpinner.getRadius( options.stringLengthRange.min, options.coneAngleRange.min ),
+        ConicalSpinner.getRadius( options.stringLengthRange.max, options.coneAngleRange.max )
+      );
+      assert( options.floorDepth > options.stringLengthRange.max, `invalid floorDepth: ${ options.floorDepth }` );
+
+      super( CircularMotionTypes.CONICAL,
+             ConicalSpinner.getAngularVelocity( options.initialStringLength, options.initialConeAngle, gravity ),
+             0,
+             options );
+
+      //----------------------------------------------------------------------------------------
+
+      // @public (read-only) {number} - the gravity, in m/s^2, which is perpendicular to the plane of the motion.
+      this.gravity = gravity;
+
+      // @public (read-only) {number} - the depth of the floor below the pivot, in meters. The Ball leaves the play area
+      //                                once it falls to the floor.
+      this.floorDepth = options.floorDepth;
+
+      // @public {Range} (read-only) - the range of the string length, in meters
+      this.stringLengthRange = options.stringLengthRange;
+
+      // @public {Range} (read-only) - the range of the cone angle, in radians
+      this.coneAngleRange = options.coneAngleRange;
+
+      // @public (read-only) - Property of the length of the string of the pendulum, in meters. Set by the user.
+      this.stringLengthProperty = new Property( options.initialStringLength, {
+        type: 'number',
+        isValidValue: value => this.stringLengthRange.contains( value )
+      } );
+
+      // @public (read-only) - Property of the angle of the string from the vertical, in radians. Set by the user.
+      this.coneAngleProperty = new Property( options.initialConeAngle, {
+        type: 'number',
+        isValidValue: value => this.coneAngleRange.contains( value )
+      } );
+
+      // @public (read-only) - Property of the height of the Ball relative to the pivot of the pendulum, in meters. The
+      //                       Ball hangs below the pivot, so the height is negative.
+      this.ballHeightProperty = new Property( -this.getHangingDepth(), { type: 'number' } );
+
+      // @public (read-only) - Property of the vertical velocity of the Ball, in meters per second, which is only
+      //                       non-zero once the string is cut and the Ball falls.
+      this.ballVerticalVelocityProperty = new Property( 0, { type: 'number' } );
+
+      //----------------------------------------------------------------------------------------
+
+      // Observe when the string length or the cone angle changes and update the radius and the angular velocity of the
+      // circular motion. Doesn't need to be disposed because the ConicalSpinner is never disposed.
+      Multilink.lazy( [ this.stringLengthProperty, this.coneAngleProperty ], ( stringLength, coneAngle ) => {
+        this.radius = ConicalSpinner.getRadius( stringLength, coneAngle );
+        this.angularVelocity = ConicalSpinner.getAngularVelocity( stringLength, coneAngle, this.gravity );
+      } );
+
+      // Observe when the string length, the cone angle, or the string is put back and hang the Ball back on the string.
+      // Doesn't need to be disposed because the ConicalSpinner is never disposed.
+      Multilink.lazy( [ this.stringLengthProperty, this.coneAngleProperty, this.isStringCutProperty ], () => {
+        if ( !this.isStringCut && !this._isSettingState ) this._hangBall();
+      } );
+    }
+
+    /**
+     * Resets the ConicalSpinner and its properties to what it was when initialized.
+     * @public
+     * @override
+     */
+    reset() {
+      this.stringLengthProperty.reset();
+      this.coneAngleProperty.reset();
+      super.reset();
+      this._hangBall();
+    }
+
+    /**
+     * @override
+     * Only rotates the Spinner to the dragged position, since the radius is set by the string length and cone angle.
+     * @public
+     *
+     * @param {Vector} position - the position of the Center of the Ball to drag to
+     */
+    dragBallTo( position ) {
+      if ( this.isStringCut ) return; // the Ball can't be dragged once it has left circular motion.
+
+      // Correct the angle such that it outputs angles from [0, 2PI)
+      this._dragBallToAngle( position.angle > 0 ? position.angle : Math.PI * 2 + position.angle );
+    }
+
+    /**
+     * @override
+     * Steps the motion of the Ball once the string is cut. The Ball moves in a straight line when viewed from above,
+     * but it also falls, which changes its height.
+     * @protected
+     *
+     * @param {number} dt - time in seconds
+     */
+    _stepFreeMotion( dt ) {
+      // Calculated with the equations of kinematics: deltaY = v * t - 1/2 * g * t^2 and deltaV = -g * t. The height is
+      // updated first, so that the Ball's height is current when observers of its center position are notified.
+      this.ballHeightProperty.value += this.ballVerticalVelocityProperty.value * dt - 0.5 * this.gravity * dt * dt;
+      this.ballVerticalVelocityProperty.value -= this.gravity * dt;
+
+      super._stepFreeMotion( dt );
+    }
+
+    /**
+     * @override
+     * Gets the current state of the ConicalSpinner, which also includes the string length, the cone angle, and the
+     * vertical motion of the Ball.
+     * @public
+     *
+     * @returns {Object} - See Spinner.getState() for the form, with stringLength, coneAngle, ballHeight, and
+     *                     ballVerticalVelocity.
+     */
+    getState() {
+      return {
+        ...super.getState(),
+        stringLength: this.stringLengthProperty.value,
+        coneAngle: this.coneAngleProperty.value,
+        ballHeight: this.ballHeightProperty.value,
+        ballVerticalVelocity: this.ballVerticalVelocityProperty.value
+      };
+    }
+
+    /**
+     * @override
+     * Sets the state of the ConicalSpinner.
+     * @public
+     *
+     * @param {Object} state - See getState() for the form of the state.
+     */
+    setState( state ) {
+      this.stringLengthProperty.value = state.stringLength;
+      this.coneAngleProperty.value = state.coneAngle;
+      super.setState( state );
+      this.ballHeightProperty.value = state.ballHeight;
+      this.ballVerticalVelocityProperty.value = state.ballVerticalVelocity;
+    }
+
+    /**
+     * @override
+     * Gets the entries of the StateSchema of the ConicalSpinner. Like setState(), the string length and the cone angle
+     * are restored first, since changing them sets the radius and the angular velocity, which the rest of the state
+     * then overrides.
+     * @protected
+     *
+     * @returns {Object} - see StateSchema
+     */
+    _getStateSchemaEntries() {
+      return {
+        stringLength: StateSchema.number( this.stringLengthProperty, { range: this.stringLengthRange } ),
+        coneAngle: StateSchema.number( this.coneAngleProperty, { range: this.coneAngleRange } ),
+        ...super._getStateSchemaEntries(),
+        ballHeight: StateSchema.number( this.ballHeightProperty ),
+        ballVerticalVelocity: StateSchema.number( this.ballVerticalVelocityProperty )
+      };
+    }
+
+    /**
+     * @override
+     * Gets the magnitude of the tension of the string on the Ball, in Newtons. The tension vector of the Ball is only
+     * its horizontal component, since the Spinner is viewed from above, so the vertical component, which balances
+     * gravity, is added here. Calculated as T = sqrt( Tx^2 + ( m * g )^2 ).
+     * @public
+     *
+     * @returns {number} - in Newtons
+     */
+    getTension() {
+      if ( this.isStringCut ) return 0;
+      return Math.hypot( super.getTension(), this.ball.mass * this.gravity );
+    }
+
+    /**
+     * @override
+     * Gets whether or not the center of the Ball is inside of the play bounds, which also requires that the Ball hasn't
+     * fallen to the floor.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    get isBallInPlayBounds() {
+      const ballBottom = this.ballHeightProperty.value - this.ball.radiusProperty.value;
+      return super.isBallInPlayBounds && ballBottom > -this.floorDepth;
+    }
+
+    /**
+     * Gets the vertical distance from the pivot down to the plane of the circular motion, in meters. Calculated as
+     * h = L * cos( angle ).
+     * @public
+     *
+     * @returns {number} - in meters
+     */
+    getHangingDepth() {
+      return this.stringLengthProperty.value * Math.cos( this.coneAngleProperty.value );
+    }
+
+    /**
+     * Hangs the Ball back on the string, in the plane of the circular motion.
+     * @private
+     */
+    _hangBall() {
+      this.ballHeightProperty.value = -this.getHangingDepth();
+      this.ballVerticalVelocityProperty.value = 0;
+    }
+
+    /**
+     * Gets the radius of the circular motion of a conical pendulum, in meters. Calculated as r = L * sin( angle ).
+     * @public
+     *
+     * @param {number} stringLength - in meters
+     * @param {number} coneAngle - the angle of the string from the vertical, in radians
+     * @returns {number} - in meters
+     */
+    static getRadius( stringLength, coneAngle ) {
+      return stringLength * Math.sin( coneAngle );
+    }
+
+    /**
+     * Gets the angular velocity that a conical pendulum needs to keep its cone angle, in rad / sec. The horizontal
+     * component of the tension provides the centripetal force and its vertical component balances gravity, so
+     * tan( angle ) = omega^2 * r / g, which simplifies to omega = sqrt( g / ( L * cos( angle ) ) ).
+     * @public
+     *
+     * @param {number} stringLength - in meters
+     * @param {number} coneAngle - the angle of the string from the vertical, in radians
+     * @param {number} gravity - in m/s^2
+     * @returns {number} - in rad / sec
+     */
+    static getAngularVelocity( stringLength, coneAngle, gravity ) {
+      return Math.sqrt( gravity / ( stringLength * Math.cos( coneAngle ) ) );
+    }
+  }
+
+  return ConicalSpinner;
+} );
@@ -2,13 +2,22 @@
 
 /**
  * IntroBall is the Ball model specialization for a Ball in the 'intro' screen. IntroBalls are used inside of a
- * Spinner to simulate circular motion. They work for both types of circular motion. See Spinner.js for more doc.
+ * Spinner to simulate circular motion. They work for every type of circular motion. See Spinner.js for more doc.
  *
  * Extends Ball but adds the following functionality:
  *   - Velocity (Vector) Derived Property to track the tangential velocity vector of the center of mass.
  *   - Linear Acceleration(Vector)  Derived Property to track the tangential acceleration vector of the center of mass.
  *   - Total Acceleration (Vector) Derived Property to track the total acceleration vector of the center of mass.
  *   - A centripetal acceleration (scalar) Derived Property
+ *   - A mass Property, set by the user
+ *   - String Tension, Tangential Force, and Net Force (Vector) Derived Properties to track the forces on the Ball.
+ *     When the Spinner is viewed from above, the tension is the force of the string that pulls the Ball towards the
+ *     center (the centripetal force), and the tangential force is the force that speeds up or slows down the Ball.
+ *     When there is gravity in the plane of the circular motion, gravity provides part of the centripetal force and
+ *     all of the tangential force.
+ *
+ * Once the string of the Spinner is cut, the Ball leaves circular motion and moves freely at its free velocity, which
+ * is set by the Spinner. Its only acceleration is then gravity, so its tension and tangential force are zero.
  *
  * IntroBalls are created at the start of the sim and are never disposed, so no dispose method is necessary.
  *
@@ -23,6 +32,7 @@ define( require => {
   const Ball = require( 'ROTATIONAL_MOTION/common/model/Ball' );
   const DerivedProperty = require( 'SIM_CORE/util/DerivedProperty' );
   const Property = require( 'SIM_CORE/util/Property' );
+  const Range = require( 'SIM_CORE/util/Range' );
   const Vector = require( 'SIM_CORE/util/Vector' );
 
   class IntroBall extends Ball {
@@ -34,6 +44,8 @@ define( require => {
      * @param {Property.<number>} angularAccelerationProperty - the angular acceleration of the circular motion.
      * @param {Property.<number>} circularMotionRadiusProperty - the radius of the circular motion.
      * @param {Property.<number>} circularMotionAngleProperty - the angle of the circular motion.
+     * @param {Property.<boolean>} isStringCutProperty - indicates if the Ball has left circular motion.
+     * @param {Object} [options] - key-value pairs that control the Ball's behavior.
      */
     constructor(
       initialCenterPosition,
@@ -41,24 +53,61 @@ define( require => {
       angularVelocityProperty,
       angularAccelerationProperty,
       circularMotionRadiusProperty,
-      circularMotionAngleProperty
+      circularMotionAngleProperty,
+      isStringCutProperty,
+      options
     ) {
       assert( angularVelocityProperty instanceof Property, 'invalid angularVelocityProperty' );
       assert( angularAccelerationProperty instanceof Property, 'invalid angularAccelerationProperty' );
       assert( circularMotionRadiusProperty instanceof Property, 'invalid circularMotionRadiusProperty' );
       assert( circularMotionAngleProperty instanceof Property, 'invalid circularMotionAngleProperty' );
+      assert( isStringCutProperty instanceof Property, 'invalid isStringCutProperty' );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        initialMass: 1,                   // {number} - the initial mass of the Ball, in kilograms
+        massRange: new Range( 0.5, 2 ),   // {Range} - the range of the mass of the Ball, in kilograms
+        gravity: 0,                       // {number} - the gravity in the plane of the motion (-y direction), in m/s^2
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
 
       super( initialCenterPosition, ballRadius );
 
       //----------------------------------------------------------------------------------------
 
-      // @public (read-only) - Property of the linear (tangential) velocity vector of the center of mass of the Ball.
-      //                       Lasts for the entire sim and is never disposed.
+      // @public (read-only) {Range} - the range of the mass of the Ball, in kilograms.
+      this.massRange = options.massRange;
+
+      // @public (read-only) {number} - the gravity in the plane of the motion, in m/s^2, which points in the -y
+      //                                direction. Zero when the motion is viewed from above.
+      this.gravity = options.gravity;
+
+      // @public (read-only) - Property of the velocity of the Ball once the string is cut, in meters per second.
+      //                       Only used while the string is cut, and set by the Spinner.
+      this.freeVelocityProperty = new Property( Vector.ZERO, { type: Vector } );
+
+      // @public (read-only) - Property of the mass of the Ball, in kilograms. Set by the user.
+      this.massProperty = new Property( options.initialMass, {
+        type: 'number',
+        isValidValue: value => this.massRange.contains( value )
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      // @public (read-only) - Property of the linear (tangential) velocity vector of the center of mass of the Ball,
+      //                       which is the free velocity once the string is cut. Lasts for the entire sim and is never
+      //                       disposed.
       this.tangentialVelocityVectorProperty = new DerivedProperty( [
         angularVelocityProperty,      // in radians per second
         circularMotionRadiusProperty, // in meters
-        circularMotionAngleProperty   // in radians
-      ], ( angularVelocity, circularMotionRadius, angle ) => {
+        circularMotionAngleProperty,  // in radians
+        isStringCutProperty,
+        this.freeVelocityProperty
+      ], ( angularVelocity, circularMotionRadius, angle, isStringCut, freeVelocity ) => {
+          if ( isStringCut ) return freeVelocity;
 
           // To calculate the velocity (in meters per second), multiply radius * omega.
           // For more details on this calculation, see https://en.wikipedia.org/wiki/Angular_velocity.
@@ -76,8 +125,10 @@ define( require => {
       this.tangentialAccelerationVectorProperty = new DerivedProperty( [
         angularAccelerationProperty,  // in radians per second per second
         circularMotionRadiusProperty, // in meters
-        circularMotionAngleProperty   // in radians
-      ], ( angularAcceleration, circularMotionRadius, angle ) => {
+        circularMotionAngleProperty,  // in radians
+        isStringCutProperty
+      ], ( angularAcceleration, circularMotionRadius, angle, isStringCut ) => {
+          if ( isStringCut ) return Vector.ZERO; // the Ball isn't accelerated once it leaves circular motion.
 
           // To calculate the acceleration (in meters per second per second), multiply radius * alpha.
           // For more details on this calculation, see https://en.wikipedia.org/wiki/Angular_acceleration
@@ -90,7 +141,10 @@ define( require => {
       // @public (read-only) - Property of the centripetal acceleration of the center of mass (as a scalar magnitude).
       //                       Lasts for the entire sim and is never disposed.
       this.centripetalAccelerationProperty = new DerivedProperty( [ this.tangentialVelocityVectorProperty,
-        circularMotionRadiusProperty ], ( tangentialVelocityVector, radius ) => {
+        circularMotionRadiusProperty,
+        isStringCutProperty ], ( tangentialVelocityVector, radius, isStringCut ) => {
+          if ( isStringCut ) return 0; // there is no centripetal force once the Ball leaves circular motion.
+
           // Calculate the centripetal acceleration of the Ball due to the Spinner. See
           // https://en.wikipedia.org/wiki/Centripetal_force for the physics background. Calculated as v^2/r
           return Math.pow( tangentialVelocityVector.magnitude, 2 ) / radius;
@@ -100,7 +154,9 @@ define( require => {
       //                       entire sim and is never disposed.
       this.totalAccelerationVectorProperty = new DerivedProperty( [ this.centripetalAccelerationProperty,
         this.tangentialAccelerationVectorProperty,
-        circularMotionAngleProperty ], ( centripetalAcceleration, tangentialAccelerationVector, angle ) => {
+        circularMotionAngleProperty,
+        isStringCutProperty ], ( centripetalAcceleration, tangentialAccelerationVector, angle, isStringCut ) => {
+          if ( isStringCut ) return new Vector( 0, -this.gravity ); // the Ball is in free fall once it is released.
 
           // Create the centripetal acceleration vector, pointing in the negative direction to make it center seeking.
           const centripetalAccelerationVector = new Vector( centripetalAcceleration, 0 ).rotate( angle + Math.PI );
@@ -108,7 +164,82 @@ define( require => {
           // Add both Vectors together to get the total acceleration.
           return centripetalAccelerationVector.add( tangentialAccelerationVector );
       } );
+
+      //----------------------------------------------------------------------------------------
+
+      // @public (read-only) - Property of the tension force of the string on the Ball, in Newtons. The tension and the
+      //                       component of gravity towards the center provide the centripetal force, so
+      //                       T = m * ( v^2 / r - g * sin( angle ) ), pointing towards the center of the circular
+      //                       motion. Lasts for the entire sim and is never disposed.
+      this.tensionVectorProperty = new DerivedProperty( [ this.massProperty,
+        this.centripetalAccelerationProperty,
+        circularMotionAngleProperty,
+        isStringCutProperty ], ( mass, centripetalAcceleration, angle, isStringCut ) => {
+          if ( isStringCut ) return Vector.ZERO;
+
+          // The string can only pull on the Ball, so the tension is never negative.
+          const tension = Math.max( mass * ( centripetalAcceleration - this.gravity * Math.sin( angle ) ), 0 );
+          return new Vector( tension, 0 ).rotate( angle + Math.PI ); // center seeking
+      } );
+
+      // @public (read-only) - Property of the tangential force on the Ball, in Newtons, which changes the speed of the
+      //                       Ball. Calculated as F = m * a. Lasts for the entire sim and is never disposed.
+      this.tangentialForceVectorProperty = new DerivedProperty( [ this.massProperty,
+        this.tangentialAccelerationVectorProperty ], ( mass, tangentialAccelerationVector ) => {
+          return tangentialAccelerationVector.copy().multiply( mass );
+      } );
+
+      // @public (read-only) - Property of the net force on the Ball, in Newtons, which is the sum of the tension, the
+      //                       tangential force, and the radial component of gravity. Calculated as F = m * a. Lasts
+      //                       for the entire sim and is never disposed.
+      this.netForceVectorProperty = new DerivedProperty( [ this.massProperty,
+        this.totalAccelerationVectorProperty ], ( mass, totalAccelerationVector ) => {
+          return totalAccelerationVector.copy().multiply( mass );
+      } );
     }
+
+    /**
+     * Resets the IntroBall and its Properties.
+     * @public
+     * @override
+     */
+    reset() {
+      this.massProperty.reset();
+      this.freeVelocityProperty.reset();
+      super.reset();
+    }
+
+    /**
+     * Gets the mass of the Ball, in kilograms.
+     * @public
+     *
+     * @returns {number} - in kilograms
+     */
+    get mass() { return this.massProperty.value; }
+
+    /**
+     * Sets the mass of the Ball, in kilograms.
+     * @public
+     *
+     * @param {number} mass - in kilograms
+     */
+    set mass( mass ) { this.massProperty.value = mass; }
+
+    /**
+     * Gets the velocity of the Ball once the string is cut, in meters per second.
+     * @public
+     *
+     * @returns {Vector} - in meters per second
+     */
+    get freeVelocity() { return this.freeVelocityProperty.value; }
+
+    /**
+     * Sets the velocity of the Ball once the string is cut, in meters per second.
+     * @public
+     *
+     * @param {Vector} freeVelocity - in meters per second
+     */
+    set freeVelocity( freeVelocity ) { this.freeVelocityProperty.value = freeVelocity; }
   }
 
   return IntroBall;
@@ -7,6 +7,9 @@
  *   - Keeping track of the circular motion type in a Enum Property. See intro/model/CircularMotionTypes for more
  *     documentation. This keeps track of the current scene of the 'Intro' screen.
  *   - Creating a Spinner for each circular motion type.
+ *   - Creating a SpinnerDataRecorder for each Spinner, which records the Spinner over time for the graphs.
+ *   - Keeping track of the speed that time passes in a Enum Property, which scales the time that Spinners are stepped.
+ *   - Creating a Stopwatch, which is stepped by the sim time that the active Spinner is stepped.
  *
  * IntroModel are created at the start of the sim and are never disposed of, so links are left as is.
  *
@@ -18,39 +21,108 @@ define( require => {
 
   // modules
   const CircularMotionTypes = require( 'ROTATIONAL_MOTION/intro/model/CircularMotionTypes' );
+  const ConicalSpinner = require( 'ROTATIONAL_MOTION/intro/model/ConicalSpinner' );
   const DerivedProperty = require( 'SIM_CORE/util/DerivedProperty' );
   const NonUniformSpinner = require( 'ROTATIONAL_MOTION/intro/model/NonUniformSpinner' );
   const Property = require( 'SIM_CORE/util/Property' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionQueryParameters = require( 'ROTATIONAL_MOTION/common/RotationalMotionQueryParameters' );
+  const SpinnerDataRecorder = require( 'ROTATIONAL_MOTION/intro/model/SpinnerDataRecorder' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
+  const Stopwatch = require( 'ROTATIONAL_MOTION/common/model/Stopwatch' );
+  const TimeSpeeds = require( 'ROTATIONAL_MOTION/common/model/TimeSpeeds' );
   const UniformSpinner = require( 'ROTATIONAL_MOTION/intro/model/UniformSpinner' );
+  const VerticalSpinner = require( 'ROTATIONAL_MOTION/intro/model/VerticalSpinner' );
 
   class IntroModel {
 
     constructor() {
 
       // @public (read-only) {Property.<Enum.Member.<CircularMotionTypes>>- indicates the current circular motion type.
-      this.circularMotionTypeProperty = new Property( CircularMotionTypes.UNIFORM, {
+      this.circularMotionTypeProperty = new Property( RotationalMotionQueryParameters.circularMotionType, {
         validValues: CircularMotionTypes.MEMBERS
       } );
 
-      // @public (read-only) {Spinner[]} - array of the Spinners scenes of the 'Intro' screen
-      this.spinners = [ new UniformSpinner(), new NonUniformSpinner() ];
+      // @public (read-only) {Spinner[]} - array of the Spinners scenes of the 'Intro' screen. The initial conditions
+      //                                   that were provided with query parameters are passed to the Spinners. See
+      //                                   RotationalMotionQueryParameters.
+      this.spinners = [
+        new UniformSpinner( {
+          ...getOption( 'initialRadius', RotationalMotionQueryParameters.radius ),
+          ...getOption( 'initialAngularVelocity', RotationalMotionQueryParameters.angularVelocity )
+        } ),
+        new NonUniformSpinner( {
+          ...getOption( 'initialRadius', RotationalMotionQueryParameters.radius ),
+          ...getOption( 'initialAngularAcceleration', RotationalMotionQueryParameters.angularAcceleration )
+        } ),
+        new VerticalSpinner( getOption( 'initialRadius', RotationalMotionQueryParameters.radius ) ),
+        new ConicalSpinner()
+      ];
+
+      // @public (read-only) {SpinnerDataRecorder[]} - the data recorder of each Spinner, in the same order as spinners
+      this.dataRecorders = this.spinners.map( spinner => new SpinnerDataRecorder( spinner ) );
 
       // @public (read-only) {DerivedProperty.<Spinner>} - indicates the active Spinner scene. Last for the
       //                                                   entire duration of the simulation
       this.activeSpinnerProperty = new DerivedProperty( [ this.circularMotionTypeProperty ], circularMotionType => {
         return this.spinners.find( spinner => spinner.type === circularMotionType );
       } );
+
+      // @public (read-only) {Property.<Enum.Member.<TimeSpeeds>>} - indicates the speed that time passes.
+      this.timeSpeedProperty = new Property( TimeSpeeds.NORMAL, { validValues: TimeSpeeds.MEMBERS } );
+
+      // @public (read-only) {DerivedProperty.<number>} - the factor that the elapsed time is scaled by when playing.
+      this.timeScaleProperty = new DerivedProperty( [ this.timeSpeedProperty ], timeSpeed => {
+        return RotationalMotionConstants.TIME_SCALES[ timeSpeed.name ];
+      } );
+
+      // @public (read-only) {Stopwatch} - the Stopwatch of the screen, which is shared by every Spinner scene.
+      this.stopwatch = new Stopwatch();
     }
 
     /**
      * Moves the intro screen by one time step.
      * @public
      *
-     * @param {number} dt - time in seconds
+     * @param {number} dt - real time in seconds, which is scaled by the time scale.
      */
     step( dt ) {
+      const spinner = this.activeSpinnerProperty.value;
+
       // Only step the active Spinner if it is playing.
-      this.activeSpinnerProperty.value.isPlayingProperty.value && this.activeSpinnerProperty.value.step( dt );
+      spinner.isPlayingProperty.value && this._stepActiveSpinner( () => {
+        spinner.step( dt * this.timeScaleProperty.value );
+      } );
+    }
+
+    /**
+     * Moves the active Spinner back one time step.
+     * @public
+     */
+    stepBackwards() {
+      this._stepActiveSpinner( () => { this.activeSpinnerProperty.value.stepBackwards(); } );
+    }
+
+    /**
+     * Moves the active Spinner forward one time step.
+     * @public
+     */
+    stepForwards() {
+      this._stepActiveSpinner( () => { this.activeSpinnerProperty.value.stepForwards(); } );
+    }
+
+    /**
+     * Steps the active Spinner and then steps the Stopwatch by the sim time that the Spinner was stepped, so that the
+     * Stopwatch runs on the same time as the Spinner.
+     * @private
+     *
+     * @param {function} stepSpinner - steps the active Spinner
+     */
+    _stepActiveSpinner( stepSpinner ) {
+      const spinner = this.activeSpinnerProperty.value;
+      const previousElapsedTime = spinner.elapsedTime;
+      stepSpinner();
+      this.stopwatch.step( spinner.elapsedTime - previousElapsedTime );
     }
 
     /**
@@ -60,8 +132,44 @@ define( require => {
     reset() {
       this.spinners.forEach( spinner => { spinner.reset(); } );
       this.circularMotionTypeProperty.reset();
+      this.timeSpeedProperty.reset();
+      this.stopwatch.reset();
+    }
+
+    /**
+     * Creates the StateSchema of the intro screen, which serializes and restores every Spinner (by the name of its
+     * type) and the Properties of the screen. See StateSchema. The recorded data of the graphs is discarded after a
+     * restore, since it doesn't lead up to the restored state.
+     * @public
+     *
+     * @returns {StateSchema}
+     */
+    createStateSchema() {
+      const spinnerEntries = {};
+      this.spinners.forEach( spinner => { spinnerEntries[ spinner.type.name ] = spinner.createStateSchema(); } );
+
+      return new StateSchema( {
+        spinners: new StateSchema( spinnerEntries ),
+        circularMotionType: StateSchema.enum( this.circularMotionTypeProperty, CircularMotionTypes ),
+        timeSpeed: StateSchema.enum( this.timeSpeedProperty, TimeSpeeds ),
+        stopwatch: this.stopwatch.createStateSchema()
+      }, {
+        endRestore: () => { this.dataRecorders.forEach( dataRecorder => { dataRecorder.clear(); } ); }
+      } );
     }
   }
 
+  /**
+   * Gets the option of a value that was provided with a query parameter, which is empty if the value wasn't provided so
+   * that the default of the option is used.
+   *
+   * @param {string} key - the key of the option
+   * @param {*|null} value - the value of the query parameter, which is null if it wasn't provided.
+   * @returns {Object}
+   */
+  function getOption( key, value ) {
+    return value === null ? {} : { [ key ]: value };
+  }
+
   return IntroModel;
 } );
\ No newline at end of file
@@ -21,6 +21,7 @@ define( require => {
   const CircularMotionTypes = require( 'ROTATIONAL_MOTION/intro/model/CircularMotionTypes' );
   const Range = require( 'SIM_CORE/util/Range' );
   const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
 
   class NonUniformSpinner extends Spinner {
 
@@ -33,7 +34,7 @@ define( require => {
       options = {
 
         // {range} - the range of the angular acceleration
-        angularAccelerationRange: new Range( -Math.PI / 4, Math.PI / 4 ),
+        angularAccelerationRange: NonUniformSpinner.ANGULAR_ACCELERATION_RANGE,
 
         // {number} - the starting angular velocity
         initialAngularVelocity: 0,
@@ -60,7 +61,31 @@ define( require => {
         assert( this.angularAccelerationRange.contains( angularAcceleration ) );
       } );
     }
+
+    /**
+     * @override
+     * Gets the entries of the StateSchema of the NonUniformSpinner, which also validates the angular acceleration
+     * against its range.
+     * @protected
+     *
+     * @returns {Object} - see StateSchema
+     */
+    _getStateSchemaEntries() {
+      return {
+        ...super._getStateSchemaEntries(),
+        angularAcceleration: StateSchema.number( this.angularAccelerationProperty, {
+          range: this.angularAccelerationRange
+        } )
+      };
+    }
   }
 
+  //----------------------------------------------------------------------------------------
+  // Static Constants
+  //----------------------------------------------------------------------------------------
+
+  // @public {Range} - the default range of the angular acceleration, in rad / sec^2.
+  NonUniformSpinner.ANGULAR_ACCELERATION_RANGE = new Range( -Math.PI / 4, Math.PI / 4 );
+
   return NonUniformSpinner;
 } );
\ No newline at end of file
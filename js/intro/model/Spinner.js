@@ -9,16 +9,31 @@
  *    - Keep track of the Angular Velocity (in rad/sec) in a Property
  *    - Keep track of the Angular Acceleration (in rad/sec/sec) in a Property
  *    - Keep track of the Circular Motion radius in a Property
+ *    - Keep track of the elapsed sim time (in sec) in a Property, which only advances when the Spinner is stepped
+ *    - Keep track of the cumulative (unwrapped) angle (in rad) and the number of revolutions in Properties
+ *    - Derive the period (in sec) and the frequency (in Hz) of the circular motion from the Angular Velocity, and time
+ *      each completed revolution of the Ball
+ *    - Keep a history of the state of the Spinner before each step, so that stepping backwards restores exact states.
+ *    - Create the StateSchema of its Properties, so that setups of the Spinner can be saved and restored.
+ *    - Cut the string, either when requested or when the tension exceeds the tension limit of a breakable string.
+ *      Once the string is cut, the Ball leaves circular motion and moves freely at its velocity, which is a straight
+ *      line along the tangent unless there is gravity, until it leaves the play bounds.
  *    - Move the circle in a circular motion based on the Properties above and handle a drag request of Balls.
  *
- * Generally, there are two sub-types of Spinners:
+ * Generally, there are four sub-types of Spinners:
  *   (1) Uniform: Uniform Circular Motion is defined such that the angular acceleration (alpha)
  *                is always 0. The Angular Velocity and the ball's linear velocity can change, however.
  *
  *   (2) Non-uniform: All variables can change. For this scene, we only allow the user to change
  *                    the angular acceleration.
  *
- *   For the 'intro' screen, there are two scenes. Each scene represents the types stated above.
+ *   (3) Vertical: The circular motion is in a vertical plane, so gravity changes the speed of the Ball around the
+ *                 circle. For this scene, we only allow the user to change the speed that the Ball is launched at.
+ *
+ *   (4) Conical: The Ball is a conical pendulum. For this scene, we only allow the user to change the string length
+ *                and the cone angle, which set the radius and the angular velocity.
+ *
+ *   For the 'intro' screen, there are four scenes. Each scene represents the types stated above.
  *   For more background, visit https://en.wikipedia.org/wiki/Circular_motion.
  *
  * Spinners are created at the start of the Sim and are never disposed, so all links are left as is.
@@ -33,13 +48,19 @@ define( require => {
   const assert = require( 'SIM_CORE/util/assert' );
   const Bounds = require( 'SIM_CORE/util/Bounds' );
   const CircularMotionTypes = require( 'ROTATIONAL_MOTION/intro/model/CircularMotionTypes' );
+  const DerivedProperty = require( 'SIM_CORE/util/DerivedProperty' );
   const IntroBall = require( 'ROTATIONAL_MOTION/intro/model/IntroBall' );
   const Multilink = require( 'SIM_CORE/util/Multilink' );
   const Property = require( 'SIM_CORE/util/Property' );
   const Range = require( 'SIM_CORE/util/Range' );
+  const RingBuffer = require( 'ROTATIONAL_MOTION/common/model/RingBuffer' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
   const Util = require( 'SIM_CORE/util/Util' );
   const Vector = require( 'SIM_CORE/util/Vector' );
 
+  // constants
+  const TIME_EPSILON = 1E-9; // states that are within this many seconds of each other are at the same time
+
   class Spinner {
 
     /**
@@ -60,7 +81,10 @@ define( require => {
         initialAngle: 0,                    // {number} - the initial angle of the circular motion, in radians
         initialRadius: 0.5,                 // {number} - the initial radius of the circular motion, in meters
         ballRadius: 0.051,                  // {number} - the radius of the ball, in meters
-        radiusRange: new Range( 0.1, 1 ),   // {Range} - the range of the radius of the circular motion, in meters
+        radiusRange: Spinner.RADIUS_RANGE,  // {Range} - the range of the radius of the circular motion, in meters
+        historyLength: 1000,                // {number} - the maximum number of past states kept for stepping backwards
+        tensionLimit: 2,                    // {number} - the tension that breaks a breakable string, in Newtons
+        gravity: 0,                         // {number} - the gravity in the plane of the circular motion, in m/s^2
 
         // rewrite options such that it overrides the defaults above if provided.
         ...options
@@ -79,6 +103,12 @@ define( require => {
 
       //----------------------------------------------------------------------------------------
 
+      // @public (read-only) - Property of the elapsed sim time of the Spinner, in seconds. Only advances when the
+      //                       Spinner is stepped, so it doesn't advance while the Spinner is paused. It is negative
+      //                       when the Spinner is stepped backwards from the start of its motion, so that the motion
+      //                       always matches the elapsed time.
+      this.elapsedTimeProperty = new Property( 0, { type: 'number' } );
+
       // @public (read-only) - indicates if the spinner is playing or paused
       this.isPlayingProperty = new Property( options.isPlayingInitially, { type: 'boolean' } );
 
@@ -94,9 +124,62 @@ define( require => {
         isValidValue: value => value >= 0 && value < Math.PI * 2 // between 0 and 2PI
       } );
 
+      // @public (read-only) - Property of the cumulative angle of the circular motion, in radians. Unlike the angle,
+      //                       it isn't wrapped into [0, 2PI), so it tracks the total angular displacement of the Ball.
+      this.cumulativeAngleProperty = new Property( options.initialAngle, { type: 'number' } );
+
+      // @public (read-only) {DerivedProperty.<number>} - the number of complete revolutions since the initial angle.
+      //                                                  Negative if the Ball has revolved clockwise.
+      this.revolutionsProperty = new DerivedProperty( [ this.cumulativeAngleProperty ], cumulativeAngle => {
+        return Math.trunc( ( cumulativeAngle - options.initialAngle ) / ( Math.PI * 2 ) );
+      } );
+
       // @public (read-only) {*} - reference options that were passed-in. See options declaration for type documentation
       this.radiusRange = options.radiusRange;
       this.stepTime = options.stepTime;
+      this.initialAngle = options.initialAngle;
+      this.tensionLimit = options.tensionLimit;
+
+      // @public (read-only) - indicates if the string is cut, in which case the Ball has left circular motion.
+      this.isStringCutProperty = new Property( false, { type: 'boolean' } );
+
+      // @public - indicates if the string breaks when the tension exceeds the tension limit. Set by the user.
+      this.isStringBreakableProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) {DerivedProperty.<number>} - the period of the circular motion, in seconds, which is the
+      //   time that one revolution takes at the current angular velocity. If the angular velocity is changing, this is
+      //   the instantaneous period, which differs from the time of the revolutions (see revolutionTimeProperty).
+      //   Infinity if the Ball is at rest, since it never completes a revolution.
+      this.periodProperty = new DerivedProperty( [ this.angularVelocityProperty ], angularVelocity => {
+        return Util.equalsEpsilon( angularVelocity, 0 ) ? Infinity : Math.PI * 2 / Math.abs( angularVelocity );
+      } );
+
+      // @public (read-only) {DerivedProperty.<number>} - the frequency of the circular motion, in Hz, which is the
+      //   number of revolutions per second at the current angular velocity. Unlike the period, it is 0 if the Ball is
+      //   at rest.
+      this.frequencyProperty = new DerivedProperty( [ this.angularVelocityProperty ], angularVelocity => {
+        return Math.abs( angularVelocity ) / ( Math.PI * 2 );
+      } );
+
+      // @public (read-only) - the elapsed sim time of the most recently completed revolution of the Ball, in seconds,
+      //                       timed from when the Ball crosses the initial angle until it next crosses it in the same
+      //                       direction. Null until a revolution is completed.
+      this.revolutionTimeProperty = new Property( null, {
+        isValidValue: value => value === null || ( typeof value === 'number' && value >= 0 )
+      } );
+
+      // @private {Object|null} - the elapsed time and the cumulative angle of when the Ball last crossed the initial
+      //                          angle, in the form { time, cumulativeAngle }. This is the start of the revolution that
+      //                          is being timed. Null if the timing was interrupted, for instance by a drag.
+      this._revolutionStart = { time: 0, cumulativeAngle: options.initialAngle };
+
+      // @private {RingBuffer.<Object>} - the states of the Spinner before each of its most recent steps, in ascending
+      //                                  order of time. See getState() for the form of each state.
+      this._history = new RingBuffer( options.historyLength );
+
+      // @protected {boolean} - indicates if the Spinner is being set to a state, in which case its Properties may be
+      //                      temporarily inconsistent with each other.
+      this._isSettingState = false;
 
       // @public (read-only) {Bounds} - the bounds of the entire spinner-play area.
       this.playBounds = new Bounds( -this.radiusRange.max - options.ballRadius,
@@ -109,12 +192,22 @@ define( require => {
       // @public {IntroBall} ball - the ball to spin in circular motion.
       this.ball = new IntroBall( new Vector( options.initialRadius, 0 ).setAngle( options.initialAngle ),
                                  options.ballRadius, this.angularVelocityProperty, this.angularAccelerationProperty,
-                                 this.radiusProperty, this.angleProperty );
+                                 this.radiusProperty, this.angleProperty, this.isStringCutProperty,
+                                 { gravity: options.gravity } );
+
+      // Observe when the internal Properties of the Spinner changes and update the Ball's position, if it is still on
+      // the string. Doesn't need to be disposed because the Spinner is never disposed and lasts for the entire sim.
+      Multilink.lazy( [ this.angleProperty, this.radiusProperty, this.isStringCutProperty ],
+        ( angle, radius, isStringCut ) => {
+          if ( !isStringCut ) this.ball.center = new Vector( radius, 0 ).setAngle( angle );
+        } );
 
-      // Observe when the internal Properties of the Spinner changes and update the Ball's position.
+      // Observe when the tension changes and cut a breakable string if the tension exceeds the tension limit.
       // Doesn't need to be disposed because the Spinner is never disposed and lasts for the entirety of the sim.
-      Multilink.lazy( [ this.angleProperty, this.radiusProperty ], ( angle, radius ) => {
-        this.ball.center = new Vector( radius, 0 ).setAngle( angle );
+      Multilink.lazy( [ this.ball.tensionVectorProperty, this.isStringBreakableProperty ], () => {
+        if ( this.isStringBreakableProperty.value && !this._isSettingState && this.getTension() > this.tensionLimit ) {
+          this.cutString();
+        }
       } );
     }
 
@@ -128,8 +221,15 @@ define( require => {
       this.angularAccelerationProperty.reset();
       this.radiusProperty.reset();
       this.angleProperty.reset();
+      this.cumulativeAngleProperty.reset();
       this.isPlayingProperty.reset();
+      this.elapsedTimeProperty.reset();
+      this.isStringBreakableProperty.reset(); // reset first so that the string doesn't break while resetting
+      this.isStringCutProperty.reset();
+      this.revolutionTimeProperty.reset();
+      this._revolutionStart = { time: 0, cumulativeAngle: this.initialAngle };
       this.ball.reset();
+      this._history.clear();
     }
 
     /**
@@ -154,11 +254,70 @@ define( require => {
      * @param {number} dt - time in seconds
      */
     step( dt ) {
+
+      // Once the Ball leaves the play bounds, it can't move forwards anymore.
+      if ( dt > 0 && this.isStringCut && !this.isBallInPlayBounds ) {
+        this.pause();
+        return;
+      }
+
+      if ( dt > 0 ) this._history.push( this.getState() );
+
+      this.elapsedTime += dt;
+
+      if ( this.isStringCut ) this._stepFreeMotion( dt );
+      else {
+        const previousCumulativeAngle = this.cumulativeAngle;
+        this._stepCircularMotion( dt );
+        dt > 0 && this._timeRevolution( previousCumulativeAngle, dt );
+      }
+    }
+
+    /**
+     * Times the revolution of the Ball after it is stepped forwards. When the Ball crosses the initial angle, the time
+     * since it last crossed the initial angle in the same direction is the time of the completed revolution. The time
+     * that the Ball crossed is interpolated within the step, so that the time doesn't depend on the size of the steps.
+     * @private
+     *
+     * @param {number} previousCumulativeAngle - the cumulative angle before the step, in radians
+     * @param {number} dt - the time of the step, in seconds
+     */
+    _timeRevolution( previousCumulativeAngle, dt ) {
+
+      // The number of times that the initial angle was crossed, counted from the initial angle, before and after the
+      // step. Only one crossing is timed per step, which is always the case for the range of angular velocities.
+      const previousCrossings = Math.floor( ( previousCumulativeAngle - this.initialAngle ) / ( Math.PI * 2 ) );
+      const crossings = Math.floor( ( this.cumulativeAngle - this.initialAngle ) / ( Math.PI * 2 ) );
+      if ( crossings === previousCrossings ) return;
+
+      // The cumulative angle and the elapsed time of the crossing.
+      const cumulativeAngle = this.initialAngle + Math.max( crossings, previousCrossings ) * Math.PI * 2;
+      const time = this.elapsedTime - dt * ( this.cumulativeAngle - cumulativeAngle )
+                                          / ( this.cumulativeAngle - previousCumulativeAngle );
+
+      // A revolution is complete if the last crossing was one revolution away, which isn't the case if the Ball
+      // changed direction.
+      if ( this._revolutionStart
+           && Util.equalsEpsilon( Math.abs( cumulativeAngle - this._revolutionStart.cumulativeAngle ), Math.PI * 2 ) ) {
+        this.revolutionTimeProperty.value = time - this._revolutionStart.time;
+      }
+      this._revolutionStart = { time, cumulativeAngle };
+    }
+
+    /**
+     * Steps the circular motion of the Ball, which rotates the Ball around the origin based on the angular velocity
+     * and the angular acceleration.
+     * @protected
+     *
+     * @param {number} dt - time in seconds
+     */
+    _stepCircularMotion( dt ) {
+
       // Calculate the change in angle (in radians) based on the average angular velocity (rad/sec)
       // This is calculated with the equation of kinematic: deltaTheta = omega * t + 1/2 * alpha * t^2
       // Rearranging this equation and we get deltaTheta = omega * dt + 0.5 * alpha * t^2.
       // For more info, see https://courses.lumenlearning.com/physics/chapter/10-2-kinematics-of-rotational-motion/
-      this.angle += this.angularVelocityProperty.value * dt + 0.5 * this.angularAccelerationProperty.value * dt * dt;
+      this._rotate( this.angularVelocityProperty.value * dt + 0.5 * this.angularAccelerationProperty.value * dt * dt );
 
       // Calculate the change in angular velocity (in radians per second) based on the angular acceleration.
       // This is calculated with dimensional analysis.
@@ -166,12 +325,40 @@ define( require => {
     }
 
     /**
-     * Moves this Spinner back one time step.
+     * Steps the motion of the Ball once the string is cut. The Ball moves freely at its velocity with a constant
+     * acceleration, which is zero unless there is gravity. See https://en.wikipedia.org/wiki/Projectile_motion.
+     * @protected
+     *
+     * @param {number} dt - time in seconds
+     */
+    _stepFreeMotion( dt ) {
+      const velocity = this.ball.freeVelocity;
+      const acceleration = this.ball.totalAccelerationVectorProperty.value;
+
+      // Calculated with the equations of kinematics: deltaX = v * t + 1/2 * a * t^2 and deltaV = a * t.
+      this.ball.center = this.ball.center.copy()
+        .add( velocity.copy().multiply( dt ) )
+        .add( acceleration.copy().multiply( 0.5 * dt * dt ) );
+      this.ball.freeVelocity = velocity.copy().add( acceleration.copy().multiply( dt ) );
+    }
+
+    /**
+     * Moves this Spinner back one time step. Restores the state before the most recent step if there is one in the
+     * history, which also undoes any changes that the user made since. Otherwise, the state is extrapolated by
+     * stepping with a negative time, which continues before the start of the motion with a negative elapsed time.
      * @public
      */
     stepBackwards() {
       this.pause();
-      this.step( -this.stepTime );
+
+      // Discard states that are at or after the elapsed time, which happens if the elapsed time was set backwards
+      // without stepping, for instance when scrubbing the graphs.
+      while ( this._history.length && this._history.peek().elapsedTime >= this.elapsedTime - TIME_EPSILON ) {
+        this._history.pop();
+      }
+
+      if ( this._history.length ) this.setState( this._history.pop() );
+      else this.step( -this.stepTime );
     }
 
     /**
@@ -191,14 +378,168 @@ define( require => {
      * @param {Vector} position - the position of the Center of the Ball to drag to
      */
     dragBallTo( position ) {
+      if ( this.isStringCut ) return; // the Ball can't be dragged once it has left circular motion.
+
       // First shift the angle of the position vector. Correct the angle such that it outputs angles from [0, 2PI)
       const positionAngle = position.angle; // [-PI, PI] => [0, 2PI)
-      this.angle = positionAngle > 0 ? positionAngle : Math.PI * 2 + positionAngle;
+      this._dragBallToAngle( positionAngle > 0 ? positionAngle : Math.PI * 2 + positionAngle );
 
       // Update the radius, restraining it in the radius range.
       this.radius = Util.clamp( position.magnitude, this.radiusRange.min, this.radiusRange.max );
     }
 
+    /**
+     * Cuts the string if it isn't already cut, which releases the Ball from circular motion.
+     * @public
+     */
+    cutString() {
+      if ( this.isStringCut ) return;
+
+      // The Ball leaves with the velocity that it had on the string.
+      this.ball.freeVelocity = this.ball.tangentialVelocityVectorProperty.value;
+      this.isStringCut = true;
+    }
+
+    /**
+     * Gets the magnitude of the tension of the string on the Ball, in Newtons, which is compared to the tension limit
+     * of a breakable string.
+     * @public
+     *
+     * @returns {number} - in Newtons
+     */
+    getTension() {
+      return this.ball.tensionVectorProperty.value.magnitude;
+    }
+
+    /**
+     * Gets the current state of the Spinner, which can be restored with setState().
+     * @public
+     *
+     * @returns {Object} - in the form:
+     *                     { elapsedTime, angle, cumulativeAngle, angularVelocity, angularAcceleration, radius,
+     *                       isStringCut, ballCenter, ballFreeVelocity, revolutionTime, revolutionStart }
+     */
+    getState() {
+      return {
+        elapsedTime: this.elapsedTime,
+        angle: this.angle,
+        cumulativeAngle: this.cumulativeAngle,
+        angularVelocity: this.angularVelocity,
+        angularAcceleration: this.angularAcceleration,
+        radius: this.radius,
+        isStringCut: this.isStringCut,
+        ballCenter: this.ball.center,
+        ballFreeVelocity: this.ball.freeVelocity,
+        revolutionTime: this.revolutionTimeProperty.value,
+        revolutionStart: this._revolutionStart
+      };
+    }
+
+    /**
+     * Sets the state of the Spinner. The elapsed time is set first so that observers of the state know its time.
+     * @public
+     *
+     * @param {Object} state - See getState() for the form of the state.
+     */
+    setState( state ) {
+      this._isSettingState = true;
+      this.elapsedTime = state.elapsedTime;
+      this.ball.freeVelocity = state.ballFreeVelocity;
+      this.isStringCut = state.isStringCut;
+      this.radius = state.radius;
+      this.angle = state.angle;
+      this.cumulativeAngle = state.cumulativeAngle;
+      this.angularVelocity = state.angularVelocity;
+      this.angularAcceleration = state.angularAcceleration;
+      this.ball.center = state.ballCenter;
+      this.revolutionTimeProperty.value = state.revolutionTime;
+      this._revolutionStart = state.revolutionStart;
+      this._isSettingState = false;
+    }
+
+    /**
+     * Creates the StateSchema of the Spinner, which serializes and restores its Properties for saving and restoring
+     * setups. See StateSchema. Unlike setState(), a restored state starts a new history and a new revolution timing.
+     * @public
+     *
+     * @returns {StateSchema}
+     */
+    createStateSchema() {
+      return new StateSchema( this._getStateSchemaEntries(), {
+        startRestore: () => { this._isSettingState = true; },
+        endRestore: () => {
+          this._isSettingState = false;
+          this._revolutionStart = null;
+          this._history.clear();
+        }
+      } );
+    }
+
+    /**
+     * Gets the entries of the StateSchema of the Spinner, in the order that they are restored. The parts are restored
+     * in the same order as setState(), and the user's settings are restored last. Sub-types override this to add their
+     * own parts.
+     * @protected
+     *
+     * @returns {Object} - see StateSchema
+     */
+    _getStateSchemaEntries() {
+      return {
+        elapsedTime: StateSchema.number( this.elapsedTimeProperty ),
+        ballFreeVelocity: StateSchema.vector( this.ball.freeVelocityProperty ),
+        isStringCut: StateSchema.boolean( this.isStringCutProperty ),
+        radius: StateSchema.number( this.radiusProperty, { range: this.radiusRange } ),
+        angle: StateSchema.number( this.angleProperty, { isValidValue: value => value >= 0 && value < Math.PI * 2 } ),
+        cumulativeAngle: StateSchema.number( this.cumulativeAngleProperty ),
+        angularVelocity: StateSchema.number( this.angularVelocityProperty ),
+        angularAcceleration: StateSchema.number( this.angularAccelerationProperty ),
+        ballCenter: StateSchema.vector( this.ball.centerPositionProperty ),
+        revolutionTime: StateSchema.number( this.revolutionTimeProperty, {
+          isValidValue: value => value >= 0,
+          nullable: true
+        } ),
+        mass: StateSchema.number( this.ball.massProperty, { range: this.ball.massRange } ),
+        isStringBreakable: StateSchema.boolean( this.isStringBreakableProperty ),
+        isPlaying: StateSchema.boolean( this.isPlayingProperty )
+      };
+    }
+
+    /**
+     * Rotates the Spinner to the angle that the Ball was dragged to. Dragging interrupts the revolution that is being
+     * timed, so the timing restarts at the next crossing of the initial angle.
+     * @protected
+     *
+     * @param {number} angle - in radians, in the range [0, 2PI).
+     */
+    _dragBallToAngle( angle ) {
+      this._rotateTo( angle );
+      this._revolutionStart = null;
+    }
+
+    /**
+     * Rotates the Spinner to an angle by the smallest change in angle, which is in the range [-PI, PI).
+     * @protected
+     *
+     * @param {number} angle - in radians, in the range [0, 2PI).
+     */
+    _rotateTo( angle ) {
+      let angleChange = angle - this.angle;
+      if ( angleChange >= Math.PI ) angleChange -= Math.PI * 2;
+      if ( angleChange < -Math.PI ) angleChange += Math.PI * 2;
+      this._rotate( angleChange );
+    }
+
+    /**
+     * Rotates the Spinner by a change in angle, updating both the angle and the cumulative angle.
+     * @protected
+     *
+     * @param {number} angleChange - in radians. Positive is counterclockwise.
+     */
+    _rotate( angleChange ) {
+      this.cumulativeAngle += angleChange;
+      this.angle += angleChange;
+    }
+
     /**
      * Gets the Spinner's radius, in meters.
      * @public
@@ -235,6 +576,78 @@ define( require => {
       this.angleProperty.value = angle;
     }
 
+    /**
+     * Gets the Spinner's cumulative (unwrapped) angle, in radians.
+     * @public
+     *
+     * @returns {number} - in radians.
+     */
+    get cumulativeAngle() { return this.cumulativeAngleProperty.value; }
+
+    /**
+     * Sets the Spinner's cumulative (unwrapped) angle, in radians.
+     * @public
+     *
+     * @param {number} cumulativeAngle - in radians.
+     */
+    set cumulativeAngle( cumulativeAngle ) { this.cumulativeAngleProperty.value = cumulativeAngle; }
+
+    /**
+     * Gets the angular displacement of the Spinner since its initial angle, in radians.
+     * @public
+     *
+     * @returns {number} - in radians.
+     */
+    get angularDisplacement() { return this.cumulativeAngle - this.initialAngle; }
+
+    /**
+     * Gets the number of complete revolutions of the Spinner since its initial angle.
+     * @public
+     *
+     * @returns {number}
+     */
+    get revolutions() { return this.revolutionsProperty.value; }
+
+    /**
+     * Gets whether or not the string is cut.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    get isStringCut() { return this.isStringCutProperty.value; }
+
+    /**
+     * Sets whether or not the string is cut.
+     * @public
+     *
+     * @param {boolean} isStringCut
+     */
+    set isStringCut( isStringCut ) { this.isStringCutProperty.value = isStringCut; }
+
+    /**
+     * Gets whether or not the center of the Ball is inside of the play bounds.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    get isBallInPlayBounds() { return this.playBounds.containsPoint( this.ball.center ); }
+
+    /**
+     * Gets the Spinner's elapsed sim time, in seconds.
+     * @public
+     *
+     * @returns {number} - in seconds.
+     */
+    get elapsedTime() { return this.elapsedTimeProperty.value; }
+
+    /**
+     * Sets the Spinner's elapsed sim time, in seconds.
+     * @public
+     *
+     * @param {number} elapsedTime - in seconds.
+     */
+    set elapsedTime( elapsedTime ) { this.elapsedTimeProperty.value = elapsedTime; }
+
     /**
      * Gets the Spinner's angularVelocity, in radians per second.
      * @public
@@ -268,5 +681,12 @@ define( require => {
     set angularAcceleration( angularAcceleration ) { this.angularAccelerationProperty.value = angularAcceleration; }
   }
 
+  //----------------------------------------------------------------------------------------
+  // Static Constants
+  //----------------------------------------------------------------------------------------
+
+  // @public {Range} - the default range of the radius of the circular motion, in meters.
+  Spinner.RADIUS_RANGE = new Range( 0.1, 1 );
+
   return Spinner;
 } );
\ No newline at end of file
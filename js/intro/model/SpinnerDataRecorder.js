@@ -0,0 +1,198 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * SpinnerDataRecorder records the state of a Spinner over its elapsed sim time, in the 'intro' screen. The recorded
+ * samples are plotted against time in the graphs of the 'intro' screen.
+ *
+ * Primary responsibilities are:
+ *    - Record a sample of the angle, cumulative angle, angular velocity, angular acceleration, and radius of the
+ *      Spinner each time the elapsed time or the state of the Spinner changes. Since the elapsed time only advances
+ *      when the Spinner is stepped, nothing is recorded while the Spinner is paused.
+ *    - Discard the samples that are invalidated, which are samples at or after the elapsed time when the Spinner is
+ *      stepped backwards or its state is changed by the user.
+ *    - Discard samples that are older than the maximum recording duration.
+ *    - Restore the Spinner to the state of any recorded sample (scrubbing).
+ *    - Discard every recorded sample when the Spinner is set to a state that doesn't continue from them.
+ *
+ * SpinnerDataRecorders are created at the start of the sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Multilink = require( 'SIM_CORE/util/Multilink' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
+
+  // constants
+  const TIME_EPSILON = 1E-9; // samples that are within this many seconds of each other are recorded at the same time
+
+  class SpinnerDataRecorder {
+
+    /**
+     * @param {Spinner} spinner - the Spinner to record.
+     * @param {Object} [options] - key-value pairs that control the recorder's behavior.
+     */
+    constructor( spinner, options ) {
+      assert( spinner instanceof Spinner, `invalid spinner: ${ spinner }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        maxDuration: 30, // {number} - samples older than this many seconds before the latest sample are discarded
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      //----------------------------------------------------------------------------------------
+
+      // @public (read-only) {Spinner} - reference the Spinner that was passed-in.
+      this.spinner = spinner;
+
+      // @public (read-only) {number} - reference the maximum duration that was passed-in, in seconds.
+      this.maxDuration = options.maxDuration;
+
+      // @private {Object[]} - the recorded samples, in ascending order of time. Each sample is a state of the Spinner.
+      //                       See Spinner.getState() for the form of each sample.
+      this._samples = [];
+
+      // @private {boolean} - indicates if the Spinner is being restored to a recorded sample, which isn't recorded.
+      this._isRestoring = false;
+
+      // @private {number|null} - the time of the sample that the Spinner was last restored to, or null if the Spinner
+      //                          has been stepped or changed since.
+      this._restoredTime = null;
+
+      // @public (read-only) {Property.<Object>} - Property of the most recently recorded sample. A new sample is
+      //                                           recorded each time the recorded data changes, so this can be
+      //                                           observed to know when to update the display of the data.
+      this.latestSampleProperty = new Property( this._record() );
+
+      //----------------------------------------------------------------------------------------
+
+      // Observe when the elapsed time or the state of the Spinner changes and record it. Since the Spinner updates its
+      // elapsed time before the rest of its state when stepping, the latest sample is always up-to-date. Multilink is
+      // never disposed since SpinnerDataRecorders are never disposed.
+      Multilink.lazy( [
+        spinner.elapsedTimeProperty,
+        spinner.angleProperty,
+        spinner.cumulativeAngleProperty,
+        spinner.angularVelocityProperty,
+        spinner.angularAccelerationProperty,
+        spinner.radiusProperty,
+        spinner.isStringCutProperty,
+        spinner.ball.centerPositionProperty
+      ], () => {
+        if ( !this._isRestoring ) this.latestSampleProperty.value = this._record();
+      } );
+    }
+
+    /**
+     * Records a sample of the current state of the Spinner at its elapsed time. Samples that are at or after the
+     * elapsed time, or after the sample that the Spinner was restored to, are no longer valid and are discarded first.
+     * @private
+     *
+     * @returns {Object} - the recorded sample. See this._samples for documentation.
+     */
+    _record() {
+      const time = this.spinner.elapsedTime;
+
+      const isInvalid = sample => sample.elapsedTime >= time - TIME_EPSILON || ( this._restoredTime !== null
+                                  && sample.elapsedTime > this._restoredTime + TIME_EPSILON );
+
+      while ( this._samples.length && isInvalid( this._samples[ this._samples.length - 1 ] ) ) this._samples.pop();
+      this._restoredTime = null;
+
+      const sample = this.spinner.getState();
+      this._samples.push( sample );
+
+      // Discard samples that are older than the maximum duration.
+      while ( this._samples[ 0 ].elapsedTime < time - this.maxDuration ) this._samples.shift();
+
+      return sample;
+    }
+
+    /**
+     * Restores the Spinner to the recorded sample that is closest to a time, which pauses the Spinner. The samples
+     * after the time are kept, so the Spinner can be restored forwards again until it is stepped or changed.
+     * @public
+     *
+     * @param {number} time - in seconds
+     */
+    restoreTo( time ) {
+      assert( typeof time === 'number', `invalid time: ${ time }` );
+      this.spinner.pause();
+
+      const sample = this.getClosestSample( time );
+
+      this._isRestoring = true;
+      this.spinner.setState( sample );
+      this._isRestoring = false;
+      this._restoredTime = sample.elapsedTime;
+    }
+
+    /**
+     * Discards every recorded sample and records the current state of the Spinner. Called when the Spinner is set to a
+     * state that doesn't continue from the recorded samples, like a restored setup.
+     * @public
+     */
+    clear() {
+      this._samples = [];
+      this._restoredTime = null;
+      this.latestSampleProperty.value = this._record();
+    }
+
+    /**
+     * Gets the recorded sample that is closest to a time. Uses a binary search since the samples are sorted by time.
+     * @public
+     *
+     * @param {number} time - in seconds
+     * @returns {Object} - See this._samples for documentation.
+     */
+    getClosestSample( time ) {
+      let low = 0;
+      let high = this._samples.length - 1;
+
+      while ( low < high ) {
+        const middle = Math.floor( ( low + high ) / 2 );
+        if ( this._samples[ middle ].elapsedTime < time ) low = middle + 1;
+        else high = middle;
+      }
+
+      // low is now the first sample at or after the time. Compare it with the sample before it.
+      if ( low > 0 && time - this._samples[ low - 1 ].elapsedTime < this._samples[ low ].elapsedTime - time ) low -= 1;
+      return this._samples[ low ];
+    }
+
+    /**
+     * Gets the recorded samples, in ascending order of time. The returned array must not be mutated.
+     * @public
+     *
+     * @returns {Object[]} - See this._samples for documentation.
+     */
+    get samples() { return this._samples; }
+
+    /**
+     * Gets the time of the earliest recorded sample, in seconds.
+     * @public
+     *
+     * @returns {number} - in seconds
+     */
+    get startTime() { return this._samples[ 0 ].elapsedTime; }
+
+    /**
+     * Gets the time of the latest recorded sample, in seconds.
+     * @public
+     *
+     * @returns {number} - in seconds
+     */
+    get endTime() { return this._samples[ this._samples.length - 1 ].elapsedTime; }
+  }
+
+  return SpinnerDataRecorder;
+} );
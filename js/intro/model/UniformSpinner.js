@@ -21,6 +21,7 @@ define( require => {
   const CircularMotionTypes = require( 'ROTATIONAL_MOTION/intro/model/CircularMotionTypes' );
   const Range = require( 'SIM_CORE/util/Range' );
   const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
 
   class UniformSpinner extends Spinner {
 
@@ -32,8 +33,8 @@ define( require => {
 
       options = {
 
-        angularVelocityRange: new Range( 0, Math.PI / 2 ),  // {range} - the range of the angular velocity
-        initialAngularVelocity: Math.PI / 4,                // {number} - the starting angular velocity
+        angularVelocityRange: UniformSpinner.ANGULAR_VELOCITY_RANGE, // {range} - the range of the angular velocity
+        initialAngularVelocity: Math.PI / 4,                         // {number} - the starting angular velocity
 
         // rewrite options such that it overrides the defaults above if provided.
         ...options
@@ -51,7 +52,29 @@ define( require => {
         assert( this.angularVelocityRange.contains( angularVelocity ) );
       } );
     }
+
+    /**
+     * @override
+     * Gets the entries of the StateSchema of the UniformSpinner, which also validates the angular velocity against its
+     * range.
+     * @protected
+     *
+     * @returns {Object} - see StateSchema
+     */
+    _getStateSchemaEntries() {
+      return {
+        ...super._getStateSchemaEntries(),
+        angularVelocity: StateSchema.number( this.angularVelocityProperty, { range: this.angularVelocityRange } )
+      };
+    }
   }
 
+  //----------------------------------------------------------------------------------------
+  // Static Constants
+  //----------------------------------------------------------------------------------------
+
+  // @public {Range} - the default range of the angular velocity, in rad / sec.
+  UniformSpinner.ANGULAR_VELOCITY_RANGE = new Range( 0, Math.PI / 2 );
+
   return UniformSpinner;
 } );
\ No newline at end of file
@@ -0,0 +1,217 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * VerticalSpinner is a Spinner sub-type that conforms to the vertical circular motion type.
+ *
+ * Characteristics of a VerticalSpinner are:
+ *    - the circular motion is in a vertical plane, so gravity acts in the plane of the circular motion
+ *    - the angular acceleration is caused by the tangential component of gravity and is not set by the user
+ *    - the angular velocity is constantly changing, which makes the speed and the tension vary around the loop
+ *    - the Ball is launched from the bottom of the circle at a speed that is set by the user within a range
+ *    - the Ball falls off the circle if the tension would become negative, since the string can only pull the Ball
+ *    - the radius is set by the user within a range
+ *
+ * For the Ball to make it around the top of the circle, the string must be taut at the top, which means that gravity
+ * alone can't provide more than the centripetal force. The minimum speed at the top is therefore sqrt( g * r ).
+ * See https://en.wikipedia.org/wiki/Circular_motion#Nonuniform for background.
+ *
+ * VerticalSpinners are created at the start of the Sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const CircularMotionTypes = require( 'ROTATIONAL_MOTION/intro/model/CircularMotionTypes' );
+  const DerivedProperty = require( 'SIM_CORE/util/DerivedProperty' );
+  const Multilink = require( 'SIM_CORE/util/Multilink' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Range = require( 'SIM_CORE/util/Range' );
+  const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
+
+  // constants
+  const LAUNCH_ANGLE = Math.PI * 3 / 2; // the angle of the bottom of the circle, where the Ball is launched from
+  const MAX_SUB_STEP_TIME = 0.002; // the maximum time of each sub-step of the circular motion, in seconds
+
+  class VerticalSpinner extends Spinner {
+
+    /**
+     * @param {Object} [options] - key-value pairs that control the spinner's behavior.
+     */
+    constructor( options ) {
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        gravity: 9.8,                             // {number} - the gravity in the plane of the motion, in m/s^2
+        initialAngle: LAUNCH_ANGLE,               // {number} - the initial angle of the circular motion, in radians
+        initialRadius: 0.5,                       // {number} - the initial radius of the circular motion, in meters
+        launchSpeedRange: new Range( 0, 8 ),      // {Range} - the range of the launch speed, in meters per second
+        initialLaunchSpeed: 5,                    // {number} - the starting launch speed, in meters per second
+        tensionLimit: 80,                         // {number} - the tension that breaks a breakable string, in Newtons
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      super( CircularMotionTypes.VERTICAL,
+             options.initialLaunchSpeed / options.initialRadius,
+             -options.gravity * Math.cos( options.initialAngle ) / options.initialRadius,
+             options );
+
+      //----------------------------------------------------------------------------------------
+
+      // @public (read-only) {number} - the gravity in the plane of the circular motion, in m/s^2.
+      this.gravity = options.gravity;
+
+      // @public {Range} (read-only) - the range of the launch speed, in meters per second
+      this.launchSpeedRange = options.launchSpeedRange;
+
+      // @public (read-only) - Property of the speed that the Ball is launched at from the bottom of the circle, in
+      //                       meters per second. Set by the user.
+      this.launchSpeedProperty = new Property( options.initialLaunchSpeed, {
+        type: 'number',
+        isValidValue: value => this.launchSpeedRange.contains( value )
+      } );
+
+      // @public (read-only) {DerivedProperty.<number>} - the minimum speed at the top of the circle for the string to
+      //                                                  stay taut, in meters per second. Calculated as sqrt( g * r ).
+      this.minSpeedAtTopProperty = new DerivedProperty( [ this.radiusProperty ], radius => {
+        return Math.sqrt( this.gravity * radius );
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      // Observe when the angle or the radius changes and update the angular acceleration, which is caused by the
+      // tangential component of gravity, alpha = -g * cos( angle ) / r. Doesn't need to be disposed because the
+      // VerticalSpinner is never disposed and lasts for the entirety of the sim.
+      Multilink.lazy( [ this.angleProperty, this.radiusProperty ], angle => {
+        this.angularAcceleration = this._getAngularAcceleration( angle );
+      } );
+
+      // Observe when the launch speed changes and launch the Ball again. Link is never disposed since VerticalSpinners
+      // are never disposed.
+      this.launchSpeedProperty.lazyLink( () => { this.launch(); } );
+    }
+
+    /**
+     * Resets the VerticalSpinner and its properties to what it was when initialized.
+     * @public
+     * @override
+     */
+    reset() {
+      this.launchSpeedProperty.reset();
+      super.reset();
+    }
+
+    /**
+     * Launches the Ball from the bottom of the circle at the launch speed, putting it back on the string if it has
+     * fallen off.
+     * @public
+     */
+    launch() {
+      this.isStringCut = false;
+      this._rotateTo( LAUNCH_ANGLE );
+      this.angularVelocity = this.launchSpeed / this.radius;
+    }
+
+    /**
+     * @override
+     * Gets the entries of the StateSchema of the VerticalSpinner. The launch speed is restored first, since changing
+     * it launches the Ball again, which the rest of the state then overrides.
+     * @protected
+     *
+     * @returns {Object} - see StateSchema
+     */
+    _getStateSchemaEntries() {
+      return {
+        launchSpeed: StateSchema.number( this.launchSpeedProperty, { range: this.launchSpeedRange } ),
+        ...super._getStateSchemaEntries()
+      };
+    }
+
+    /**
+     * @override
+     * Steps the circular motion of the Ball. Since the angular acceleration changes with the angle, the motion is
+     * integrated in small sub-steps with the velocity Verlet method, which conserves the energy of the Ball well. See
+     * https://en.wikipedia.org/wiki/Verlet_integration#Velocity_Verlet. If the tension would become negative, the Ball
+     * falls off the circle and moves freely for the rest of the time step.
+     * @protected
+     *
+     * @param {number} dt - time in seconds
+     */
+    _stepCircularMotion( dt ) {
+      const subSteps = Math.max( Math.ceil( Math.abs( dt ) / MAX_SUB_STEP_TIME ), 1 );
+      const subStepTime = dt / subSteps;
+
+      // Integrate locally and update the Properties once at the end, so that observers are only notified once.
+      let angle = this.angle;
+      let angularVelocity = this.angularVelocity;
+
+      for ( let i = 0; i < subSteps; i++ ) {
+        if ( this._getTension( angle, angularVelocity ) < 0 ) {
+          this._rotate( angle - this.angle );
+          this.angularVelocity = angularVelocity;
+          this.cutString();
+          this._stepFreeMotion( subStepTime * ( subSteps - i ) );
+          return;
+        }
+
+        const angularAcceleration = this._getAngularAcceleration( angle );
+        angle += angularVelocity * subStepTime + 0.5 * angularAcceleration * subStepTime * subStepTime;
+        angularVelocity += 0.5 * ( angularAcceleration + this._getAngularAcceleration( angle ) ) * subStepTime;
+      }
+
+      this._rotate( angle - this.angle );
+      this.angularVelocity = angularVelocity;
+    }
+
+    /**
+     * Gets the angular acceleration at an angle, which is caused by the tangential component of gravity. Calculated as
+     * alpha = -g * cos( angle ) / r.
+     * @private
+     *
+     * @param {number} angle - in radians
+     * @returns {number} - in rad / sec^2
+     */
+    _getAngularAcceleration( angle ) {
+      return -this.gravity * Math.cos( angle ) / this.radius;
+    }
+
+    /**
+     * Gets the tension that the string would need to keep the Ball in circular motion, in Newtons. Calculated as
+     * T = m * ( omega^2 * r - g * sin( angle ) ), which is negative if gravity alone provides more than the centripetal
+     * force.
+     * @private
+     *
+     * @param {number} angle - in radians
+     * @param {number} angularVelocity - in rad / sec
+     * @returns {number} - in Newtons
+     */
+    _getTension( angle, angularVelocity ) {
+      return this.ball.mass * ( Math.pow( angularVelocity, 2 ) * this.radius - this.gravity * Math.sin( angle ) );
+    }
+
+    /**
+     * Gets the speed that the Ball is launched at, in meters per second.
+     * @public
+     *
+     * @returns {number} - in meters per second
+     */
+    get launchSpeed() { return this.launchSpeedProperty.value; }
+
+    /**
+     * Sets the speed that the Ball is launched at, in meters per second.
+     * @public
+     *
+     * @param {number} launchSpeed - in meters per second
+     */
+    set launchSpeed( launchSpeed ) { this.launchSpeedProperty.value = launchSpeed; }
+  }
+
+  return VerticalSpinner;
+} );
@@ -1,8 +1,8 @@
 // Copyright © 2020 Brandon Li. All rights reserved.
 
 /**
- * View for the radio button group near the top of the 'Intro' Screen that allows the user to select between a uniform
- * and a non-uniform Spinner.
+ * View for the radio button group near the top of the 'Intro' Screen that allows the user to select between a uniform,
+ * a non-uniform, a vertical, and a conical Spinner.
  *
  * See CircularMotionTypes.js for more documentation on Spinners and circular motion types.
  *
@@ -37,6 +37,9 @@ define( require => {
         // {number} - spacing between the radio buttons.
         spacing: 8,
 
+        // {Object} - passed to each RadioButton.
+        radioButtonOptions: { xMargin: 5 },
+
         // rewrite options such that it overrides the defaults above if provided.
         ...options
       };
@@ -48,7 +51,8 @@ define( require => {
 
       CircularMotionTypes.MEMBERS.forEach( circularMotionType => {
         const radioButton = new RadioButton( circularMotionType,
-          RotationalMotionIconFactory.createCircularMotionTypeIcon( circularMotionType ) );
+          RotationalMotionIconFactory.createCircularMotionTypeIcon( circularMotionType ),
+          options.radioButtonOptions );
 
         radioButtons.push( radioButton );
       } );
@@ -0,0 +1,252 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * ConicalPendulumSideViewNode is a side view of a ConicalSpinner, in the 'intro' screen. It is displayed below the
+ * top-down view of the SpinnerNode, and the horizontal axes of both views line up.
+ *
+ * The side view is a projection of the conical pendulum onto the vertical plane that contains the horizontal x-axis of
+ * the SpinnerNode. It displays:
+ *  - A ceiling line and a pin at the pivot of the pendulum
+ *  - The outline of the cone that is swept out by the string, and a floor line that the Ball falls to
+ *  - The string from the pivot to the Ball, which is hidden once the string is cut
+ *  - The Ball, which is hidden once it leaves the play area
+ *  - The velocity, total acceleration, tension and net force Arrows of the Ball, which reuse the Vector Properties of
+ *    the IntroBall and their visibility Properties. The IntroBall's Vectors are in the plane of the top-down view, so
+ *    the vertical components (gravity, the vertical component of the tension, and the falling of the Ball once the
+ *    string is cut) are added by the side view.
+ *
+ * ConicalPendulumSideViewNodes are created at the start of the Sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const Arrow = require( 'SIM_CORE/scenery/Arrow' );
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Bounds = require( 'SIM_CORE/util/Bounds' );
+  const Circle = require( 'SIM_CORE/scenery/Circle' );
+  const ConicalSpinner = require( 'ROTATIONAL_MOTION/intro/model/ConicalSpinner' );
+  const Line = require( 'SIM_CORE/scenery/Line' );
+  const ModelViewTransform = require( 'SIM_CORE/util/ModelViewTransform' );
+  const Multilink = require( 'SIM_CORE/util/Multilink' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const Path = require( 'SIM_CORE/scenery/Path' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Shape = require( 'SIM_CORE/util/Shape' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+  const Vector = require( 'SIM_CORE/util/Vector' );
+
+  // constants
+  const PIN_RADIUS = 2; // eye-balled
+  const CEILING_WIDTH = 0.3; // the width of the ceiling line, in meters
+
+  class ConicalPendulumSideViewNode extends Node {
+
+    /**
+     * @param {ConicalSpinner} spinner
+     * @param {Property.<boolean>} velocityVisibleProperty
+     * @param {Property.<boolean>} totalAccelerationVisibleProperty
+     * @param {Property.<boolean>} tensionVisibleProperty
+     * @param {Property.<boolean>} netForceVisibleProperty
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior. See the code
+     *                             where the options are set in the early portion of the constructor for details.
+     */
+    constructor(
+      spinner,
+      velocityVisibleProperty,
+      totalAccelerationVisibleProperty,
+      tensionVisibleProperty,
+      netForceVisibleProperty,
+      options
+    ) {
+      assert( spinner instanceof ConicalSpinner, `invalid spinner: ${ spinner }` );
+      assert( velocityVisibleProperty instanceof Property, 'invalid velocityVisibleProperty' );
+      assert( totalAccelerationVisibleProperty instanceof Property, 'invalid totalAccelerationVisibleProperty' );
+      assert( tensionVisibleProperty instanceof Property, 'invalid tensionVisibleProperty' );
+      assert( netForceVisibleProperty instanceof Property, 'invalid netForceVisibleProperty' );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        pivotCenter: new Vector( 292, 384 ), // {Vector} - the view coordinates of the pivot of the pendulum
+        modelToViewScale: 130,               // {number} - the number of view coordinates per meter
+        labelMargin: 3,                      // {number} - margin between the 'Side View' label and the ceiling line
+        velocityScalar: 0.1,                 // {number} - scalar of the velocity Vector, see IntroBallNode
+        accelerationScalar: 0.03,            // {number} - scalar of the acceleration Vector, see IntroBallNode
+        forceScalar: 0.03,                   // {number} - scalar of the force Vectors, see IntroBallNode
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+      assert( options.pivotCenter instanceof Vector, `invalid pivotCenter: ${ options.pivotCenter }` );
+
+      super();
+
+      //----------------------------------------------------------------------------------------
+
+      // Create the modelViewTransform, where the pivot is the origin and the horizontal axis is the x-axis of the
+      // play bounds of the Spinner, so that it lines up with the top-down view of the SpinnerNode.
+      const modelBounds = new Bounds( spinner.playBounds.minX, -spinner.floorDepth, spinner.playBounds.maxX, 0 );
+      const modelViewTransform = new ModelViewTransform( modelBounds, new Bounds(
+        options.pivotCenter.x + options.modelToViewScale * modelBounds.minX,
+        options.pivotCenter.y,
+        options.pivotCenter.x + options.modelToViewScale * modelBounds.maxX,
+        options.pivotCenter.y + options.modelToViewScale * modelBounds.height
+      ) );
+
+      // Create the ceiling Line and the pin at the pivot. Their locations never change.
+      const ceiling = new Line(
+        options.pivotCenter.x - options.modelToViewScale * CEILING_WIDTH / 2,
+        options.pivotCenter.y,
+        options.pivotCenter.x + options.modelToViewScale * CEILING_WIDTH / 2,
+        options.pivotCenter.y, {
+          strokeWidth: 2
+        } );
+      const pin = new Circle( PIN_RADIUS, {
+        center: options.pivotCenter
+      } );
+
+      // Create the floor Line, which the Ball falls to once the string is cut. Its location never changes.
+      const floor = Line.withPoints( modelViewTransform.modelToViewXY( modelBounds.minX, modelBounds.minY ),
+        modelViewTransform.modelToViewXY( modelBounds.maxX, modelBounds.minY ), {
+          strokeWidth: 1.5
+        } );
+
+      // Create the 'Side View' label, above the ceiling.
+      const label = new Text( RotationalMotionStrings.sideView, {
+        ...RotationalMotionConstants.PANEL_TEXT_OPTIONS,
+        centerX: options.pivotCenter.x
+      } );
+      label.bottom = ceiling.top - options.labelMargin;
+
+      // Create the outline of the cone that is swept out by the string. Its shape is set later.
+      const coneOutline = new Path( null, {
+        strokeWidth: 1,
+        fill: 'none'
+      } );
+
+      // Create the string Line, to be set later.
+      const string = Line.withPoints( options.pivotCenter, options.pivotCenter, {
+        strokeWidth: 2
+      } );
+
+      // Create the Ball Circle, to be set later.
+      const ballCircle = new Circle( 0, {
+        stroke: 'black',
+        strokeWidth: 0.7
+      } );
+
+      // Create a Node of the Ball and its Arrows, which is hidden once the Ball leaves the play area.
+      const ballNode = new Node( { children: [ ballCircle ] } );
+
+      this.children = [ label, floor, coneOutline, string, ceiling, pin, ballNode ];
+
+      // Color the Nodes, which are recolored when the color profile changes.
+      RotationalMotionColors.linkColors( ceiling, { stroke: RotationalMotionColors.SPINNER_STRING_COLOR } );
+      RotationalMotionColors.linkColors( pin, { fill: RotationalMotionColors.SPINNER_PIN_FILL } );
+      RotationalMotionColors.linkColors( floor, { stroke: RotationalMotionColors.GRAPH_AXIS_STROKE } );
+      RotationalMotionColors.linkColors( coneOutline, { stroke: RotationalMotionColors.GRAPH_AXIS_STROKE } );
+      RotationalMotionColors.linkColors( string, { stroke: RotationalMotionColors.SPINNER_STRING_COLOR } );
+      RotationalMotionColors.linkColors( ballCircle, { fill: RotationalMotionColors.INTRO_BALL_FILL } );
+
+      //----------------------------------------------------------------------------------------
+
+      // Gets the view coordinates of the center of the Ball in the side view.
+      const getBallViewCenter = () => modelViewTransform.modelToViewXY( spinner.ball.center.x,
+        spinner.ballHeightProperty.value );
+
+      // Observe when the Ball moves and update the Ball and the string to match. Doesn't need to be disposed as the
+      // ConicalSpinner is never disposed.
+      new Multilink( [ spinner.ball.centerPositionProperty, spinner.ballHeightProperty ], () => {
+        ballCircle.center = getBallViewCenter();
+        string.end = ballCircle.center;
+        ballNode.visible = spinner.isBallInPlayBounds;
+      } );
+
+      // Observe when the radius of the Ball changes and update the Ball Circle. Never disposed.
+      spinner.ball.radiusProperty.link( radius => {
+        ballCircle.radius = modelViewTransform.modelToViewDeltaX( radius );
+      } );
+
+      // Observe when the string is cut and hide the string. Never disposed.
+      spinner.isStringCutProperty.link( isStringCut => { string.visible = !isStringCut; } );
+
+      // Observe when the string length or the cone angle changes and update the outline of the cone, which goes from
+      // the pivot down to both sides of the circle of the circular motion. Never disposed.
+      new Multilink( [ spinner.stringLengthProperty, spinner.coneAngleProperty ], () => {
+        const depth = spinner.getHangingDepth();
+        coneOutline.shape = new Shape()
+          .moveToPoint( modelViewTransform.modelToViewXY( -spinner.radius, -depth ) )
+          .lineToPoint( options.pivotCenter )
+          .lineToPoint( modelViewTransform.modelToViewXY( spinner.radius, -depth ) )
+          .lineToPoint( modelViewTransform.modelToViewXY( -spinner.radius, -depth ) );
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      // Creates an Arrow that represents a Vector of the Ball in the side view, which is the horizontal x-component of
+      // the IntroBall's Vector and a vertical component. The Arrow is updated when any of its dependencies change or
+      // when the Ball moves, and its visibility is updated when its visibility Property changes. Links don't have to be
+      // disposed since ConicalPendulumSideViewNodes are never disposed.
+      const createArrow = ( vectorProperty, visibleProperty, fillProperty, scalar, getVerticalComponent,
+        dependencies ) => {
+        const arrow = RotationalMotionColors.linkVectorColors(
+          new Arrow( 0, 0, 0, 0, RotationalMotionConstants.VECTOR_ARROW_OPTIONS ), fillProperty );
+
+        new Multilink( [ vectorProperty,
+          visibleProperty,
+          spinner.ball.centerPositionProperty,
+          spinner.ballHeightProperty,
+          ...dependencies ], ( vector, visible ) => {
+            if ( !visible ) return; // for performance, don't update the arrow when it isn't visible.
+            arrow.tail = getBallViewCenter();
+            arrow.tip = modelViewTransform.modelToViewDelta(
+              Vector.scratch.setXY( vector.x, getVerticalComponent() ).multiply( scalar )
+            ).add( arrow.tail );
+          } );
+
+        visibleProperty.linkAttribute( arrow, 'visible' );
+        ballNode.addChild( arrow );
+      };
+
+      // Gets the weight of the Ball, in Newtons.
+      const getWeight = () => spinner.ball.mass * spinner.gravity;
+
+      // The velocity of the Ball only has a vertical component once the Ball falls.
+      createArrow( spinner.ball.tangentialVelocityVectorProperty,
+        velocityVisibleProperty,
+        RotationalMotionColors.LINEAR_VELOCITY_VECTOR_FILL,
+        options.velocityScalar,
+        () => spinner.ballVerticalVelocityProperty.value,
+        [ spinner.ballVerticalVelocityProperty ] );
+
+      // The vertical component of the tension balances gravity, so the Ball only accelerates downwards once it falls.
+      createArrow( spinner.ball.totalAccelerationVectorProperty,
+        totalAccelerationVisibleProperty,
+        RotationalMotionColors.TOTAL_ACCELERATION_VECTOR_FILL,
+        options.accelerationScalar,
+        () => spinner.isStringCut ? -spinner.gravity : 0,
+        [ spinner.isStringCutProperty ] );
+      createArrow( spinner.ball.tensionVectorProperty,
+        tensionVisibleProperty,
+        RotationalMotionColors.TENSION_VECTOR_FILL,
+        options.forceScalar,
+        () => spinner.isStringCut ? 0 : getWeight(),
+        [ spinner.isStringCutProperty, spinner.ball.massProperty ] );
+      createArrow( spinner.ball.netForceVectorProperty,
+        netForceVisibleProperty,
+        RotationalMotionColors.NET_FORCE_VECTOR_FILL,
+        options.forceScalar,
+        () => spinner.isStringCut ? -getWeight() : 0,
+        [ spinner.isStringCutProperty, spinner.ball.massProperty ] );
+    }
+  }
+
+  return ConicalPendulumSideViewNode;
+} );
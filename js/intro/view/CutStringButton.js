@@ -0,0 +1,93 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * CutStringButton is the button that displays "Cut String" on a Rectangular Button. It appears below the
+ * SpinnerControlPanel of each Spinner. When pressed, it cuts the string of the Spinner, which releases the Ball from
+ * circular motion. The button is faded out while the string is cut, since it can only be cut once until a reset.
+ *
+ * CutStringButton is a sub-type of Button. See sim-core/scenery/components/button/Button for context.
+ *
+ * CutStringButtons are created at the start of the sim and are never disposed, so no dispose method is necessary and
+ * links are left as-is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Button = require( 'SIM_CORE/scenery/components/buttons/Button' );
+  const Rectangle = require( 'SIM_CORE/scenery/Rectangle' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+
+  class CutStringButton extends Button {
+
+    /**
+     * @param {Spinner} spinner
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior. See the code
+     *                             where the options are set in the early portion of the constructor for details.
+     */
+    constructor( spinner, options ) {
+      assert( spinner instanceof Spinner, `invalid spinner: ${ spinner }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        baseColor: '#ff7a5c',     // {string} - the base color of the button.
+        cornerRadius: 4,          // {number} - the corner radius of the CutStringButton
+        buttonStroke: '#CC4A2E',  // {string|Gradient} - the stroke of the border of the CutString Button
+        buttonStrokeWidth: 1.1,   // {number} - the stroke-width of the border of the CutString Button
+        xMargin: 35,              // {number} - the x-margin between the background rectangle and the Text
+        yMargin: 15,              // {number} - the y-margin between the background rectangle and the Text
+        cutOpacity: 0.45,         // {number} - the opacity of the CutStringButton while the string is cut
+
+        // Rewrite options so that it overrides the defaults.
+        ...options
+      };
+
+      //----------------------------------------------------------------------------------------
+
+      // Create the content, which is just the Text.
+      const content = new Text( RotationalMotionStrings.cutString, {
+        fontSize: 16.5
+      } );
+
+      // Create the background, which is just a rounded rectangle
+      const background = new Rectangle( content.width + options.xMargin, content.height + options.yMargin, {
+        cornerRadius: options.cornerRadius,
+        stroke: options.buttonStroke,
+        strokeWidth: options.buttonStrokeWidth
+      } );
+
+      super( background, content, options );
+
+      //----------------------------------------------------------------------------------------
+
+      // Custom stops for the CutStringButton, which match the stops of the ResetOmegaButton.
+      const gradientStops = [ [ 0.75, 0 ], [ 0.5, 20 ], [ 0.3, 40 ], [ 0, 59 ], [ -0.01, 69 ], [ -0.015, 75 ],
+                              [ -0.045, 81 ], [ -0.08, 87 ], [ -0.1, 92.5 ], [ -0.13, 95.5 ], [ -0.16, 100 ] ];
+
+      // Apply the 3D Gradient strategy to allow the CutString Button to look 3D
+      Button.apply3DGradients( this, options.baseColor, gradientStops );
+
+      // Listen to when the Button is pressed and cut the string of the spinner. The listener is never unlinked since
+      // CutStringButtons are never disposed.
+      this.interactionStateProperty.link( interactionState => {
+        if ( interactionState === Button.interactionStates.PRESSED ) {
+          spinner.cutString();
+        }
+      } );
+
+      // Fade the Button out while the string is cut. Link is never disposed since CutStringButtons are never disposed.
+      spinner.isStringCutProperty.link( isStringCut => {
+        this.opacity = isStringCut ? options.cutOpacity : 1;
+      } );
+    }
+  }
+
+  return CutStringButton;
+} );
@@ -7,6 +7,7 @@
  *  1. Add a Linear tangential Velocity Arrow Node to represent the Vector.
  *  2. Add a Linear tangential Acceleration Arrow Node to represent the Vector.
  *  2. Add a total Acceleration Arrow Node to represent the total acceleration Vector.
+ *  3. Add String Tension, Tangential Force, and Net Force Arrow Nodes to represent the force Vectors.
  *
  * IntroBallNodes are created at the start of the sim and are never disposed, so no dispose method is necessary.
  *
@@ -31,6 +32,7 @@ define( require => {
   // constants
   const VELOCITY_SCALAR = 0.5; // scalar of velocity Vectors to fit reasonable on the screen.
   const ACCELERATION_SCALAR = 0.36; // scalar of acceleration Vectors to fit reasonable on the screen.
+  const FORCE_SCALAR = 0.36; // scalar of force Vectors to fit reasonable on the screen.
 
   class IntroBallNode extends BallNode {
 
@@ -40,6 +42,9 @@ define( require => {
      * @param {Property.<boolean>} velocityVisibleProperty
      * @param {Property.<boolean>} linearAccelerationVisibleProperty
      * @param {Property.<boolean>} totalAccelerationVisibleProperty
+     * @param {Property.<boolean>} tensionVisibleProperty
+     * @param {Property.<boolean>} tangentialForceVisibleProperty
+     * @param {Property.<boolean>} netForceVisibleProperty
      * @param {Object} [options] - Various key-value pairs that control the appearance and behavior.
      */
     constructor(
@@ -48,6 +53,9 @@ define( require => {
       velocityVisibleProperty,
       linearAccelerationVisibleProperty,
       totalAccelerationVisibleProperty,
+      tensionVisibleProperty,
+      tangentialForceVisibleProperty,
+      netForceVisibleProperty,
       options
     ) {
       assert( ball instanceof IntroBall, `invalid ball: ${ ball }` );
@@ -55,29 +63,39 @@ define( require => {
       assert( velocityVisibleProperty instanceof Property, 'invalid velocityVisibleProperty' );
       assert( linearAccelerationVisibleProperty instanceof Property, 'invalid linearAccelerationVisibleProperty' );
       assert( totalAccelerationVisibleProperty instanceof Property, 'invalid totalAccelerationVisibleProperty' );
+      assert( tensionVisibleProperty instanceof Property, 'invalid tensionVisibleProperty' );
+      assert( tangentialForceVisibleProperty instanceof Property, 'invalid tangentialForceVisibleProperty' );
+      assert( netForceVisibleProperty instanceof Property, 'invalid netForceVisibleProperty' );
       assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
 
+      options = {
+
+        velocityScalar: VELOCITY_SCALAR,          // {number} - scalar of the velocity Vectors
+        accelerationScalar: ACCELERATION_SCALAR,  // {number} - scalar of the acceleration Vectors
+        forceScalar: FORCE_SCALAR,                // {number} - scalar of the force Vectors
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
       super( ball, modelViewTransform, options );
 
       //----------------------------------------------------------------------------------------
 
       // @private {Arrow} - represents the Ball's tangential velocity, initialized at 0 for now.
-      this._velocityArrow = new Arrow( 0, 0, 0, 0, {
-        ...RotationalMotionConstants.VECTOR_ARROW_OPTIONS,
-        fill: RotationalMotionColors.LINEAR_VELOCITY_VECTOR_FILL
-      } );
+      this._velocityArrow = RotationalMotionColors.linkVectorColors(
+        new Arrow( 0, 0, 0, 0, RotationalMotionConstants.VECTOR_ARROW_OPTIONS ),
+        RotationalMotionColors.LINEAR_VELOCITY_VECTOR_FILL );
 
       // @private {Arrow} - represents the Ball's tangential acceleration, initialized at 0 for now.
-      this._linearAccelerationArrow = new Arrow( 0, 0, 0, 0, {
-        ...RotationalMotionConstants.VECTOR_ARROW_OPTIONS,
-        fill: RotationalMotionColors.LINEAR_ACCELERATION_VECTOR_FILL
-      } );
+      this._linearAccelerationArrow = RotationalMotionColors.linkVectorColors(
+        new Arrow( 0, 0, 0, 0, RotationalMotionConstants.VECTOR_ARROW_OPTIONS ),
+        RotationalMotionColors.LINEAR_ACCELERATION_VECTOR_FILL );
 
       // @private {Arrow} - represents the Ball's total acceleration, initialized at 0 for now.
-      this._totalAccelerationArrow = new Arrow( 0, 0, 0, 0, {
-        ...RotationalMotionConstants.VECTOR_ARROW_OPTIONS,
-        fill: RotationalMotionColors.TOTAL_ACCELERATION_VECTOR_FILL
-      } );
+      this._totalAccelerationArrow = RotationalMotionColors.linkVectorColors(
+        new Arrow( 0, 0, 0, 0, RotationalMotionConstants.VECTOR_ARROW_OPTIONS ),
+        RotationalMotionColors.TOTAL_ACCELERATION_VECTOR_FILL );
 
       // Add the Arrows as children, which will allow it to be displayed above the Ball circle.
       this.addChild( this._velocityArrow );
@@ -91,7 +109,7 @@ define( require => {
       new Multilink( [ ball.tangentialVelocityVectorProperty, velocityVisibleProperty, ball.centerPositionProperty ],
         ( velocityVector, velocityVisible ) => {
           if ( !velocityVisible ) return; // for performance, don't update the velocity arrow when it isn't visible.
-          Vector.scratch.set( velocityVector ).multiply( VELOCITY_SCALAR ); // scale the velocity vector
+          Vector.scratch.set( velocityVector ).multiply( options.velocityScalar ); // scale the velocity vector
           this._velocityArrow.tail = modelViewTransform.modelToViewPoint( ball.center );
           this._velocityArrow.tip = modelViewTransform.modelToViewPoint( Vector.scratch.add( ball.center ) );
         } );
@@ -102,7 +120,7 @@ define( require => {
         linearAccelerationVisibleProperty,
         ball.centerPositionProperty ], ( accelerationVector, linearAccelerationVisible ) => {
           if ( !linearAccelerationVisible ) return; // for performance, don't update the arrow when it isn't visible.
-          Vector.scratch.set( accelerationVector ).multiply( ACCELERATION_SCALAR ); // scale the acceleration vector
+          Vector.scratch.set( accelerationVector ).multiply( options.accelerationScalar ); // scale the vector
           this._linearAccelerationArrow.tail = modelViewTransform.modelToViewPoint( ball.center );
           this._linearAccelerationArrow.tip = modelViewTransform.modelToViewPoint( Vector.scratch.add( ball.center ) );
         } );
@@ -113,7 +131,7 @@ define( require => {
         totalAccelerationVisibleProperty,
         ball.centerPositionProperty ], ( accelerationVector, totalAccelerationVisible ) => {
           if ( !totalAccelerationVisible ) return; // for performance, don't update the arrow when it isn't visible.
-          Vector.scratch.set( accelerationVector ).multiply( ACCELERATION_SCALAR ); // scale the acceleration vector
+          Vector.scratch.set( accelerationVector ).multiply( options.accelerationScalar ); // scale the vector
           this._totalAccelerationArrow.tail = modelViewTransform.modelToViewPoint( ball.center );
           this._totalAccelerationArrow.tip = modelViewTransform.modelToViewPoint( Vector.scratch.add( ball.center ) );
         } );
@@ -123,6 +141,42 @@ define( require => {
       velocityVisibleProperty.linkAttribute( this._velocityArrow, 'visible' );
       linearAccelerationVisibleProperty.linkAttribute( this._linearAccelerationArrow, 'visible' );
       totalAccelerationVisibleProperty.linkAttribute( this._totalAccelerationArrow, 'visible' );
+
+      //----------------------------------------------------------------------------------------
+
+      // Creates an Arrow that represents a force on the Ball. The Arrow is updated when the force changes or when the
+      // Ball's center position changes, and its visibility is updated when its visibility Property changes. Links
+      // don't have to be disposed since IntroBalls are never disposed.
+      const createForceArrow = ( forceVectorProperty, forceVisibleProperty, fillProperty ) => {
+        const forceArrow = RotationalMotionColors.linkVectorColors(
+          new Arrow( 0, 0, 0, 0, RotationalMotionConstants.VECTOR_ARROW_OPTIONS ), fillProperty );
+
+        new Multilink( [ forceVectorProperty, forceVisibleProperty, ball.centerPositionProperty ],
+          ( forceVector, forceVisible ) => {
+            if ( !forceVisible ) return; // for performance, don't update the arrow when it isn't visible.
+            Vector.scratch.set( forceVector ).multiply( options.forceScalar ); // scale the force vector
+            forceArrow.tail = modelViewTransform.modelToViewPoint( ball.center );
+            forceArrow.tip = modelViewTransform.modelToViewPoint( Vector.scratch.add( ball.center ) );
+          } );
+
+        forceVisibleProperty.linkAttribute( forceArrow, 'visible' );
+        return forceArrow;
+      };
+
+      // @private {Arrow} - represent the forces on the Ball.
+      this._tensionArrow = createForceArrow( ball.tensionVectorProperty,
+        tensionVisibleProperty,
+        RotationalMotionColors.TENSION_VECTOR_FILL );
+      this._tangentialForceArrow = createForceArrow( ball.tangentialForceVectorProperty,
+        tangentialForceVisibleProperty,
+        RotationalMotionColors.TANGENTIAL_FORCE_VECTOR_FILL );
+      this._netForceArrow = createForceArrow( ball.netForceVectorProperty,
+        netForceVisibleProperty,
+        RotationalMotionColors.NET_FORCE_VECTOR_FILL );
+
+      this.addChild( this._tensionArrow );
+      this.addChild( this._tangentialForceArrow );
+      this.addChild( this._netForceArrow );
     }
   }
 
@@ -5,13 +5,21 @@
  *
  * Responsible for:
  *   - Displaying the CircularMotionTypesRadioButtonGroup
- *   - Displaying both Spinner Nodes
- *   - Displaying TimeControlBoxes for both Spinners
- *   - Displaying the Spinner Control Panels for both Spinners
- *   - Displaying the Vector Visibility Panels for both Spinners
- *   - Displaying the Spinner Values Toggle Panels for both Spinners
+ *   - Displaying each Spinner Node, and a side view of the conical pendulum below the conical Spinner Node
+ *   - Displaying TimeControlBoxes for each Spinner
+ *   - Displaying TimeSpeedsRadioButtonGroups next to each TimeControlBox
+ *   - Displaying the Spinner Control Panels for each Spinner
+ *   - Displaying the Vector Visibility Panels for each Spinner
+ *   - Displaying the Spinner Values Toggle Panels for each Spinner
+ *   - Displaying the Spinner Graphs Panels for each Spinner
  *   - Displaying the Reset Omega Button for non-uniform Spinners
+ *   - Displaying the Cut String Buttons for each Spinner
+ *   - Displaying AngularUnitsRadioButtonGroups below each Spinner Values Toggle Panel
+ *   - Displaying the ColorProfileRadioButtonGroup at the bottom-left corner
+ *   - Displaying the StopwatchNode while the Stopwatch is out of the Toolbox of the Spinner Control Panels
+ *   - Displaying a RulerNode for each Spinner and the ProtractorNode while they are out of the Toolbox
  *   - Displaying a common reset-all button
+ *   - Describing the active Spinner in a DescriptionLiveRegion, for screen readers
  *
  * @author Brandon Li <brandon.li820@gmail.com>
  */
@@ -20,26 +28,58 @@ define( require => {
   'use strict';
 
   // modules
+  const AngularUnitsRadioButtonGroup = require( 'ROTATIONAL_MOTION/common/view/AngularUnitsRadioButtonGroup' );
   const assert = require( 'SIM_CORE/util/assert' );
   const CircularMotionTypes = require( 'ROTATIONAL_MOTION/intro/model/CircularMotionTypes' );
   const CircularMotionTypesRadioButtonGroup = require( 'ROTATIONAL_MOTION/intro/view/CircularMotionTypesRadioButtonGroup' ); // eslint-disable-line max-len
+  const ColorProfileRadioButtonGroup = require( 'ROTATIONAL_MOTION/common/view/ColorProfileRadioButtonGroup' );
+  const ConicalPendulumSideViewNode = require( 'ROTATIONAL_MOTION/intro/view/ConicalPendulumSideViewNode' );
+  const CutStringButton = require( 'ROTATIONAL_MOTION/intro/view/CutStringButton' );
+  const DescriptionLiveRegion = require( 'ROTATIONAL_MOTION/common/view/DescriptionLiveRegion' );
   const IntroModel = require( 'ROTATIONAL_MOTION/intro/model/IntroModel' );
   const Node = require( 'SIM_CORE/scenery/Node' );
   const Property = require( 'SIM_CORE/util/Property' );
+  const ProtractorNode = require( 'ROTATIONAL_MOTION/common/view/ProtractorNode' );
+  const QueryParameterErrorsPanel = require( 'ROTATIONAL_MOTION/common/view/QueryParameterErrorsPanel' );
   const ResetButton = require( 'SIM_CORE/scenery/components/buttons/ResetButton' );
   const ResetOmegaButton = require( 'ROTATIONAL_MOTION/intro/view/ResetOmegaButton' );
   const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionQueryParameters = require( 'ROTATIONAL_MOTION/common/RotationalMotionQueryParameters' );
+  const RulerNode = require( 'ROTATIONAL_MOTION/common/view/RulerNode' );
   const ScreenView = require( 'SIM_CORE/scenery/ScreenView' );
   const SpinnerControlPanel = require( 'ROTATIONAL_MOTION/intro/view/SpinnerControlPanel' );
+  const SpinnerDescriber = require( 'ROTATIONAL_MOTION/intro/view/SpinnerDescriber' );
+  const SpinnerGraphsPanel = require( 'ROTATIONAL_MOTION/intro/view/SpinnerGraphsPanel' );
   const SpinnerNode = require( 'ROTATIONAL_MOTION/intro/view/SpinnerNode' );
   const SpinnerValuesTogglePanel = require( 'ROTATIONAL_MOTION/intro/view/SpinnerValuesTogglePanel' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
+  const StopwatchNode = require( 'ROTATIONAL_MOTION/common/view/StopwatchNode' );
   const TimeControlBox = require( 'SIM_CORE/scenery/components/TimeControlBox' );
+  const TimeSpeedsRadioButtonGroup = require( 'ROTATIONAL_MOTION/common/view/TimeSpeedsRadioButtonGroup' );
+  const Vector = require( 'SIM_CORE/util/Vector' );
   const VectorVisibilityPanel = require( 'ROTATIONAL_MOTION/intro/view/VectorVisibilityPanel' );
 
   // constants
   const SCREEN_VIEW_X_MARGIN = RotationalMotionConstants.SCREEN_VIEW_X_MARGIN;
   const SCREEN_VIEW_Y_MARGIN = RotationalMotionConstants.SCREEN_VIEW_Y_MARGIN;
 
+  // the scalars of the Ball's Vectors for the scenes with gravity, where the Vectors are larger, to fit on the screen.
+  const VECTOR_SCALARS = {
+    VERTICAL: { velocityScalar: 0.06, accelerationScalar: 0.006, forceScalar: 0.006 },
+    CONICAL: { velocityScalar: 0.1, accelerationScalar: 0.03, forceScalar: 0.03 }
+  };
+
+  const CONICAL_MODEL_TO_VIEW_SCALE = 130; // the scale of both views of the conical Spinner, to fit them on the screen
+  const CONICAL_VIEW_CENTER = new Vector( 292, 225 ); // eye-balled, the view center of the conical Spinner Node
+  const CONICAL_PIVOT_CENTER = new Vector( 292, 384 ); // eye-balled, the pivot of the conical pendulum side view
+  const STOPWATCH_LEFT = 540; // eye-balled, the left of the StopwatchNode when it is taken out of the Toolbox
+  const STOPWATCH_TOP = 110; // eye-balled, the top of the StopwatchNode when it is taken out of the Toolbox
+  const RULER_VIEW_POSITION = new Vector( 545, 300 ); // eye-balled, the zero end of the rulers when taken out
+  const PROTRACTOR_CENTER = new Vector( 640, 470 ); // eye-balled, the center of the protractor when taken out
+
+  // the tick spacings of the ruler of the conical Spinner, which are larger since its scale is smaller, in meters.
+  const CONICAL_RULER_TICK_SPACINGS = { majorTickSpacing: 0.2, minorTickSpacing: 0.05 };
+
   class IntroScreenView extends ScreenView {
 
     /**
@@ -49,21 +89,65 @@ define( require => {
       assert( introModel instanceof IntroModel, `invalid introModel: ${ introModel }` );
       super();
 
-      // @public (read-only) - indicates if the linear velocity Vectors are visible or not for both Spinners.
-      this.linearVelocityVisibleProperty = new Property( false, { type: 'boolean' } );
+      // The Vectors that are initially visible, which were provided with the ?vectors query parameter.
+      const vectors = RotationalMotionQueryParameters.vectors;
+
+      // @public (read-only) - indicates if the linear velocity Vectors are visible or not for all Spinners.
+      this.linearVelocityVisibleProperty = new Property( vectors.includes( 'velocity' ), { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the linear acceleration Vectors are visible or not for all Spinners.
+      this.linearAccelerationVisibleProperty = new Property( vectors.includes( 'acceleration' ), { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the total acceleration Vectors are visible or not for all Spinners.
+      this.totalAccelerationVisibleProperty = new Property( vectors.includes( 'totalAcceleration' ), {
+        type: 'boolean'
+      } );
+
+      // @public (read-only) - indicates if the string tension Vectors are visible or not for all Spinners.
+      this.tensionVisibleProperty = new Property( vectors.includes( 'tension' ), { type: 'boolean' } );
 
-      // @public (read-only) - indicates if the linear acceleration Vectors are visible or not for both Spinners.
-      this.linearAccelerationVisibleProperty = new Property( false, { type: 'boolean' } );
+      // @public (read-only) - indicates if the tangential force Vectors are visible or not for all Spinners.
+      this.tangentialForceVisibleProperty = new Property( vectors.includes( 'tangentialForce' ), { type: 'boolean' } );
 
-      // @public (read-only) - indicates if the total acceleration Vectors are visible or not for both Spinners.
-      this.totalAccelerationVisibleProperty = new Property( false, { type: 'boolean' } );
+      // @public (read-only) - indicates if the net force Vectors are visible or not for all Spinners.
+      this.netForceVisibleProperty = new Property( vectors.includes( 'netForce' ), { type: 'boolean' } );
 
       // @public (read-only) - indicates if the spinner angle is visible.
       this.angleVisibleProperty = new Property( false, { type: 'boolean' } );
 
+      // @public (read-only) - indicates if the readout of the value of the spinner angle is visible, so that students
+      //                      can measure the angle with the protractor instead of reading it.
+      this.angleReadoutVisibleProperty = new Property( true, { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the spinner angle displays the angular displacement (delta theta).
+      this.angularDisplacementModeProperty = new Property( false, { type: 'boolean' } );
+
       // @public (read-only) - indicates if the spinner values are visible.
       this.spinnerValuesVisibleProperty = new Property( true, { type: 'boolean' } );
 
+      // @public (read-only) - indicates if the row of the period values of the spinner values is expanded.
+      this.periodValuesVisibleProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the trail of where the Ball has been is visible.
+      this.traceVisibleProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the spinner graphs are visible.
+      this.graphsVisibleProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the Stopwatch is out of the Toolbox, which is shared by every scene.
+      this.stopwatchVisibleProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the ruler is out of the Toolbox, which is shared by every scene.
+      this.rulerVisibleProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the protractor is out of the Toolbox, which is shared by every scene.
+      this.protractorVisibleProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) - the duration of the window of time of the spinner graphs, in seconds.
+      this.graphTimeSpanProperty = new Property( SpinnerGraphsPanel.TIME_SPANS[ 1 ], {
+        validValues: SpinnerGraphsPanel.TIME_SPANS
+      } );
+
       //----------------------------------------------------------------------------------------
 
       // Add the Reset All Button
@@ -76,48 +160,105 @@ define( require => {
         bottom: this.layoutBounds.maxY - SCREEN_VIEW_Y_MARGIN
       } ) );
 
+      // Add the radio buttons to switch the color profile, at the bottom-left corner
+      this.addChild( new ColorProfileRadioButtonGroup( 'vertical', {
+        left: SCREEN_VIEW_X_MARGIN,
+        bottom: this.layoutBounds.maxY - SCREEN_VIEW_Y_MARGIN
+      } ) );
+
       // Create a scene for each Spinner and render it
-      introModel.spinners.forEach( spinner => {
+      introModel.spinners.forEach( ( spinner, index ) => {
 
-        // Create the Spinner Node
+        // Create the Spinner Node. The conical Spinner Node is smaller, to leave room for its side view below it.
+        const isConical = spinner.type === CircularMotionTypes.CONICAL;
         const spinnerNode = new SpinnerNode( spinner,
           this.linearVelocityVisibleProperty,
           this.linearAccelerationVisibleProperty,
           this.totalAccelerationVisibleProperty,
+          this.tensionVisibleProperty,
+          this.tangentialForceVisibleProperty,
+          this.netForceVisibleProperty,
           this.angleVisibleProperty,
-          this.spinnerValuesVisibleProperty );
+          this.angleReadoutVisibleProperty,
+          this.angularDisplacementModeProperty,
+          this.spinnerValuesVisibleProperty,
+          this.traceVisibleProperty, {
+            ballNodeOptions: VECTOR_SCALARS[ spinner.type.name ],
+            ...( isConical ? { viewCenter: CONICAL_VIEW_CENTER, modelToViewScale: CONICAL_MODEL_TO_VIEW_SCALE } : {} )
+          } );
 
         // Create the Control Panel
         const controlPanel = new SpinnerControlPanel( spinner,
-          this.angleVisibleProperty, {
+          this.angleVisibleProperty,
+          this.angleReadoutVisibleProperty,
+          this.angularDisplacementModeProperty,
+          this.graphsVisibleProperty,
+          this.traceVisibleProperty,
+          this.stopwatchVisibleProperty,
+          this.rulerVisibleProperty,
+          this.protractorVisibleProperty, {
             right: this.layoutBounds.maxX - SCREEN_VIEW_X_MARGIN,
             top: SCREEN_VIEW_Y_MARGIN
           } );
 
-        // Create the Vector Visible Panel
+        // Create the Vector Visible Panel, to the bottom left of the Control Panel as there is no room below it
         const vectorVisiblePanel = new VectorVisibilityPanel(
           spinner.type,
           controlPanel.content.width,
           this.linearVelocityVisibleProperty,
           this.linearAccelerationVisibleProperty,
-          this.totalAccelerationVisibleProperty, {
-            left: controlPanel.left,
-            top: controlPanel.bottom + 10
+          this.totalAccelerationVisibleProperty,
+          this.tensionVisibleProperty,
+          this.tangentialForceVisibleProperty,
+          this.netForceVisibleProperty, {
+            right: controlPanel.left - 10,
+            bottom: this.layoutBounds.maxY - SCREEN_VIEW_Y_MARGIN
           } );
 
-        // Create the Time Control Box
-        const timeControlBox = new TimeControlBox( spinner.isPlayingProperty, {
-          stepBackwardOptions: { listener() { spinner.stepBackwards(); } },
-          stepForwardOptions: { listener() { spinner.stepForwards(); } },
-          topCenter: spinnerNode.playAreaViewBounds.topCenter.addXY( 0, 10 ) // eye-balled margin
+        // Create the Cut String Button, below the Control Panel
+        const cutStringButton = new CutStringButton( spinner, {
+          centerX: controlPanel.centerX,
+          top: controlPanel.bottom + 15 // eye-balled
         } );
 
-        // Create the Spinner Values Panel
-        const spinnerValuesPanel = new SpinnerValuesTogglePanel( spinner, this.spinnerValuesVisibleProperty, {
+        // Create the Time Control Box, centered below the Spinner
+        const timeControlBox = new TimeControlBox( spinner.isPlayingProperty, {
+          stepBackwardOptions: { listener() { introModel.stepBackwards(); } },
+          stepForwardOptions: { listener() { introModel.stepForwards(); } },
           centerX: spinnerNode.playAreaViewBounds.centerX,
-          top: SCREEN_VIEW_Y_MARGIN
+          bottom: this.layoutBounds.maxY - SCREEN_VIEW_Y_MARGIN
         } );
 
+        // Create the TimeSpeeds RadioButtonGroup, to the left of the Time Control Box
+        const timeSpeedsRadioButtonGroup = new TimeSpeedsRadioButtonGroup( introModel.timeSpeedProperty, {
+          centerRight: timeControlBox.centerLeft.addXY( -25, 0 ) // eye-balled
+        } );
+
+        // Create the Spinner Values Panel, at the top left to leave room for the CircularMotionTypesRadioButtonGroup
+        const spinnerValuesPanel = new SpinnerValuesTogglePanel( spinner,
+          this.spinnerValuesVisibleProperty,
+          this.periodValuesVisibleProperty, {
+            left: SCREEN_VIEW_X_MARGIN,
+            top: SCREEN_VIEW_Y_MARGIN
+          } );
+
+        // Create the AngularUnits RadioButtonGroup, below the Spinner Values Panel
+        const angularUnitsRadioButtonGroup = new AngularUnitsRadioButtonGroup( 'vertical', {
+          left: SCREEN_VIEW_X_MARGIN,
+          top: spinnerValuesPanel.bottom + SCREEN_VIEW_Y_MARGIN
+        } );
+
+        // Create the Spinner Graphs Panel, to the right of the Spinner
+        const spinnerGraphsPanel = new SpinnerGraphsPanel( introModel.dataRecorders[ index ],
+          this.graphsVisibleProperty,
+          this.graphTimeSpanProperty, {
+            left: spinnerNode.playAreaViewBounds.maxX,
+            top: spinnerNode.playAreaViewBounds.minY
+          } );
+
+        // Adjust visibility based on the graphs checkbox. Link lasts for the entire simulation and is never disposed.
+        this.graphsVisibleProperty.link( graphsVisible => { spinnerGraphsPanel.visible = graphsVisible; } );
+
         // Create the CircularMotionTypes RadioButtonGroup
         const circularMotionTypesRadioButtonGroup = new CircularMotionTypesRadioButtonGroup(
           introModel.circularMotionTypeProperty, {
@@ -128,10 +269,14 @@ define( require => {
         // Create a wrapper scene Node.
         const scene = new Node( { children: [
           timeControlBox,
+          timeSpeedsRadioButtonGroup,
           spinnerValuesPanel,
+          angularUnitsRadioButtonGroup,
           circularMotionTypesRadioButtonGroup,
           controlPanel,
+          cutStringButton,
           vectorVisiblePanel,
+          spinnerGraphsPanel,
           spinnerNode
         ] } );
 
@@ -144,11 +289,58 @@ define( require => {
           resetOmegaButton.moveToBack();
         }
 
+        // Display the side view of the conical pendulum below the conical Spinner Node
+        if ( isConical ) {
+          scene.addChild( new ConicalPendulumSideViewNode( spinner,
+            this.linearVelocityVisibleProperty,
+            this.totalAccelerationVisibleProperty,
+            this.tensionVisibleProperty,
+            this.netForceVisibleProperty, {
+              pivotCenter: CONICAL_PIVOT_CENTER,
+              modelToViewScale: CONICAL_MODEL_TO_VIEW_SCALE,
+              ...VECTOR_SCALARS.CONICAL
+            } ) );
+        }
+
+        // Display the ruler of the Spinner above the rest of the scene. Each scene has its own ruler, since the ruler
+        // measures in meters with the scale of its Spinner Node.
+        scene.addChild( new RulerNode( spinnerNode.modelViewTransform, this.rulerVisibleProperty, this.layoutBounds, {
+          initialViewPosition: RULER_VIEW_POSITION,
+          ...( isConical ? CONICAL_RULER_TICK_SPACINGS : {} )
+        } ) );
+
         this.addChild( scene ); // Add the scene as a child.
 
         // Adjust visibility based on the active Spinner. Link lasts for the entire simulation and is never disposed.
         introModel.activeSpinnerProperty.link( activeSpinner => { scene.visible = activeSpinner === spinner; } );
       } );
+
+      // Add the ProtractorNode above every scene, since angles don't depend on the scale of each Spinner Node.
+      this.addChild( new ProtractorNode( this.protractorVisibleProperty, this.layoutBounds, {
+        initialCenter: PROTRACTOR_CENTER
+      } ) );
+
+      // Add the StopwatchNode above every scene, since the Stopwatch is shared by every Spinner.
+      this.addChild( new StopwatchNode( introModel.stopwatch, this.stopwatchVisibleProperty, this.layoutBounds, {
+        left: STOPWATCH_LEFT,
+        top: STOPWATCH_TOP
+      } ) );
+
+      //----------------------------------------------------------------------------------------
+
+      // Describe the active Spinner for screen readers.
+      const spinnerDescriber = new SpinnerDescriber( introModel,
+        this.linearVelocityVisibleProperty,
+        this.linearAccelerationVisibleProperty,
+        this.totalAccelerationVisibleProperty,
+        this.tensionVisibleProperty,
+        this.tangentialForceVisibleProperty,
+        this.netForceVisibleProperty );
+
+      // @public (read-only) {DescriptionLiveRegion} - announces the description of the active Spinner. It is HTML, so
+      //                                               it is rendered by the IntroScreen instead. See
+      //                                               IntroScreen.start().
+      this.descriptionLiveRegion = new DescriptionLiveRegion( spinnerDescriber.descriptionProperty );
     }
 
     /**
@@ -159,8 +351,66 @@ define( require => {
       this.linearVelocityVisibleProperty.reset();
       this.linearAccelerationVisibleProperty.reset();
       this.totalAccelerationVisibleProperty.reset();
+      this.tensionVisibleProperty.reset();
+      this.tangentialForceVisibleProperty.reset();
+      this.netForceVisibleProperty.reset();
       this.angleVisibleProperty.reset();
+      this.angleReadoutVisibleProperty.reset();
+      this.angularDisplacementModeProperty.reset();
       this.spinnerValuesVisibleProperty.reset();
+      this.periodValuesVisibleProperty.reset();
+      this.traceVisibleProperty.reset();
+      this.graphsVisibleProperty.reset();
+      this.graphTimeSpanProperty.reset();
+      this.stopwatchVisibleProperty.reset();
+      this.rulerVisibleProperty.reset();
+      this.protractorVisibleProperty.reset();
+    }
+
+    /**
+     * Creates the StateSchema of the View Properties of the 'Intro' screen, which serializes and restores which
+     * Vectors, panels, and displays are visible. See StateSchema.
+     * @public
+     *
+     * @returns {StateSchema}
+     */
+    createStateSchema() {
+      return new StateSchema( {
+        linearVelocityVisible: StateSchema.boolean( this.linearVelocityVisibleProperty ),
+        linearAccelerationVisible: StateSchema.boolean( this.linearAccelerationVisibleProperty ),
+        totalAccelerationVisible: StateSchema.boolean( this.totalAccelerationVisibleProperty ),
+        tensionVisible: StateSchema.boolean( this.tensionVisibleProperty ),
+        tangentialForceVisible: StateSchema.boolean( this.tangentialForceVisibleProperty ),
+        netForceVisible: StateSchema.boolean( this.netForceVisibleProperty ),
+        angleVisible: StateSchema.boolean( this.angleVisibleProperty ),
+        angleReadoutVisible: StateSchema.boolean( this.angleReadoutVisibleProperty ),
+        angularDisplacementMode: StateSchema.boolean( this.angularDisplacementModeProperty ),
+        spinnerValuesVisible: StateSchema.boolean( this.spinnerValuesVisibleProperty ),
+        periodValuesVisible: StateSchema.boolean( this.periodValuesVisibleProperty ),
+        traceVisible: StateSchema.boolean( this.traceVisibleProperty ),
+        graphsVisible: StateSchema.boolean( this.graphsVisibleProperty ),
+        graphTimeSpan: StateSchema.number( this.graphTimeSpanProperty, {
+          isValidValue: value => SpinnerGraphsPanel.TIME_SPANS.includes( value )
+        } ),
+        stopwatchVisible: StateSchema.boolean( this.stopwatchVisibleProperty ),
+        rulerVisible: StateSchema.boolean( this.rulerVisibleProperty ),
+        protractorVisible: StateSchema.boolean( this.protractorVisibleProperty )
+      } );
+    }
+
+    /**
+     * Reports the invalid query parameters on top of everything, in a QueryParameterErrorsPanel. This is called once
+     * the sim has loaded, on the screen that is initially shown. See RotationalMotionQueryParameters.
+     * @public
+     *
+     * @param {Object[]} errors - the errors of each invalid query parameter. See RotationalMotionQueryParameters.errors
+     * @param {string[]} stateErrors - the error messages of the state of the ?state query parameter, if it was invalid.
+     */
+    showQueryParameterErrors( errors, stateErrors ) {
+      this.addChild( new QueryParameterErrorsPanel( errors, stateErrors, {
+        centerX: this.layoutBounds.centerX,
+        top: this.layoutBounds.minY + SCREEN_VIEW_Y_MARGIN
+      } ) );
     }
   }
 
@@ -21,6 +21,7 @@ define( require => {
   const Button = require( 'SIM_CORE/scenery/components/buttons/Button' );
   const CircularMotionTypes = require( 'ROTATIONAL_MOTION/intro/model/CircularMotionTypes' );
   const Rectangle = require( 'SIM_CORE/scenery/Rectangle' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
   const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
   const Symbols = require( 'SIM_CORE/util/Symbols' );
   const Text = require( 'SIM_CORE/scenery/Text' );
@@ -53,9 +54,9 @@ define( require => {
       //----------------------------------------------------------------------------------------
 
       // Create the content, which is just the Text.
-      const content = new Text( `Reset ${ Symbols.OMEGA }`, {
-        fontSize: 16.5
-      } );
+      const content = new Text( RotationalMotionStrings.fillIn( RotationalMotionStrings.resetPattern, {
+        symbol: Symbols.OMEGA
+      } ), { fontSize: 16.5 } );
 
       // Create the background, which is just a rounded rectangle
       const background = new Rectangle( content.width + options.xMargin, content.height + options.yMargin, {
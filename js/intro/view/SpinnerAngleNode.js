@@ -6,7 +6,14 @@
  * Responsible for displaying:
  *  - a base-line to show the horizontal x-axis
  *  - a curved arrow from the horizontal up to the spinner's string
- *  - a label to indicate the angle's value in degrees
+ *  - a label to indicate the angle's value, in the unit that angular quantities are currently displayed in
+ *
+ * The label can be hidden independently of the rest of the SpinnerAngleNode, so that students measure the angle with
+ * the protractor instead of reading it.
+ *
+ * SpinnerAngleNode has two display modes. By default, the label displays the angle of the Spinner, which is in the
+ * range [0, 360) degrees. In the angular displacement mode, the label instead displays the total change in angle (delta
+ * theta) since the initial angle, which can go beyond 360 degrees, along with the number of complete revolutions.
  *
  * SpinnerAngleNodes are created at the start of the sim and are never disposed, so no dispose method is necessary.
  *
@@ -17,6 +24,7 @@ define( require => {
   'use strict';
 
   // modules
+  const AngularUnits = require( 'ROTATIONAL_MOTION/common/model/AngularUnits' );
   const assert = require( 'SIM_CORE/util/assert' );
   const CurvedArrow = require( 'SIM_CORE/scenery/components/CurvedArrow' );
   const Line = require( 'SIM_CORE/scenery/Line' );
@@ -25,23 +33,40 @@ define( require => {
   const Node = require( 'SIM_CORE/scenery/Node' );
   const Property = require( 'SIM_CORE/util/Property' );
   const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionGlobals = require( 'ROTATIONAL_MOTION/common/RotationalMotionGlobals' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
   const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
   const Symbols = require( 'SIM_CORE/util/Symbols' );
   const Text = require( 'SIM_CORE/scenery/Text' );
   const Util = require( 'SIM_CORE/util/Util' );
   const Vector = require( 'SIM_CORE/util/Vector' );
 
+  // constants
+  const DELTA = '\u0394'; // capital delta, used to label the angular displacement
+  const DECIMAL_PLACES = RotationalMotionConstants.NUMBER_DISPLAY_DECIMAL_PLACES;
+
   class SpinnerAngleNode extends Node {
 
     /**
      * @param {Spinner} spinner
      * @param {Property.<boolean>} angleVisibleProperty
+     * @param {Property.<boolean>} angleReadoutVisibleProperty - indicates if the label of the angle is visible.
+     * @param {Property.<boolean>} angularDisplacementModeProperty - indicates if the label displays delta theta.
      * @param {ModelViewTransform} modelViewTransform
      * @param {Object} [options]
      */
-    constructor( spinner, angleVisibleProperty, modelViewTransform, options ) {
+    constructor(
+      spinner,
+      angleVisibleProperty,
+      angleReadoutVisibleProperty,
+      angularDisplacementModeProperty,
+      modelViewTransform,
+      options
+    ) {
       assert( spinner instanceof Spinner, `invalid spinner: ${ spinner }` );
       assert( angleVisibleProperty instanceof Property, 'invalid angleVisibleProperty' );
+      assert( angleReadoutVisibleProperty instanceof Property, 'invalid angleReadoutVisibleProperty' );
+      assert( angularDisplacementModeProperty instanceof Property, 'invalid angularDisplacementModeProperty' );
       assert( modelViewTransform instanceof ModelViewTransform, 'invalid modelViewTransform' );
       assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
 
@@ -87,10 +112,20 @@ define( require => {
       //----------------------------------------------------------------------------------------
 
       // Observe when the Ball of the Spinner moves and update what is displayed (see the comment at the top).
-      // Also observe when the Angle Visibility Property changes and update the visibility of this Node.
-      // Doesn't have to be disposed since SpinnerAngleNodes are never disposed.
-      new Multilink( [ angleVisibleProperty, spinner.ball.centerPositionProperty ], angleVisible => {
+      // Also observe when the Angle Visibility Property changes and update the visibility of this Node, and when the
+      // visibility of the label, the display mode, or the angular unit changes. Doesn't have to be disposed since
+      // SpinnerAngleNodes are never disposed.
+      new Multilink( [
+        angleVisibleProperty,
+        angleReadoutVisibleProperty,
+        angularDisplacementModeProperty,
+        spinner.ball.centerPositionProperty,
+        spinner.cumulativeAngleProperty,
+        RotationalMotionGlobals.angularUnitProperty
+      ], ( angleVisible, angleReadoutVisible, angularDisplacementMode, centerPosition, cumulativeAngle,
+        angularUnit ) => {
         this.visible = angleVisible;
+        label.visible = angleReadoutVisible;
         if ( !this.visible ) return; // don't update when not visible
 
         const degrees = Util.toDegrees( spinner.angle );
@@ -99,7 +134,16 @@ define( require => {
         // Update the curvedArrow angle/radius, the text of the label, and the length of the baseline.
         curvedArrow.endAngle = spinner.angle;
         curvedArrow.radius = Math.min( options.radiusScale * radiusView, options.maxCurvedArrowRadius );
-        label.text = Util.toFixed( degrees, RotationalMotionConstants.NUMBER_DISPLAY_DECIMAL_PLACES ) + Symbols.DEGREES;
+        if ( angularDisplacementMode ) {
+          const readout = RotationalMotionStrings.fillIn( RotationalMotionStrings.angularDisplacementReadoutPattern, {
+            displacement: AngularUnits.formatAngle( spinner.angularDisplacement, angularUnit, DECIMAL_PLACES ),
+            revolutions: RotationalMotionStrings.formatNumber( spinner.revolutions, 0 )
+          } );
+          label.text = `${ DELTA }${ Symbols.THETA } ${ Symbols.EQUAL_TO } ${ readout }`;
+        }
+        else {
+          label.text = AngularUnits.formatAngle( spinner.angle, angularUnit, DECIMAL_PLACES );
+        }
         baseline.endX = viewOrigin.x + Math.min( curvedArrow.radius / options.baseLineScale, options.maxBaselineWidth );
 
 
@@ -8,10 +8,21 @@
  * be adjusted by the current circular motion type. Its content is fixed and doesn't change after instantiation.
  *
  * A SpinnerControlPanel displays:
- *  - A radius Number Control Set
+ *  - A radius Number Control Set, or a string length and a cone angle Number Control Set for conical
+ *  - A mass Number Control Set
  *  - A angular velocity Number Control Set for uniform and a angular acceleration Number Control Set for non-uniform
+ *  - A launch speed Number Control Set and a readout of the minimum speed at the top of the circle for vertical
  *  - A horizontal separator line
- *  - An angle visibility checkbox
+ *  - An angle visibility checkbox, and a checkbox beside it to toggle the readout of the angle's value
+ *  - An angular displacement (delta theta) display mode checkbox
+ *  - A graphs visibility checkbox
+ *  - A trace checkbox, which toggles the trail of where the Ball has been
+ *  - A breakable string checkbox, which makes the string break when the tension exceeds the tension limit
+ *  - A horizontal separator line
+ *  - A Toolbox of the measurement tools
+ *
+ * The angular Number Control Sets are in the unit that angular quantities are currently displayed in. There is a Number
+ * Control Set for each AngularUnits member, since the range and ticks of a Number Control Set are fixed.
  *
  * @author Brandon Li
  */
@@ -20,42 +31,78 @@ define( require => {
   'use strict';
 
   // modules
+  const AngularUnits = require( 'ROTATIONAL_MOTION/common/model/AngularUnits' );
+  const AngularUnitsNode = require( 'ROTATIONAL_MOTION/common/view/AngularUnitsNode' );
   const assert = require( 'SIM_CORE/util/assert' );
   const CircularMotionTypes = require( 'ROTATIONAL_MOTION/intro/model/CircularMotionTypes' );
   const FlexBox = require( 'SIM_CORE/scenery/FlexBox' );
   const FractionNode = require( 'ROTATIONAL_MOTION/common/view/FractionNode' );
   const Line = require( 'SIM_CORE/scenery/Line' );
+  const LocalizedNumberDisplay = require( 'ROTATIONAL_MOTION/common/view/LocalizedNumberDisplay' );
   const Panel = require( 'SIM_CORE/scenery/components/Panel' );
   const Property = require( 'SIM_CORE/util/Property' );
+  const Range = require( 'SIM_CORE/util/Range' );
+  const RichText = require( 'SIM_CORE/scenery/components/RichText' );
   const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
   const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
   const RotationalMotionIconFactory = require( 'ROTATIONAL_MOTION/common/view/RotationalMotionIconFactory' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
   const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
   const SpinnerNumberControlSet = require( 'ROTATIONAL_MOTION/intro/view/SpinnerNumberControlSet' );
   const Symbols = require( 'SIM_CORE/util/Symbols' );
   const Text = require( 'SIM_CORE/scenery/Text' );
+  const Toolbox = require( 'ROTATIONAL_MOTION/common/view/Toolbox' );
   const UnitNode = require( 'ROTATIONAL_MOTION/common/view/UnitNode' );
+  const Util = require( 'SIM_CORE/util/Util' );
   const VisibilityCheckbox = require( 'ROTATIONAL_MOTION/common/view/VisibilityCheckbox' );
 
+  // constants
+  const DELTA = '\u0394'; // capital delta, used to label the angular displacement
+  const PHI = '\u03C6'; // lowercase phi, used to label the cone angle
+  const SQUARE_ROOT = '\u221A'; // square root sign, used to label the minimum speed at the top of the circle
+  const TICK_LABEL_DECIMAL_PLACES = 2; // the most decimal places of the labeled minor ticks of converted angular units
+
   class SpinnerControlPanel extends Panel {
 
     /**
      * @param {Spinner} spinner
      * @param {Property.<boolean>} angleVisibleProperty
+     * @param {Property.<boolean>} angleReadoutVisibleProperty
+     * @param {Property.<boolean>} angularDisplacementModeProperty
+     * @param {Property.<boolean>} graphsVisibleProperty
+     * @param {Property.<boolean>} traceVisibleProperty
+     * @param {Property.<boolean>} stopwatchVisibleProperty
+     * @param {Property.<boolean>} rulerVisibleProperty
+     * @param {Property.<boolean>} protractorVisibleProperty
      * @param {Object} [options]
      */
-    constructor( spinner, angleVisibleProperty, options ) {
+    constructor(
+      spinner,
+      angleVisibleProperty,
+      angleReadoutVisibleProperty,
+      angularDisplacementModeProperty,
+      graphsVisibleProperty,
+      traceVisibleProperty,
+      stopwatchVisibleProperty,
+      rulerVisibleProperty,
+      protractorVisibleProperty,
+      options
+    ) {
       assert( spinner instanceof Spinner, `invalid spinner: ${ spinner }` );
       assert( angleVisibleProperty instanceof Property, 'invalid angleVisibleProperty' );
+      assert( angleReadoutVisibleProperty instanceof Property, 'invalid angleReadoutVisibleProperty' );
+      assert( angularDisplacementModeProperty instanceof Property, 'invalid angularDisplacementModeProperty' );
+      assert( graphsVisibleProperty instanceof Property, 'invalid graphsVisibleProperty' );
+      assert( traceVisibleProperty instanceof Property, 'invalid traceVisibleProperty' );
+      assert( stopwatchVisibleProperty instanceof Property, 'invalid stopwatchVisibleProperty' );
+      assert( rulerVisibleProperty instanceof Property, 'invalid rulerVisibleProperty' );
+      assert( protractorVisibleProperty instanceof Property, 'invalid protractorVisibleProperty' );
       assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
 
       options = {
 
-        // Import the panel colors.
-        ...RotationalMotionColors.PANEL_COLORS,
-
         // {number} - spacing between the content of the Panel.
-        spacing: 13,
+        spacing: 11,
 
         // rewrite options such that it overrides the defaults above if provided.
         ...options
@@ -63,32 +110,73 @@ define( require => {
 
       //----------------------------------------------------------------------------------------
 
-      super( FlexBox.vertical( { align: 'left', spacing: options.spacing } ), options );
+      // The content lines up at the start of each line, which is the right side for right-to-left locales.
+      super( FlexBox.vertical( { align: RotationalMotionStrings.startAlign, spacing: options.spacing } ), options );
+      RotationalMotionColors.linkPanelColors( this );
+
+      if ( spinner.type === CircularMotionTypes.CONICAL ) {
+
+        // 'String Length' NumberControlSet
+        this.content.addChild( new SpinnerNumberControlSet( spinner,
+          spinner.stringLengthProperty,
+          spinner.stringLengthRange,
+          new Text( RotationalMotionStrings.stringLength, RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
+          UnitNode.text( 'm' ),
+          { minor: 0.125, minorLabel: 0.25, major: spinner.stringLengthRange.length, fractionalPi: false },
+          { numberDisplayOptions: { unitAlign: 'bottom' } }
+        ) );
+
+        // 'Cone Angle' NumberControlSet
+        this.content.addChild( createAngularNumberControlSet( spinner,
+          spinner.coneAngleProperty,
+          spinner.coneAngleRange,
+          () => new Text( RotationalMotionStrings.fillIn( RotationalMotionStrings.coneAnglePattern, { symbol: PHI } ),
+            RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
+          UnitNode.angle,
+          angularUnit => AngularUnits.getAngleFactor( angularUnit ),
+          { minor: Math.PI / 16, minorLabel: Math.PI / 8, major: spinner.coneAngleRange.length }
+        ) );
+      }
+      else {
+
+        // 'Radius' NumberControlSet
+        this.content.addChild( new SpinnerNumberControlSet( spinner,
+          spinner.radiusProperty,
+          spinner.radiusRange,
+          new Text( RotationalMotionStrings.radius, RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
+          UnitNode.text( 'm' ),
+          { minor: 0.1, minorLabel: 0.3, major: spinner.radiusRange.length, fractionalPi: false },
+          { numberDisplayOptions: { unitAlign: 'bottom' } }
+        ) );
+      }
 
-      // 'Radius' NumberControlSet
+      // 'Mass' NumberControlSet
       this.content.addChild( new SpinnerNumberControlSet( spinner,
-        spinner.radiusProperty,
-        spinner.radiusRange,
-        new Text( 'Radius', RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
-        UnitNode.text( 'm' ),
-        { minor: 0.1, minorLabel: 0.3, major: spinner.radiusRange.length, fractionalPi: false },
+        spinner.ball.massProperty,
+        spinner.ball.massRange,
+        new Text( RotationalMotionStrings.mass, RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
+        UnitNode.text( 'kg' ),
+        { minor: 0.25, minorLabel: 0.5, major: spinner.ball.massRange.length, fractionalPi: false },
         { numberDisplayOptions: { unitAlign: 'bottom' } }
       ) );
 
       if ( spinner.type === CircularMotionTypes.UNIFORM ) {
 
         // 'Angular Velocity' NumberControlSet
-        this.content.addChild( new SpinnerNumberControlSet( spinner,
+        this.content.addChild( createAngularNumberControlSet( spinner,
           spinner.angularVelocityProperty,
           spinner.angularVelocityRange,
-          new Text( `Angular Velocity (${ Symbols.OMEGA })`, RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
-          UnitNode.fraction( 'rad', 'sec' ),
+          () => new Text( RotationalMotionStrings.fillIn( RotationalMotionStrings.angularVelocityPattern, {
+            symbol: Symbols.OMEGA
+          } ), RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
+          UnitNode.angularVelocity,
+          angularUnit => AngularUnits.getAngularVelocityFactor( angularUnit ),
           { minor: Math.PI / 16, minorLabel: Math.PI / 8, major: spinner.angularVelocityRange.length }
         ) );
       }
-      else {
+      else if ( spinner.type === CircularMotionTypes.NON_UNIFORM ) {
 
-        const title = FlexBox.horizontal( { spacing: 6 } ).setChildren( [
+        const createTitle = () => FlexBox.horizontal( { spacing: 6 } ).setChildren( [
           new Text( Symbols.ALPHA, RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
           new Text( Symbols.EQUAL_TO, RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
           FractionNode.withText( `d${ Symbols.OMEGA }`, 'dt', {
@@ -97,28 +185,150 @@ define( require => {
         ] );
 
         // 'Angular Acceleration' NumberControlSet
-        this.content.addChild( new SpinnerNumberControlSet( spinner,
+        this.content.addChild( createAngularNumberControlSet( spinner,
           spinner.angularAccelerationProperty,
           spinner.angularAccelerationRange,
-          title,
-          UnitNode.richFraction( 'rad', 'sec<sup>2</sup>' ),
+          createTitle,
+          UnitNode.angularAcceleration,
+          angularUnit => AngularUnits.getAngularAccelerationFactor( angularUnit ),
           { minor: Math.PI / 16, minorLabel: Math.PI / 8, major: spinner.angularAccelerationRange.length / 2 }
         ) );
       }
+      else if ( spinner.type === CircularMotionTypes.VERTICAL ) {
+
+        // 'Launch Speed' NumberControlSet
+        this.content.addChild( new SpinnerNumberControlSet( spinner,
+          spinner.launchSpeedProperty,
+          spinner.launchSpeedRange,
+          new Text( RotationalMotionStrings.launchSpeed, RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
+          UnitNode.fraction( 'm', 's' ),
+          { minor: 0.5, minorLabel: 2, major: spinner.launchSpeedRange.length, fractionalPi: false }
+        ) );
+
+        // Minimum speed at the top readout
+        this.content.addChild( FlexBox.horizontal( {
+          spacing: 8,
+          children: RotationalMotionStrings.orderHorizontally( [
+            new RichText( RotationalMotionStrings.fillIn( RotationalMotionStrings.minSpeedAtTopPattern, {
+              equation: `${ Symbols.EQUAL_TO } ${ SQUARE_ROOT }(gr)`
+            } ), { textOptions: RotationalMotionConstants.PANEL_TEXT_OPTIONS } ),
+            new LocalizedNumberDisplay( spinner.minSpeedAtTopProperty, 62, 28, {
+              decimalPlaces: RotationalMotionConstants.NUMBER_DISPLAY_DECIMAL_PLACES,
+              unit: UnitNode.fraction( 'm', 's' )
+            } )
+          ] )
+        } ) );
+      }
 
       // horizontal line separator
       this.content.addChild( new Line( 0, 0, this.content.width, 0, { stroke: 'black', strokeWidth: 0.5 } ) );
 
-      // 'angles' checkbox
-      this.content.addChild( new VisibilityCheckbox( angleVisibleProperty,
-        new Text( 'Angle', RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
-        RotationalMotionIconFactory.createAngleIcon( 'forward' )
+      // 'angles' checkbox and 'value' checkbox, which toggles the readout of the angle's value independently
+      this.content.addChild( FlexBox.horizontal( {
+        spacing: 20,
+        children: RotationalMotionStrings.orderHorizontally( [
+          new VisibilityCheckbox( angleVisibleProperty,
+            new Text( RotationalMotionStrings.angle, RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
+            RotationalMotionIconFactory.createAngleIcon( 'forward' )
+          ),
+          new VisibilityCheckbox( angleReadoutVisibleProperty,
+            new Text( RotationalMotionStrings.angleValue, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+          )
+        ] )
+      } ) );
+
+      // 'angular displacement' checkbox
+      this.content.addChild( new VisibilityCheckbox( angularDisplacementModeProperty,
+        new Text( RotationalMotionStrings.fillIn( RotationalMotionStrings.totalAngularDisplacementPattern, {
+          symbol: `${ DELTA }${ Symbols.THETA }`
+        } ), RotationalMotionConstants.PANEL_TEXT_OPTIONS )
       ) );
 
+      // 'graphs' checkbox
+      this.content.addChild( new VisibilityCheckbox( graphsVisibleProperty,
+        new Text( RotationalMotionStrings.graphs, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+      ) );
+
+      // 'trace' checkbox
+      this.content.addChild( new VisibilityCheckbox( traceVisibleProperty,
+        new Text( RotationalMotionStrings.trace, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+      ) );
+
+      // 'breakable string' checkbox
+      this.content.addChild( new VisibilityCheckbox( spinner.isStringBreakableProperty,
+        new Text( RotationalMotionStrings.fillIn( RotationalMotionStrings.breakableStringPattern, {
+          tensionLimit: spinner.tensionLimit
+        } ), RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+      ) );
+
+      // horizontal line separator
+      this.content.addChild( new Line( 0, 0, this.content.width, 0, { stroke: 'black', strokeWidth: 0.5 } ) );
+
+      // Toolbox of the measurement tools
+      this.content.addChild( new Toolbox( stopwatchVisibleProperty, rulerVisibleProperty, protractorVisibleProperty ) );
+
       // Apply any additional bounds mutators
       this.mutate( options );
     }
   }
 
+  /**
+   * Creates a SpinnerNumberControlSet of an angular number Property of a Spinner for each AngularUnits member, where
+   * only the SpinnerNumberControlSet of the current unit is visible. The SpinnerNumberControlSets of the converted
+   * units control a Property of the converted value, which is kept in sync with the angular number Property.
+   *
+   * The ticks of the converted units are at the same positions as the ticks in radians, which are fractions of PI. The
+   * minor ticks of the converted units are only labeled if their converted increment is a short decimal, like 22.5.
+   *
+   * @param {Spinner} spinner
+   * @param {Property.<number>} angularProperty - in radians
+   * @param {Range} range - the range of the angularProperty, in radians
+   * @param {function():Node} createTitle - creates the title displayed
+   * @param {function(Enum.Member.<AngularUnits>):UnitNode} createUnit - creates the unit displayed for a unit
+   * @param {function(Enum.Member.<AngularUnits>):number} getFactor - gets the factor that converts to a unit
+   * @param {Object} increments - the configuration of the ticks in radians. See SpinnerNumberControlSet.
+   * @returns {AngularUnitsNode}
+   */
+  function createAngularNumberControlSet( spinner, angularProperty, range, createTitle, createUnit, getFactor,
+                                          increments ) {
+    return new AngularUnitsNode( angularUnit => {
+      if ( angularUnit === AngularUnits.RADIANS_PER_SECOND ) {
+        return new SpinnerNumberControlSet( spinner, angularProperty, range, createTitle(), createUnit( angularUnit ),
+          increments );
+      }
+      const factor = getFactor( angularUnit );
+
+      // The Property of the converted value. The flag prevents the Properties from updating each other in a loop.
+      const convertedProperty = new Property( angularProperty.value * factor, { type: 'number' } );
+      let isSyncing = false;
+      const sync = ( property, value ) => {
+        if ( isSyncing ) return;
+        isSyncing = true;
+        property.value = value;
+        isSyncing = false;
+      };
+
+      // Keep the Properties in sync. Links are never disposed since SpinnerControlPanels are never disposed.
+      angularProperty.lazyLink( value => { sync( convertedProperty, value * factor ); } );
+      convertedProperty.lazyLink( value => { sync( angularProperty, range.closestTo( value / factor ) ); } );
+
+      // Only label the minor ticks of the converted unit if their increment is a short decimal.
+      const minorLabel = increments.minorLabel * factor;
+      const roundedMinorLabel = Number( Util.toFixed( minorLabel, TICK_LABEL_DECIMAL_PLACES ) );
+      const isShortDecimal = Util.equalsEpsilon( minorLabel, roundedMinorLabel );
+
+      return new SpinnerNumberControlSet( spinner,
+        convertedProperty,
+        new Range( range.min * factor, range.max * factor ),
+        createTitle(),
+        createUnit( angularUnit ), {
+          minor: increments.minor * factor,
+          minorLabel: isShortDecimal ? minorLabel : null,
+          major: increments.major * factor,
+          fractionalPi: false
+        } );
+    } );
+  }
+
   return SpinnerControlPanel;
 } );
\ No newline at end of file
@@ -0,0 +1,206 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * SpinnerDescriber creates a live text summary of the active Spinner of the 'intro' screen, for screen readers. The
+ * summary is displayed in a DescriptionLiveRegion.
+ *
+ * The summary describes:
+ *   - whether the Spinner is playing or paused.
+ *   - where the Ball is relative to the pin, like 'in the upper-left quadrant, 0.5 m from the pin', or that the Ball
+ *     has left the play area once the string is cut.
+ *   - the direction of each Vector that is visible, like 'The velocity points up and to the left.'
+ *
+ * The sentences are in the locale of the simulation. See RotationalMotionStrings.
+ *
+ * SpinnerDescribers are created at the start of the sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const IntroModel = require( 'ROTATIONAL_MOTION/intro/model/IntroModel' );
+  const Multilink = require( 'SIM_CORE/util/Multilink' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Util = require( 'SIM_CORE/util/Util' );
+
+  // constants
+  const DISTANCE_DECIMAL_PLACES = 2; // the distance of the Ball from the pin is rounded to this many decimal places
+  const AXIS_TOLERANCE = Util.toRadians( 2 ); // Balls within this angle of an axis are described as on the axis
+  const ZERO_VECTOR_MAGNITUDE = 1E-6; // Vectors that are smaller than this are described as zero
+
+  // the descriptions of the directions of Vectors, in counterclockwise order starting from the positive x-axis.
+  const DIRECTIONS = [
+    RotationalMotionStrings.rightDirection,
+    RotationalMotionStrings.upAndRightDirection,
+    RotationalMotionStrings.upDirection,
+    RotationalMotionStrings.upAndLeftDirection,
+    RotationalMotionStrings.leftDirection,
+    RotationalMotionStrings.downAndLeftDirection,
+    RotationalMotionStrings.downDirection,
+    RotationalMotionStrings.downAndRightDirection
+  ];
+
+  // the descriptions of where the Ball is when it is on an axis, in counterclockwise order starting from the positive
+  // x-axis, and when it is in a quadrant, in counterclockwise order starting from the first quadrant.
+  const AXIS_LOCATIONS = [
+    RotationalMotionStrings.directlyRightDescription,
+    RotationalMotionStrings.directlyAboveDescription,
+    RotationalMotionStrings.directlyLeftDescription,
+    RotationalMotionStrings.directlyBelowDescription
+  ];
+  const QUADRANT_LOCATIONS = [
+    RotationalMotionStrings.upperRightQuadrantDescription,
+    RotationalMotionStrings.upperLeftQuadrantDescription,
+    RotationalMotionStrings.lowerLeftQuadrantDescription,
+    RotationalMotionStrings.lowerRightQuadrantDescription
+  ];
+
+  class SpinnerDescriber {
+
+    /**
+     * @param {IntroModel} introModel
+     * @param {Property.<boolean>} velocityVisibleProperty
+     * @param {Property.<boolean>} linearAccelerationVisibleProperty
+     * @param {Property.<boolean>} totalAccelerationVisibleProperty
+     * @param {Property.<boolean>} tensionVisibleProperty
+     * @param {Property.<boolean>} tangentialForceVisibleProperty
+     * @param {Property.<boolean>} netForceVisibleProperty
+     */
+    constructor(
+      introModel,
+      velocityVisibleProperty,
+      linearAccelerationVisibleProperty,
+      totalAccelerationVisibleProperty,
+      tensionVisibleProperty,
+      tangentialForceVisibleProperty,
+      netForceVisibleProperty
+    ) {
+      assert( introModel instanceof IntroModel, `invalid introModel: ${ introModel }` );
+      assert( velocityVisibleProperty instanceof Property, 'invalid velocityVisibleProperty' );
+      assert( linearAccelerationVisibleProperty instanceof Property, 'invalid linearAccelerationVisibleProperty' );
+      assert( totalAccelerationVisibleProperty instanceof Property, 'invalid totalAccelerationVisibleProperty' );
+      assert( tensionVisibleProperty instanceof Property, 'invalid tensionVisibleProperty' );
+      assert( tangentialForceVisibleProperty instanceof Property, 'invalid tangentialForceVisibleProperty' );
+      assert( netForceVisibleProperty instanceof Property, 'invalid netForceVisibleProperty' );
+
+      // Gets the Vectors of a Spinner that are described, with their names and visibility Properties.
+      const getVectors = spinner => [
+        { name: RotationalMotionStrings.velocityDescription,
+          vectorProperty: spinner.ball.tangentialVelocityVectorProperty,
+          visibleProperty: velocityVisibleProperty },
+        { name: RotationalMotionStrings.accelerationDescription,
+          vectorProperty: spinner.ball.tangentialAccelerationVectorProperty,
+          visibleProperty: linearAccelerationVisibleProperty },
+        { name: RotationalMotionStrings.totalAccelerationDescription,
+          vectorProperty: spinner.ball.totalAccelerationVectorProperty,
+          visibleProperty: totalAccelerationVisibleProperty },
+        { name: RotationalMotionStrings.tensionDescription,
+          vectorProperty: spinner.ball.tensionVectorProperty,
+          visibleProperty: tensionVisibleProperty },
+        { name: RotationalMotionStrings.tangentialForceDescription,
+          vectorProperty: spinner.ball.tangentialForceVectorProperty,
+          visibleProperty: tangentialForceVisibleProperty },
+        { name: RotationalMotionStrings.netForceDescription,
+          vectorProperty: spinner.ball.netForceVectorProperty,
+          visibleProperty: netForceVisibleProperty }
+      ];
+
+      //----------------------------------------------------------------------------------------
+
+      // @public (read-only) {Property.<string>} - the live text summary of the active Spinner.
+      this.descriptionProperty = new Property( '', { type: 'string' } );
+
+      // Observe when anything that is described changes and update the description of the active Spinner. Only the
+      // active Spinner steps, so the description is only updated when the active Spinner changes. Multilink is never
+      // disposed since SpinnerDescribers are never disposed.
+      new Multilink( [
+        introModel.activeSpinnerProperty,
+        velocityVisibleProperty,
+        linearAccelerationVisibleProperty,
+        totalAccelerationVisibleProperty,
+        tensionVisibleProperty,
+        tangentialForceVisibleProperty,
+        netForceVisibleProperty,
+        ...[].concat( ...introModel.spinners.map( spinner => [
+          spinner.isPlayingProperty,
+          spinner.isStringCutProperty,
+          spinner.ball.centerPositionProperty,
+          ...getVectors( spinner ).map( vector => vector.vectorProperty )
+        ] ) )
+      ], () => {
+        const spinner = introModel.activeSpinnerProperty.value;
+
+        const sentences = [ spinner.isPlayingProperty.value ?
+                            RotationalMotionStrings.playingDescription :
+                            RotationalMotionStrings.pausedDescription ];
+
+        spinner.isStringCut && sentences.push( RotationalMotionStrings.stringCutDescription );
+
+        if ( spinner.isBallInPlayBounds ) {
+          sentences.push( RotationalMotionStrings.fillIn( RotationalMotionStrings.ballPositionDescriptionPattern, {
+            position: SpinnerDescriber.describeBallPosition( spinner.ball.center )
+          } ) );
+
+          getVectors( spinner ).forEach( vector => {
+            vector.visibleProperty.value && sentences.push( RotationalMotionStrings.fillIn(
+              RotationalMotionStrings.vectorDescriptionPattern,
+              { vector: vector.name, direction: SpinnerDescriber.describeVector( vector.vectorProperty.value ) }
+            ) );
+          } );
+        }
+        else {
+          sentences.push( RotationalMotionStrings.ballLeftPlayAreaDescription );
+        }
+        this.descriptionProperty.value = sentences.join( ' ' );
+      } );
+    }
+
+    /**
+     * Describes where the Ball is relative to the pin, like 'in the upper-left quadrant, 0.5 m from the pin'.
+     * @public
+     *
+     * @param {Vector} position - the position of the center of the Ball, relative to the pin, in meters
+     * @returns {string}
+     */
+    static describeBallPosition( position ) {
+      if ( Util.toFixed( position.magnitude, DISTANCE_DECIMAL_PLACES ) === 0 ) {
+        return RotationalMotionStrings.atPinDescription;
+      }
+
+      const angle = position.angle > 0 ? position.angle : Math.PI * 2 + position.angle; // [-PI, PI] => [0, 2PI)
+      const nearestAxis = Math.round( angle / ( Math.PI / 2 ) );
+      const isOnAxis = Math.abs( angle - nearestAxis * Math.PI / 2 ) <= AXIS_TOLERANCE;
+
+      const location = isOnAxis ?
+                       AXIS_LOCATIONS[ nearestAxis % 4 ] :
+                       QUADRANT_LOCATIONS[ Math.floor( angle / ( Math.PI / 2 ) ) % 4 ];
+      return RotationalMotionStrings.fillIn( RotationalMotionStrings.ballLocationPattern, {
+        location,
+        distance: RotationalMotionStrings.formatNumber( position.magnitude, DISTANCE_DECIMAL_PLACES )
+      } );
+    }
+
+    /**
+     * Describes the direction of a Vector, like 'points up and to the left', or 'is zero'.
+     * @public
+     *
+     * @param {Vector} vector
+     * @returns {string}
+     */
+    static describeVector( vector ) {
+      if ( vector.magnitude < ZERO_VECTOR_MAGNITUDE ) return RotationalMotionStrings.zeroVectorDescription;
+
+      const angle = vector.angle > 0 ? vector.angle : Math.PI * 2 + vector.angle; // [-PI, PI] => [0, 2PI)
+      return RotationalMotionStrings.fillIn( RotationalMotionStrings.vectorDirectionPattern, {
+        direction: DIRECTIONS[ Math.round( angle / ( Math.PI / 4 ) ) % DIRECTIONS.length ]
+      } );
+    }
+  }
+
+  return SpinnerDescriber;
+} );
@@ -0,0 +1,201 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * SpinnerGraphsPanel is the Panel in the 'intro' screen that plots the recorded angle, angular velocity,
+ * and angular acceleration of a Spinner against time.
+ *
+ * Each SpinnerGraphsPanel should be initiated with the SpinnerDataRecorder of a Spinner. Its visibility should then be
+ * adjusted by the current circular motion type and the graphs visibility checkbox.
+ *
+ * A SpinnerGraphsPanel displays:
+ *  - A TimeSeriesPlot for each of the angle, angular velocity, and angular acceleration
+ *  - The window of time that is displayed, which scrolls to follow the latest recorded sample
+ *  - ZoomButtons to change the duration of the window of time
+ *
+ * The plots are labeled in the unit that angular quantities are currently displayed in.
+ *
+ * Each TimeSeriesPlot can be dragged to scrub the Spinner back (or forwards) to any recorded instant, which is marked
+ * by the cursor of the plots.
+ *
+ * This panel exists for the entire sim and is never disposed.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const AngularUnits = require( 'ROTATIONAL_MOTION/common/model/AngularUnits' );
+  const AngularUnitsNode = require( 'ROTATIONAL_MOTION/common/view/AngularUnitsNode' );
+  const assert = require( 'SIM_CORE/util/assert' );
+  const DragListener = require( 'SIM_CORE/scenery/events/DragListener' );
+  const FlexBox = require( 'SIM_CORE/scenery/FlexBox' );
+  const Multilink = require( 'SIM_CORE/util/Multilink' );
+  const Panel = require( 'SIM_CORE/scenery/components/Panel' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Range = require( 'SIM_CORE/util/Range' );
+  const RichText = require( 'SIM_CORE/scenery/components/RichText' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionGlobals = require( 'ROTATIONAL_MOTION/common/RotationalMotionGlobals' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const SpinnerDataRecorder = require( 'ROTATIONAL_MOTION/intro/model/SpinnerDataRecorder' );
+  const Symbols = require( 'SIM_CORE/util/Symbols' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+  const TimeSeriesPlot = require( 'ROTATIONAL_MOTION/intro/view/TimeSeriesPlot' );
+  const Util = require( 'SIM_CORE/util/Util' );
+  const ZoomButton = require( 'ROTATIONAL_MOTION/common/view/ZoomButton' );
+
+  class SpinnerGraphsPanel extends Panel {
+
+    /**
+     * @param {SpinnerDataRecorder} dataRecorder
+     * @param {Property.<boolean>} graphsVisibleProperty
+     * @param {Property.<number>} graphTimeSpanProperty - the duration of the window of time, in seconds. Its value must
+     *                                                    be one of SpinnerGraphsPanel.TIME_SPANS.
+     * @param {Object} [options]
+     */
+    constructor( dataRecorder, graphsVisibleProperty, graphTimeSpanProperty, options ) {
+      assert( dataRecorder instanceof SpinnerDataRecorder, `invalid dataRecorder: ${ dataRecorder }` );
+      assert( graphsVisibleProperty instanceof Property, 'invalid graphsVisibleProperty' );
+      assert( graphTimeSpanProperty instanceof Property, 'invalid graphTimeSpanProperty' );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        plotWidth: 190,     // {number} - the width of each TimeSeriesPlot
+        plotHeight: 70,     // {number} - the height of each TimeSeriesPlot
+        spacing: 8,         // {number} - spacing between each row of the Panel
+        zoomSpacing: 10,    // {number} - spacing between the ZoomButtons and the window of time label
+        decimalPlaces: 1,   // {number} - the number of decimal places to display for the window of time
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      super( FlexBox.vertical( { spacing: options.spacing } ), options );
+      RotationalMotionColors.linkPanelColors( this );
+
+      //----------------------------------------------------------------------------------------
+
+      const plotOptions = { width: options.plotWidth, height: options.plotHeight };
+      const labelOptions = { textOptions: RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS };
+
+      // Creates the label of a plot for each angular unit.
+      const createLabel = ( symbol, getUnitText ) => new AngularUnitsNode( angularUnit => {
+        return new RichText( `${ symbol } (${ getUnitText( angularUnit ) })`, labelOptions );
+      } );
+
+      const plots = [
+        new TimeSeriesPlot( dataRecorder,
+          sample => sample.angle,
+          createLabel( Symbols.THETA, angularUnit => AngularUnits.getAngleSymbol( angularUnit ) ), {
+            ...plotOptions,
+            stroke: RotationalMotionColors.ANGLE_GRAPH_STROKE,
+            valueRange: new Range( 0, 2 * Math.PI )
+          } ),
+        new TimeSeriesPlot( dataRecorder,
+          sample => sample.angularVelocity,
+          createLabel( Symbols.OMEGA, angularUnit => {
+            return `${ AngularUnits.getAngleSymbol( angularUnit ) }/${ AngularUnits.getTimeSymbol( angularUnit ) }`;
+          } ), {
+            ...plotOptions,
+            stroke: RotationalMotionColors.ANGULAR_VELOCITY_GRAPH_STROKE
+          } ),
+        new TimeSeriesPlot( dataRecorder,
+          sample => sample.angularAcceleration,
+          createLabel( Symbols.ALPHA, angularUnit => {
+            const angularVelocityUnit = `${ AngularUnits.getAngleSymbol( angularUnit ) }/`
+                                        + `${ AngularUnits.getTimeSymbol( angularUnit ) }`;
+            return AngularUnits.isPerSecond( angularUnit ) ?
+                   `${ angularVelocityUnit }<sup>2</sup>` :
+                   `${ angularVelocityUnit }/sec`;
+          } ), {
+            ...plotOptions,
+            stroke: RotationalMotionColors.ANGULAR_ACCELERATION_GRAPH_STROKE
+          } )
+      ];
+      this.content.setChildren( plots );
+
+      // Label of the window of time.
+      const timeSpanText = new Text( '', RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS );
+
+      // ZoomButtons that change the window of time.
+      const zoom = isZoomIn => {
+        const timeSpans = SpinnerGraphsPanel.TIME_SPANS;
+        const index = timeSpans.indexOf( graphTimeSpanProperty.value ) + ( isZoomIn ? -1 : 1 );
+        graphTimeSpanProperty.value = timeSpans[ Util.clamp( index, 0, timeSpans.length - 1 ) ];
+      };
+
+      this.content.addChild( FlexBox.horizontal( {
+        spacing: options.zoomSpacing,
+        children: [
+          new ZoomButton( false, { listener: () => { zoom( false ); } } ),
+          timeSpanText,
+          new ZoomButton( true, { listener: () => { zoom( true ); } } )
+        ]
+      } ) );
+
+      //----------------------------------------------------------------------------------------
+
+      // Gets the time at the left edge of the plots. The window of time follows the latest recorded sample, and it
+      // includes the samples before the start of the motion, which have negative times, if the Spinner stepped back.
+      const getStartTime = () => {
+        return Math.max( dataRecorder.endTime - graphTimeSpanProperty.value, Math.min( dataRecorder.startTime, 0 ) );
+      };
+
+      // Observe when the recorded data, the elapsed time (cursor), the window of time, or the angular unit changes and
+      // update the plots. The plots aren't updated while invisible. Multilink is never disposed since
+      // SpinnerGraphsPanels are never disposed.
+      new Multilink( [
+        dataRecorder.latestSampleProperty,
+        dataRecorder.spinner.elapsedTimeProperty,
+        graphTimeSpanProperty,
+        graphsVisibleProperty,
+        RotationalMotionGlobals.angularUnitProperty
+      ], ( latestSample, elapsedTime, timeSpan, graphsVisible, angularUnit ) => {
+        if ( !graphsVisible ) return;
+        const startTime = getStartTime();
+
+        // The factors that convert the plotted angle, angular velocity, and angular acceleration to the angular unit.
+        const valueScales = [
+          AngularUnits.getAngleFactor( angularUnit ),
+          AngularUnits.getAngularVelocityFactor( angularUnit ),
+          AngularUnits.getAngularAccelerationFactor( angularUnit )
+        ];
+        plots.forEach( ( plot, index ) => { plot.update( startTime, timeSpan, valueScales[ index ] ); } );
+        const endTime = startTime + timeSpan;
+        timeSpanText.text = RotationalMotionStrings.fillIn( RotationalMotionStrings.graphTimeSpanPattern, {
+          startTime: RotationalMotionStrings.formatNumber( startTime, options.decimalPlaces ),
+          endTime: RotationalMotionStrings.formatNumber( endTime, options.decimalPlaces )
+        } );
+      } );
+
+      // Create a Drag listener for each plot to scrub the Spinner to the time at the cursor. Never disposed as
+      // SpinnerGraphsPanels are never disposed.
+      plots.forEach( plot => {
+        let dragStartX; // Flag that references the x-coordinate of the cursor relative to the plot when a drag starts.
+
+        new DragListener( plot, {
+          start: location => {
+            dragStartX = location.x - plot.left;
+            dataRecorder.restoreTo( plot.getTimeAt( dragStartX, getStartTime(), graphTimeSpanProperty.value ) );
+          },
+          drag: displacement => {
+            const x = dragStartX + displacement.x;
+            dataRecorder.restoreTo( plot.getTimeAt( x, getStartTime(), graphTimeSpanProperty.value ) );
+          }
+        } );
+      } );
+
+      // Apply any additional bounds mutators
+      this.mutate( options );
+    }
+  }
+
+  // @public {number[]} - the possible durations of the window of time, in seconds, from most to least zoomed in.
+  SpinnerGraphsPanel.TIME_SPANS = [ 5, 10, 20, 30 ];
+
+  return SpinnerGraphsPanel;
+} );
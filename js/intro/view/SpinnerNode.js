@@ -4,11 +4,14 @@
  * SpinnerNode is the corresponding view for the Spinner model, in the 'intro' screen.
  *
  * SpinnerNode is responsible for:
- *  - Creating the ModelViewTransform
+ *  - Creating the ModelViewTransform, which is centered at the view center of the Spinner (see options)
  *  - Displaying a pin circle, which is the center of the circular motion (and the origin of the Spinner)
  *  - Displaying a string line, which is responsible for the tension of the circular motion.
- *  - Displaying the IntroBallNode, which is rotated around the pin.
- *  - Handling drag requests of the Ball and communicating that to the Spinner.
+ *  - Displaying a slack string that hangs from the pin, in the direction that the Ball was released, once the string
+ *    of the Spinner is cut.
+ *  - Displaying the IntroBallNode, which is rotated around the pin, and hiding it once it leaves the play area.
+ *  - Displaying a fading trail of where the Ball has been, when tracing is on.
+ *  - Handling drag requests of the Ball, with the pointer or the keyboard, and communicating that to the Spinner.
  *
  * SpinnerNodes are created at the start of the Sim and are never disposed, so all links are left as is.
  *
@@ -24,19 +27,33 @@ define( require => {
   const Circle = require( 'SIM_CORE/scenery/Circle' );
   const DragListener = require( 'SIM_CORE/scenery/events/DragListener' );
   const IntroBallNode = require( 'ROTATIONAL_MOTION/intro/view/IntroBallNode' );
+  const KeyboardDragListener = require( 'ROTATIONAL_MOTION/common/view/KeyboardDragListener' );
   const Line = require( 'SIM_CORE/scenery/Line' );
   const ModelViewTransform = require( 'SIM_CORE/util/ModelViewTransform' );
+  const Multilink = require( 'SIM_CORE/util/Multilink' );
   const Node = require( 'SIM_CORE/scenery/Node' );
+  const Path = require( 'SIM_CORE/scenery/Path' );
+  const PathTrailNode = require( 'ROTATIONAL_MOTION/common/view/PathTrailNode' );
   const Property = require( 'SIM_CORE/util/Property' );
   const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const Shape = require( 'SIM_CORE/util/Shape' );
   const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
   const SpinnerAngleNode = require( 'ROTATIONAL_MOTION/intro/view/SpinnerAngleNode' );
+  const Util = require( 'SIM_CORE/util/Util' );
   const Vector = require( 'SIM_CORE/util/Vector' );
 
   // constants
   const PIN_RADIUS = 2; // eye-balled
   const SPINNER_VIEW_CENTER = new Vector( 292, 314 ); // eye-balled
   const MODEL_TO_VIEW_SCALE = 213; // meter to view coordinates (1 m = 200 coordinates)
+  const SLACK_STRING_LENGTH_SCALE = 0.4; // the length of the slack string, relative to the radius of the Spinner
+  const SLACK_STRING_AMPLITUDE = 4; // the amplitude of the waves of the slack string, in view coordinates
+  const SLACK_STRING_WAVES = 2.5; // the number of waves of the slack string
+  const SLACK_STRING_SEGMENTS = 30; // the number of line segments used to draw the slack string
+  const KEYBOARD_ANGLE_STEP = Math.PI / 36; // the change in angle of each arrow key press, in radians
+  const KEYBOARD_RADIUS_STEP = 0.05; // the change in radius of each arrow key press, in meters
+  const KEYBOARD_FINE_STEP_SCALE = 0.2; // the steps are scaled by this amount when the shift key is held
+  const FOCUS_HIGHLIGHT_MARGIN = 4; // the margin between the Ball and its focus highlight, in view coordinates
 
   class SpinnerNode extends Node {
 
@@ -45,47 +62,86 @@ define( require => {
      * @param {Property.<boolean>} velocityVisibleProperty
      * @param {Property.<boolean>} linearAccelerationVisibleProperty
      * @param {Property.<boolean>} totalAccelerationVisibleProperty
+     * @param {Property.<boolean>} tensionVisibleProperty
+     * @param {Property.<boolean>} tangentialForceVisibleProperty
+     * @param {Property.<boolean>} netForceVisibleProperty
      * @param {Property.<boolean>} angleVisibleProperty
+     * @param {Property.<boolean>} angleReadoutVisibleProperty
+     * @param {Property.<boolean>} angularDisplacementModeProperty
      * @param {Property.<boolean>} spinnerValuesVisibleProperty
+     * @param {Property.<boolean>} traceVisibleProperty
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior. See the code
+     *                             where the options are set in the early portion of the constructor for details.
      */
     constructor(
       spinner,
       velocityVisibleProperty,
       linearAccelerationVisibleProperty,
       totalAccelerationVisibleProperty,
+      tensionVisibleProperty,
+      tangentialForceVisibleProperty,
+      netForceVisibleProperty,
       angleVisibleProperty,
-      spinnerValuesVisibleProperty
+      angleReadoutVisibleProperty,
+      angularDisplacementModeProperty,
+      spinnerValuesVisibleProperty,
+      traceVisibleProperty,
+      options
     ) {
       assert( spinner instanceof Spinner, `invalid spinner: ${ spinner }` );
       assert( velocityVisibleProperty instanceof Property, 'invalid velocityVisibleProperty' );
       assert( linearAccelerationVisibleProperty instanceof Property, 'invalid linearAccelerationVisibleProperty' );
       assert( totalAccelerationVisibleProperty instanceof Property, 'invalid totalAccelerationVisibleProperty' );
+      assert( tensionVisibleProperty instanceof Property, 'invalid tensionVisibleProperty' );
+      assert( tangentialForceVisibleProperty instanceof Property, 'invalid tangentialForceVisibleProperty' );
+      assert( netForceVisibleProperty instanceof Property, 'invalid netForceVisibleProperty' );
       assert( angleVisibleProperty instanceof Property, 'invalid angleVisibleProperty' );
+      assert( angleReadoutVisibleProperty instanceof Property, 'invalid angleReadoutVisibleProperty' );
+      assert( angularDisplacementModeProperty instanceof Property, 'invalid angularDisplacementModeProperty' );
       assert( spinnerValuesVisibleProperty instanceof Property, 'invalid spinnerValuesVisibleProperty' );
+      assert( traceVisibleProperty instanceof Property, 'invalid traceVisibleProperty' );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        viewCenter: SPINNER_VIEW_CENTER,        // {Vector} - the view coordinates of the center (pin) of the Spinner
+        modelToViewScale: MODEL_TO_VIEW_SCALE,  // {number} - the number of view coordinates per meter
+        ballNodeOptions: null,                  // {Object} - passed to the IntroBallNode, such as the Vector scalars
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+      assert( options.viewCenter instanceof Vector, `invalid viewCenter: ${ options.viewCenter }` );
 
       super();
       //----------------------------------------------------------------------------------------
 
       // @public (read-only) - create the modelViewTransform by building the play area view bounds
       this.playAreaViewBounds = new Bounds(
-        SPINNER_VIEW_CENTER.x - MODEL_TO_VIEW_SCALE * spinner.playBounds.width / 2,
-        SPINNER_VIEW_CENTER.y - MODEL_TO_VIEW_SCALE * spinner.playBounds.height / 2,
-        SPINNER_VIEW_CENTER.x + MODEL_TO_VIEW_SCALE * spinner.playBounds.width / 2,
-        SPINNER_VIEW_CENTER.y + MODEL_TO_VIEW_SCALE * spinner.playBounds.height / 2
+        options.viewCenter.x - options.modelToViewScale * spinner.playBounds.width / 2,
+        options.viewCenter.y - options.modelToViewScale * spinner.playBounds.height / 2,
+        options.viewCenter.x + options.modelToViewScale * spinner.playBounds.width / 2,
+        options.viewCenter.y + options.modelToViewScale * spinner.playBounds.height / 2
       );
 
-      const modelViewTransform = new ModelViewTransform( spinner.playBounds, this.playAreaViewBounds );
+      // @public (read-only) {ModelViewTransform} - the transform of the Spinner, which is also used by the ruler.
+      this.modelViewTransform = new ModelViewTransform( spinner.playBounds, this.playAreaViewBounds );
+      const modelViewTransform = this.modelViewTransform;
 
       // Create the string Line, to be set later.
-      const string = Line.withPoints( SPINNER_VIEW_CENTER, SPINNER_VIEW_CENTER, {
-        stroke: RotationalMotionColors.SPINNER_STRING_COLOR,
+      const string = Line.withPoints( options.viewCenter, options.viewCenter, {
         strokeWidth: 2
       } );
 
+      // Create the slack string Path, which is only visible once the string is cut. Its shape is set later.
+      const slackString = new Path( null, {
+        strokeWidth: 2,
+        fill: 'none'
+      } );
+
       // Create the pin at the center of the Spinner. It's location never changes.
       const pin = new Circle( PIN_RADIUS, {
-        center: SPINNER_VIEW_CENTER,
-        fill: RotationalMotionColors.SPINNER_PIN_FILL
+        center: options.viewCenter
       } );
 
       // Create the Ball Node of the Spinner.
@@ -94,12 +150,36 @@ define( require => {
         velocityVisibleProperty,
         linearAccelerationVisibleProperty,
         totalAccelerationVisibleProperty,
-        { fill: RotationalMotionColors.INTRO_BALL_FILL } );
+        tensionVisibleProperty,
+        tangentialForceVisibleProperty,
+        netForceVisibleProperty,
+        { fill: RotationalMotionColors.INTRO_BALL_FILL, ...options.ballNodeOptions } );
 
       // Create the Angle Node
-      const spinnerAngleNode = new SpinnerAngleNode( spinner, angleVisibleProperty, modelViewTransform );
+      const spinnerAngleNode = new SpinnerAngleNode( spinner,
+        angleVisibleProperty,
+        angleReadoutVisibleProperty,
+        angularDisplacementModeProperty,
+        modelViewTransform );
 
-      this.children = [ string, pin, ballNode, spinnerAngleNode ];
+      // Create the trail of where the Ball has been, which is rendered underneath the Ball.
+      const pathTrailNode = new PathTrailNode( spinner.ball.centerPositionProperty,
+        modelViewTransform,
+        traceVisibleProperty );
+
+      // Create the focus highlight of the Ball, which is only visible when the Ball is focused for keyboard dragging.
+      const focusHighlight = new Circle( 0, {
+        fill: 'none',
+        strokeWidth: 2
+      } );
+
+      this.children = [ pathTrailNode, string, slackString, pin, ballNode, spinnerAngleNode, focusHighlight ];
+
+      // Color the Nodes, which are recolored when the color profile changes.
+      RotationalMotionColors.linkColors( string, { stroke: RotationalMotionColors.SPINNER_STRING_COLOR } );
+      RotationalMotionColors.linkColors( slackString, { stroke: RotationalMotionColors.SPINNER_STRING_COLOR } );
+      RotationalMotionColors.linkColors( pin, { fill: RotationalMotionColors.SPINNER_PIN_FILL } );
+      RotationalMotionColors.linkColors( focusHighlight, { stroke: RotationalMotionColors.FOCUS_HIGHLIGHT_STROKE } );
 
       //----------------------------------------------------------------------------------------
 
@@ -107,6 +187,37 @@ define( require => {
       // Spinner is never disposed.
       spinner.ball.centerPositionProperty.link( centerPosition => {
         string.end = modelViewTransform.modelToViewPoint( centerPosition );
+        ballNode.visible = spinner.isBallInPlayBounds;
+      } );
+
+      // Observe when the Ball's center or radius changes and update the focus highlight to surround the Ball. Doesn't
+      // need to be disposed as the Spinner is never disposed.
+      new Multilink( [ spinner.ball.centerPositionProperty, spinner.ball.radiusProperty ], ( center, radius ) => {
+        focusHighlight.radius = modelViewTransform.modelToViewDeltaX( radius ) + FOCUS_HIGHLIGHT_MARGIN;
+        focusHighlight.center = modelViewTransform.modelToViewPoint( center );
+      } );
+
+      // Observe when the string is cut and display the slack string instead of the taut string. The slack string is a
+      // sine wave that trails off from the pin in the direction of the angle of the Spinner when it was cut. Doesn't
+      // need to be disposed as the Spinner is never disposed.
+      new Multilink( [ spinner.isStringCutProperty, spinner.angleProperty, spinner.radiusProperty ], isStringCut => {
+        string.visible = !isStringCut;
+        slackString.visible = isStringCut;
+        if ( !isStringCut ) return; // don't update when not visible
+
+        const length = SLACK_STRING_LENGTH_SCALE * modelViewTransform.modelToViewDeltaX( spinner.radius );
+        const direction = new Vector( 1, 0 ).setAngle( -spinner.angle ); // negated since the view's y-axis is flipped
+        const normal = direction.copy().rotate( Math.PI / 2 );
+
+        const slackStringShape = new Shape().moveToPoint( options.viewCenter );
+        for ( let i = 1; i <= SLACK_STRING_SEGMENTS; i++ ) {
+          const fraction = i / SLACK_STRING_SEGMENTS;
+          const amplitude = SLACK_STRING_AMPLITUDE * Math.sin( fraction * SLACK_STRING_WAVES * 2 * Math.PI );
+          slackStringShape.lineToPoint( options.viewCenter.copy()
+            .add( direction.copy().multiply( fraction * length ) )
+            .add( normal.copy().multiply( amplitude ) ) );
+        }
+        slackString.shape = slackStringShape;
       } );
 
       //----------------------------------------------------------------------------------------
@@ -114,21 +225,46 @@ define( require => {
       let playingWhenDragStarted; // Flag that indicates if the dragPauseProperty was playing when a drag starts.
       let ballDragStartPosition;
 
+      // Pauses the Spinner when a drag starts, with either the pointer or the keyboard.
+      const startDrag = () => {
+        playingWhenDragStarted = spinner.isPlayingProperty.value; // set the playingWhenDragStarted flag
+        spinner.isPlayingProperty.value = false; // pause when dragging
+      };
+
+      // Plays the Spinner when a drag ends, if it was playing before dragging.
+      const endDrag = () => {
+        playingWhenDragStarted && spinner.isPlayingProperty.set( true ); // play if it was playing before dragging
+        playingWhenDragStarted = null; // reset the playingWhenDragStarted flag
+      };
+
       // Create a Drag listener to allow the Ball to be dragged. Never disposed as SpinnerNodes are never disposed.
       new DragListener( ballNode, {
         start: () => {
           ballDragStartPosition = spinner.ball.center.copy();
-          playingWhenDragStarted = spinner.isPlayingProperty.value; // set the playingWhenDragStarted flag
-          spinner.isPlayingProperty.value = false; // pause when dragging
-        },
-        end: () => {
-          playingWhenDragStarted && spinner.isPlayingProperty.set( true ); // play if it was playing before dragging
-          playingWhenDragStarted = null; // reset the playingWhenDragStarted flag
+          startDrag();
         },
+        end: endDrag,
         drag: displacement => {
           spinner.dragBallTo( modelViewTransform.viewToModelDelta( displacement ).add( ballDragStartPosition ) );
         }
       } );
+
+      // Create a KeyboardDragListener to allow the Ball to be dragged with the arrow keys. The left and right arrow
+      // keys rotate the Ball counterclockwise and clockwise, and the up and down arrow keys move the Ball away from and
+      // towards the pin. Never disposed as SpinnerNodes are never disposed.
+      new KeyboardDragListener( ballNode, {
+        start: startDrag,
+        end: endDrag,
+        drag: ( direction, isFineStep ) => {
+          const stepScale = isFineStep ? KEYBOARD_FINE_STEP_SCALE : 1;
+          const angle = spinner.angle - direction.x * KEYBOARD_ANGLE_STEP * stepScale;
+          const radius = Util.clamp( spinner.radius + direction.y * KEYBOARD_RADIUS_STEP * stepScale,
+            spinner.radiusRange.min, spinner.radiusRange.max );
+
+          spinner.dragBallTo( new Vector( radius, 0 ).setAngle( angle ) );
+        },
+        focusHighlight
+      } );
     }
 
     /**
@@ -27,6 +27,9 @@ define( require => {
   const UnitNode = require( 'ROTATIONAL_MOTION/common/view/UnitNode' );
   const Util = require( 'SIM_CORE/util/Util' );
 
+  // constants
+  const TICK_LABEL_DECIMAL_PLACES = 3; // Text tick labels are rounded to hide floating-point errors of the increments
+
   class SpinnerNumberControlSet extends NumberControlSet {
 
     /**
@@ -59,7 +62,7 @@ define( require => {
 
         minor: null,         // {number} - increment for each minor tick that doesn't have a label
         major: null,         // {number} - increment for each major tick, which always has a label
-        minorLabel: null,    // {number} - increment for each minor tick that does have a label
+        minorLabel: null,    // {number|null} - increment for each minor tick that does have a label, if any
         fractionalPi: true,  // {boolean} (optional) - indicates if tick labels are FractionalPiNodes or Text
 
         ...increments
@@ -97,25 +100,38 @@ define( require => {
 
       //----------------------------------------------------------------------------------------
 
-      const labelClass = increments.fractionalPi ? FractionalPiNode : Text;
+      // Creates the label Node of a tick.
+      const createLabel = value => {
+        const textOptions = RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS;
+        const label = increments.fractionalPi ?
+                      new FractionalPiNode( value, { textOptions } ) :
+                      new Text( Number( Util.toFixed( value, TICK_LABEL_DECIMAL_PLACES ) ), { textOptions } );
+        return AlignBox.withWidth( label, options.tickWidth );
+      };
+
+      // Indicates if a distance from the start of the range is a multiple of an increment. The ticks are counted from
+      // the start of the range, instead of accumulating the increments, to reduce floating-point errors.
+      const isMultipleOf = ( distance, increment ) => {
+        return Util.equalsEpsilon( distance / increment, Math.round( distance / increment ) );
+      };
 
       // Add the Major Ticks
-      for ( let i = this._range.min; i <= this._range.max; i += increments.major ) {
-        const label = new labelClass( i, { textOptions: RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS } );
-        this.addSliderMajorTick( i, AlignBox.withWidth( label, options.tickWidth ) );
+      for ( let n = 0; n <= Math.round( this._range.length / increments.major ); n++ ) {
+        const value = this._range.min + n * increments.major;
+        this.addSliderMajorTick( value, createLabel( value ) );
       }
 
       // Add the Minor Ticks
-      for ( let i = this._range.min; i <= this._range.max; i += increments.minor ) {
+      for ( let n = 0; n <= Math.round( this._range.length / increments.minor ); n++ ) {
+        const distance = n * increments.minor;
 
         // Skip if it already has a major tick.
-        if ( Util.equalsEpsilon( ( i - this._range.min ) % increments.major, 0 ) ) continue;
+        if ( isMultipleOf( distance, increments.major ) ) continue;
 
-        if ( Util.equalsEpsilon( ( i - this._range.min ) % increments.minorLabel, 0 ) ) {
-          const label = new labelClass( i, { textOptions: RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS } );
-          this.addSliderMinorTick( i, AlignBox.withWidth( label, options.tickWidth ) );
+        if ( increments.minorLabel && isMultipleOf( distance, increments.minorLabel ) ) {
+          this.addSliderMinorTick( this._range.min + distance, createLabel( this._range.min + distance ) );
         }
-        else this.addSliderMinorTick( i );
+        else this.addSliderMinorTick( this._range.min + distance );
       }
     }
   }
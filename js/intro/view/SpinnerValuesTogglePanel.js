@@ -11,7 +11,14 @@
  *  - A Centripetal Acceleration Number Display
  *  - A Linear Velocity Number Display
  *  - A Angular Acceleration (alpha) Number Display for Uniform
- *  - A Angular Velocity (omega) Number Display for Non-uniform
+ *  - A Angular Velocity (omega) Number Display for Non-uniform and Vertical
+ *  - An optional row, which is toggled with its own ExpandCollapseButton, that displays:
+ *     - A Period Number Display, which displays an em-dash if the Ball is at rest (infinite period)
+ *     - A Frequency Number Display
+ *     - A Revolution Time Number Display, which displays the measured time of the last completed revolution, or an
+ *       em-dash if no revolution has been completed
+ *
+ * The angular Number Displays are in the unit that angular quantities are currently displayed in. See AngularUnits.
  *
  * This panel exists for the entire sim and is never disposed.
  *
@@ -23,14 +30,20 @@ define( require => {
 
   // modules
   const AlignBox = require( 'SIM_CORE/scenery/AlignBox' );
+  const AngularUnits = require( 'ROTATIONAL_MOTION/common/model/AngularUnits' );
+  const AngularUnitsNode = require( 'ROTATIONAL_MOTION/common/view/AngularUnitsNode' );
   const assert = require( 'SIM_CORE/util/assert' );
   const CircularMotionTypes = require( 'ROTATIONAL_MOTION/intro/model/CircularMotionTypes' );
+  const DerivedProperty = require( 'SIM_CORE/util/DerivedProperty' );
+  const ExpandCollapseButton = require( 'SIM_CORE/scenery/components/buttons/ExpandCollapseButton' );
   const FlexBox = require( 'SIM_CORE/scenery/FlexBox' );
-  const NumberDisplay = require( 'SIM_CORE/scenery/components/NumberDisplay' );
+  const LocalizedNumberDisplay = require( 'ROTATIONAL_MOTION/common/view/LocalizedNumberDisplay' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
   const Property = require( 'SIM_CORE/util/Property' );
   const RichText = require( 'SIM_CORE/scenery/components/RichText' );
   const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
   const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
   const Spinner = require( 'ROTATIONAL_MOTION/intro/model/Spinner' );
   const Symbols = require( 'SIM_CORE/util/Symbols' );
   const Text = require( 'SIM_CORE/scenery/Text' );
@@ -42,42 +55,47 @@ define( require => {
     /**
      * @param {Spinner} spinner
      * @param {Property.<boolean>} spinnerValuesVisibleProperty
+     * @param {Property.<boolean>} periodValuesVisibleProperty - indicates if the row of the period values is expanded
      * @param {Object} [options]
      */
-    constructor( spinner, spinnerValuesVisibleProperty, options ) {
+    constructor( spinner, spinnerValuesVisibleProperty, periodValuesVisibleProperty, options ) {
       assert( spinner instanceof Spinner, `invalid spinner: ${ spinner }` );
       assert( spinnerValuesVisibleProperty instanceof Property, 'invalid spinnerValuesVisibleProperty' );
+      assert( periodValuesVisibleProperty instanceof Property, 'invalid periodValuesVisibleProperty' );
       assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
 
       options = {
 
-        // Import the panel colors.
-        ...RotationalMotionColors.PANEL_COLORS,
-
         labelRightMargin: 10,     // {number} margin from the label to the number label (ltr)
         labelLeftMargin: 20,      // {number} margin from then number display to the label (ltr)
         numberDisplayWidth: 72,   // {number} the width of each number display in the Panel
         numberDisplayHeight: 32,  // {number} the height of each number display in the Panel
         decimalPlaces: 1,         // {number} the number of decimal places to display on each NumberDisplay
+        rowSpacing: 10,           // {number} the vertical spacing between the rows of the open content
+        periodDisplayWidth: 60,   // {number} the width of each number display in the row of the period values
+        periodDecimalPlaces: RotationalMotionConstants.NUMBER_DISPLAY_DECIMAL_PLACES, // {number} for the period values
+        contentLeftMargin: 15,    // {number} margin between the ExpandCollapseButton of a row and its content
 
         // rewrite options such that it overrides the defaults above if provided.
         ...options
       };
 
       // Content for when the panel is 'closed'
-      const closedContent = new Text( 'Values', RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+      const closedContent = new Text( RotationalMotionStrings.values, RotationalMotionConstants.PANEL_TEXT_OPTIONS );
 
-      // Content for when the panel is 'open'
-      const openContent = FlexBox.horizontal( { spacing: options.labelLeftMargin } );
+      // Content for when the panel is 'open', which is a row of the values and the optional row of the period values.
+      const valuesRow = FlexBox.horizontal( { spacing: options.labelLeftMargin } );
+      const periodValuesRow = FlexBox.horizontal( { spacing: options.labelLeftMargin } );
+      const openContent = FlexBox.vertical( { align: 'left', spacing: options.rowSpacing } );
 
       //----------------------------------------------------------------------------------------
 
       // Centripetal Acceleration
-      openContent.addChild( FlexBox.horizontal( {
+      valuesRow.addChild( FlexBox.horizontal( {
         spacing: options.labelRightMargin,
         children: [
           new RichText( 'a<sub>c</sub>', { textOptions: RotationalMotionConstants.LABEL_TEXT_OPTIONS } ),
-          new NumberDisplay( spinner.ball.centripetalAccelerationProperty,
+          new LocalizedNumberDisplay( spinner.ball.centripetalAccelerationProperty,
           options.numberDisplayWidth,
           options.numberDisplayHeight, {
             decimalPlaces: options.decimalPlaces,
@@ -87,11 +105,11 @@ define( require => {
       } ) );
 
       // Center of Mass Velocity
-      openContent.addChild( FlexBox.horizontal( {
+      valuesRow.addChild( FlexBox.horizontal( {
         spacing: options.labelRightMargin,
         children: [
           new RichText( 'v<sub>cm</sub>', { textOptions: RotationalMotionConstants.LABEL_TEXT_OPTIONS } ),
-          new NumberDisplay( spinner.ball.tangentialVelocityProperty,
+          new LocalizedNumberDisplay( spinner.ball.tangentialVelocityProperty,
           options.numberDisplayWidth,
           options.numberDisplayHeight, {
             decimalPlaces: options.decimalPlaces,
@@ -108,37 +126,92 @@ define( require => {
       if ( spinner.type === CircularMotionTypes.UNIFORM ) {
 
         // Alpha
-        openContent.addChild( FlexBox.horizontal( {
+        valuesRow.addChild( FlexBox.horizontal( {
           spacing: options.labelRightMargin,
           children: [
             AlignBox.withWidth( alphaText, Math.max( alphaText.width, omegaText.width ) ),
-            new NumberDisplay( spinner.angularAccelerationProperty,
+            new AngularUnitsNode( angularUnit => new LocalizedNumberDisplay(
+              new DerivedProperty( [ spinner.angularAccelerationProperty ],
+                angularAcceleration => angularAcceleration * AngularUnits.getAngularAccelerationFactor( angularUnit ) ),
               options.numberDisplayWidth,
               options.numberDisplayHeight, {
                 decimalPlaces: options.decimalPlaces,
-                unit: UnitNode.richFraction( 'rad', 'sec<sup>2</sup>' )
-              } )
+                unit: UnitNode.angularAcceleration( angularUnit )
+              } ) )
           ]
         } ) );
       }
       else {
 
         // Omega
-        openContent.addChild( FlexBox.horizontal( {
+        valuesRow.addChild( FlexBox.horizontal( {
           spacing: options.labelRightMargin,
           children: [
             AlignBox.withWidth( omegaText, Math.max( alphaText.width, omegaText.width ) ),
-            new NumberDisplay( spinner.angularVelocityProperty,
+            new AngularUnitsNode( angularUnit => new LocalizedNumberDisplay(
+              new DerivedProperty( [ spinner.angularVelocityProperty ],
+                angularVelocity => angularVelocity * AngularUnits.getAngularVelocityFactor( angularUnit ) ),
               options.numberDisplayWidth,
               options.numberDisplayHeight, {
                 decimalPlaces: options.decimalPlaces,
-                unit: UnitNode.fraction( 'rad', 'sec' )
-              } )
+                unit: UnitNode.angularVelocity( angularUnit )
+              } ) )
           ]
         } ) );
       }
 
+      //----------------------------------------------------------------------------------------
+
+      // Creates a Number Display of a period value, with its label.
+      const createPeriodValue = ( label, numberProperty, unit ) => FlexBox.horizontal( {
+        spacing: options.labelRightMargin,
+        children: [
+          new RichText( label, { textOptions: RotationalMotionConstants.LABEL_TEXT_OPTIONS } ),
+          new LocalizedNumberDisplay( numberProperty, options.periodDisplayWidth, options.numberDisplayHeight, {
+            decimalPlaces: options.periodDecimalPlaces,
+            unit: UnitNode.text( unit )
+          } )
+        ]
+      } );
+
+      // The revolution time to display. NumberDisplays display an em-dash for values that aren't finite, so null is
+      // mapped to NaN. Never disposed since SpinnerValuesTogglePanels are never disposed.
+      const revolutionTimeProperty = new DerivedProperty( [ spinner.revolutionTimeProperty ], revolutionTime => {
+        return revolutionTime === null ? NaN : revolutionTime;
+      } );
+
+      // Period, Frequency, and Revolution Time
+      periodValuesRow.setChildren( [
+        createPeriodValue( 'T', spinner.periodProperty, 's' ),
+        createPeriodValue( 'f', spinner.frequencyProperty, 'Hz' ),
+        createPeriodValue( 't<sub>rev</sub>', revolutionTimeProperty, 's' )
+      ] );
+
+      // Content of the row of the period values for when it is collapsed.
+      const periodValuesClosedContent = new Text( RotationalMotionStrings.periodAndFrequency,
+        RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+      periodValuesClosedContent.centerY = periodValuesRow.centerY;
+
+      // Observe when the row of the period values is toggled and adjust the visibility of its content. Link is never
+      // disposed since SpinnerValuesTogglePanels are never disposed.
+      periodValuesVisibleProperty.link( periodValuesVisible => {
+        periodValuesRow.visible = periodValuesVisible;
+        periodValuesClosedContent.visible = !periodValuesVisible;
+      } );
+
+      openContent.setChildren( [
+        valuesRow,
+        FlexBox.horizontal( {
+          spacing: options.contentLeftMargin,
+          children: [
+            new ExpandCollapseButton( periodValuesVisibleProperty ),
+            new Node().addChild( periodValuesRow ).addChild( periodValuesClosedContent )
+          ]
+        } )
+      ] );
+
       super( spinnerValuesVisibleProperty, closedContent, openContent, options );
+      RotationalMotionColors.linkPanelColors( this );
     }
   }
 
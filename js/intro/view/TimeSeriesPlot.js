@@ -0,0 +1,187 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * TimeSeriesPlot plots a single quantity of the samples of a SpinnerDataRecorder against time, in the 'intro' screen.
+ *
+ * The plot displays a window of time, which is set in update(). The vertical axis is either fixed to a range or is
+ * scaled to fit the samples in the window, centered around 0. A vertical cursor line marks the elapsed time of the
+ * Spinner, which is where the Spinner is in the recorded data.
+ *
+ * TimeSeriesPlot doesn't update itself. Instead, update() should be called when the recorded data or the window of
+ * time changes. The values are plotted in the units of the model, but the label of the value at the top of the vertical
+ * axis can be scaled to display it in another unit. TimeSeriesPlots are created at the start of the sim and are never
+ * disposed.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Line = require( 'SIM_CORE/scenery/Line' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const Path = require( 'SIM_CORE/scenery/Path' );
+  const Range = require( 'SIM_CORE/util/Range' );
+  const Rectangle = require( 'SIM_CORE/scenery/Rectangle' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Shape = require( 'SIM_CORE/util/Shape' );
+  const SpinnerDataRecorder = require( 'ROTATIONAL_MOTION/intro/model/SpinnerDataRecorder' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+  const Util = require( 'SIM_CORE/util/Util' );
+
+  class TimeSeriesPlot extends Node {
+
+    /**
+     * @param {SpinnerDataRecorder} dataRecorder
+     * @param {function(Object):number} getValue - gets the plotted value of a sample. See SpinnerDataRecorder.
+     * @param {Node} label - the label of the plotted quantity, displayed at the top-left of the plot.
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior.
+     */
+    constructor( dataRecorder, getValue, label, options ) {
+      assert( dataRecorder instanceof SpinnerDataRecorder, `invalid dataRecorder: ${ dataRecorder }` );
+      assert( typeof getValue === 'function', `invalid getValue: ${ getValue }` );
+      assert( label instanceof Node, `invalid label: ${ label }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        width: 200,                                       // {number} - the width of the plot
+        height: 70,                                       // {number} - the height of the plot
+        stroke: RotationalMotionColors.GRAPH_DATA_STROKE, // {Property.<string>} - the stroke of the plotted data
+        valueRange: null,     // {Range|null} - the fixed range of the vertical axis, or null to scale to fit the data
+        minValueSpan: 0.5,    // {number} - when scaled to fit, the smallest that the top of the vertical axis can be
+        labelMargin: 3,       // {number} - margin between the labels and the edges of the plot
+        decimalPlaces: 1,     // {number} - the number of decimal places to display for the maximum value label
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+      assert( !options.valueRange || options.valueRange instanceof Range, 'invalid valueRange' );
+
+      super();
+
+      //----------------------------------------------------------------------------------------
+
+      // @private {*} - see options declaration for documentation.
+      this._dataRecorder = dataRecorder;
+      this._getValue = getValue;
+      this._plotWidth = options.width;
+      this._plotHeight = options.height;
+      this._valueRange = options.valueRange;
+      this._minValueSpan = options.minValueSpan;
+      this._decimalPlaces = options.decimalPlaces;
+      this._labelMargin = options.labelMargin;
+
+      // @private {Line} - horizontal line where the value is 0.
+      this._zeroLine = RotationalMotionColors.linkColors( new Line( 0, 0, options.width, 0 ), {
+        stroke: RotationalMotionColors.GRAPH_AXIS_STROKE
+      } );
+
+      // @private {Path} - the plotted data.
+      this._dataPath = RotationalMotionColors.linkColors( new Path( null, { strokeWidth: 1.5, fill: 'none' } ), {
+        stroke: options.stroke
+      } );
+
+      // @private {Line} - vertical cursor line at the elapsed time of the Spinner.
+      this._cursorLine = RotationalMotionColors.linkColors( new Line( 0, 0, 0, options.height, { strokeWidth: 1.5 } ), {
+        stroke: RotationalMotionColors.GRAPH_CURSOR_STROKE
+      } );
+
+      // @private {Text} - label of the value at the top of the vertical axis.
+      this._maxValueText = new Text( '', {
+        ...RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS,
+        top: options.labelMargin
+      } );
+
+      label.left = options.labelMargin;
+      label.top = options.labelMargin;
+
+      this.children = [
+        RotationalMotionColors.linkColors( new Rectangle( options.width, options.height ), {
+          fill: RotationalMotionColors.GRAPH_BACKGROUND,
+          stroke: RotationalMotionColors.GRAPH_AXIS_STROKE
+        } ),
+        this._zeroLine,
+        this._dataPath,
+        this._cursorLine,
+        label,
+        this._maxValueText
+      ];
+
+      // Apply any additional bounds mutators
+      this.mutate( options );
+    }
+
+    /**
+     * Updates the plot to display a window of time.
+     * @public
+     *
+     * @param {number} startTime - the time at the left edge of the plot, in seconds
+     * @param {number} timeSpan - the duration of the window of time, in seconds
+     * @param {number} [valueScale] - the scale that the label of the value at the top of the vertical axis is
+     *                                multiplied by, to display it in another unit
+     */
+    update( startTime, timeSpan, valueScale = 1 ) {
+      assert( typeof startTime === 'number' && timeSpan > 0, 'invalid window of time' );
+      assert( typeof valueScale === 'number' && valueScale > 0, `invalid valueScale: ${ valueScale }` );
+
+      const samples = this._dataRecorder.samples.filter( sample => {
+        return sample.elapsedTime >= startTime && sample.elapsedTime <= startTime + timeSpan;
+      } );
+
+      // Determine the range of the vertical axis.
+      let valueRange = this._valueRange;
+      if ( !valueRange ) {
+        const values = samples.map( sample => Math.abs( this._getValue( sample ) ) );
+        const maxValue = Math.max( this._minValueSpan, ...values );
+        valueRange = new Range( -maxValue, maxValue );
+      }
+
+      const timeToX = time => ( time - startTime ) / timeSpan * this._plotWidth;
+      const valueToY = value => Util.clamp( ( valueRange.max - value ) / valueRange.length, 0, 1 ) * this._plotHeight;
+
+      // Plot the data.
+      const shape = new Shape();
+      samples.forEach( ( sample, index ) => {
+        const x = timeToX( sample.elapsedTime );
+        const y = valueToY( this._getValue( sample ) );
+        index === 0 ? shape.moveTo( x, y ) : shape.lineTo( x, y );
+      } );
+      this._dataPath.shape = samples.length > 1 ? shape : null;
+
+      // Update the axis and the cursor.
+      const zeroY = valueToY( 0 );
+      this._zeroLine.startY = zeroY;
+      this._zeroLine.endY = zeroY;
+      this._zeroLine.visible = valueRange.contains( 0 );
+
+      const cursorTime = this._dataRecorder.spinner.elapsedTime;
+      this._cursorLine.startX = timeToX( cursorTime );
+      this._cursorLine.endX = timeToX( cursorTime );
+      this._cursorLine.visible = cursorTime >= startTime && cursorTime <= startTime + timeSpan;
+
+      const maxValue = valueRange.max * valueScale;
+      this._maxValueText.text = RotationalMotionStrings.formatNumber( maxValue, this._decimalPlaces );
+      this._maxValueText.right = this._plotWidth - this._labelMargin;
+    }
+
+    /**
+     * Gets the time at an x-coordinate of the plot, for a window of time.
+     * @public
+     *
+     * @param {number} x - relative to the left edge of the plot
+     * @param {number} startTime - the time at the left edge of the plot, in seconds
+     * @param {number} timeSpan - the duration of the window of time, in seconds
+     * @returns {number} - in seconds
+     */
+    getTimeAt( x, startTime, timeSpan ) {
+      return startTime + Util.clamp( x / this._plotWidth, 0, 1 ) * timeSpan;
+    }
+  }
+
+  return TimeSeriesPlot;
+} );
@@ -1,7 +1,7 @@
 // Copyright © 2020 Brandon Li. All rights reserved.
 
 /**
- * Control Panel at the bottom right of each CircularMotionTypes scene in the 'intro' screen that allows the user to
+ * Control Panel at the bottom of each CircularMotionTypes scene in the 'intro' screen that allows the user to
  * change the visibility of IntroScreenView view properties.
  *
  * Each VectorVisibilityPanel should be initiated with a corresponding CircularMotionType. Its visibility should then
@@ -12,6 +12,11 @@
  *  - A Linear Acceleration Vector Checkbox for non-uniform CircularMotionTypes ONLY
  *  - A (Total) Acceleration Vector Checkbox (labeled 'Acceleration Vector' for uniform
  *    and 'Total Acceleration Vector' for non-uniform)
+ *  - A String Tension Vector Checkbox
+ *  - A Tangential Force Vector Checkbox for non-uniform CircularMotionTypes ONLY
+ *  - A Net Force Vector Checkbox
+ *
+ * See CircularMotionTypes.isUniform() for which CircularMotionTypes are uniform.
  *
  * @author Brandon Li
  */
@@ -30,6 +35,7 @@ define( require => {
   const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
   const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
   const RotationalMotionIconFactory = require( 'ROTATIONAL_MOTION/common/view/RotationalMotionIconFactory' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
   const Text = require( 'SIM_CORE/scenery/Text' );
   const VisibilityCheckbox = require( 'ROTATIONAL_MOTION/common/view/VisibilityCheckbox' );
 
@@ -41,6 +47,9 @@ define( require => {
      * @param {Property.<boolean>} linearVelocityVisibleProperty
      * @param {Property.<boolean>} linearAccelerationVisibleProperty
      * @param {Property.<boolean>} totalAccelerationVisibleProperty
+     * @param {Property.<boolean>} tensionVisibleProperty
+     * @param {Property.<boolean>} tangentialForceVisibleProperty
+     * @param {Property.<boolean>} netForceVisibleProperty
      * @param {Object} [options]
      */
     constructor(
@@ -49,19 +58,22 @@ define( require => {
       linearVelocityVisibleProperty,
       linearAccelerationVisibleProperty,
       totalAccelerationVisibleProperty,
+      tensionVisibleProperty,
+      tangentialForceVisibleProperty,
+      netForceVisibleProperty,
       options
     ) {
       assert( CircularMotionTypes.includes( circularMotionType ), 'invalid circularMotionType' );
       assert( linearVelocityVisibleProperty instanceof Property, 'invalid linearVelocityVisibleProperty' );
       assert( linearAccelerationVisibleProperty instanceof Property, 'invalid linearAccelerationVisibleProperty' );
       assert( totalAccelerationVisibleProperty instanceof Property, 'invalid totalAccelerationVisibleProperty' );
+      assert( tensionVisibleProperty instanceof Property, 'invalid tensionVisibleProperty' );
+      assert( tangentialForceVisibleProperty instanceof Property, 'invalid tangentialForceVisibleProperty' );
+      assert( netForceVisibleProperty instanceof Property, 'invalid netForceVisibleProperty' );
       assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
 
       options = {
 
-        // Import the panel colors.
-        ...RotationalMotionColors.PANEL_COLORS,
-
         // {number} - spacing between the content of the Panel.
         spacing: 13,
 
@@ -70,15 +82,16 @@ define( require => {
       };
 
       super( new Node(), options );
+      RotationalMotionColors.linkPanelColors( this );
 
       //----------------------------------------------------------------------------------------
 
       // Separate the icons and Checkboxes into two different FlexBoxes for horizontal alignment of Icons
-      const checkboxes = FlexBox.vertical( { align: 'left', spacing: options.spacing } );
-      const icons = FlexBox.vertical( { align: 'left', spacing: options.spacing } );
+      const checkboxes = FlexBox.vertical( { align: RotationalMotionStrings.startAlign, spacing: options.spacing } );
+      const icons = FlexBox.vertical( { align: RotationalMotionStrings.startAlign, spacing: options.spacing } );
 
       // 'Vectors' Label
-      const vectorsText = new Text( 'Vectors', {
+      const vectorsText = new Text( RotationalMotionStrings.vectors, {
         ...RotationalMotionConstants.PANEL_TEXT_OPTIONS,
         fontWeight: 600
       } );
@@ -86,7 +99,7 @@ define( require => {
 
       // 'Linear Velocity' Checkbox
       const linearVelocityCheckbox = new VisibilityCheckbox( linearVelocityVisibleProperty,
-        new Text( 'Linear Velocity', RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+        new Text( RotationalMotionStrings.linearVelocity, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
       );
       checkboxes.addChild( linearVelocityCheckbox );
       icons.addChild( AlignBox.withHeight( RotationalMotionIconFactory.createVectorArrowIcon( {
@@ -94,10 +107,10 @@ define( require => {
       } ), linearVelocityCheckbox.height ) );
 
       // 'Linear Acceleration' Checkbox
-      if ( circularMotionType === CircularMotionTypes.NON_UNIFORM ) {
+      if ( !CircularMotionTypes.isUniform( circularMotionType ) ) {
 
         const linearAccelerationCheckbox = new VisibilityCheckbox( linearAccelerationVisibleProperty,
-          new Text( 'Linear Acceleration', RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+          new Text( RotationalMotionStrings.linearAcceleration, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
         );
         checkboxes.addChild( linearAccelerationCheckbox );
         icons.addChild( AlignBox.withHeight( RotationalMotionIconFactory.createVectorArrowIcon( {
@@ -107,18 +120,55 @@ define( require => {
 
       // 'Total Acceleration' Checkbox
       const totalAccelerationCheckbox = new VisibilityCheckbox( totalAccelerationVisibleProperty,
-        new Text( circularMotionType === CircularMotionTypes.UNIFORM ?
-                  'Acceleration' :
-                  'Total Acceleration', RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+        new Text( CircularMotionTypes.isUniform( circularMotionType ) ?
+                  RotationalMotionStrings.acceleration :
+                  RotationalMotionStrings.totalAcceleration, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
       );
       checkboxes.addChild( totalAccelerationCheckbox );
       icons.addChild( AlignBox.withHeight( RotationalMotionIconFactory.createVectorArrowIcon( {
         fill: RotationalMotionColors.TOTAL_ACCELERATION_VECTOR_FILL
       } ), totalAccelerationCheckbox.height ) );
 
-      // Position the icons to the right of the checkboxes
+      // 'String Tension' Checkbox
+      const tensionCheckbox = new VisibilityCheckbox( tensionVisibleProperty,
+        new Text( RotationalMotionStrings.stringTension, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+      );
+      checkboxes.addChild( tensionCheckbox );
+      icons.addChild( AlignBox.withHeight( RotationalMotionIconFactory.createVectorArrowIcon( {
+        fill: RotationalMotionColors.TENSION_VECTOR_FILL
+      } ), tensionCheckbox.height ) );
+
+      // 'Tangential Force' Checkbox
+      if ( !CircularMotionTypes.isUniform( circularMotionType ) ) {
+
+        const tangentialForceCheckbox = new VisibilityCheckbox( tangentialForceVisibleProperty,
+          new Text( RotationalMotionStrings.tangentialForce, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+        );
+        checkboxes.addChild( tangentialForceCheckbox );
+        icons.addChild( AlignBox.withHeight( RotationalMotionIconFactory.createVectorArrowIcon( {
+          fill: RotationalMotionColors.TANGENTIAL_FORCE_VECTOR_FILL
+        } ), tangentialForceCheckbox.height ) );
+      }
+
+      // 'Net Force' Checkbox
+      const netForceCheckbox = new VisibilityCheckbox( netForceVisibleProperty,
+        new Text( RotationalMotionStrings.netForce, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+      );
+      checkboxes.addChild( netForceCheckbox );
+      icons.addChild( AlignBox.withHeight( RotationalMotionIconFactory.createVectorArrowIcon( {
+        fill: RotationalMotionColors.NET_FORCE_VECTOR_FILL
+      } ), netForceCheckbox.height ) );
+
+      // Position the icons to the right of the checkboxes, or to the left of the checkboxes for right-to-left locales.
       checkboxes.top = vectorsText.bottom + 10;
-      icons.centerLeft = checkboxes.centerRight.addXY( controlPanelContentWidth - icons.width - checkboxes.width, 0 );
+      if ( RotationalMotionStrings.isRTL ) {
+        vectorsText.right = controlPanelContentWidth;
+        checkboxes.right = controlPanelContentWidth;
+        icons.centerRight = checkboxes.centerLeft.addXY( icons.width + checkboxes.width - controlPanelContentWidth, 0 );
+      }
+      else {
+        icons.centerLeft = checkboxes.centerRight.addXY( controlPanelContentWidth - icons.width - checkboxes.width, 0 );
+      }
       this.content.addChild( checkboxes ).addChild( icons );
 
       // Apply any additional bounds mutators
@@ -13,6 +13,7 @@ define( require => {
   const RollingModel = require( 'ROTATIONAL_MOTION/rolling/model/RollingModel' );
   const RollingScreenView = require( 'ROTATIONAL_MOTION/rolling/view/RollingScreenView' );
   const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
   const Screen = require( 'SIM_CORE/Screen' );
 
   class RollingScreen extends Screen {
@@ -20,12 +21,27 @@ define( require => {
     constructor() {
 
       super( {
-        name: 'Rolling',
+        name: RotationalMotionStrings.rolling,
         model: RollingModel,
-        background: RotationalMotionColors.SCREEN_BACKGROUND,
+        background: RotationalMotionColors.SCREEN_BACKGROUND.value,
         view: RollingScreenView
       } );
 
+      // Recolor the background when the color profile changes. Link is never disposed since Screens are never disposed.
+      RotationalMotionColors.SCREEN_BACKGROUND.lazyLink( background => { this.addStyles( { background } ); } );
+    }
+
+    /**
+     * @override
+     * Also renders the DescriptionLiveRegion of the RollingScreenView. It is HTML, so it is rendered in the Screen next
+     * to the RollingScreenView (which is SVG) and is hidden with the Screen when another Screen is selected.
+     * @public
+     *
+     * @param {Display} display
+     */
+    start( display ) {
+      super.start( display );
+      this.addChild( this.view.descriptionLiveRegion );
     }
   }
 
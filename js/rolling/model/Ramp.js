@@ -35,6 +35,7 @@ define( require => {
   const Bounds = require( 'SIM_CORE/util/Bounds' );
   const Property = require( 'SIM_CORE/util/Property' );
   const Range = require( 'SIM_CORE/util/Range' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
   const Util = require( 'SIM_CORE/util/Util' );
 
   class Ramp {
@@ -51,7 +52,7 @@ define( require => {
         initialAngle: 2 * Math.PI / 13,
 
         // {Range} - the range of the angle of the slope relative to the horizontal, in radians
-        angleRange: new Range( 0, Math.PI / 5 ),
+        angleRange: Ramp.ANGLE_RANGE,
 
         // rewrite options such that it overrides the defaults above if provided.
         ...options
@@ -90,6 +91,18 @@ define( require => {
       this.angleProperty.reset();
     }
 
+    /**
+     * Creates the StateSchema of the Ramp, which serializes and restores its angle. See StateSchema.
+     * @public
+     *
+     * @returns {StateSchema}
+     */
+    createStateSchema() {
+      return new StateSchema( {
+        angle: StateSchema.number( this.angleProperty, { range: this.angleRange } )
+      } );
+    }
+
     /**
      * Changes the height of the lift-bar, which changes the angle of the Ramp. This is called when the lift bar
      * dots or double-headed arrow is dragged. Will ensure that the angle is inside of the angleRange before setting.
@@ -149,6 +162,9 @@ define( require => {
   // Static Constants
   //----------------------------------------------------------------------------------------
 
+  // @public {Range} - the default range of the angle of the slope relative to the horizontal, in radians.
+  Ramp.ANGLE_RANGE = new Range( 0, Math.PI / 5 );
+
   // @public {number} - the height of the stand of the slope (see the comment at the top of the file) in meters.
   Ramp.STAND_HEIGHT = 0.55;
 
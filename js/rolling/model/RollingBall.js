@@ -0,0 +1,692 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * RollingBall is the Ball model specialization for a Ball in the 'rolling' screen. RollingBalls roll down the slope of
+ * a Ramp in the presence of gravity and friction. See Ramp.js for more background.
+ *
+ * Extends Ball but adds the following functionality:
+ *   - Translational position, velocity, and acceleration Properties of the center of mass, along the surface of the
+ *     Ramp. The translational position is the distance traveled from where the Ball rests against the lift-bar.
+ *   - Angular position, velocity, and acceleration Properties. While rolling without slipping, these match the
+ *     translational counterparts with the rolling without slipping condition (v = omega * r).
+ *   - A Property that indicates if the Ball is slipping.
+ *   - A Property of the position of a marked point that rotates with the Ball, at a distance from the center that is
+ *     a ratio of the radius. Traced as the Ball rolls, the marked point follows a cycloid if it is on the rim, a
+ *     curtate cycloid if it is inside the rim, and a prolate cycloid if it is outside the rim.
+ *   - A step method to move the Ball down the Ramp.
+ *   - A StateSchema of its motion, so that setups can be saved and restored.
+ *
+ * The Ball rolls without slipping as long as static friction can provide the required torque, which is when
+ * mu_s >= k / ( 1 + k ) * tan( theta ). Otherwise, the Ball slides with spin, where kinetic friction accelerates
+ * the spin of the Ball and decelerates its translation:
+ *   a = g * ( sin( theta ) - mu_k * cos( theta ) )
+ *   alpha = mu_k * g * cos( theta ) / ( k * r )
+ * The Ball continues to slip until the speed of its contact point (v - omega * r) reaches 0, where it rolls again.
+ *
+ * RollingBalls also keep track of their energy: translational and rotational kinetic energy, gravitational potential
+ * energy, and the thermal energy that is generated by friction. The total energy is conserved.
+ *
+ * For background, see https://en.wikipedia.org/wiki/Rolling#Rolling_on_an_incline.
+ *
+ * The path of the center of the Ball is split into three sections:
+ *   (1) parallel to the slope of the Ramp, where the acceleration (when rolling) is g * sin( theta ) / ( 1 + k )
+ *   (2) an arc that rounds the bottom corner of the slope, where the inclination gradually decreases to 0
+ *   (3) the horizontal stand of the Ramp, where the acceleration is 0. The Ball stops at the edge of the stand.
+ * where k is the inertia factor of the shape of the Ball, such that I = k * m * r^2.
+ *
+ * RollingBalls are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Ball = require( 'ROTATIONAL_MOTION/common/model/Ball' );
+  const DerivedProperty = require( 'SIM_CORE/util/DerivedProperty' );
+  const Multilink = require( 'SIM_CORE/util/Multilink' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Ramp = require( 'ROTATIONAL_MOTION/rolling/model/Ramp' );
+  const RollingBallTypes = require( 'ROTATIONAL_MOTION/rolling/model/RollingBallTypes' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
+  const Util = require( 'SIM_CORE/util/Util' );
+  const Vector = require( 'SIM_CORE/util/Vector' );
+
+  class RollingBall extends Ball {
+
+    /**
+     * @param {Enum.Member.<RollingBallTypes>} rollingBallType - See RollingBallTypes for more documentation.
+     * @param {Ramp} ramp - the Ramp that the Ball rolls down.
+     * @param {Object} [options] - key-value pairs that control the Ball's behavior.
+     */
+    constructor( rollingBallType, ramp, options ) {
+      assert( RollingBallTypes.includes( rollingBallType ), `invalid rollingBallType: ${ rollingBallType }` );
+      assert( ramp instanceof Ramp, `invalid ramp: ${ ramp }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+      assert( rollingBallType !== RollingBallTypes.CUSTOM || ( options && options.customInertiaFactorProperty
+        instanceof Property ), 'CUSTOM Balls must provide a customInertiaFactorProperty' );
+      assert( !options || !options.frictionCoefficientProperty
+        || options.frictionCoefficientProperty instanceof Property, 'invalid frictionCoefficientProperty' );
+      assert( !options || !options.markedPointRatioProperty
+        || options.markedPointRatioProperty instanceof Property, 'invalid markedPointRatioProperty' );
+
+      options = {
+
+        radius: 0.2,  // {number} - the (outer) radius of the Ball, in meters
+        mass: 1,      // {number} - the mass of the Ball, in kilograms
+
+        // {Property.<number>|null} - the Property of the inertia factor k set by the user. Required for CUSTOM Balls
+        //                            only, and ignored otherwise.
+        customInertiaFactorProperty: null,
+
+        // {Property.<number>|null} - the Property of the coefficient of static friction between the Ball and the Ramp.
+        //                            If not provided, the Ball always rolls without slipping.
+        frictionCoefficientProperty: null,
+
+        // {number} - the ratio of the coefficient of kinetic friction to the coefficient of static friction.
+        kineticFrictionRatio: 0.8,
+
+        // {Property.<number>|null} - the Property of the distance of the marked point from the center of the Ball, as a
+        //                            ratio of the radius. If not provided, the marked point is on the rim of the Ball.
+        markedPointRatioProperty: null,
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      super( Vector.ZERO.copy(), options.radius );
+
+      //----------------------------------------------------------------------------------------
+
+      // @public {Enum.Member.<RollingBallTypes>} (read-only) - reference the type of the Ball passed-in
+      this.type = rollingBallType;
+
+      // @public (read-only) {number} - reference the mass that was passed-in, in kilograms.
+      this.mass = options.mass;
+
+      // @public (read-only) {number} - the ratio of the radius of the hole in the cross-section of the Ball to its
+      //                                outer radius. See RollingBallTypes for more documentation.
+      this.innerRadiusRatio = RollingBallTypes.getInnerRadiusRatio( rollingBallType );
+
+      // @public (read-only) {Property.<number>} - the inertia factor k of the Ball, such that its moment of inertia is
+      //                                          I = k * m * r^2. For CUSTOM Balls, this references the Property set
+      //                                          by the user. Otherwise, it is fixed by the definition of its type.
+      this.inertiaFactorProperty = rollingBallType === RollingBallTypes.CUSTOM ?
+                                   options.customInertiaFactorProperty :
+                                   new Property( RollingBallTypes.getInertiaFactor( rollingBallType ), {
+                                     type: 'number',
+                                     isValidValue: value => value >= 0
+                                   } );
+
+      // @public (read-only) {Property.<number>} - the coefficient of static friction between the Ball and the Ramp.
+      this.frictionCoefficientProperty = options.frictionCoefficientProperty || new Property( Infinity, {
+        type: 'number'
+      } );
+
+      // @public (read-only) {number} - the ratio of the coefficient of kinetic friction to the coefficient of static
+      //                                friction.
+      this.kineticFrictionRatio = options.kineticFrictionRatio;
+
+      // @public (read-only) {Property.<number>} - the distance of the marked point from the center of the Ball, as a
+      //                                          ratio of the radius of the Ball.
+      this.markedPointRatioProperty = options.markedPointRatioProperty || new Property( 1, {
+        type: 'number',
+        isValidValue: value => value >= 0
+      } );
+
+      // @private {Ramp} - reference the Ramp that was passed-in.
+      this._ramp = ramp;
+
+      //----------------------------------------------------------------------------------------
+
+      // @public (read-only) - Property of the distance the center of mass has traveled along the surface of the Ramp
+      //                       from where the Ball rests against the lift-bar, in meters.
+      this.translationalPositionProperty = new Property( 0, {
+        type: 'number',
+        isValidValue: value => value >= 0
+      } );
+
+      // @public (read-only) - Property of the velocity of the center of mass along the surface of the Ramp, in m/s.
+      this.translationalVelocityProperty = new Property( 0, { type: 'number' } );
+
+      // @public (read-only) - Property of the angle the Ball has rotated clockwise, in radians.
+      this.angleProperty = new Property( 0, { type: 'number' } );
+
+      // @public (read-only) - Property of the angular velocity of the Ball, clockwise, in rad/sec.
+      this.angularVelocityProperty = new Property( 0, { type: 'number' } );
+
+      // @public (read-only) - indicates if the Ball is slipping (sliding with spin), instead of rolling without
+      //                       slipping.
+      this.isSlippingProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) - Property of the thermal energy that is generated by friction (and by the Ball hitting
+      //                       the end of the stand), in joules.
+      this.thermalEnergyProperty = new Property( 0, { type: 'number' } );
+
+      //----------------------------------------------------------------------------------------
+
+      // Dependencies of the acceleration Properties of the Ball.
+      const accelerationDependencies = [
+        this.translationalPositionProperty, // in meters
+        this.isSlippingProperty,
+        ramp.angleProperty,                 // in radians
+        this.radiusProperty,                // in meters
+        this.inertiaFactorProperty,         // unitless
+        this.frictionCoefficientProperty    // unitless
+      ];
+
+      // @public (read-only) - Property of the acceleration of the center of mass along the surface of the Ramp, in
+      //                       m/s^2. Lasts for the entire sim and is never disposed.
+      this.translationalAccelerationProperty = new DerivedProperty( accelerationDependencies,
+        ( translationalPosition, isSlipping ) => {
+          return this._getTranslationalAccelerationAt( translationalPosition, isSlipping );
+        } );
+
+      // @public (read-only) - Property of the angular acceleration of the Ball, clockwise, in rad/sec^2. Lasts for the
+      //                       entire sim and is never disposed.
+      this.angularAccelerationProperty = new DerivedProperty( accelerationDependencies,
+        ( translationalPosition, isSlipping ) => {
+          return this._getAngularAccelerationAt( translationalPosition, isSlipping );
+        } );
+
+      //----------------------------------------------------------------------------------------
+
+      // Observe when the translational position or the Ramp's angle changes and update the Ball's center position.
+      // Doesn't need to be disposed because RollingBalls are never disposed and last for the entirety of the sim.
+      new Multilink( [ this.translationalPositionProperty, ramp.angleProperty, this.radiusProperty ],
+        translationalPosition => {
+          this.center = this._getCenterPositionAt( translationalPosition );
+        } );
+
+      // @public (read-only) - Property of the position of the marked point, in meter coordinates. The marked point is
+      //                       above the center when the angle is 0 and rotates clockwise with the Ball. Lasts for the
+      //                       entire sim and is never disposed.
+      this.markedPointPositionProperty = new DerivedProperty( [
+        this.centerPositionProperty,
+        this.angleProperty,
+        this.radiusProperty,
+        this.markedPointRatioProperty
+      ], ( centerPosition, angle, radius, markedPointRatio ) => {
+        return new Vector( Math.sin( angle ), Math.cos( angle ) ).multiply( markedPointRatio * radius )
+          .add( centerPosition );
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      // @public (read-only) - Property of the translational kinetic energy of the Ball, 1/2 * m * v^2, in joules.
+      //                       Lasts for the entire sim and is never disposed.
+      this.translationalKineticEnergyProperty = new DerivedProperty( [ this.translationalVelocityProperty ],
+        translationalVelocity => 0.5 * this.mass * translationalVelocity * translationalVelocity );
+
+      // @public (read-only) - Property of the rotational kinetic energy of the Ball, 1/2 * I * omega^2, where
+      //                       I = k * m * r^2, in joules. Lasts for the entire sim and is never disposed.
+      this.rotationalKineticEnergyProperty = new DerivedProperty( [
+        this.angularVelocityProperty,
+        this.radiusProperty,
+        this.inertiaFactorProperty
+      ], ( angularVelocity, radius, inertiaFactor ) => {
+        return 0.5 * inertiaFactor * this.mass * radius * radius * angularVelocity * angularVelocity;
+      } );
+
+      // @public (read-only) - Property of the gravitational potential energy of the Ball, m * g * h, in joules. The
+      //                       height h is measured from the center of the Ball when it rests on the stand, such that
+      //                       the potential energy is 0 at the bottom of the Ramp. Lasts for the entire sim and is
+      //                       never disposed.
+      this.gravitationalPotentialEnergyProperty = new DerivedProperty( [
+        this.centerPositionProperty,
+        this.radiusProperty
+      ], ( centerPosition, radius ) => this.mass * RotationalMotionConstants.GRAVITY * ( centerPosition.y - radius ) );
+
+      // @public (read-only) - Property of the total energy of the Ball, in joules. Since energy is conserved, this
+      //                       should remain constant as the Ball rolls. Lasts for the entire sim and is never disposed.
+      this.totalEnergyProperty = new DerivedProperty( [
+        this.translationalKineticEnergyProperty,
+        this.rotationalKineticEnergyProperty,
+        this.gravitationalPotentialEnergyProperty,
+        this.thermalEnergyProperty
+      ], ( ...energies ) => energies.reduce( ( total, energy ) => total + energy, 0 ) );
+    }
+
+    /**
+     * Resets the RollingBall and its properties to what it was when initialized. Called when the reset button is
+     * pressed.
+     * @public
+     */
+    reset() {
+      this._resetMotion();
+      super.reset();
+      this.center = this._getCenterPositionAt( this.translationalPosition );
+    }
+
+    /**
+     * Resets the motion of the RollingBall, such that it rests against the lift-bar and rolls without slipping.
+     * @private
+     */
+    _resetMotion() {
+      this.translationalPositionProperty.reset();
+      this.translationalVelocityProperty.reset();
+      this.angleProperty.reset();
+      this.angularVelocityProperty.reset();
+      this.isSlippingProperty.reset();
+      this.thermalEnergyProperty.reset();
+    }
+
+    /**
+     * Creates the StateSchema of the motion of the RollingBall, which serializes and restores its Properties. See
+     * StateSchema. The center of the Ball isn't included, since it is derived from the translational position.
+     * @public
+     *
+     * @returns {StateSchema}
+     */
+    createStateSchema() {
+      const isNonNegative = value => value >= 0;
+
+      return new StateSchema( {
+        translationalPosition: StateSchema.number( this.translationalPositionProperty, {
+          isValidValue: isNonNegative
+        } ),
+        translationalVelocity: StateSchema.number( this.translationalVelocityProperty ),
+        angle: StateSchema.number( this.angleProperty ),
+        angularVelocity: StateSchema.number( this.angularVelocityProperty ),
+        isSlipping: StateSchema.boolean( this.isSlippingProperty ),
+        thermalEnergy: StateSchema.number( this.thermalEnergyProperty, { isValidValue: isNonNegative } )
+      } );
+    }
+
+    /**
+     * Steps the RollingBall by one time step. The Ball rolls (or slips) down the Ramp such that its translational and
+     * angular position and velocity match the translational and angular acceleration.
+     * @public
+     *
+     * @param {number} dt - time in seconds
+     */
+    step( dt ) {
+
+      // Switch to slipping if static friction can no longer provide the torque for rolling without slipping.
+      if ( !this.isSlipping
+           && this.frictionCoefficient < this._getRequiredFrictionCoefficientAt( this.translationalPosition ) ) {
+        this.isSlippingProperty.value = true;
+      }
+
+      const acceleration = this.translationalAccelerationProperty.value;
+      const angularAcceleration = this.angularAccelerationProperty.value;
+
+      // RollingBalls are always released from rest against the lift-bar. When stepping backwards in time, the Ball
+      // cannot go past the point where it was released.
+      if ( dt < 0 && acceleration > 0 && this.translationalVelocity + acceleration * dt <= 0 ) {
+        this._resetMotion();
+        return;
+      }
+
+      const previousTranslationalPosition = this.translationalPosition;
+
+      // Calculate the change in position based on the kinematic equation: deltaX = v * dt + 1/2 * a * dt^2.
+      const translationalPosition = Util.clamp( this.translationalPosition
+        + this.translationalVelocity * dt
+        + 0.5 * acceleration * dt * dt, 0, this.maxTranslationalPosition );
+
+      // The change in height of the center of the Ball, in meters.
+      const heightChange = this._getCenterPositionAt( translationalPosition ).y - this.center.y;
+
+      if ( !this.isSlipping ) {
+
+        // Calculate the change in velocity from the change in height, since mechanical energy is conserved while
+        // rolling without slipping: v^2 = v0^2 - 2 * g * ( h - h0 ) / ( 1 + k ). This matches the kinematic equations
+        // on the slope and the stand, but remains accurate when the inclination changes within a time step on the arc.
+        this.translationalVelocity = Math.sqrt( Math.max( this.translationalVelocity * this.translationalVelocity
+          - 2 * RotationalMotionConstants.GRAVITY * heightChange / ( 1 + this.inertiaFactor ), 0 ) );
+
+        // Rolling without slipping condition, where the Ball rotates x / r radians when it travels x meters.
+        this.angle += ( translationalPosition - previousTranslationalPosition ) / this.radius;
+        this.angularVelocity = this.translationalVelocity / this.radius;
+      }
+      else {
+
+        // The magnitude of the kinetic friction force, in newtons, which is assumed to be constant within a time step.
+        const frictionForce = this.kineticFrictionCoefficient * this.mass * RotationalMotionConstants.GRAVITY
+          * Math.cos( this._getInclinationAt( previousTranslationalPosition ) );
+        const distance = translationalPosition - previousTranslationalPosition;
+
+        // Calculate the change in velocity with the work-energy theorem, where gravity and kinetic friction do work on
+        // the translation of the Ball: 1/2 * m * ( v^2 - v0^2 ) = -m * g * ( h - h0 ) - f * x.
+        this.translationalVelocity = Math.sqrt( Math.max( this.translationalVelocity * this.translationalVelocity
+          - 2 * RotationalMotionConstants.GRAVITY * heightChange - 2 * frictionForce * distance / this.mass, 0 ) );
+
+        // Calculate the change in the angle and angular velocity based on the kinematic equations.
+        const previousAngle = this.angle;
+        this.angle += this.angularVelocity * dt + 0.5 * angularAcceleration * dt * dt;
+        this.angularVelocity += angularAcceleration * dt;
+
+        // Kinetic friction does work over the distance that the contact point slides, which is converted to thermal
+        // energy.
+        this.thermalEnergy += frictionForce * ( distance - ( this.angle - previousAngle ) * this.radius );
+      }
+      this.translationalPosition = translationalPosition;
+
+      // Constrain the Ball to the Ramp, stopping the Ball if it reaches either end. The kinetic energy of the Ball is
+      // converted to thermal energy when it hits the end of the stand.
+      if ( translationalPosition <= 0 || translationalPosition >= this.maxTranslationalPosition ) {
+        if ( dt > 0 ) this.thermalEnergy += this.kineticEnergy;
+        this.translationalVelocity = 0;
+        this.angularVelocity = 0;
+      }
+
+      // Once the speed of the contact point reaches 0, the Ball stops slipping and rolls again. When stepping forwards
+      // in time, the velocities are matched by conserving the angular momentum about the contact point,
+      // m * v * r + k * m * r^2 * omega, and the kinetic energy that is lost is converted to thermal energy. Balls with
+      // an inertia factor of 0 cannot slip, since no torque is required.
+      if ( this.isSlipping
+           && ( this.translationalVelocity - this.angularVelocity * this.radius <= 0 || this.inertiaFactor === 0 ) ) {
+        const kineticEnergy = this.kineticEnergy;
+
+        if ( dt > 0 ) {
+          this.translationalVelocity = ( this.translationalVelocity
+            + this.inertiaFactor * this.angularVelocity * this.radius ) / ( 1 + this.inertiaFactor );
+        }
+        this.angularVelocity = this.translationalVelocity / this.radius;
+        this.isSlippingProperty.value = false;
+
+        if ( dt > 0 ) this.thermalEnergy += kineticEnergy - this.kineticEnergy;
+      }
+    }
+
+    /**
+     * Gets the acceleration of the center of mass along the surface of the Ramp at a translational position, in
+     * m/s^2. See the comment at the top of the file for background.
+     * @private
+     *
+     * @param {number} translationalPosition - in meters
+     * @param {boolean} isSlipping - whether or not the Ball is slipping
+     * @returns {number} - in m/s^2
+     */
+    _getTranslationalAccelerationAt( translationalPosition, isSlipping ) {
+
+      // The Ball stops once it reaches the edge of the stand.
+      if ( translationalPosition >= this.maxTranslationalPosition ) return 0;
+
+      const inclination = this._getInclinationAt( translationalPosition );
+
+      // While slipping, kinetic friction opposes the sliding of the contact point.
+      if ( isSlipping ) {
+        return RotationalMotionConstants.GRAVITY * ( Math.sin( inclination )
+          - this.kineticFrictionCoefficient * Math.cos( inclination ) );
+      }
+
+      // Rolling without slipping down an incline.
+      return RotationalMotionConstants.GRAVITY * Math.sin( inclination ) / ( 1 + this.inertiaFactor );
+    }
+
+    /**
+     * Gets the angular acceleration of the Ball at a translational position, clockwise, in rad/sec^2. See the comment
+     * at the top of the file for background.
+     * @private
+     *
+     * @param {number} translationalPosition - in meters
+     * @param {boolean} isSlipping - whether or not the Ball is slipping
+     * @returns {number} - in rad/sec^2
+     */
+    _getAngularAccelerationAt( translationalPosition, isSlipping ) {
+
+      // While slipping, the torque of kinetic friction spins up the Ball.
+      if ( isSlipping && this.inertiaFactor > 0 && translationalPosition < this.maxTranslationalPosition ) {
+        return this.kineticFrictionCoefficient * RotationalMotionConstants.GRAVITY
+          * Math.cos( this._getInclinationAt( translationalPosition ) ) / ( this.inertiaFactor * this.radius );
+      }
+
+      // Rolling without slipping condition.
+      return this._getTranslationalAccelerationAt( translationalPosition, isSlipping ) / this.radius;
+    }
+
+    /**
+     * Gets the minimum coefficient of static friction required for the Ball to roll without slipping at a
+     * translational position, which is k / ( 1 + k ) * tan( theta ).
+     * @private
+     *
+     * @param {number} translationalPosition - in meters
+     * @returns {number}
+     */
+    _getRequiredFrictionCoefficientAt( translationalPosition ) {
+      const inclination = this._getInclinationAt( translationalPosition );
+      return this.inertiaFactor / ( 1 + this.inertiaFactor ) * Math.tan( inclination );
+    }
+
+    /**
+     * Gets the inclination of the surface that the center of mass is traveling along at a translational position. See
+     * the comment at the top of the file for the three sections of the path.
+     * @private
+     *
+     * @param {number} translationalPosition - in meters
+     * @returns {number} - in radians
+     */
+    _getInclinationAt( translationalPosition ) {
+      const distance = translationalPosition + this._startOffset;
+
+      if ( distance <= this._arcStartDistance ) return this._ramp.angle;
+      return Math.max( this._ramp.angle - ( distance - this._arcStartDistance ) / this.radius, 0 );
+    }
+
+    /**
+     * Gets the position of the Ball's center at a translational position, in meter coordinates. See the comment at
+     * the top of the file for the three sections of the path.
+     * @private
+     *
+     * @param {number} translationalPosition - in meters
+     * @returns {Vector} - in meter coordinates
+     */
+    _getCenterPositionAt( translationalPosition ) {
+      const distance = translationalPosition + this._startOffset;
+      const angle = this._ramp.angle;
+
+      // (1) parallel to the slope, where the center is offset from the contact point along the normal of the slope.
+      if ( distance <= this._arcStartDistance ) {
+        return new Vector( distance * Math.cos( angle ) + this.radius * Math.sin( angle ),
+          this._ramp.slopeHeight - distance * Math.sin( angle ) + this.radius * Math.cos( angle ) );
+      }
+
+      // (2) an arc that is tangent to both (1) and (3), which rounds the bottom corner of the slope.
+      const inclination = this._getInclinationAt( translationalPosition );
+      const arcCenter = this._arcCenter;
+      if ( inclination > 0 ) {
+        return new Vector( arcCenter.x - this.radius * Math.sin( inclination ),
+          arcCenter.y - this.radius * Math.cos( inclination ) );
+      }
+
+      // (3) the horizontal stand of the Ramp.
+      return new Vector( arcCenter.x + distance - this._arcStartDistance - this.radius * angle, this.radius );
+    }
+
+    /**
+     * Gets the length of the slope of the Ramp, from the lift-bar to the bottom corner, in meters.
+     * @private
+     *
+     * @returns {number} - in meters
+     */
+    get _slopeLength() { return this._ramp.slopeWidth / Math.cos( this._ramp.angle ); }
+
+    /**
+     * Gets the distance along the slope from the lift-bar to the contact point of the Ball where the center of the Ball
+     * leaves section (1) and enters the arc of section (2), in meters. The arc is tangent to the paths of (1) and (3),
+     * which intersect r * tan( theta / 2 ) before the bottom corner of the slope, and begins the same distance before
+     * the intersection.
+     * @private
+     *
+     * @returns {number} - in meters
+     */
+    get _arcStartDistance() { return this._slopeLength - 2 * this.radius * Math.tan( this._ramp.angle / 2 ); }
+
+    /**
+     * Gets the center of the arc of section (2), in meter coordinates. The radius of the arc is the radius of the Ball.
+     * @private
+     *
+     * @returns {Vector} - in meter coordinates
+     */
+    get _arcCenter() {
+      const angle = this._ramp.angle;
+      return new Vector( this._arcStartDistance * Math.cos( angle ) + 2 * this.radius * Math.sin( angle ),
+        2 * this.radius );
+    }
+
+    /**
+     * Gets the distance along the slope from the lift-bar to the contact point of the Ball when it rests against the
+     * lift-bar, in meters.
+     * @private
+     *
+     * @returns {number} - in meters
+     */
+    get _startOffset() { return this.radius * ( 1 - Math.sin( this._ramp.angle ) ) / Math.cos( this._ramp.angle ); }
+
+    /**
+     * Gets the maximum translational position of the Ball, where the Ball reaches the edge of the stand, in meters.
+     * @public
+     *
+     * @returns {number} - in meters
+     */
+    get maxTranslationalPosition() {
+      return this._ramp.slopeWidth + Ramp.STAND_X_EXTENSION - this.radius - this._arcCenter.x
+        + this._arcStartDistance + this.radius * this._ramp.angle - this._startOffset;
+    }
+
+    /**
+     * Gets the inertia factor k of the Ball, such that its moment of inertia is I = k * m * r^2.
+     * @public
+     *
+     * @returns {number}
+     */
+    get inertiaFactor() { return this.inertiaFactorProperty.value; }
+
+    /**
+     * Gets the coefficient of static friction between the Ball and the Ramp.
+     * @public
+     *
+     * @returns {number}
+     */
+    get frictionCoefficient() { return this.frictionCoefficientProperty.value; }
+
+    /**
+     * Gets the coefficient of kinetic friction between the Ball and the Ramp.
+     * @public
+     *
+     * @returns {number}
+     */
+    get kineticFrictionCoefficient() { return this.frictionCoefficient * this.kineticFrictionRatio; }
+
+    /**
+     * Gets whether or not the Ball is slipping.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    get isSlipping() { return this.isSlippingProperty.value; }
+
+    /**
+     * Gets the kinetic energy of the Ball, which is the sum of the translational and rotational kinetic energy, in
+     * joules.
+     * @public
+     *
+     * @returns {number} - in joules
+     */
+    get kineticEnergy() {
+      return this.translationalKineticEnergyProperty.value + this.rotationalKineticEnergyProperty.value;
+    }
+
+    /**
+     * Gets the total energy of the Ball when it rests against the lift-bar, before it is released, in joules. Since
+     * energy is conserved, the total energy of the Ball should always match this value.
+     * @public
+     *
+     * @returns {number} - in joules
+     */
+    get initialEnergy() {
+      return this.mass * RotationalMotionConstants.GRAVITY * ( this._getCenterPositionAt( 0 ).y - this.radius );
+    }
+
+    /**
+     * Gets the thermal energy that is generated by friction, in joules.
+     * @public
+     *
+     * @returns {number} - in joules
+     */
+    get thermalEnergy() { return this.thermalEnergyProperty.value; }
+
+    /**
+     * Sets the thermal energy that is generated by friction, in joules.
+     * @public
+     *
+     * @param {number} thermalEnergy - in joules
+     */
+    set thermalEnergy( thermalEnergy ) { this.thermalEnergyProperty.value = thermalEnergy; }
+
+    /**
+     * Gets the Ball's translational position, in meters.
+     * @public
+     *
+     * @returns {number} - in meters
+     */
+    get translationalPosition() { return this.translationalPositionProperty.value; }
+
+    /**
+     * Sets the Ball's translational position, in meters.
+     * @public
+     *
+     * @param {number} translationalPosition - in meters
+     */
+    set translationalPosition( translationalPosition ) {
+      this.translationalPositionProperty.value = translationalPosition;
+    }
+
+    /**
+     * Gets the Ball's translational velocity, in meters per second.
+     * @public
+     *
+     * @returns {number} - in meters per second
+     */
+    get translationalVelocity() { return this.translationalVelocityProperty.value; }
+
+    /**
+     * Sets the Ball's translational velocity, in meters per second.
+     * @public
+     *
+     * @param {number} translationalVelocity - in meters per second
+     */
+    set translationalVelocity( translationalVelocity ) {
+      this.translationalVelocityProperty.value = translationalVelocity;
+    }
+
+    /**
+     * Gets the Ball's angle, clockwise, in radians.
+     * @public
+     *
+     * @returns {number} - in radians
+     */
+    get angle() { return this.angleProperty.value; }
+
+    /**
+     * Sets the Ball's angle, clockwise, in radians.
+     * @public
+     *
+     * @param {number} angle - in radians
+     */
+    set angle( angle ) { this.angleProperty.value = angle; }
+
+    /**
+     * Gets the Ball's angular velocity, clockwise, in rad/sec.
+     * @public
+     *
+     * @returns {number} - in rad/sec
+     */
+    get angularVelocity() { return this.angularVelocityProperty.value; }
+
+    /**
+     * Sets the Ball's angular velocity, clockwise, in rad/sec.
+     * @public
+     *
+     * @param {number} angularVelocity - in rad/sec
+     */
+    set angularVelocity( angularVelocity ) { this.angularVelocityProperty.value = angularVelocity; }
+  }
+
+  return RollingBall;
+} );
@@ -3,6 +3,13 @@
 /**
  * Enumeration of the different 'types' of rolling balls in the 'Rolling' screen.
  *
+ * Each member is defined by its inertia factor k, such that its moment of inertia is I = k * m * r^2, and the
+ * appearance of its cross-section. Both the physics of the RollingBalls and the icons of the rolling ball types are
+ * derived from these definitions. Since Enum members are frozen, the definitions are referenced with the
+ * getInertiaFactor(), getInnerRadiusRatio() and isSphere() methods of the Enum.
+ *
+ * See https://en.wikipedia.org/wiki/List_of_moments_of_inertia for background.
+ *
  * @author Brandon Li
  */
 
@@ -10,14 +17,104 @@ define( require => {
   'use strict';
 
   // modules
+  const assert = require( 'SIM_CORE/util/assert' );
   const Enum = require( 'SIM_CORE/util/Enum' );
 
-  const RollingBallTypes = new Enum( [
+  // constants
+  const WASHER_INNER_RADIUS_RATIO = 0.6;
+
+  // Definitions of each rolling ball type, where:
+  //   inertiaFactor {number|null} - the inertia factor k, or null if the user sets it.
+  //   innerRadiusRatio {number} - the ratio of the radius of the hole in the cross-section to the outer radius.
+  //   isSphere {boolean} - indicates if the ball is a sphere, which is rendered with 3D shading.
+  const DEFINITIONS = {
+
+    // A solid disk (or cylinder) of uniform density, with a moment of inertia of I = 1/2 * m * r^2.
+    DISK: {
+      inertiaFactor: 1 / 2,
+      innerRadiusRatio: 0,
+      isSphere: false
+    },
+
+    // A disk with a circular hole in its center (annulus), with a moment of inertia of I = 1/2 * m * (r1^2 + r2^2).
+    WASHER: {
+      inertiaFactor: ( 1 + WASHER_INNER_RADIUS_RATIO * WASHER_INNER_RADIUS_RATIO ) / 2,
+      innerRadiusRatio: WASHER_INNER_RADIUS_RATIO,
+      isSphere: false
+    },
+
+    // A solid sphere of uniform density, with a moment of inertia of I = 2/5 * m * r^2.
+    SOLID_SPHERE: {
+      inertiaFactor: 2 / 5,
+      innerRadiusRatio: 0,
+      isSphere: true
+    },
+
+    // A thin spherical shell, with a moment of inertia of I = 2/3 * m * r^2. The thickness of its cross-section is
+    // exaggerated to be visible.
+    HOLLOW_SPHERE: {
+      inertiaFactor: 2 / 3,
+      innerRadiusRatio: 0.85,
+      isSphere: true
+    },
+
+    // A thin ring, with a moment of inertia of I = m * r^2. The thickness of its cross-section is exaggerated to be
+    // visible.
+    THIN_HOOP: {
+      inertiaFactor: 1,
+      innerRadiusRatio: 0.85,
+      isSphere: false
+    },
+
+    // A solid disk-like ball with a moment of inertia of I = k * m * r^2, where the inertia factor k is set by the
+    // user.
+    CUSTOM: {
+      inertiaFactor: null,
+      innerRadiusRatio: 0,
+      isSphere: false
+    }
+  };
+
+  class RollingBallTypesEnum extends Enum {
+
+    /**
+     * Gets the inertia factor k of a rolling ball type, such that I = k * m * r^2.
+     * @public
+     *
+     * @param {Enum.Member.<RollingBallTypes>} rollingBallType
+     * @returns {number|null} - null for CUSTOM, whose inertia factor is set by the user.
+     */
+    getInertiaFactor( rollingBallType ) {
+      assert( this.includes( rollingBallType ), `invalid rollingBallType: ${ rollingBallType }` );
+      return DEFINITIONS[ rollingBallType.name ].inertiaFactor;
+    }
+
+    /**
+     * Gets the ratio of the radius of the hole in the cross-section of a rolling ball type to its outer radius.
+     * @public
+     *
+     * @param {Enum.Member.<RollingBallTypes>} rollingBallType
+     * @returns {number} - 0 if there is no hole.
+     */
+    getInnerRadiusRatio( rollingBallType ) {
+      assert( this.includes( rollingBallType ), `invalid rollingBallType: ${ rollingBallType }` );
+      return DEFINITIONS[ rollingBallType.name ].innerRadiusRatio;
+    }
 
-    'DISK',
+    /**
+     * Gets whether or not a rolling ball type is a sphere.
+     * @public
+     *
+     * @param {Enum.Member.<RollingBallTypes>} rollingBallType
+     * @returns {boolean}
+     */
+    isSphere( rollingBallType ) {
+      assert( this.includes( rollingBallType ), `invalid rollingBallType: ${ rollingBallType }` );
+      return DEFINITIONS[ rollingBallType.name ].isSphere;
+    }
+  }
 
-    'WASHER'
-  ] );
+  const RollingBallTypes = new RollingBallTypesEnum( Object.keys( DEFINITIONS ) );
 
   return RollingBallTypes;
-} );
\ No newline at end of file
+} );
@@ -4,6 +4,20 @@
  * Top Level model for the 'Rolling' screen.
  *
  * Responsible for:
+ *   - Creating the Ramp that the RollingBalls roll down.
+ *   - Keeping track of the rolling ball type in a Enum Property. See rolling/model/RollingBallTypes for more
+ *     documentation.
+ *   - Creating a RollingBall for each rolling ball type.
+ *   - Keeping track of the inertia factor of CUSTOM RollingBalls, which is set by the user.
+ *   - Keeping track of the coefficient of static friction between the RollingBalls and the Ramp.
+ *   - Keeping track of the distance of the marked point of the RollingBalls from their centers, which is traced.
+ *   - Keeping track of a play-pause Property and stepping the active RollingBall forwards and backwards in time.
+ *   - Keeping track of the speed that time passes in a Enum Property, which scales the time that the balls are stepped.
+ *   - Creating a RollingRace that races every rolling ball type down parallel copies of the Ramp, and keeping track of
+ *     whether or not the race mode is on in a Property. See rolling/model/RollingRace for more documentation.
+ *   - Creating a Stopwatch, which is stepped with the RollingBalls.
+ *
+ * RollingModels are created at the start of the sim and are never disposed of, so links are left as is.
  *
  * @author Brandon Li <brandon.li820@gmail.com>
  */
@@ -12,16 +26,256 @@ define( require => {
   'use strict';
 
   // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const DerivedProperty = require( 'SIM_CORE/util/DerivedProperty' );
+  const Property = require( 'SIM_CORE/util/Property' );
   const Ramp = require( 'ROTATIONAL_MOTION/rolling/model/Ramp' );
+  const Range = require( 'SIM_CORE/util/Range' );
+  const RollingBall = require( 'ROTATIONAL_MOTION/rolling/model/RollingBall' );
+  const RollingBallTypes = require( 'ROTATIONAL_MOTION/rolling/model/RollingBallTypes' );
+  const RollingRace = require( 'ROTATIONAL_MOTION/rolling/model/RollingRace' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionQueryParameters = require( 'ROTATIONAL_MOTION/common/RotationalMotionQueryParameters' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
+  const Stopwatch = require( 'ROTATIONAL_MOTION/common/model/Stopwatch' );
+  const TimeSpeeds = require( 'ROTATIONAL_MOTION/common/model/TimeSpeeds' );
 
   class RollingModel {
 
-    constructor() {
+    /**
+     * @param {Object} [options] - key-value pairs that control the model's behavior.
+     */
+    constructor( options ) {
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        isPlayingInitially: false,  // {boolean} - if the RollingBalls are initially rolling
+        stepTime: 0.03,             // {number} - the time elapsed on each forward or backward step
+
+        // {number} - the initial inertia factor k of CUSTOM RollingBalls, such that I = k * m * r^2
+        customInertiaFactor: 0.3,
+
+        // {Range} - the range of the inertia factor k of CUSTOM RollingBalls
+        customInertiaFactorRange: new Range( 0, 1 ),
+
+        // {number} - the initial coefficient of static friction between the RollingBalls and the Ramp
+        frictionCoefficient: 0.3,
+
+        // {Range} - the range of the coefficient of static friction between the RollingBalls and the Ramp
+        frictionCoefficientRange: new Range( 0, 1 ),
+
+        // {number} - the initial distance of the marked point from the center of the RollingBalls, as a ratio of the
+        //            radius. The marked point is initially on the rim, which traces a cycloid.
+        markedPointRatio: 1,
+
+        // {Range} - the range of the distance of the marked point from the center, as a ratio of the radius
+        markedPointRatioRange: new Range( 0, 1.5 ),
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      // @public (read-only) {Ramp} - create the Ramp of the Rolling screen, at the angle that was provided with the
+      //                             ?rampAngle query parameter, if any. See RotationalMotionQueryParameters.
+      this.ramp = new Ramp( RotationalMotionQueryParameters.rampAngle === null ? {} : {
+        initialAngle: RotationalMotionQueryParameters.rampAngle
+      } );
+
+      // @public (read-only) - indicates if the Rolling screen is playing or paused
+      this.isPlayingProperty = new Property( options.isPlayingInitially, { type: 'boolean' } );
+
+      // @public (read-only) {number} - the time elapsed on each forward or backward step, in seconds.
+      this.stepTime = options.stepTime;
+
+      // @public (read-only) {Property.<Enum.Member.<TimeSpeeds>>} - indicates the speed that time passes.
+      this.timeSpeedProperty = new Property( TimeSpeeds.NORMAL, { validValues: TimeSpeeds.MEMBERS } );
+
+      // @public (read-only) {DerivedProperty.<number>} - the factor that the elapsed time is scaled by when playing.
+      this.timeScaleProperty = new DerivedProperty( [ this.timeSpeedProperty ], timeSpeed => {
+        return RotationalMotionConstants.TIME_SCALES[ timeSpeed.name ];
+      } );
+
+      // @public (read-only) {Property.<Enum.Member.<RollingBallTypes>>} - indicates the current rolling ball type.
+      this.rollingBallTypeProperty = new Property( RollingBallTypes.DISK, {
+        validValues: RollingBallTypes.MEMBERS
+      } );
+
+      // @public (read-only) {Range} - the range of the inertia factor k of CUSTOM RollingBalls.
+      this.customInertiaFactorRange = options.customInertiaFactorRange;
+
+      // @public - the inertia factor k of CUSTOM RollingBalls, such that I = k * m * r^2. Set by the user.
+      this.customInertiaFactorProperty = new Property( options.customInertiaFactor, {
+        type: 'number',
+        isValidValue: value => this.customInertiaFactorRange.contains( value )
+      } );
+
+      // @public (read-only) {Range} - the range of the coefficient of static friction.
+      this.frictionCoefficientRange = options.frictionCoefficientRange;
+
+      // @public - the coefficient of static friction between the RollingBalls and the Ramp. Set by the user.
+      this.frictionCoefficientProperty = new Property( options.frictionCoefficient, {
+        type: 'number',
+        isValidValue: value => this.frictionCoefficientRange.contains( value )
+      } );
+
+      // @public (read-only) {Range} - the range of the distance of the marked point from the center, as a ratio of the
+      //                               radius.
+      this.markedPointRatioRange = options.markedPointRatioRange;
+
+      // @public - the distance of the marked point of the RollingBalls from their centers, as a ratio of the radius.
+      //           Set by the user.
+      this.markedPointRatioProperty = new Property( options.markedPointRatio, {
+        type: 'number',
+        isValidValue: value => this.markedPointRatioRange.contains( value )
+      } );
+
+      // Options passed to every RollingBall.
+      const ballOptions = {
+        customInertiaFactorProperty: this.customInertiaFactorProperty,
+        frictionCoefficientProperty: this.frictionCoefficientProperty,
+        markedPointRatioProperty: this.markedPointRatioProperty
+      };
+
+      // @public (read-only) {RollingBall[]} - array of a RollingBall for each rolling ball type.
+      this.balls = RollingBallTypes.MEMBERS.map( rollingBallType => {
+        return new RollingBall( rollingBallType, this.ramp, ballOptions );
+      } );
+
+      // @public (read-only) {DerivedProperty.<RollingBall>} - indicates the active RollingBall. Lasts for the
+      //                                                       entire duration of the simulation
+      this.activeBallProperty = new DerivedProperty( [ this.rollingBallTypeProperty ], rollingBallType => {
+        return this.balls.find( ball => ball.type === rollingBallType );
+      } );
+
+      // @public (read-only) - indicates if the race mode is on, where the RollingRace is stepped instead of the active
+      //                       RollingBall.
+      this.isRacingProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) {RollingRace} - the race of every rolling ball type down parallel copies of the Ramp.
+      this.race = new RollingRace( this.ramp, RollingBallTypes.MEMBERS, ballOptions );
+
+      // @public (read-only) {Stopwatch} - the Stopwatch of the screen, which runs on the time of the RollingBalls.
+      this.stopwatch = new Stopwatch();
+
+      // Pause and restart the race when the race mode is toggled. Link is never unlinked since RollingModels are never
+      // disposed.
+      this.isRacingProperty.lazyLink( () => {
+        this.pause();
+        this.race.reset();
+      } );
+    }
+
+    /**
+     * Moves the rolling screen by one time step.
+     * @public
+     *
+     * @param {number} dt - real time in seconds, which is scaled by the time scale.
+     */
+    step( dt ) {
+      // Only step if the screen is playing.
+      this.isPlayingProperty.value && this._stepBalls( dt * this.timeScaleProperty.value );
+    }
+
+    /**
+     * Steps the RollingRace if the race mode is on, or the active RollingBall otherwise. The Stopwatch is stepped with
+     * them.
+     * @private
+     *
+     * @param {number} dt - time in seconds
+     */
+    _stepBalls( dt ) {
+      if ( this.isRacingProperty.value ) {
+        this.race.step( dt );
+      }
+      else {
+        this.activeBallProperty.value.step( dt );
+      }
+      this.stopwatch.step( dt );
+    }
+
+    /**
+     * Pauses the Rolling screen if not already paused.
+     * @public
+     */
+    pause() { this.isPlayingProperty.value = false; }
+
+    /**
+     * Un-pauses the Rolling screen if not already playing.
+     * @public
+     */
+    play() { this.isPlayingProperty.value = true; }
+
+    /**
+     * Moves the active RollingBall (or the RollingRace) back one time step.
+     * @public
+     */
+    stepBackwards() {
+      this.pause();
+      this._stepBalls( -this.stepTime );
+    }
+
+    /**
+     * Moves the active RollingBall (or the RollingRace) forward one time step.
+     * @public
+     */
+    stepForwards() {
+      this.pause();
+      this._stepBalls( this.stepTime );
+    }
+
+    /**
+     * Resets the rolling screen.
+     * @public
+     */
+    reset() {
+      this.ramp.reset();
+      this.balls.forEach( ball => { ball.reset(); } );
+      this.rollingBallTypeProperty.reset();
+      this.customInertiaFactorProperty.reset();
+      this.frictionCoefficientProperty.reset();
+      this.markedPointRatioProperty.reset();
+      this.isRacingProperty.reset();
+      this.race.reset();
+      this.isPlayingProperty.reset();
+      this.timeSpeedProperty.reset();
+      this.stopwatch.reset();
+    }
+
+    /**
+     * Creates the StateSchema of the rolling screen, which serializes and restores the Ramp, the user's settings, every
+     * RollingBall (by the name of its type), and the race. See StateSchema.
+     *
+     * The Ramp and the settings are restored first, since changing them or the race mode resets the motion of the
+     * RollingRace, which the rest of the state then overrides. Playing is restored last, since toggling the race mode
+     * pauses the screen.
+     * @public
+     *
+     * @returns {StateSchema}
+     */
+    createStateSchema() {
+      const ballEntries = {};
+      this.balls.forEach( ball => { ballEntries[ ball.type.name ] = ball.createStateSchema(); } );
 
-      // @public (read-only) {Ramp} - create the Ramp of the Rolling screen.
-      this.ramp = new Ramp();
+      return new StateSchema( {
+        ramp: this.ramp.createStateSchema(),
+        customInertiaFactor: StateSchema.number( this.customInertiaFactorProperty, {
+          range: this.customInertiaFactorRange
+        } ),
+        frictionCoefficient: StateSchema.number( this.frictionCoefficientProperty, {
+          range: this.frictionCoefficientRange
+        } ),
+        markedPointRatio: StateSchema.number( this.markedPointRatioProperty, { range: this.markedPointRatioRange } ),
+        rollingBallType: StateSchema.enum( this.rollingBallTypeProperty, RollingBallTypes ),
+        isRacing: StateSchema.boolean( this.isRacingProperty ),
+        balls: new StateSchema( ballEntries ),
+        race: this.race.createStateSchema(),
+        timeSpeed: StateSchema.enum( this.timeSpeedProperty, TimeSpeeds ),
+        isPlaying: StateSchema.boolean( this.isPlayingProperty ),
+        stopwatch: this.stopwatch.createStateSchema()
+      } );
     }
   }
 
   return RollingModel;
-} );
\ No newline at end of file
+} );
@@ -0,0 +1,191 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * RollingRace is the model for racing multiple RollingBalls of different RollingBallTypes at the same time in the
+ * 'Rolling' screen. The classic demonstration is racing a WASHER (hollow ring) against a DISK (solid disk) to show that
+ * the shape of the Ball, and not its mass or radius, determines how fast it rolls down the Ramp.
+ *
+ * Each RollingBall races down its own lane, which is a parallel copy of the Ramp of the screen. The angle of each lane
+ * is kept in sync with the angle of the original Ramp, so every lane is identical.
+ *
+ * Some responsibilities of RollingRaces are:
+ *    - Creating a lane (Ramp copy) and a RollingBall for each RollingBallType in the race.
+ *    - Keeping track of the elapsed time of the race.
+ *    - Detecting when each RollingBall crosses the finish line, which is at the bottom corner of the slope, and
+ *      recording its elapsed time.
+ *    - Determining the winner of the race.
+ *
+ * RollingRaces are created at the start of the sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const DerivedProperty = require( 'SIM_CORE/util/DerivedProperty' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Ramp = require( 'ROTATIONAL_MOTION/rolling/model/Ramp' );
+  const RollingBall = require( 'ROTATIONAL_MOTION/rolling/model/RollingBall' );
+  const RollingBallTypes = require( 'ROTATIONAL_MOTION/rolling/model/RollingBallTypes' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
+
+  class RollingRace {
+
+    /**
+     * @param {Ramp} ramp - the Ramp of the screen, which each lane copies.
+     * @param {Enum.Member.<RollingBallTypes>[]} rollingBallTypes - the types of the RollingBalls to race, one per lane.
+     * @param {Object} ballOptions - options passed to each RollingBall. See RollingBall for more documentation. The
+     *                               customInertiaFactorProperty and frictionCoefficientProperty are required.
+     */
+    constructor( ramp, rollingBallTypes, ballOptions ) {
+      assert( ramp instanceof Ramp, `invalid ramp: ${ ramp }` );
+      assert( Array.isArray( rollingBallTypes ) && rollingBallTypes.length >= 2, 'must race at least 2 RollingBalls' );
+      assert( rollingBallTypes.every( type => RollingBallTypes.includes( type ) ), 'invalid rollingBallTypes' );
+      assert( Object.getPrototypeOf( ballOptions ) === Object.prototype, `invalid ballOptions: ${ ballOptions }` );
+      assert( ballOptions.customInertiaFactorProperty instanceof Property, 'invalid customInertiaFactorProperty' );
+      assert( ballOptions.frictionCoefficientProperty instanceof Property, 'invalid frictionCoefficientProperty' );
+
+      // @public (read-only) {Ramp[]} - the lanes of the race, which are parallel copies of the passed-in Ramp.
+      this.lanes = rollingBallTypes.map( () => new Ramp( {
+        initialAngle: ramp.angle,
+        angleRange: ramp.angleRange
+      } ) );
+
+      // @public (read-only) {RollingBall[]} - the RollingBalls of the race, one for each lane, in the same order.
+      this.balls = rollingBallTypes.map( ( type, index ) => new RollingBall( type, this.lanes[ index ], ballOptions ) );
+
+      // @public (read-only) {number} - the x-coordinate of the finish line, in meters. The finish line is at the bottom
+      //                                corner of the slope, which is the same for every lane.
+      this.finishLineX = ramp.slopeWidth;
+
+      // @public (read-only) - Property of the elapsed time since the start of the race, in seconds.
+      this.elapsedTimeProperty = new Property( 0, {
+        type: 'number',
+        isValidValue: value => value >= 0
+      } );
+
+      // @public (read-only) {Property.<number|null>[]} - Properties of the elapsed time when each RollingBall crossed
+      //                                                  the finish line, in seconds. null if not finished yet.
+      this.finishTimeProperties = this.balls.map( () => new Property( null, {
+        isValidValue: value => value === null || ( typeof value === 'number' && value >= 0 )
+      } ) );
+
+      // @public (read-only) {DerivedProperty.<RollingBall|null>} - the first RollingBall to cross the finish line, or
+      //                                                            null if no RollingBall has finished yet. Lasts for
+      //                                                            the entire duration of the simulation.
+      this.winnerProperty = new DerivedProperty( this.finishTimeProperties, ( ...finishTimes ) => {
+        let winnerIndex = null;
+        finishTimes.forEach( ( finishTime, index ) => {
+          if ( finishTime !== null && ( winnerIndex === null || finishTime < finishTimes[ winnerIndex ] ) ) {
+            winnerIndex = index;
+          }
+        } );
+        return winnerIndex === null ? null : this.balls[ winnerIndex ];
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      // Observe when the angle of the Ramp changes and keep each lane identical to it. The race is restarted since the
+      // results are no longer valid. Link is never unlinked since RollingRaces are never disposed.
+      ramp.angleProperty.lazyLink( angle => {
+        this.lanes.forEach( lane => { lane.angle = angle; } );
+        this.reset();
+      } );
+
+      // Restart the race when the inertia factor of CUSTOM Balls or the coefficient of friction changes. Links are
+      // never unlinked since RollingRaces are never disposed.
+      ballOptions.customInertiaFactorProperty.lazyLink( () => { this.reset(); } );
+      ballOptions.frictionCoefficientProperty.lazyLink( () => { this.reset(); } );
+    }
+
+    /**
+     * Resets the race to its starting state, with every RollingBall resting against the lift-bar of its lane.
+     * @public
+     */
+    reset() {
+      this.balls.forEach( ball => { ball.reset(); } );
+      this.elapsedTimeProperty.reset();
+      this.finishTimeProperties.forEach( finishTimeProperty => { finishTimeProperty.reset(); } );
+    }
+
+    /**
+     * Creates the StateSchema of the race, which serializes and restores the elapsed time, the finish time of each
+     * RollingBall, and the motion of each RollingBall, by the name of its type. See StateSchema. The lanes aren't
+     * included, since they are kept identical to the Ramp.
+     * @public
+     *
+     * @returns {StateSchema}
+     */
+    createStateSchema() {
+      const ballEntries = {};
+      const finishTimeEntries = {};
+      this.balls.forEach( ( ball, index ) => {
+        ballEntries[ ball.type.name ] = ball.createStateSchema();
+        finishTimeEntries[ ball.type.name ] = StateSchema.number( this.finishTimeProperties[ index ], {
+          isValidValue: value => value >= 0,
+          nullable: true
+        } );
+      } );
+
+      return new StateSchema( {
+        balls: new StateSchema( ballEntries ),
+        elapsedTime: StateSchema.number( this.elapsedTimeProperty, { isValidValue: value => value >= 0 } ),
+        finishTimes: new StateSchema( finishTimeEntries )
+      } );
+    }
+
+    /**
+     * Steps every RollingBall of the race by one time step and records when each crosses the finish line.
+     * @public
+     *
+     * @param {number} dt - time in seconds
+     */
+    step( dt ) {
+      const previousElapsedTime = this.elapsedTimeProperty.value;
+      this.elapsedTimeProperty.value = Math.max( previousElapsedTime + dt, 0 );
+
+      this.balls.forEach( ( ball, index ) => {
+        const previousX = ball.center.x;
+        ball.step( dt );
+
+        const finishTimeProperty = this.finishTimeProperties[ index ];
+
+        // Record the time the Ball crosses the finish line, linearly interpolating within the time step for accuracy.
+        if ( finishTimeProperty.value === null && dt > 0 && ball.center.x >= this.finishLineX ) {
+          const fraction = ( this.finishLineX - previousX ) / ( ball.center.x - previousX );
+          finishTimeProperty.value = previousElapsedTime + fraction * dt;
+        }
+
+        // Un-record the finish time if the race was stepped backwards before the Ball finished.
+        else if ( finishTimeProperty.value !== null && this.elapsedTimeProperty.value < finishTimeProperty.value ) {
+          finishTimeProperty.value = null;
+        }
+      } );
+    }
+
+    /**
+     * Gets the elapsed time when a RollingBall of the race crossed the finish line, in seconds.
+     * @public
+     *
+     * @param {RollingBall} ball
+     * @returns {number|null} - in seconds, or null if the RollingBall hasn't finished yet.
+     */
+    getFinishTime( ball ) {
+      assert( this.balls.includes( ball ), `invalid ball: ${ ball }` );
+      return this.finishTimeProperties[ this.balls.indexOf( ball ) ].value;
+    }
+
+    /**
+     * Gets the elapsed time since the start of the race, in seconds.
+     * @public
+     *
+     * @returns {number} - in seconds
+     */
+    get elapsedTime() { return this.elapsedTimeProperty.value; }
+  }
+
+  return RollingRace;
+} );
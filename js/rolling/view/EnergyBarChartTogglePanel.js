@@ -0,0 +1,172 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * EnergyBarChartTogglePanel is the Toggle Panel in the 'rolling' screen that displays a bar chart of the energy of a
+ * RollingBall.
+ *
+ * Each EnergyBarChartTogglePanel should be initiated with a corresponding RollingBall. Its visibility should then be
+ * adjusted by the active RollingBall.
+ *
+ * An EnergyBarChartTogglePanel displays a bar for each of the following:
+ *  - The translational kinetic energy
+ *  - The rotational kinetic energy
+ *  - The gravitational potential energy
+ *  - The thermal energy
+ *  - The total energy, which is the sum of the energies above
+ * The energy of the RollingBall before it is released is marked with a dashed line across the total energy bar. Since
+ * energy is conserved, the total energy bar should always reach the dashed line.
+ *
+ * The bar chart is scaled such that the tallest bar fits the chart when the Ramp is at its maximum angle.
+ *
+ * This panel exists for the entire sim and is never disposed.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Line = require( 'SIM_CORE/scenery/Line' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Ramp = require( 'ROTATIONAL_MOTION/rolling/model/Ramp' );
+  const Rectangle = require( 'SIM_CORE/scenery/Rectangle' );
+  const RichText = require( 'SIM_CORE/scenery/components/RichText' );
+  const RollingBall = require( 'ROTATIONAL_MOTION/rolling/model/RollingBall' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+  const TogglePanel = require( 'ROTATIONAL_MOTION/common/view/TogglePanel' );
+  const Util = require( 'SIM_CORE/util/Util' );
+
+  class EnergyBarChartTogglePanel extends TogglePanel {
+
+    /**
+     * @param {RollingBall} ball
+     * @param {Ramp} ramp - the Ramp that the RollingBall rolls down.
+     * @param {Property.<boolean>} energyChartExpandedProperty
+     * @param {Object} [options]
+     */
+    constructor( ball, ramp, energyChartExpandedProperty, options ) {
+      assert( ball instanceof RollingBall, `invalid ball: ${ ball }` );
+      assert( ramp instanceof Ramp, `invalid ramp: ${ ramp }` );
+      assert( energyChartExpandedProperty instanceof Property, 'invalid energyChartExpandedProperty' );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        chartHeight: 130,     // {number} - the height of the bar chart, from the baseline to the top
+        chartTopMargin: 20,   // {number} - margin above the bar chart, where the total energy is displayed
+        barWidth: 22,         // {number} - the width of each bar
+        barSpacing: 16,       // {number} - spacing between each bar
+        labelTopMargin: 6,    // {number} - margin from the baseline to the label of each bar
+        decimalPlaces: 1,     // {number} - the number of decimal places to display for the total energy
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      // Content for when the panel is 'closed'
+      const closedContent = new Text( RotationalMotionStrings.energy, RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+
+      // Content for when the panel is 'open'
+      const openContent = new Node();
+
+      //----------------------------------------------------------------------------------------
+
+      // The bars of the chart, in the order that they are displayed from left to right.
+      const bars = [
+        { label: 'KE<sub>trans</sub>', property: ball.translationalKineticEnergyProperty,
+          fill: RotationalMotionColors.TRANSLATIONAL_KINETIC_ENERGY_FILL },
+        { label: 'KE<sub>rot</sub>', property: ball.rotationalKineticEnergyProperty,
+          fill: RotationalMotionColors.ROTATIONAL_KINETIC_ENERGY_FILL },
+        { label: 'PE', property: ball.gravitationalPotentialEnergyProperty,
+          fill: RotationalMotionColors.GRAVITATIONAL_POTENTIAL_ENERGY_FILL },
+        { label: RotationalMotionStrings.thermal, property: ball.thermalEnergyProperty,
+          fill: RotationalMotionColors.THERMAL_ENERGY_FILL },
+        { label: RotationalMotionStrings.total, property: ball.totalEnergyProperty,
+          fill: RotationalMotionColors.TOTAL_ENERGY_FILL }
+      ];
+      const chartWidth = bars.length * options.barWidth + ( bars.length + 1 ) * options.barSpacing;
+
+      // The greatest energy that the RollingBall can have, which is its potential energy at the top of the steepest
+      // Ramp, in joules. Used to scale the bars to the height of the chart.
+      const maxHeight = Math.tan( ramp.angleRange.max ) * ramp.slopeWidth;
+      const maxEnergy = ball.mass * RotationalMotionConstants.GRAVITY * maxHeight;
+      const energyToViewHeight = energy => Util.clamp( energy / maxEnergy, 0, 1 ) * options.chartHeight;
+
+      const baselineY = options.chartTopMargin + options.chartHeight;
+
+      // Transparent background to give the chart a fixed size.
+      openContent.addChild( new Rectangle( chartWidth, baselineY, { fill: 'transparent' } ) );
+
+      bars.forEach( ( bar, index ) => {
+        const centerX = options.barSpacing + options.barWidth / 2 + index * ( options.barWidth + options.barSpacing );
+
+        const rectangle = new Rectangle( options.barWidth, 0, {
+          strokeWidth: 0.5,
+          centerX,
+          bottom: baselineY
+        } );
+        RotationalMotionColors.linkColors( rectangle, {
+          fill: bar.fill,
+          stroke: RotationalMotionColors.ENERGY_BAR_STROKE
+        } );
+
+        // Update the height of the bar, which grows upwards from the baseline. Negative energies aren't displayed.
+        // Link lasts for the entire simulation and is never disposed.
+        bar.property.link( energy => {
+          rectangle.height = energyToViewHeight( energy );
+          rectangle.bottom = baselineY;
+        } );
+
+        openContent.addChild( rectangle );
+        openContent.addChild( new RichText( bar.label, {
+          textOptions: RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS,
+          centerX,
+          top: baselineY + options.labelTopMargin
+        } ) );
+      } );
+
+      // Baseline of the chart.
+      openContent.addChild( RotationalMotionColors.linkColors( new Line( 0, baselineY, chartWidth, baselineY ), {
+        stroke: RotationalMotionColors.ENERGY_BAR_STROKE
+      } ) );
+
+      // Dashed line across the total energy bar that marks the energy of the RollingBall before it is released.
+      const totalBarLeft = options.barSpacing + ( bars.length - 1 ) * ( options.barWidth + options.barSpacing );
+      const initialEnergyLine = new Line( totalBarLeft - options.barSpacing / 4, 0,
+        totalBarLeft + options.barWidth + options.barSpacing / 4, 0, {
+          strokeWidth: 1.5,
+          lineDash: [ 3, 2 ] // eye-balled
+        } );
+      RotationalMotionColors.linkColors( initialEnergyLine, { stroke: RotationalMotionColors.INITIAL_ENERGY_STROKE } );
+      openContent.addChild( initialEnergyLine );
+
+      // The value of the total energy, displayed above the chart.
+      const totalEnergyText = new Text( '', RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS );
+      openContent.addChild( totalEnergyText );
+
+      // Observe when the total energy changes, which also occurs when the initial energy changes (the Ramp's angle
+      // changes), and update the dashed line and the total energy value. Link lasts for the entire simulation.
+      ball.totalEnergyProperty.link( totalEnergy => {
+        const initialEnergyY = baselineY - energyToViewHeight( ball.initialEnergy );
+        initialEnergyLine.startY = initialEnergyY;
+        initialEnergyLine.endY = initialEnergyY;
+        totalEnergyText.text = RotationalMotionStrings.fillIn( RotationalMotionStrings.totalEnergyPattern, {
+          energy: RotationalMotionStrings.formatNumber( totalEnergy, options.decimalPlaces )
+        } );
+        totalEnergyText.left = 0;
+        totalEnergyText.top = 0;
+      } );
+
+      super( energyChartExpandedProperty, closedContent, openContent, options );
+      RotationalMotionColors.linkPanelColors( this );
+    }
+  }
+
+  return EnergyBarChartTogglePanel;
+} );
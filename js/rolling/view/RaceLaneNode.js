@@ -0,0 +1,112 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * RaceLaneNode is the view for a single lane of a RollingRace, in the 'rolling' screen.
+ *
+ * RaceLaneNode is responsible for:
+ *  - Rendering the surface of the lane (the slope and the stand) that the RollingBall rolls on.
+ *  - Rendering the finish line of the lane, at the bottom corner of the slope.
+ *  - Rendering the RollingBallNode of the RollingBall that races down the lane.
+ *
+ * Lanes other than the front lane are positioned behind the RampNode by passing a shifted ModelViewTransform, which
+ * gives the appearance of parallel ramps.
+ *
+ * RaceLaneNodes are created at the start of the Sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Line = require( 'SIM_CORE/scenery/Line' );
+  const ModelViewTransform = require( 'SIM_CORE/util/ModelViewTransform' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const Path = require( 'SIM_CORE/scenery/Path' );
+  const Ramp = require( 'ROTATIONAL_MOTION/rolling/model/Ramp' );
+  const RollingBall = require( 'ROTATIONAL_MOTION/rolling/model/RollingBall' );
+  const RollingBallNode = require( 'ROTATIONAL_MOTION/rolling/view/RollingBallNode' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const Shape = require( 'SIM_CORE/util/Shape' );
+
+  class RaceLaneNode extends Node {
+
+    /**
+     * @param {Ramp} lane - the Ramp copy of the lane
+     * @param {RollingBall} ball - the RollingBall that races down the lane
+     * @param {number} finishLineX - the x-coordinate of the finish line, in meters
+     * @param {ModelViewTransform} modelViewTransform - coordinate transform between model and view of the lane
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior.
+     */
+    constructor( lane, ball, finishLineX, modelViewTransform, options ) {
+      assert( lane instanceof Ramp, `invalid lane: ${ lane }` );
+      assert( ball instanceof RollingBall, `invalid ball: ${ ball }` );
+      assert( typeof finishLineX === 'number', `invalid finishLineX: ${ finishLineX }` );
+      assert( modelViewTransform instanceof ModelViewTransform, 'invalid modelViewTransform' );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        ballFill: RotationalMotionColors.RACE_LANE_FILLS[ 0 ], // {Property.<string>} - fill of the RollingBallNode
+        finishLineHeight: 0.45,                                // {number} - the height of the finish line, in meters
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      super();
+
+      //----------------------------------------------------------------------------------------
+
+      // @private {Path} - the surface of the lane, including the slope and the stand.
+      this._surfacePath = new Path( null, {
+        fill: 'none',
+        strokeWidth: 1.5
+      } );
+      RotationalMotionColors.linkColors( this._surfacePath, { stroke: RotationalMotionColors.RACE_LANE_STROKE } );
+
+      // @private {Line} - the finish line of the lane.
+      this._finishLine = new Line( 0, 0, 0, 0, {
+        strokeWidth: 2,
+        lineDash: [ 4, 3 ] // eye-balled
+      } );
+      RotationalMotionColors.linkColors( this._finishLine, { stroke: RotationalMotionColors.RACE_FINISH_LINE_STROKE } );
+      this._finishLine.start = modelViewTransform.modelToViewXY( finishLineX, 0 );
+      this._finishLine.end = modelViewTransform.modelToViewXY( finishLineX, options.finishLineHeight );
+
+      // @private {RollingBallNode} - the RollingBallNode of the RollingBall that races down the lane.
+      this._ballNode = new RollingBallNode( ball, modelViewTransform, { fill: options.ballFill } );
+
+      // Set the children of the RaceLaneNode in the correct rendering order.
+      this.children = [
+        this._surfacePath,
+        this._finishLine,
+        this._ballNode
+      ];
+
+      //----------------------------------------------------------------------------------------
+
+      lane.angleProperty.link( () => {
+        this._surfacePath.shape = modelViewTransform.modelToViewShape( new Shape()
+          .moveTo( 0, lane.slopeHeight )
+          .lineToRelative( lane.slopeWidth, -lane.slopeHeight )
+          .horizontalLineToRelative( Ramp.STAND_X_EXTENSION ) );
+      } );
+    }
+
+    /**
+     * @override
+     * This method is called when a child's Bounds changes. In Node, this method is responsible for adjusting its
+     * Bounds and recursively calling the method for each parent up the ancestor tree.
+     * @protected
+     *
+     * The current implementation of Node shifts the Bounds of children so that they are all positive and offsets it.
+     * However, this is overridden to allow for the lanes to be positioned with a ModelViewTransform.
+     */
+    _recomputeAncestorBounds() { /** do nothing **/ }
+  }
+
+  return RaceLaneNode;
+} );
@@ -0,0 +1,137 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * RaceResultsPanel is the Panel underneath the RollingControlPanel that displays the results of a RollingRace, in the
+ * 'rolling' screen. Its visibility should be adjusted by whether or not the race mode is on.
+ *
+ * A RaceResultsPanel displays:
+ *  - The elapsed time of the race
+ *  - The elapsed time when each RollingBall crossed the finish line, labeled with the color of its lane
+ *  - The winner of the race
+ *
+ * This panel exists for the entire sim and is never disposed.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const AlignBox = require( 'SIM_CORE/scenery/AlignBox' );
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Circle = require( 'SIM_CORE/scenery/Circle' );
+  const FlexBox = require( 'SIM_CORE/scenery/FlexBox' );
+  const Panel = require( 'SIM_CORE/scenery/components/Panel' );
+  const RollingRace = require( 'ROTATIONAL_MOTION/rolling/model/RollingRace' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+
+  // constants
+  const NO_VALUE = '—'; // em dash, displayed when there isn't a value yet
+
+  // the displayed name of each RollingBallTypes member, keyed by its name.
+  const ROLLING_BALL_TYPE_NAMES = {
+    DISK: RotationalMotionStrings.disk,
+    WASHER: RotationalMotionStrings.washer,
+    SOLID_SPHERE: RotationalMotionStrings.solidSphere,
+    HOLLOW_SPHERE: RotationalMotionStrings.hollowSphere,
+    THIN_HOOP: RotationalMotionStrings.thinHoop,
+    CUSTOM: RotationalMotionStrings.custom
+  };
+
+  class RaceResultsPanel extends Panel {
+
+    /**
+     * @param {RollingRace} race
+     * @param {Object} [options]
+     */
+    constructor( race, options ) {
+      assert( race instanceof RollingRace, `invalid race: ${ race }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        spacing: 8,         // {number} - spacing between the rows of the Panel
+        labelSpacing: 10,   // {number} - spacing between the label and the time of each row
+        iconRadius: 6,      // {number} - the radius of the lane-colored icon of each RollingBall
+        decimalPlaces: 2,   // {number} - the number of decimal places to display for each time
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      super( FlexBox.vertical( { align: RotationalMotionStrings.startAlign, spacing: options.spacing } ), options );
+      RotationalMotionColors.linkPanelColors( this );
+
+      //----------------------------------------------------------------------------------------
+
+      // Elapsed time of the race. Link lasts for the entire simulation and is never disposed.
+      const elapsedTimeText = new Text( '', RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+      race.elapsedTimeProperty.link( elapsedTime => {
+        elapsedTimeText.text = RotationalMotionStrings.fillIn( RotationalMotionStrings.elapsedTimePattern, {
+          time: RotationalMotionStrings.formatNumber( elapsedTime, options.decimalPlaces )
+        } );
+      } );
+      this.content.addChild( elapsedTimeText );
+
+      // Finish time of each RollingBall.
+      const labels = race.balls.map( ball => {
+        return new Text( formatName( ball.type ), RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+      } );
+      const labelWidth = Math.max( ...labels.map( label => label.width ) );
+
+      race.balls.forEach( ( ball, index ) => {
+        const finishTimeText = new Text( '', RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+
+        // Update the finish time. Link lasts for the entire simulation and is never disposed.
+        race.finishTimeProperties[ index ].link( finishTime => {
+          finishTimeText.text = finishTime === null ?
+                                NO_VALUE :
+                                RotationalMotionStrings.fillIn( RotationalMotionStrings.finishTimePattern, {
+                                  time: RotationalMotionStrings.formatNumber( finishTime, options.decimalPlaces )
+                                } );
+        } );
+
+        this.content.addChild( FlexBox.horizontal( {
+          spacing: options.labelSpacing,
+          children: RotationalMotionStrings.orderHorizontally( [
+            RotationalMotionColors.linkColors( new Circle( options.iconRadius ), {
+              fill: RotationalMotionColors.RACE_LANE_FILLS[ index % RotationalMotionColors.RACE_LANE_FILLS.length ],
+              stroke: RotationalMotionColors.ROLLING_BALL_STROKE
+            } ),
+            AlignBox.withWidth( labels[ index ], labelWidth ),
+            finishTimeText
+          ] )
+        } ) );
+      } );
+
+      // Winner of the race. Link lasts for the entire simulation and is never disposed.
+      const winnerText = new Text( '', RotationalMotionConstants.PANEL_TEXT_OPTIONS );
+      race.winnerProperty.link( winner => {
+        winnerText.text = RotationalMotionStrings.fillIn( RotationalMotionStrings.winnerPattern, {
+          winner: winner ? formatName( winner.type ) : NO_VALUE
+        } );
+      } );
+      this.content.addChild( winnerText );
+
+      // Apply any additional bounds mutators
+      this.mutate( options );
+    }
+  }
+
+  /**
+   * Formats the name of a RollingBallTypes member for displaying, in the locale of the simulation. For instance, DISK
+   * is formatted as 'Disk' in 'en'.
+   *
+   * @param {Enum.Member.<RollingBallTypes>} rollingBallType
+   * @returns {string}
+   */
+  function formatName( rollingBallType ) {
+    return ROLLING_BALL_TYPE_NAMES[ rollingBallType.name ];
+  }
+
+  return RaceResultsPanel;
+} );
@@ -7,7 +7,10 @@
  * Responsible for displaying:
  *  - a base-line to show the horizontal x-axis
  *  - a curved arrow from the horizontal up to the ramp's slope
- *  - a label to indicate the angle's value in degrees
+ *  - a label to indicate the angle's value, in the unit that angular quantities are currently displayed in
+ *
+ * The label can be hidden independently of the rest of the RampAngleNode, so that students measure the angle with the
+ * protractor instead of reading it.
  *
  * RampAngleNodes are created at the start of the sim and are never disposed, so no dispose method is necessary.
  *
@@ -18,6 +21,7 @@ define( require => {
   'use strict';
 
   // modules
+  const AngularUnits = require( 'ROTATIONAL_MOTION/common/model/AngularUnits' );
   const assert = require( 'SIM_CORE/util/assert' );
   const CurvedArrow = require( 'SIM_CORE/scenery/components/CurvedArrow' );
   const Line = require( 'SIM_CORE/scenery/Line' );
@@ -27,22 +31,27 @@ define( require => {
   const Property = require( 'SIM_CORE/util/Property' );
   const Ramp = require( 'ROTATIONAL_MOTION/rolling/model/Ramp' );
   const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
-  const Symbols = require( 'SIM_CORE/util/Symbols' );
+  const RotationalMotionGlobals = require( 'ROTATIONAL_MOTION/common/RotationalMotionGlobals' );
   const Text = require( 'SIM_CORE/scenery/Text' );
   const Util = require( 'SIM_CORE/util/Util' );
   const Vector = require( 'SIM_CORE/util/Vector' );
 
+  // constants
+  const DECIMAL_PLACES = RotationalMotionConstants.NUMBER_DISPLAY_DECIMAL_PLACES;
+
   class RampAngleNode extends Node {
 
     /**
      * @param {Ramp} ramp
      * @param {Property.<boolean>} angleVisibleProperty
+     * @param {Property.<boolean>} angleReadoutVisibleProperty - indicates if the label of the angle is visible.
      * @param {ModelViewTransform} modelViewTransform
      * @param {Object} [options]
      */
-    constructor( ramp, angleVisibleProperty, modelViewTransform, options ) {
+    constructor( ramp, angleVisibleProperty, angleReadoutVisibleProperty, modelViewTransform, options ) {
       assert( ramp instanceof Ramp, `invalid ramp: ${ ramp }` );
       assert( angleVisibleProperty instanceof Property, 'invalid angleVisibleProperty' );
+      assert( angleReadoutVisibleProperty instanceof Property, 'invalid angleReadoutVisibleProperty' );
       assert( modelViewTransform instanceof ModelViewTransform, 'invalid modelViewTransform' );
       assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
 
@@ -83,17 +92,24 @@ define( require => {
       //----------------------------------------------------------------------------------------
 
       // Observe when the Ramp's angle changes and update what is displayed (see the comment at the top).
-      // Also observe when the Angle Visibility Property changes and update the visibility of this Node.
-      // Doesn't have to be disposed since RampAngleNodes are never disposed.
-      new Multilink( [ angleVisibleProperty, ramp.angleProperty ], angleVisible => {
+      // Also observe when the Angle Visibility Property changes and update the visibility of this Node, and when the
+      // visibility of the label or the angular unit changes. Doesn't have to be disposed since RampAngleNodes are never
+      // disposed.
+      new Multilink( [
+        angleVisibleProperty,
+        angleReadoutVisibleProperty,
+        ramp.angleProperty,
+        RotationalMotionGlobals.angularUnitProperty
+      ], ( angleVisible, angleReadoutVisible, angle, angularUnit ) => {
         this.visible = angleVisible;
+        label.visible = angleReadoutVisible;
         if ( !this.visible ) return; // don't update when not visible
 
         const degrees = Util.toDegrees( ramp.angle );
 
         // Update the curvedArrow angle and the text of the label.
         curvedArrow.endAngle = Math.PI - ramp.angle;
-        label.text = Util.toFixed( degrees, RotationalMotionConstants.NUMBER_DISPLAY_DECIMAL_PLACES ) + Symbols.DEGREES;
+        label.text = AngularUnits.formatAngle( angle, angularUnit, DECIMAL_PLACES );
 
 
         if ( degrees <= options.angleUnderBaselineThreshold ) {
@@ -0,0 +1,60 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * RampDescriber creates a live text summary of the 'rolling' screen, for screen readers. The summary describes whether
+ * the simulation is playing or paused and the angle of the Ramp, in the angular unit of the simulation. The summary is
+ * displayed in a DescriptionLiveRegion, in the locale of the simulation. See RotationalMotionStrings.
+ *
+ * RampDescribers are created at the start of the sim and are never disposed, so all links are left as is.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const AngularUnits = require( 'ROTATIONAL_MOTION/common/model/AngularUnits' );
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Multilink = require( 'SIM_CORE/util/Multilink' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RollingModel = require( 'ROTATIONAL_MOTION/rolling/model/RollingModel' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionGlobals = require( 'ROTATIONAL_MOTION/common/RotationalMotionGlobals' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+
+  // constants
+  const DECIMAL_PLACES = RotationalMotionConstants.NUMBER_DISPLAY_DECIMAL_PLACES;
+
+  class RampDescriber {
+
+    /**
+     * @param {RollingModel} rollingModel
+     */
+    constructor( rollingModel ) {
+      assert( rollingModel instanceof RollingModel, `invalid rollingModel: ${ rollingModel }` );
+
+      // @public (read-only) {Property.<string>} - the live text summary of the 'rolling' screen.
+      this.descriptionProperty = new Property( '', { type: 'string' } );
+
+      // Observe when anything that is described changes and update the description. Multilink is never disposed since
+      // RampDescribers are never disposed.
+      new Multilink( [
+        rollingModel.isPlayingProperty,
+        rollingModel.ramp.angleProperty,
+        RotationalMotionGlobals.angularUnitProperty
+      ], ( isPlaying, angle, angularUnit ) => {
+        const playState = isPlaying ?
+                          RotationalMotionStrings.playingDescription :
+                          RotationalMotionStrings.pausedDescription;
+        const angleDescription = RotationalMotionStrings.fillIn( RotationalMotionStrings.rampAngleDescriptionPattern, {
+          angle: AngularUnits.formatAngle( angle, angularUnit, DECIMAL_PLACES )
+        } );
+
+        this.descriptionProperty.value = `${ playState } ${ angleDescription }`;
+      } );
+    }
+  }
+
+  return RampDescriber;
+} );
@@ -8,8 +8,9 @@
  * 'rolling' screen, it is displayed inside near the top of the lift-bar on the ramp, to signal to the user that the
  * height of the lift-bar can be changed by dragging the dots.
  *
- * RampDotsGrid will attempt to change the height of the ramp when dragged. RampDotsGrids are created at the start
- * of the simulation and are never disposed, so this DragListener doesn't need to be disposed.
+ * RampDotsGrid will attempt to change the height of the ramp when dragged. It is also focusable, and the up and down
+ * arrow keys change the height of the ramp while it is focused. RampDotsGrids are created at the start of the
+ * simulation and are never disposed, so the drag listeners don't need to be disposed.
  *
  * @author Brandon Li
  */
@@ -23,6 +24,7 @@ define( require => {
   const Circle = require( 'SIM_CORE/scenery/Circle' );
   const DragListener = require( 'SIM_CORE/scenery/events/DragListener' );
   const FlexBox = require( 'SIM_CORE/scenery/FlexBox' );
+  const KeyboardDragListener = require( 'ROTATIONAL_MOTION/common/view/KeyboardDragListener' );
   const ModelViewTransform = require( 'SIM_CORE/util/ModelViewTransform' );
   const Ramp = require( 'ROTATIONAL_MOTION/rolling/model/Ramp' );
   const Rectangle = require( 'SIM_CORE/scenery/Rectangle' );
@@ -56,6 +58,10 @@ define( require => {
         yTouchDilation: 16, // {number} the amount to increase the pointer-area on both sides in the y direction
         cursor: 'scenery-drag',
 
+        // keyboard
+        keyboardHeightStep: 0.1,      // {number} - the change in height of each arrow key press, in meters
+        keyboardFineHeightStep: 0.02, // {number} - the change in height of each arrow key press with shift, in meters
+
         // rewrite options such that it overrides the defaults above if provided.
         ...options
       };
@@ -70,11 +76,10 @@ define( require => {
         // Create a row of dots for each row
         const dots = FlexBox.horizontal( { spacing: options.spacing } );
         for ( let col = 0; col < options.cols; col++ ) {
-          dots.addChild( new Circle( options.radius, {
-            fill: RotationalMotionColors.RAMP_STROKE,
+          dots.addChild( RotationalMotionColors.linkColors( new Circle( options.radius, {
             stroke: 'white',
             strokeWidth: 0.2
-          } ) );
+          } ), { fill: RotationalMotionColors.RAMP_STROKE } ) );
         }
 
         // Add the row of dots
@@ -82,12 +87,19 @@ define( require => {
       }
 
       // Dilate the pointer-area of the grid to allow for easier grabbing on mobile.
-      const spacer = new Rectangle( grid.width + 2 * options.xTouchDilation, grid.height + 2 * options.yTouchDilation, {
-        fill: RotationalMotionColors.RAMP_FILL
-      } );
+      const spacer = new Rectangle( grid.width + 2 * options.xTouchDilation, grid.height + 2 * options.yTouchDilation );
+      RotationalMotionColors.linkColors( spacer, { fill: RotationalMotionColors.RAMP_FILL } );
       grid.center = spacer.center;
 
-      super( new Node().setChildren( [ spacer, grid ] ), spacer.width, spacer.height, options );
+      // Create the focus highlight, which is only visible when the RampDotsGrid is focused for keyboard dragging.
+      const focusHighlight = new Rectangle( spacer.width, spacer.height, {
+        fill: 'none',
+        strokeWidth: 2,
+        cornerRadius: 3
+      } );
+      RotationalMotionColors.linkColors( focusHighlight, { stroke: RotationalMotionColors.FOCUS_HIGHLIGHT_STROKE } );
+
+      super( new Node().setChildren( [ spacer, grid, focusHighlight ] ), spacer.width, spacer.height, options );
 
       //----------------------------------------------------------------------------------------
 
@@ -104,6 +116,16 @@ define( require => {
         }
       } );
 
+      // Create a KeyboardDragListener to allow the height to be changed with the up and down arrow keys. Never disposed
+      // as RampDotsGrids are never disposed.
+      new KeyboardDragListener( this, {
+        drag: ( direction, isFineStep ) => {
+          const heightStep = isFineStep ? options.keyboardFineHeightStep : options.keyboardHeightStep;
+          ramp.dragHeightTo( ramp.height + direction.y * heightStep );
+        },
+        focusHighlight
+      } );
+
       //----------------------------------------------------------------------------------------
 
       // Apply any additional bounds mutators.
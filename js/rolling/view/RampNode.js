@@ -35,11 +35,13 @@ define( require => {
      * @param {Ramp} ramp
      * @param {ModelViewTransform} modelViewTransform
      * @param {Property.<boolean>} angleVisibleProperty
+     * @param {Property.<boolean>} angleReadoutVisibleProperty
      */
-    constructor( ramp, modelViewTransform, angleVisibleProperty ) {
+    constructor( ramp, modelViewTransform, angleVisibleProperty, angleReadoutVisibleProperty ) {
       assert( ramp instanceof Ramp, `invalid ramp: ${ ramp }` );
       assert( modelViewTransform instanceof ModelViewTransform, 'invalid modelViewTransform' );
       assert( angleVisibleProperty instanceof Property, 'invalid angleVisibleProperty' );
+      assert( angleReadoutVisibleProperty instanceof Property, 'invalid angleReadoutVisibleProperty' );
 
       super();
 
@@ -47,16 +49,20 @@ define( require => {
 
       // @private {Path} - the Path of the entire Ramp, including the slope, lift bar, and stand.
       this._rampPath = new Path( null, {
-        fill: RotationalMotionColors.RAMP_FILL,
-        stroke: RotationalMotionColors.RAMP_STROKE,
         strokeWidth: 1.2
       } );
+      RotationalMotionColors.linkColors( this._rampPath, {
+        fill: RotationalMotionColors.RAMP_FILL,
+        stroke: RotationalMotionColors.RAMP_STROKE
+      } );
 
       // @private {Line} - dashed line that separates the slope and the lift-bar. For aesthetic purposes.
       this._dashedSeparator = new Line( 0, 0, 0, 0, {
-        stroke: RotationalMotionColors.RAMP_DASHED_SEPARATOR_STROKE,
         lineDash: [ 2.5, 6 ] // eye-balled
       } );
+      RotationalMotionColors.linkColors( this._dashedSeparator, {
+        stroke: RotationalMotionColors.RAMP_DASHED_SEPARATOR_STROKE
+      } );
 
       // @private {RampDotsGrid} - the grid of small dots, used to indicate the lift-bar of the Ramp is draggable.
       this._dotsGrid = new RampDotsGrid( ramp, modelViewTransform, {
@@ -69,12 +75,15 @@ define( require => {
       // @private {Path} - the extra lines that map out the border of the ramp, for cosmetic purposes.
       this._outlinePath = new Path( null, {
         fill: 'none',
-        stroke: RotationalMotionColors.RAMP_STROKE,
         strokeWidth: 0.5
       } );
+      RotationalMotionColors.linkColors( this._outlinePath, { stroke: RotationalMotionColors.RAMP_STROKE } );
 
       // @private {RampAngleNode} - the angle, used to indicate the angle of the ramp slope relative to the horizontal.
-      this._angleNode = new RampAngleNode( ramp, angleVisibleProperty, modelViewTransform );
+      this._angleNode = new RampAngleNode( ramp,
+        angleVisibleProperty,
+        angleReadoutVisibleProperty,
+        modelViewTransform );
 
       // Set the children of the RampNode in the correct rendering order.
       this.children = [
@@ -5,8 +5,9 @@
  * the RampDotsGrid to signal to the user that the lift-bar's height can be changed. Like the RampDotsGrid, the arrow
  * is also draggable. However, this is not meant to be the main interaction.
  *
- * RampUpDownArrow will attempt to change the height of the ramp when dragged. RampUpDownArrow is created at the start
- * of the simulation and is never disposed, so this DragListener doesn't need to be disposed.
+ * RampUpDownArrow will attempt to change the height of the ramp when dragged. The height is changed with the keyboard
+ * by focusing the RampDotsGrid instead, so that the lift-bar is only one stop in the focus order. RampUpDownArrow is
+ * created at the start of the simulation and is never disposed, so this DragListener doesn't need to be disposed.
  *
  * @author Brandon Li
  */
@@ -46,7 +47,6 @@ define( require => {
         tailWidth: 4,
         headStyle: 'open',
         doubleHead: true,
-        fill: RotationalMotionColors.RAMP_STROKE,
         stroke: 'white',
         strokeWidth: 0.3,
         cursor: 'scenery-drag',
@@ -56,6 +56,7 @@ define( require => {
       };
 
       super( 0, 0, 0, options.length, options );
+      RotationalMotionColors.linkColors( this, { fill: RotationalMotionColors.RAMP_STROKE } );
 
       //----------------------------------------------------------------------------------------
 
@@ -0,0 +1,145 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * RollingBallNode is the Ball view specialization for a RollingBall in the 'rolling' screen.
+ *
+ * Extends BallNode but adds the following functionality:
+ *  1. Add a hole in the center of the Ball for RollingBalls with a hollow cross-section (WASHER, HOLLOW_SPHERE, etc.).
+ *  2. Shade spherical RollingBalls with a RadialGradient to look 3D.
+ *  3. Add a marker line along the radius of the Ball, which rotates with the Ball to show the Ball is rolling. The
+ *     marker line ends at the marked point of the Ball, which is traced on the 'rolling' screen.
+ *  4. Add a 'Slipping' indicator above the Ball, which is visible when the Ball is slipping.
+ *
+ * RollingBallNodes are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const BallNode = require( 'ROTATIONAL_MOTION/common/view/BallNode' );
+  const Circle = require( 'SIM_CORE/scenery/Circle' );
+  const Line = require( 'SIM_CORE/scenery/Line' );
+  const ModelViewTransform = require( 'SIM_CORE/util/ModelViewTransform' );
+  const Multilink = require( 'SIM_CORE/util/Multilink' );
+  const RollingBall = require( 'ROTATIONAL_MOTION/rolling/model/RollingBall' );
+  const RollingBallTypes = require( 'ROTATIONAL_MOTION/rolling/model/RollingBallTypes' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+  const Vector = require( 'SIM_CORE/util/Vector' );
+
+  class RollingBallNode extends BallNode {
+
+    /**
+     * @param {RollingBall} ball - the RollingBall model
+     * @param {ModelViewTransform} modelViewTransform - coordinate transform between model and view
+     * @param {Object} [options] - Various key-value pairs that control the appearance and behavior.
+     */
+    constructor( ball, modelViewTransform, options ) {
+      assert( ball instanceof RollingBall, `invalid ball: ${ ball }` );
+      assert( modelViewTransform instanceof ModelViewTransform, `invalid modelViewTransform: ${ modelViewTransform }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        fill: RotationalMotionColors.ROLLING_BALL_FILL,
+        stroke: RotationalMotionColors.ROLLING_BALL_STROKE,
+        cursor: null,
+
+        markerStroke: RotationalMotionColors.ROLLING_BALL_MARKER_STROKE, // {Property.<string>} - marker line stroke
+        markerStrokeWidth: 2,                                              // {number} - stroke-width of the marker
+        markedPointFill: RotationalMotionColors.MARKED_POINT_FILL,         // {Property.<string>} - marked point fill
+        markedPointRadius: 4,                                              // {number} - radius of the marked point
+        slippingIndicatorMargin: 6, // {number} - margin between the top of the Ball and the 'Slipping' indicator
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      // Shade spherical RollingBalls with a RadialGradient of the fill.
+      if ( RollingBallTypes.isSphere( ball.type ) ) {
+        options.fill = RotationalMotionColors.createShadedBallFillProperty( options.fill );
+      }
+
+      super( ball, modelViewTransform, options );
+
+      //----------------------------------------------------------------------------------------
+
+      // @private {Circle|null} - the hole in the center of the Ball, for RollingBalls with a hollow cross-section only.
+      //                          Radius to be updated later.
+      this._hole = ball.innerRadiusRatio > 0 ? RotationalMotionColors.linkColors( new Circle( 0, {
+        strokeWidth: options.strokeWidth
+      } ), {
+        fill: RotationalMotionColors.SCREEN_BACKGROUND,
+        stroke: options.stroke
+      } ) : null;
+
+      // @private {Line} - the marker line along the radius of the Ball, which rotates with the Ball.
+      this._marker = RotationalMotionColors.linkColors( new Line( 0, 0, 0, 0, {
+        strokeWidth: options.markerStrokeWidth
+      } ), { stroke: options.markerStroke } );
+
+      // @private {Circle} - the marked point of the Ball, which rotates with the Ball. Position to be updated later.
+      this._markedPoint = RotationalMotionColors.linkColors( new Circle( options.markedPointRadius ), {
+        fill: options.markedPointFill,
+        stroke: options.markerStroke
+      } );
+
+      // @private {Text} - the indicator above the Ball that is visible when the Ball is slipping.
+      this._slippingIndicator = new Text( RotationalMotionStrings.slipping, {
+        ...RotationalMotionConstants.PANEL_TEXT_OPTIONS,
+        fontWeight: 'bold'
+      } );
+      RotationalMotionColors.linkColors( this._slippingIndicator, {
+        fill: RotationalMotionColors.SLIPPING_INDICATOR_FILL
+      } );
+
+      // Add the hole, marker, marked point, and indicator as children, which will allow it to be displayed above the
+      // Ball circle.
+      this._hole && this.addChild( this._hole );
+      this.addChild( this._marker );
+      this.addChild( this._markedPoint );
+      this.addChild( this._slippingIndicator );
+
+      //----------------------------------------------------------------------------------------
+
+      // Observe when the Ball's position, radius, angle, or marked point changes and update the hole, marker line, and
+      // marked point. Doesn't need to be disposed since RollingBallNodes are never disposed.
+      new Multilink( [ ball.centerPositionProperty, ball.radiusProperty, ball.angleProperty,
+        ball.markedPointPositionProperty ], ( center, radius, angle, markedPointPosition ) => {
+          const viewCenter = modelViewTransform.modelToViewPoint( center );
+          const viewRadius = modelViewTransform.modelToViewDeltaX( radius );
+          const innerViewRadius = this._hole ? viewRadius * ball.innerRadiusRatio : 0;
+
+          if ( this._hole ) {
+            this._hole.radius = innerViewRadius;
+            this._hole.center = viewCenter;
+          }
+
+          // The marker points upwards initially and rotates clockwise as the Ball rolls down the Ramp. It extends to
+          // the marked point if the marked point is outside of the Ball.
+          const viewMarkedPoint = modelViewTransform.modelToViewPoint( markedPointPosition );
+          const markerLength = Math.max( viewRadius, viewMarkedPoint.distanceTo( viewCenter ) );
+          const direction = new Vector( Math.sin( angle ), -Math.cos( angle ) );
+          this._marker.start = direction.copy().multiply( innerViewRadius ).add( viewCenter );
+          this._marker.end = direction.multiply( markerLength ).add( viewCenter );
+          this._markedPoint.center = viewMarkedPoint;
+
+          // Position the 'Slipping' indicator above the Ball.
+          this._slippingIndicator.centerX = viewCenter.x;
+          this._slippingIndicator.bottom = viewCenter.y - viewRadius - options.slippingIndicatorMargin;
+        } );
+
+      // Observe when the Ball starts or stops slipping and update the visibility of the indicator. Link is never
+      // unlinked since RollingBallNodes are never disposed.
+      ball.isSlippingProperty.link( isSlipping => { this._slippingIndicator.visible = isSlipping; } );
+    }
+  }
+
+  return RollingBallNode;
+} );
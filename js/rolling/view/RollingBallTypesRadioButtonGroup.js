@@ -0,0 +1,63 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * View for the radio button group near the top-left of the 'Rolling' Screen that allows the user to select the type of
+ * the RollingBall that rolls down the Ramp.
+ *
+ * See RollingBallTypes.js for more documentation on the rolling ball types.
+ *
+ * RollingBallTypesRadioButtonGroup is never disposed and exists for the entire simulation.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const assert = require( 'SIM_CORE/util/assert' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const RadioButton = require( 'SIM_CORE/scenery/components/buttons/RadioButton' );
+  const RadioButtonGroup = require( 'SIM_CORE/scenery/components/RadioButtonGroup' );
+  const RollingBallTypes = require( 'ROTATIONAL_MOTION/rolling/model/RollingBallTypes' );
+  const RotationalMotionIconFactory = require( 'ROTATIONAL_MOTION/common/view/RotationalMotionIconFactory' );
+
+  class RollingBallTypesRadioButtonGroup extends RadioButtonGroup {
+
+    /**
+     * @param {Property.<Enum.Member.<RollingBallTypes>>} rollingBallTypeProperty
+     * @param {Object} [options]
+     */
+    constructor( rollingBallTypeProperty, options ) {
+      assert( rollingBallTypeProperty instanceof Property, 'invalid rollingBallTypeProperty' );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      options = {
+
+        // {number} - spacing between the radio buttons.
+        spacing: 8,
+
+        // rewrite options such that it overrides the defaults above if provided.
+        ...options
+      };
+
+      //----------------------------------------------------------------------------------------
+
+      // Create a RadioButton that corresponds to each RollingBallType
+      const radioButtons = [];
+
+      RollingBallTypes.MEMBERS.forEach( rollingBallType => {
+        const radioButton = new RadioButton( rollingBallType,
+          RotationalMotionIconFactory.createRollingBallTypeIcon( rollingBallType ) );
+
+        radioButtons.push( radioButton );
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      super( 'horizontal', rollingBallTypeProperty, radioButtons, options );
+    }
+  }
+
+  return RollingBallTypesRadioButtonGroup;
+} );
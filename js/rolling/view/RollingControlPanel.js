@@ -5,6 +5,12 @@
  * the screen.
  *
  * A RollingControlPanel displays:
+ *  - A NumberControlSet to change the inertia factor k of CUSTOM RollingBalls
+ *  - A NumberControlSet to change the coefficient of static friction between the RollingBalls and the Ramp
+ *  - A checkbox to toggle the visibility of the Ramp angle, and a checkbox beside it to toggle the readout of its value
+ *  - A checkbox to toggle the path traces of the RollingBalls
+ *  - A checkbox to toggle the race mode
+ *  - A Toolbox of the measurement tools
  *
  * @author Brandon Li
  */
@@ -13,55 +19,155 @@ define( require => {
   'use strict';
 
   // modules
+  const AlignBox = require( 'SIM_CORE/scenery/AlignBox' );
   const assert = require( 'SIM_CORE/util/assert' );
   const FlexBox = require( 'SIM_CORE/scenery/FlexBox' );
+  const Line = require( 'SIM_CORE/scenery/Line' );
+  const NumberControlSet = require( 'SIM_CORE/scenery/components/NumberControlSet' );
   const Panel = require( 'SIM_CORE/scenery/components/Panel' );
   const Property = require( 'SIM_CORE/util/Property' );
   const RollingModel = require( 'ROTATIONAL_MOTION/rolling/model/RollingModel' );
   const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
   const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
   const RotationalMotionIconFactory = require( 'ROTATIONAL_MOTION/common/view/RotationalMotionIconFactory' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
   const Text = require( 'SIM_CORE/scenery/Text' );
+  const Toolbox = require( 'ROTATIONAL_MOTION/common/view/Toolbox' );
+  const Util = require( 'SIM_CORE/util/Util' );
   const VisibilityCheckbox = require( 'ROTATIONAL_MOTION/common/view/VisibilityCheckbox' );
 
+  // constants
+  const MU = '\u03BC'; // Greek letter mu, the symbol of the coefficient of friction
+  const TICK_LABEL_WIDTH = 20; // the fixed width of each Tick Label Node. Used to ensure Sliders are lined up.
+  const MINOR_TICK_INCREMENT = 0.1; // increment for each Minor Tick of the NumberControlSets
+
   class RollingControlPanel extends Panel {
 
     /**
      * @param {RollingModel} rollingModel
      * @param {Property.<boolean>} angleVisibleProperty
+     * @param {Property.<boolean>} angleReadoutVisibleProperty
+     * @param {Property.<boolean>} traceVisibleProperty
+     * @param {Property.<boolean>} stopwatchVisibleProperty
+     * @param {Property.<boolean>} rulerVisibleProperty
+     * @param {Property.<boolean>} protractorVisibleProperty
      * @param {Object} [options]
      */
-    constructor( rollingModel, angleVisibleProperty, options ) {
+    constructor(
+      rollingModel,
+      angleVisibleProperty,
+      angleReadoutVisibleProperty,
+      traceVisibleProperty,
+      stopwatchVisibleProperty,
+      rulerVisibleProperty,
+      protractorVisibleProperty,
+      options
+    ) {
       assert( rollingModel instanceof RollingModel, `invalid rollingModel: ${ rollingModel }` );
       assert( angleVisibleProperty instanceof Property, 'invalid angleVisibleProperty' );
+      assert( angleReadoutVisibleProperty instanceof Property, 'invalid angleReadoutVisibleProperty' );
+      assert( traceVisibleProperty instanceof Property, 'invalid traceVisibleProperty' );
+      assert( stopwatchVisibleProperty instanceof Property, 'invalid stopwatchVisibleProperty' );
+      assert( rulerVisibleProperty instanceof Property, 'invalid rulerVisibleProperty' );
+      assert( protractorVisibleProperty instanceof Property, 'invalid protractorVisibleProperty' );
       assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
 
       options = {
 
-        // Import the panel colors.
-        ...RotationalMotionColors.PANEL_COLORS,
-
         // {number} - spacing between the content of the Panel.
-        spacing: 13,
+        spacing: 10,
 
         // rewrite options such that it overrides the defaults above if provided.
         ...options
       };
 
-      super( FlexBox.vertical( { align: 'left', spacing: options.spacing } ), options );
+      super( FlexBox.vertical( { align: RotationalMotionStrings.startAlign, spacing: options.spacing } ), options );
+      RotationalMotionColors.linkPanelColors( this );
 
       //----------------------------------------------------------------------------------------
 
-      // 'angles' checkbox
-      this.content.addChild( new VisibilityCheckbox( angleVisibleProperty,
-        new Text( 'Angle', RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
-        RotationalMotionIconFactory.createAngleIcon( 'backward' )
+      // 'Custom Inertia Factor' NumberControlSet
+      this.content.addChild( createNumberControlSet(
+        new Text( RotationalMotionStrings.customInertiaFactor, RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
+        rollingModel.customInertiaFactorProperty,
+        rollingModel.customInertiaFactorRange
+      ) );
+
+      // 'Coefficient of Friction' NumberControlSet
+      this.content.addChild( createNumberControlSet(
+        new Text( RotationalMotionStrings.fillIn( RotationalMotionStrings.coefficientOfFrictionPattern, {
+          symbol: MU
+        } ), RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
+        rollingModel.frictionCoefficientProperty,
+        rollingModel.frictionCoefficientRange
+      ) );
+
+      // horizontal line separator
+      this.content.addChild( new Line( 0, 0, this.content.width, 0, { stroke: 'black', strokeWidth: 0.5 } ) );
+
+      // 'angles' checkbox and 'value' checkbox, which toggles the readout of the angle's value independently
+      this.content.addChild( FlexBox.horizontal( {
+        spacing: 20,
+        children: RotationalMotionStrings.orderHorizontally( [
+          new VisibilityCheckbox( angleVisibleProperty,
+            new Text( RotationalMotionStrings.angle, RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
+            RotationalMotionIconFactory.createAngleIcon( 'backward' )
+          ),
+          new VisibilityCheckbox( angleReadoutVisibleProperty,
+            new Text( RotationalMotionStrings.angleValue, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+          )
+        ] )
+      } ) );
+
+      // 'trace' checkbox
+      this.content.addChild( new VisibilityCheckbox( traceVisibleProperty,
+        new Text( RotationalMotionStrings.trace, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
+      ) );
+
+      // 'race' checkbox
+      this.content.addChild( new VisibilityCheckbox( rollingModel.isRacingProperty,
+        new Text( RotationalMotionStrings.race, RotationalMotionConstants.PANEL_TEXT_OPTIONS )
       ) );
 
+      // horizontal line separator
+      this.content.addChild( new Line( 0, 0, this.content.width, 0, { stroke: 'black', strokeWidth: 0.5 } ) );
+
+      // Toolbox of the measurement tools
+      this.content.addChild( new Toolbox( stopwatchVisibleProperty, rulerVisibleProperty, protractorVisibleProperty ) );
+
       // Apply any additional bounds mutators
       this.mutate( options );
     }
   }
 
+  /**
+   * Creates a NumberControlSet for a unitless number Property of the RollingModel, with labeled Major Ticks at both
+   * ends of the range and Minor Ticks in between.
+   *
+   * @param {Node} title
+   * @param {Property.<number>} numberProperty
+   * @param {Range} range
+   * @returns {NumberControlSet}
+   */
+  function createNumberControlSet( title, numberProperty, range ) {
+    const numberControlSet = new NumberControlSet( title, numberProperty, range, {
+      numberDisplayOptions: { decimalPlaces: RotationalMotionConstants.NUMBER_DISPLAY_DECIMAL_PLACES }
+    } );
+
+    // Add the Major Ticks
+    [ range.min, range.max ].forEach( value => {
+      const label = new Text( value, RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS );
+      numberControlSet.addSliderMajorTick( value, AlignBox.withWidth( label, TICK_LABEL_WIDTH ) );
+    } );
+
+    // Add the Minor Ticks
+    for ( let i = range.min + MINOR_TICK_INCREMENT; i < range.max; i += MINOR_TICK_INCREMENT ) {
+
+      // Skip if it already has a Major Tick.
+      if ( !Util.equalsEpsilon( i, range.max ) ) numberControlSet.addSliderMinorTick( i );
+    }
+    return numberControlSet;
+  }
+
   return RollingControlPanel;
 } );
\ No newline at end of file
@@ -4,6 +4,22 @@
  * Top Level view for the 'Rolling' screen.
  *
  * Responsible for:
+ *   - Displaying the Ramp
+ *   - Displaying the RollingBallNode of each RollingBall
+ *   - Displaying the path traces of the center and the marked point of each RollingBall
+ *   - Displaying a RaceLaneNode for each lane of the RollingRace when the race mode is on
+ *   - Displaying the Control Panel and the race results underneath it
+ *   - Displaying an energy bar chart of the active RollingBall underneath the Control Panel
+ *   - Displaying a Panel to change the traced point of the RollingBalls underneath the TimeControlBox while tracing
+ *   - Displaying the radio buttons to select the rolling ball type
+ *   - Displaying the radio buttons to select the unit that angular quantities are displayed in
+ *   - Displaying the radio buttons to switch the color profile
+ *   - Displaying a TimeControlBox to play, pause, and step the active RollingBall
+ *   - Displaying a TimeSpeedsRadioButtonGroup next to the TimeControlBox
+ *   - Displaying the StopwatchNode, the RulerNode, and the ProtractorNode while they are out of the Toolbox of the
+ *     Control Panel
+ *   - Displaying a common reset-all button
+ *   - Describing the play state and the Ramp in a DescriptionLiveRegion, for screen readers
  *
  * @author Brandon Li <brandon.li820@gmail.com>
  */
@@ -12,20 +28,47 @@ define( require => {
   'use strict';
 
   // modules
+  const AngularUnitsRadioButtonGroup = require( 'ROTATIONAL_MOTION/common/view/AngularUnitsRadioButtonGroup' );
   const assert = require( 'SIM_CORE/util/assert' );
   const Bounds = require( 'SIM_CORE/util/Bounds' );
+  const ColorProfileRadioButtonGroup = require( 'ROTATIONAL_MOTION/common/view/ColorProfileRadioButtonGroup' );
+  const DescriptionLiveRegion = require( 'ROTATIONAL_MOTION/common/view/DescriptionLiveRegion' );
+  const EnergyBarChartTogglePanel = require( 'ROTATIONAL_MOTION/rolling/view/EnergyBarChartTogglePanel' );
   const ModelViewTransform = require( 'SIM_CORE/util/ModelViewTransform' );
+  const Multilink = require( 'SIM_CORE/util/Multilink' );
+  const Node = require( 'SIM_CORE/scenery/Node' );
+  const PathTrailNode = require( 'ROTATIONAL_MOTION/common/view/PathTrailNode' );
   const Property = require( 'SIM_CORE/util/Property' );
+  const ProtractorNode = require( 'ROTATIONAL_MOTION/common/view/ProtractorNode' );
+  const QueryParameterErrorsPanel = require( 'ROTATIONAL_MOTION/common/view/QueryParameterErrorsPanel' );
+  const RaceLaneNode = require( 'ROTATIONAL_MOTION/rolling/view/RaceLaneNode' );
+  const RaceResultsPanel = require( 'ROTATIONAL_MOTION/rolling/view/RaceResultsPanel' );
+  const RampDescriber = require( 'ROTATIONAL_MOTION/rolling/view/RampDescriber' );
   const RampNode = require( 'ROTATIONAL_MOTION/rolling/view/RampNode' );
+  const ResetButton = require( 'SIM_CORE/scenery/components/buttons/ResetButton' );
+  const RollingBallNode = require( 'ROTATIONAL_MOTION/rolling/view/RollingBallNode' );
+  const RollingBallTypesRadioButtonGroup = require( 'ROTATIONAL_MOTION/rolling/view/RollingBallTypesRadioButtonGroup' );
   const RollingControlPanel = require( 'ROTATIONAL_MOTION/rolling/view/RollingControlPanel' );
   const RollingModel = require( 'ROTATIONAL_MOTION/rolling/model/RollingModel' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
   const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RulerNode = require( 'ROTATIONAL_MOTION/common/view/RulerNode' );
   const ScreenView = require( 'SIM_CORE/scenery/ScreenView' );
+  const StateSchema = require( 'ROTATIONAL_MOTION/common/model/StateSchema' );
+  const StopwatchNode = require( 'ROTATIONAL_MOTION/common/view/StopwatchNode' );
+  const TimeControlBox = require( 'SIM_CORE/scenery/components/TimeControlBox' );
+  const TimeSpeedsRadioButtonGroup = require( 'ROTATIONAL_MOTION/common/view/TimeSpeedsRadioButtonGroup' );
+  const TracedPointPanel = require( 'ROTATIONAL_MOTION/rolling/view/TracedPointPanel' );
+  const Vector = require( 'SIM_CORE/util/Vector' );
 
   // constants
   const SCREEN_VIEW_X_MARGIN = RotationalMotionConstants.SCREEN_VIEW_X_MARGIN;
   const SCREEN_VIEW_Y_MARGIN = RotationalMotionConstants.SCREEN_VIEW_Y_MARGIN;
   const MODEL_TO_VIEW_SCALE = 180; // meter to view coordinates (1 m = 180 coordinates)
+  const RACE_LANE_X_OFFSET = 9;    // view offset of each lane behind the front lane, in the x-direction. Eye-balled.
+  const RACE_LANE_Y_OFFSET = -12;  // view offset of each lane behind the front lane, in the y-direction. Eye-balled.
+  const MARKED_POINT_TRAIL_MAX_POINTS = 400; // number of positions kept for the marked point traces. Eye-balled.
+  const RULER_VIEW_POSITION = new Vector( 250, 150 ); // eye-balled, the zero end of the ruler when taken out
 
   class RollingScreenView extends ScreenView {
 
@@ -40,6 +83,25 @@ define( require => {
       // @public (read-only) - indicates if the spinner angle is visible.
       this.angleVisibleProperty = new Property( false, { type: 'boolean' } );
 
+      // @public (read-only) - indicates if the readout of the value of the Ramp angle is visible, so that students can
+      //                      measure the angle with the protractor instead of reading it.
+      this.angleReadoutVisibleProperty = new Property( true, { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the energy bar chart is expanded.
+      this.energyChartExpandedProperty = new Property( true, { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the path traces of the RollingBalls are visible.
+      this.traceVisibleProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the Stopwatch is out of the Toolbox.
+      this.stopwatchVisibleProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the ruler is out of the Toolbox.
+      this.rulerVisibleProperty = new Property( false, { type: 'boolean' } );
+
+      // @public (read-only) - indicates if the protractor is out of the Toolbox.
+      this.protractorVisibleProperty = new Property( false, { type: 'boolean' } );
+
       //----------------------------------------------------------------------------------------
 
       // Compute the bounds of the entire ramp area, in scenery coordinates.
@@ -55,19 +117,259 @@ define( require => {
 
       //----------------------------------------------------------------------------------------
 
-      const rampNode = new RampNode( rollingModel.ramp, modelViewTransform, this.angleVisibleProperty );
+      const rampNode = new RampNode( rollingModel.ramp,
+        modelViewTransform,
+        this.angleVisibleProperty,
+        this.angleReadoutVisibleProperty );
+
+      // Create a RollingBallNode for each RollingBall.
+      const ballNodes = rollingModel.balls.map( ball => {
+        const ballNode = new RollingBallNode( ball, modelViewTransform );
+
+        // Adjust visibility based on the active RollingBall and the race mode. Multilink is never disposed since
+        // RollingBallNodes are never disposed.
+        new Multilink( [ rollingModel.activeBallProperty, rollingModel.isRacingProperty ], ( activeBall, isRacing ) => {
+          ballNode.visible = !isRacing && activeBall === ball;
+        } );
+        return ballNode;
+      } );
+
+      // Create the path traces of the center and the marked point of each RollingBall. The marked point traces keep
+      // more positions and fade less, so that the full cycloid of a roll down the Ramp stays visible.
+      const trailNodes = rollingModel.balls.map( ball => {
+        const centerTrailNode = new PathTrailNode( ball.centerPositionProperty,
+          modelViewTransform,
+          this.traceVisibleProperty );
+        const markedPointTrailNode = new PathTrailNode( ball.markedPointPositionProperty,
+          modelViewTransform,
+          this.traceVisibleProperty, {
+            stroke: RotationalMotionColors.MARKED_POINT_TRAIL_STROKE,
+            maxPoints: MARKED_POINT_TRAIL_MAX_POINTS,
+            minOpacity: 0.3
+          } );
+        const trailNode = new Node( { children: [ centerTrailNode, markedPointTrailNode ] } );
+
+        // Clear the traces when the Ramp is lifted or lowered, since the Ball jumps with the Ramp. Link is never
+        // disposed since PathTrailNodes are never disposed.
+        rollingModel.ramp.angleProperty.lazyLink( () => {
+          centerTrailNode.clear();
+          markedPointTrailNode.clear();
+        } );
+
+        // Adjust visibility based on the active RollingBall and the race mode. Multilink is never disposed since
+        // PathTrailNodes are never disposed.
+        new Multilink( [ rollingModel.activeBallProperty, rollingModel.isRacingProperty ], ( activeBall, isRacing ) => {
+          trailNode.visible = !isRacing && activeBall === ball;
+        } );
+        return trailNode;
+      } );
+
+      // Create a RaceLaneNode for each lane of the RollingRace. Each lane behind the front lane is shifted up and to
+      // the right to give the appearance of parallel ramps.
+      const raceLaneNodes = rollingModel.race.lanes.map( ( lane, index ) => {
+        const laneViewBounds = rampViewBounds.copy().shift( RACE_LANE_X_OFFSET * index, RACE_LANE_Y_OFFSET * index );
+
+        const raceLaneNode = new RaceLaneNode( lane,
+          rollingModel.race.balls[ index ],
+          rollingModel.race.finishLineX,
+          new ModelViewTransform( lane.playBounds, laneViewBounds ), {
+            ballFill: RotationalMotionColors.RACE_LANE_FILLS[ index % RotationalMotionColors.RACE_LANE_FILLS.length ]
+          } );
+
+        // Adjust visibility based on the race mode. Link is never disposed since RaceLaneNodes are never disposed.
+        rollingModel.isRacingProperty.link( isRacing => { raceLaneNode.visible = isRacing; } );
+        return raceLaneNode;
+      } );
 
       // Create the Control Panel
-      const controlPanel = new RollingControlPanel( rollingModel, this.angleVisibleProperty, {
-        right: this.layoutBounds.maxX - SCREEN_VIEW_X_MARGIN,
+      const controlPanel = new RollingControlPanel( rollingModel,
+        this.angleVisibleProperty,
+        this.angleReadoutVisibleProperty,
+        this.traceVisibleProperty,
+        this.stopwatchVisibleProperty,
+        this.rulerVisibleProperty,
+        this.protractorVisibleProperty, {
+          right: this.layoutBounds.maxX - SCREEN_VIEW_X_MARGIN,
+          top: SCREEN_VIEW_Y_MARGIN
+        } );
+
+      // Create the race results Panel underneath the Control Panel.
+      const raceResultsPanel = new RaceResultsPanel( rollingModel.race, {
+        right: controlPanel.right,
+        top: controlPanel.bottom + SCREEN_VIEW_Y_MARGIN
+      } );
+
+      // Adjust visibility based on the race mode. Link is never disposed since the panel is never disposed.
+      rollingModel.isRacingProperty.link( isRacing => { raceResultsPanel.visible = isRacing; } );
+
+      // Create an energy bar chart for each RollingBall underneath the Control Panel, in the same place as the race
+      // results Panel. Energy isn't displayed in the race mode.
+      const energyBarChartTogglePanels = rollingModel.balls.map( ball => {
+        const energyBarChartTogglePanel = new EnergyBarChartTogglePanel( ball,
+          rollingModel.ramp,
+          this.energyChartExpandedProperty, {
+            right: controlPanel.right,
+            top: controlPanel.bottom + SCREEN_VIEW_Y_MARGIN
+          } );
+
+        // Adjust visibility based on the active RollingBall and the race mode. Multilink is never disposed since
+        // EnergyBarChartTogglePanels are never disposed.
+        new Multilink( [ rollingModel.activeBallProperty, rollingModel.isRacingProperty ], ( activeBall, isRacing ) => {
+          energyBarChartTogglePanel.visible = !isRacing && activeBall === ball;
+        } );
+        return energyBarChartTogglePanel;
+      } );
+
+      // Create the Time Control Box
+      const timeControlBox = new TimeControlBox( rollingModel.isPlayingProperty, {
+        stepBackwardOptions: { listener() { rollingModel.stepBackwards(); } },
+        stepForwardOptions: { listener() { rollingModel.stepForwards(); } },
+        centerX: rampViewBounds.centerX,
         top: SCREEN_VIEW_Y_MARGIN
       } );
 
+      // Create the radio buttons to select the speed that time passes, to the right of the Time Control Box
+      const timeSpeedsRadioButtonGroup = new TimeSpeedsRadioButtonGroup( rollingModel.timeSpeedProperty, {
+        centerLeft: timeControlBox.centerRight.addXY( 25, 0 ) // eye-balled
+      } );
+
+      // Create the Panel to change the traced point underneath the Time Control Box
+      const tracedPointPanel = new TracedPointPanel( rollingModel.markedPointRatioProperty,
+        rollingModel.markedPointRatioRange, {
+          centerX: timeControlBox.centerX,
+          top: timeControlBox.bottom + SCREEN_VIEW_Y_MARGIN
+        } );
+
+      // Adjust visibility based on the tracing and the race mode. Multilink is never disposed since the panel is never
+      // disposed.
+      new Multilink( [ this.traceVisibleProperty, rollingModel.isRacingProperty ], ( traceVisible, isRacing ) => {
+        tracedPointPanel.visible = traceVisible && !isRacing;
+      } );
+
+      // Create the radio buttons to select the rolling ball type
+      const rollingBallTypesRadioButtonGroup = new RollingBallTypesRadioButtonGroup(
+        rollingModel.rollingBallTypeProperty, {
+          left: SCREEN_VIEW_X_MARGIN,
+          top: SCREEN_VIEW_Y_MARGIN
+        } );
+
+      // Create the radio buttons to select the unit that angular quantities are displayed in, underneath the radio
+      // buttons to select the rolling ball type
+      const angularUnitsRadioButtonGroup = new AngularUnitsRadioButtonGroup( 'horizontal', {
+        left: SCREEN_VIEW_X_MARGIN,
+        top: rollingBallTypesRadioButtonGroup.bottom + SCREEN_VIEW_Y_MARGIN
+      } );
+
+      // Create the radio buttons to switch the color profile, underneath the radio buttons to select the angular unit
+      const colorProfileRadioButtonGroup = new ColorProfileRadioButtonGroup( 'horizontal', {
+        left: SCREEN_VIEW_X_MARGIN,
+        top: angularUnitsRadioButtonGroup.bottom + SCREEN_VIEW_Y_MARGIN
+      } );
+
+      // Create the StopwatchNode, which is taken out of the Toolbox underneath the radio buttons to switch the color
+      // profile
+      const stopwatchNode = new StopwatchNode( rollingModel.stopwatch,
+        this.stopwatchVisibleProperty,
+        this.layoutBounds, {
+          left: SCREEN_VIEW_X_MARGIN,
+          top: colorProfileRadioButtonGroup.bottom + SCREEN_VIEW_Y_MARGIN
+        } );
+
+      // Create the ruler, which measures in meters with the scale of the Ramp.
+      const rulerNode = new RulerNode( modelViewTransform, this.rulerVisibleProperty, this.layoutBounds, {
+        initialViewPosition: RULER_VIEW_POSITION
+      } );
+
+      // Create the protractor, which is taken out centered on the bottom corner of the Ramp to measure its angle.
+      const protractorNode = new ProtractorNode( this.protractorVisibleProperty, this.layoutBounds, {
+        initialCenter: modelViewTransform.modelToViewPoint( new Vector( rollingModel.ramp.slopeWidth, 0 ) )
+      } );
+
+      // Create the Reset All Button
+      const resetButton = new ResetButton( {
+        listener: () => {
+          rollingModel.reset();
+          this.reset();
+        },
+        right: this.layoutBounds.maxX - SCREEN_VIEW_X_MARGIN,
+        bottom: this.layoutBounds.maxY - SCREEN_VIEW_Y_MARGIN
+      } );
+
       // Add the children in the correct rendering order.
       this.children = [
         rampNode,
-        controlPanel
+        ...trailNodes,
+        ...ballNodes,
+        ...raceLaneNodes.reverse(), // render the front lane last, so that it is on top
+        controlPanel,
+        raceResultsPanel,
+        ...energyBarChartTogglePanels,
+        timeControlBox,
+        timeSpeedsRadioButtonGroup,
+        tracedPointPanel,
+        rollingBallTypesRadioButtonGroup,
+        angularUnitsRadioButtonGroup,
+        colorProfileRadioButtonGroup,
+        resetButton,
+        protractorNode,
+        rulerNode,
+        stopwatchNode
       ];
+
+      //----------------------------------------------------------------------------------------
+
+      // @public (read-only) {DescriptionLiveRegion} - announces the description of the play state and the Ramp. It is
+      //                                               HTML, so it is rendered by the RollingScreen instead. See
+      //                                               RollingScreen.start().
+      this.descriptionLiveRegion = new DescriptionLiveRegion( new RampDescriber( rollingModel ).descriptionProperty );
+    }
+
+    /**
+     * Resets the View Properties of the 'Rolling' screen
+     * @public
+     */
+    reset() {
+      this.angleVisibleProperty.reset();
+      this.angleReadoutVisibleProperty.reset();
+      this.energyChartExpandedProperty.reset();
+      this.traceVisibleProperty.reset();
+      this.stopwatchVisibleProperty.reset();
+      this.rulerVisibleProperty.reset();
+      this.protractorVisibleProperty.reset();
+    }
+
+    /**
+     * Creates the StateSchema of the View Properties of the 'Rolling' screen, which serializes and restores which
+     * displays are visible. See StateSchema.
+     * @public
+     *
+     * @returns {StateSchema}
+     */
+    createStateSchema() {
+      return new StateSchema( {
+        angleVisible: StateSchema.boolean( this.angleVisibleProperty ),
+        angleReadoutVisible: StateSchema.boolean( this.angleReadoutVisibleProperty ),
+        energyChartExpanded: StateSchema.boolean( this.energyChartExpandedProperty ),
+        traceVisible: StateSchema.boolean( this.traceVisibleProperty ),
+        stopwatchVisible: StateSchema.boolean( this.stopwatchVisibleProperty ),
+        rulerVisible: StateSchema.boolean( this.rulerVisibleProperty ),
+        protractorVisible: StateSchema.boolean( this.protractorVisibleProperty )
+      } );
+    }
+
+    /**
+     * Reports the invalid query parameters on top of everything, in a QueryParameterErrorsPanel. This is called once
+     * the sim has loaded, on the screen that is initially shown. See RotationalMotionQueryParameters.
+     * @public
+     *
+     * @param {Object[]} errors - the errors of each invalid query parameter. See RotationalMotionQueryParameters.errors
+     * @param {string[]} stateErrors - the error messages of the state of the ?state query parameter, if it was invalid.
+     */
+    showQueryParameterErrors( errors, stateErrors ) {
+      this.addChild( new QueryParameterErrorsPanel( errors, stateErrors, {
+        centerX: this.layoutBounds.centerX,
+        top: this.layoutBounds.minY + SCREEN_VIEW_Y_MARGIN
+      } ) );
     }
   }
 
@@ -0,0 +1,80 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * TracedPointPanel is the Panel underneath the TimeControlBox that allows the user to change the distance of the
+ * traced marked point from the center of the RollingBalls, in the 'rolling' screen. Its visibility should be adjusted
+ * by whether or not the path traces are visible.
+ *
+ * The distance is a ratio of the radius of the RollingBalls, so a ratio of 1 is on the rim and traces a cycloid, a
+ * ratio below 1 traces a curtate cycloid, and a ratio above 1 traces a prolate cycloid. A labeled Major Tick marks the
+ * rim of the RollingBalls.
+ *
+ * This panel exists for the entire sim and is never disposed.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const AlignBox = require( 'SIM_CORE/scenery/AlignBox' );
+  const assert = require( 'SIM_CORE/util/assert' );
+  const NumberControlSet = require( 'SIM_CORE/scenery/components/NumberControlSet' );
+  const Panel = require( 'SIM_CORE/scenery/components/Panel' );
+  const Property = require( 'SIM_CORE/util/Property' );
+  const Range = require( 'SIM_CORE/util/Range' );
+  const RotationalMotionColors = require( 'ROTATIONAL_MOTION/common/RotationalMotionColors' );
+  const RotationalMotionConstants = require( 'ROTATIONAL_MOTION/common/RotationalMotionConstants' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
+  const Text = require( 'SIM_CORE/scenery/Text' );
+  const Util = require( 'SIM_CORE/util/Util' );
+
+  // constants
+  const TICK_LABEL_WIDTH = 20; // the fixed width of each Tick Label Node.
+  const MINOR_TICK_INCREMENT = 0.1; // increment for each Minor Tick of the NumberControlSet
+  const RIM_RATIO = 1; // the ratio of the distance of a marked point on the rim to the radius
+
+  class TracedPointPanel extends Panel {
+
+    /**
+     * @param {Property.<number>} markedPointRatioProperty - the distance of the marked point, as a ratio of the radius
+     * @param {Range} markedPointRatioRange
+     * @param {Object} [options]
+     */
+    constructor( markedPointRatioProperty, markedPointRatioRange, options ) {
+      assert( markedPointRatioProperty instanceof Property, 'invalid markedPointRatioProperty' );
+      assert( markedPointRatioRange instanceof Range, `invalid markedPointRatioRange: ${ markedPointRatioRange }` );
+      assert( !options || Object.getPrototypeOf( options ) === Object.prototype, `invalid options: ${ options }` );
+
+      const numberControlSet = new NumberControlSet(
+        new Text( RotationalMotionStrings.tracedPoint, RotationalMotionConstants.PANEL_TEXT_OPTIONS ),
+        markedPointRatioProperty,
+        markedPointRatioRange, {
+          numberDisplayOptions: { decimalPlaces: RotationalMotionConstants.NUMBER_DISPLAY_DECIMAL_PLACES }
+        } );
+
+      // Add the Major Ticks at both ends of the range and at the rim.
+      [ markedPointRatioRange.min, RIM_RATIO, markedPointRatioRange.max ].forEach( value => {
+        const label = new Text( value, RotationalMotionConstants.SLIDER_TICK_TEXT_OPTIONS );
+        numberControlSet.addSliderMajorTick( value, AlignBox.withWidth( label, TICK_LABEL_WIDTH ) );
+      } );
+
+      // Add the Minor Ticks
+      for ( let i = markedPointRatioRange.min + MINOR_TICK_INCREMENT;
+            i < markedPointRatioRange.max;
+            i += MINOR_TICK_INCREMENT ) {
+
+        // Skip if it already has a Major Tick.
+        if ( !Util.equalsEpsilon( i, RIM_RATIO ) && !Util.equalsEpsilon( i, markedPointRatioRange.max ) ) {
+          numberControlSet.addSliderMinorTick( i );
+        }
+      }
+
+      super( numberControlSet, options );
+      RotationalMotionColors.linkPanelColors( this );
+    }
+  }
+
+  return TracedPointPanel;
+} );
@@ -12,14 +12,47 @@ define( require => {
   // modules
   const IntroScreen = require( 'ROTATIONAL_MOTION/intro/IntroScreen' );
   const RollingScreen = require( 'ROTATIONAL_MOTION/rolling/RollingScreen' );
+  const RotationalMotionQueryParameters = require( 'ROTATIONAL_MOTION/common/RotationalMotionQueryParameters' );
+  const RotationalMotionState = require( 'ROTATIONAL_MOTION/common/RotationalMotionState' );
+  const RotationalMotionStrings = require( 'ROTATIONAL_MOTION/common/RotationalMotionStrings' );
   const Sim = require( 'SIM_CORE/Sim' );
 
+  const introScreen = new IntroScreen();
+  const rollingScreen = new RollingScreen();
+
+  // Expose the saving and restoring of the state of the sim, so that pages that embed the sim (and the browser console)
+  // can save exact setups and restore them. See RotationalMotionState for the embedding API.
+  const rotationalMotionState = new RotationalMotionState( introScreen, rollingScreen );
+  window.rotationalMotionState = rotationalMotionState;
+
+  // Declare the language of the page, which screen readers use to pronounce the strings. See RotationalMotionStrings.
+  document.documentElement.lang = RotationalMotionStrings.locale;
+
   // Start the Rotational Motion Simulation.
   Sim.start( {
-    name: 'Rotational Motion',
+    name: RotationalMotionStrings.rotationalMotion,
     screens: [
-      new IntroScreen(),
-      new RollingScreen()
+      introScreen,
+      rollingScreen
     ]
   } );
-} );
\ No newline at end of file
+
+  // Show the screen that was provided with the ?screen query parameter. See RotationalMotionQueryParameters.
+  const initialScreen = RotationalMotionQueryParameters.screen === 'rolling' ? rollingScreen : introScreen;
+  Sim.activeScreenProperty.value = initialScreen;
+
+  // Once the screens have loaded, restore the state that was provided with the ?state query parameter and report the
+  // invalid query parameters on the screen that is initially shown. The state can only be restored once the models and
+  // views of the screens are created, which happens asynchronously while the sim is loading.
+  // Listener is never removed, since removing it while the frame listeners are called would skip the next listener.
+  let hasFinishedLoading = false;
+  Sim.display.on( 'frame', () => {
+    if ( hasFinishedLoading || !rotationalMotionState.isLoaded ) return;
+    hasFinishedLoading = true;
+
+    const errors = RotationalMotionQueryParameters.errors;
+    const stateErrors = RotationalMotionQueryParameters.state === null ? [] :
+                        rotationalMotionState.restore( RotationalMotionQueryParameters.state );
+    ( errors.length || stateErrors.length ) && initialScreen.view.showQueryParameterErrors( errors, stateErrors );
+  } );
+} );